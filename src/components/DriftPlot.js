@@ -0,0 +1,78 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+
+const WIDTH = 320;
+const HEIGHT = 140;
+const MARGIN = { top: 10, right: 10, bottom: 22, left: 48 };
+
+const SERIES = [
+  { key: 'energy', label: 'Energy', color: '#60a5fa' },
+  { key: 'angularMomentum', label: 'Angular momentum', color: '#f59e0b' }
+];
+
+// Live plot of the relative energy and angular momentum drift of the particles.
+// history is a list of { time, energy, angularMomentum } samples, oldest first.
+// The vertical scale is symmetric about zero and fits the largest drift shown.
+const DriftPlot = ({ history }) => {
+  const svgRef = useRef(null);
+  
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    
+    const times = history.map(sample => sample.time);
+    const largest = d3.max(history, sample => Math.max(Math.abs(sample.energy), Math.abs(sample.angularMomentum))) || 0;
+    const bound = largest > 0 ? largest * 1.1 : 1e-12;
+    
+    const x = d3.scaleLinear()
+      .domain(times.length > 1 ? d3.extent(times) : [0, 1])
+      .range([MARGIN.left, WIDTH - MARGIN.right]);
+    const y = d3.scaleLinear()
+      .domain([-bound, bound])
+      .range([HEIGHT - MARGIN.bottom, MARGIN.top]);
+    
+    svg.append("g")
+      .attr("transform", `translate(0,${HEIGHT - MARGIN.bottom})`)
+      .call(d3.axisBottom(x).ticks(4))
+      .attr("color", "#9ca3af");
+    svg.append("g")
+      .attr("transform", `translate(${MARGIN.left},0)`)
+      .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format(".0e")))
+      .attr("color", "#9ca3af");
+    
+    // Exact conservation
+    svg.append("line")
+      .attr("x1", MARGIN.left)
+      .attr("x2", WIDTH - MARGIN.right)
+      .attr("y1", y(0))
+      .attr("y2", y(0))
+      .attr("stroke", "#4b5563")
+      .attr("stroke-dasharray", "3,3");
+    
+    SERIES.forEach(({ key, color }) => {
+      svg.append("path")
+        .datum(history)
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 1.5)
+        .attr("d", d3.line().x(sample => x(sample.time)).y(sample => y(sample[key])));
+    });
+  }, [history]);
+  
+  const latest = history[history.length - 1];
+  
+  return (
+    <div>
+      <svg ref={svgRef} width={WIDTH} height={HEIGHT} className="bg-gray-900 rounded" />
+      <div className="flex space-x-4 text-xs text-gray-200 mt-1">
+        {SERIES.map(({ key, label, color }) => (
+          <span key={key}>
+            <span style={{ color }}>■</span> {label}: {latest ? latest[key].toExponential(2) : '–'}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DriftPlot;
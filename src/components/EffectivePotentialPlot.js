@@ -0,0 +1,170 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import {
+  kerrHorizons,
+  kerrIscoRadius,
+  kerrPhotonOrbitRadius,
+  newtonianEffectivePotential,
+  kerrEffectivePotential,
+  orbitalEnergyLevel,
+  findTurningPoints
+} from '../physics';
+
+const WIDTH = 320;
+const HEIGHT = 180;
+const MARGIN = { top: 10, right: 10, bottom: 24, left: 48 };
+
+// Outermost radius plotted, matching the particle view
+const MAX_RADIUS = 60;
+const SAMPLES = 300;
+
+// Everything plotted for a particle with specific energy E and angular momentum L
+const describePotential = (M, a, E, L) => {
+  const prograde = L >= 0;
+  const rMin = kerrHorizons(M, a).outer * 1.05;
+  const relativistic = radius => kerrEffectivePotential(M, a, E, L, radius);
+  const level = orbitalEnergyLevel(E);
+  return {
+    rMin,
+    level,
+    relativistic,
+    newtonian: radius => newtonianEffectivePotential(M, L, radius),
+    turningPoints: findTurningPoints(relativistic, level, rMin, MAX_RADIUS),
+    isco: kerrIscoRadius(M, a, prograde),
+    photonOrbit: kerrPhotonOrbitRadius(M, a, prograde)
+  };
+};
+
+// Effective potential of one particle at radius r around a hole of geometric
+// mass M and spin a. Draws the Newtonian and relativistic V_eff with the
+// particle's energy level, its turning points and the ISCO and photon orbit.
+const EffectivePotentialPlot = ({ M, a, particle }) => {
+  const svgRef = useRef(null);
+  const { r, E, L } = particle;
+  const { level, turningPoints } = describePotential(M, a, E, L);
+  
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    
+    const { rMin, level, relativistic, newtonian, turningPoints, isco, photonOrbit } = describePotential(M, a, E, L);
+    const radii = d3.range(SAMPLES + 1).map(i => rMin + (MAX_RADIUS - rMin) * i / SAMPLES);
+    
+    // Fit the wells and the energy level. The centrifugal barriers rise far
+    // above them and are cut off at the top, and inside the photon orbit the
+    // relativistic curve plunges, so that region does not set the scale.
+    const outer = radii.filter(radius => radius >= photonOrbit);
+    const low = Math.min(level, d3.min(outer, relativistic), d3.min(outer, newtonian));
+    const high = Math.max(level, 0) + Math.max(Math.abs(low), 0.01);
+    const pad = (high - low) * 0.1;
+    
+    const x = d3.scaleLinear()
+      .domain([0, MAX_RADIUS])
+      .range([MARGIN.left, WIDTH - MARGIN.right]);
+    const y = d3.scaleLinear()
+      .domain([low - pad, high + pad])
+      .range([HEIGHT - MARGIN.bottom, MARGIN.top]);
+    const [yMin, yMax] = y.domain();
+    
+    svg.append("g")
+      .attr("transform", `translate(0,${HEIGHT - MARGIN.bottom})`)
+      .call(d3.axisBottom(x).ticks(6))
+      .attr("color", "#9ca3af");
+    svg.append("g")
+      .attr("transform", `translate(${MARGIN.left},0)`)
+      .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format(".2~f")))
+      .attr("color", "#9ca3af");
+    svg.append("text")
+      .attr("x", WIDTH - MARGIN.right)
+      .attr("y", HEIGHT - MARGIN.bottom - 4)
+      .attr("fill", "#9ca3af")
+      .attr("font-size", "10px")
+      .attr("text-anchor", "end")
+      .text("r");
+    
+    // ISCO and photon orbit
+    [
+      { radius: isco, color: "#4CAF50", label: "ISCO" },
+      { radius: photonOrbit, color: "#f59e0b", label: "photon orbit" }
+    ].forEach(({ radius, color, label }) => {
+      svg.append("line")
+        .attr("x1", x(radius))
+        .attr("x2", x(radius))
+        .attr("y1", MARGIN.top)
+        .attr("y2", HEIGHT - MARGIN.bottom)
+        .attr("stroke", color)
+        .attr("stroke-dasharray", "2,3");
+      svg.append("text")
+        .attr("x", x(radius) + 3)
+        .attr("y", MARGIN.top + 10)
+        .attr("fill", color)
+        .attr("font-size", "9px")
+        .text(label);
+    });
+    
+    // Both potentials, drawn only where they are inside the plot
+    const curve = (potential) => d3.line()
+      .defined(radius => {
+        const value = potential(radius);
+        return value >= yMin && value <= yMax;
+      })
+      .x(radius => x(radius))
+      .y(radius => y(potential(radius)));
+    svg.append("path")
+      .datum(radii)
+      .attr("fill", "none")
+      .attr("stroke", "#9ca3af")
+      .attr("stroke-width", 1.5)
+      .attr("stroke-dasharray", "4,3")
+      .attr("d", curve(newtonian));
+    svg.append("path")
+      .datum(radii)
+      .attr("fill", "none")
+      .attr("stroke", "#60a5fa")
+      .attr("stroke-width", 2)
+      .attr("d", curve(relativistic));
+    
+    // Energy level, with the particle and its turning points on it
+    svg.append("line")
+      .attr("x1", MARGIN.left)
+      .attr("x2", WIDTH - MARGIN.right)
+      .attr("y1", y(level))
+      .attr("y2", y(level))
+      .attr("stroke", "#f472b6")
+      .attr("stroke-width", 1);
+    turningPoints.forEach(radius => {
+      svg.append("circle")
+        .attr("cx", x(radius))
+        .attr("cy", y(level))
+        .attr("r", 3)
+        .attr("fill", "none")
+        .attr("stroke", "#f472b6")
+        .attr("stroke-width", 1.5);
+    });
+    if (r <= MAX_RADIUS) {
+      svg.append("circle")
+        .attr("cx", x(r))
+        .attr("cy", y(level))
+        .attr("r", 4)
+        .attr("fill", "white");
+    }
+  }, [M, a, r, E, L]);
+  
+  return (
+    <div>
+      <svg ref={svgRef} width={WIDTH} height={HEIGHT} className="bg-gray-900 rounded" />
+      <div className="flex flex-wrap text-xs text-gray-200 mt-1 space-x-3">
+        <span><span style={{ color: '#60a5fa' }}>■</span> {a === 0 ? 'Schwarzschild' : 'Kerr'}</span>
+        <span><span style={{ color: '#9ca3af' }}>■</span> Newtonian</span>
+        <span><span style={{ color: '#f472b6' }}>■</span> (E² − 1)/2 = {level.toFixed(4)}</span>
+        <span>
+          Turning points: {turningPoints.length > 0
+            ? turningPoints.map(radius => `r = ${(radius / M).toFixed(1)}M`).join(', ')
+            : 'none'}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default EffectivePotentialPlot;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Image as ImageIcon, FileImage } from 'lucide-react';
+import { exportSvg, exportPng } from '../export/imageExport';
+
+const PNG_SCALES = [1, 2, 4];
+
+// Buttons that save the current visualization as SVG or high-resolution PNG.
+// getSvg returns the SVG element to export.
+const ExportControls = ({ getSvg, currentState }) => {
+  const [scale, setScale] = useState(2);
+  const [includeCaption, setIncludeCaption] = useState(true);
+  const [error, setError] = useState(null);
+  
+  const handleSvg = () => {
+    setError(null);
+    exportSvg(getSvg(), currentState, { caption: includeCaption });
+  };
+  
+  const handlePng = () => {
+    setError(null);
+    exportPng(getSvg(), currentState, { caption: includeCaption, scale })
+      .catch(e => setError(e.message));
+  };
+  
+  return (
+    <div className="flex items-center space-x-2 text-xs text-gray-200">
+      <label className="flex items-center space-x-1">
+        <input
+          type="checkbox"
+          checked={includeCaption}
+          onChange={(e) => setIncludeCaption(e.target.checked)}
+          className="h-3 w-3"
+        />
+        <span>Caption</span>
+      </label>
+      <button
+        className="flex items-center px-3 py-1 rounded bg-gray-700 hover:bg-gray-600"
+        onClick={handleSvg}
+        title="Download the visualization as a vector SVG"
+      >
+        <FileImage size={14} className="mr-1" />
+        SVG
+      </button>
+      <select
+        value={scale}
+        onChange={(e) => setScale(Number(e.target.value))}
+        className="bg-gray-700 text-white rounded py-1 px-1"
+        title="PNG resolution relative to the screen"
+      >
+        {PNG_SCALES.map(value => (
+          <option key={value} value={value}>{value}×</option>
+        ))}
+      </select>
+      <button
+        className="flex items-center px-3 py-1 rounded bg-gray-700 hover:bg-gray-600"
+        onClick={handlePng}
+        title="Download the visualization as a PNG image"
+      >
+        <ImageIcon size={14} className="mr-1" />
+        PNG
+      </button>
+      {error && <span className="text-red-300">{error}</span>}
+    </div>
+  );
+};
+
+export default ExportControls;
@@ -0,0 +1,128 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+
+const WIDTH = 320;
+const HEIGHT = 180;
+const MARGIN = { top: 10, right: 10, bottom: 24, left: 44 };
+
+// Times above this multiple of the proper fall time are cut off, which is
+// where the coordinate time's climb to infinity leaves the plot
+const TIME_RANGE = 2.5;
+
+// Time taken to fall from rest to radius r, by the infaller's clock (τ) and in
+// Schwarzschild coordinate time (t). profile holds samples { r, tau, t } from
+// sampleRadialInfall, current the infaller's present state, and M shares
+// their units. The horizon and the singularity are marked where τ crosses them.
+const InfallClocksPlot = ({ profile, current, M }) => {
+  const svgRef = useRef(null);
+  
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    
+    const releaseRadius = profile[0].r / M;
+    const fallTime = profile[profile.length - 1].tau / M;
+    const x = d3.scaleLinear()
+      .domain([0, releaseRadius])
+      .range([MARGIN.left, WIDTH - MARGIN.right]);
+    const y = d3.scaleLinear()
+      .domain([0, fallTime * TIME_RANGE])
+      .range([HEIGHT - MARGIN.bottom, MARGIN.top]);
+    const [, yMax] = y.domain();
+    
+    svg.append("g")
+      .attr("transform", `translate(0,${HEIGHT - MARGIN.bottom})`)
+      .call(d3.axisBottom(x).ticks(5))
+      .attr("color", "#9ca3af");
+    svg.append("g")
+      .attr("transform", `translate(${MARGIN.left},0)`)
+      .call(d3.axisLeft(y).ticks(4))
+      .attr("color", "#9ca3af");
+    svg.append("text")
+      .attr("x", WIDTH - MARGIN.right)
+      .attr("y", HEIGHT - MARGIN.bottom - 4)
+      .attr("fill", "#9ca3af")
+      .attr("font-size", "10px")
+      .attr("text-anchor", "end")
+      .text("r / M");
+    svg.append("text")
+      .attr("x", MARGIN.left + 4)
+      .attr("y", MARGIN.top + 8)
+      .attr("fill", "#9ca3af")
+      .attr("font-size", "10px")
+      .text("time / M");
+    
+    // Horizon and singularity, with the proper time at which each is reached
+    [
+      { radius: 2, color: "red", label: "r = 2M" },
+      { radius: 0, color: "#a855f7", label: "r = 0" }
+    ].forEach(({ radius, color, label }) => {
+      const crossing = radius === 0 ? profile[profile.length - 1] : profile.find(sample => sample.r / M <= radius);
+      svg.append("line")
+        .attr("x1", x(radius))
+        .attr("x2", x(radius))
+        .attr("y1", MARGIN.top)
+        .attr("y2", HEIGHT - MARGIN.bottom)
+        .attr("stroke", color)
+        .attr("stroke-dasharray", "2,3");
+      svg.append("text")
+        .attr("x", x(radius) + 3)
+        .attr("y", MARGIN.top + 20)
+        .attr("fill", color)
+        .attr("font-size", "9px")
+        .text(label);
+      svg.append("circle")
+        .attr("cx", x(radius))
+        .attr("cy", y(crossing.tau / M))
+        .attr("r", 3)
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 1.5);
+    });
+    
+    // Both clocks; t is only drawn outside the horizon and below the cut-off
+    [
+      { key: 'tau', color: "#4CAF50" },
+      { key: 't', color: "#60a5fa" }
+    ].forEach(({ key, color }) => {
+      svg.append("path")
+        .datum(profile)
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 2)
+        .attr("d", d3.line()
+          .defined(sample => sample[key] / M <= yMax)
+          .x(sample => x(sample.r / M))
+          .y(sample => y(sample[key] / M)));
+      if (current[key] / M <= yMax) {
+        svg.append("circle")
+          .attr("cx", x(current.r / M))
+          .attr("cy", y(current[key] / M))
+          .attr("r", 4)
+          .attr("fill", color)
+          .attr("stroke", "white");
+      }
+    });
+    
+    svg.append("text")
+      .attr("x", x(2) + 3)
+      .attr("y", MARGIN.top + 32)
+      .attr("fill", "#60a5fa")
+      .attr("font-size", "9px")
+      .text("t → ∞");
+  }, [profile, current, M]);
+  
+  return (
+    <div>
+      <svg ref={svgRef} width={WIDTH} height={HEIGHT} className="bg-gray-900 rounded" />
+      <div className="flex space-x-4 text-xs text-gray-200 mt-1">
+        <span><span style={{ color: '#4CAF50' }}>■</span> Proper time τ = {(current.tau / M).toFixed(1)}M</span>
+        <span>
+          <span style={{ color: '#60a5fa' }}>■</span> Coordinate time t = {Number.isFinite(current.t) ? `${(current.t / M).toFixed(1)}M` : '∞'}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default InfallClocksPlot;
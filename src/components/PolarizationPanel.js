@@ -0,0 +1,277 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import { antennaPattern, antennaSensitivity, testMassDisplacement, DETECTOR_ARM_LENGTH } from '../physics';
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PANEL_WIDTH = WIDTH / 3;
+
+const SKY_WIDTH = 320;
+const SKY_HEIGHT = 170;
+const SKY_MARGIN = { top: 8, right: 8, bottom: 24, left: 36 };
+const SKY_CELL = 10; // degrees
+
+const PLUS_COLOR = "#60a5fa";
+const CROSS_COLOR = "#f59e0b";
+const DETECTOR_COLOR = "#4CAF50";
+
+// Test masses in each ring and the ring's radius, in pixels
+const RING_MASSES = 16;
+const RING_RADIUS = 60;
+
+// Interferometer arm length on screen, in pixels
+const ARM_PIXELS = 140;
+
+// The waveform plays in slow motion, this many wave cycles per unit of
+// simulation time, looping over its last LOOP_CYCLES cycles
+const CYCLES_PER_TIME = 0.2;
+const LOOP_CYCLES = 16;
+
+// Largest strain over the loop stretches the ring by this fraction
+const DEFORMATION = 0.4;
+
+const degrees = d => d * Math.PI / 180;
+
+// Effect of the current waveform on matter. Two rings of free test masses in
+// the plane of the wave front feel h₊ and h× alone; an L-shaped interferometer
+// feels F₊h₊ + F×h× for a source at polar angle sourceTheta and azimuth
+// sourcePhi from its x arm with polarization angle polarization (degrees).
+// waveform comes from chirpWaveform; time is the simulation time, which steps
+// through the last cycles of the waveform slowed down to a visible rate.
+const PolarizationPanel = ({
+  waveform,
+  time,
+  sourceTheta,
+  sourcePhi,
+  polarization,
+  onSourceThetaChange,
+  onSourcePhiChange,
+  onPolarizationChange
+}) => {
+  const svgRef = useRef(null);
+  const skyRef = useRef(null);
+  
+  // Wave cycles completed by each sample, the first sample of the loop, and
+  // the exaggeration that makes the loop's largest strain visible
+  const playback = useMemo(() => {
+    const { plus, cross, frequency, sampleRate } = waveform;
+    const cycles = new Float64Array(frequency.length);
+    for (let i = 1; i < cycles.length; i++) cycles[i] = cycles[i - 1] + frequency[i] / sampleRate;
+    
+    const start = d3.bisectLeft(cycles, cycles[cycles.length - 1] - LOOP_CYCLES);
+    let peak = 0;
+    for (let i = start; i < plus.length; i++) peak = Math.max(peak, Math.hypot(plus[i], cross[i]));
+    return { cycles, start, exaggeration: DEFORMATION / (peak || 1) };
+  }, [waveform]);
+  
+  const { cycles, start, exaggeration } = playback;
+  const loopCycles = cycles[cycles.length - 1] - cycles[start];
+  const target = cycles[start] + (time * CYCLES_PER_TIME) % loopCycles;
+  const index = Math.min(d3.bisectLeft(cycles, target), cycles.length - 1);
+  const plus = waveform.plus[index];
+  const cross = waveform.cross[index];
+  const pattern = antennaPattern(degrees(sourceTheta), degrees(sourcePhi), degrees(polarization));
+  const detectorStrain = pattern.plus * plus + pattern.cross * cross;
+  
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    
+    const label = (x, y, text, color = "#9ca3af", anchor = "middle") => {
+      svg.append("text")
+        .attr("x", x)
+        .attr("y", y)
+        .attr("fill", color)
+        .attr("font-size", "11px")
+        .attr("text-anchor", anchor)
+        .text(text);
+    };
+    
+    // Rings of free masses, at rest (dashed) and displaced by one polarization
+    [
+      { h: [plus, 0], name: 'h₊', value: plus, color: PLUS_COLOR },
+      { h: [0, cross], name: 'h×', value: cross, color: CROSS_COLOR }
+    ].forEach(({ h, name, value, color }, panel) => {
+      const cx = PANEL_WIDTH * (panel + 0.5);
+      const cy = HEIGHT / 2;
+      svg.append("circle")
+        .attr("cx", cx)
+        .attr("cy", cy)
+        .attr("r", RING_RADIUS)
+        .attr("fill", "none")
+        .attr("stroke", "#4b5563")
+        .attr("stroke-dasharray", "3,3");
+      
+      d3.range(RING_MASSES).forEach(i => {
+        const angle = 2 * Math.PI * i / RING_MASSES;
+        const rest = { x: RING_RADIUS * Math.cos(angle), y: RING_RADIUS * Math.sin(angle) };
+        const shift = testMassDisplacement(rest, h[0] * exaggeration, h[1] * exaggeration);
+        svg.append("circle")
+          .attr("cx", cx + rest.x + shift.x)
+          .attr("cy", cy - rest.y - shift.y)
+          .attr("r", 4)
+          .attr("fill", color);
+      });
+      
+      label(cx, 16, `${name} only`, color);
+      label(cx, HEIGHT - 10, `${name} = ${value.toExponential(2)}`);
+    });
+    
+    // Interferometer: beam splitter at the corner, mirrors at the arm ends
+    // moved by ±½ of the detector strain
+    const cornerX = PANEL_WIDTH * 2 + 30;
+    const cornerY = HEIGHT - 40;
+    const stretch = detectorStrain * exaggeration / 2;
+    const ends = [
+      { x: cornerX + ARM_PIXELS * (1 + stretch), y: cornerY },
+      { x: cornerX, y: cornerY - ARM_PIXELS * (1 - stretch) }
+    ];
+    
+    // Mirrors at rest
+    [
+      { x: cornerX + ARM_PIXELS, y: cornerY },
+      { x: cornerX, y: cornerY - ARM_PIXELS }
+    ].forEach(rest => {
+      svg.append("rect")
+        .attr("x", rest.x - 6)
+        .attr("y", rest.y - 6)
+        .attr("width", 12)
+        .attr("height", 12)
+        .attr("fill", "none")
+        .attr("stroke", "#4b5563")
+        .attr("stroke-dasharray", "2,2");
+    });
+    ends.forEach(end => {
+      svg.append("line")
+        .attr("x1", cornerX)
+        .attr("y1", cornerY)
+        .attr("x2", end.x)
+        .attr("y2", end.y)
+        .attr("stroke", "#ef4444")
+        .attr("stroke-width", 2)
+        .attr("opacity", 0.8);
+      svg.append("rect")
+        .attr("x", end.x - 4)
+        .attr("y", end.y - 4)
+        .attr("width", 8)
+        .attr("height", 8)
+        .attr("fill", DETECTOR_COLOR);
+    });
+    svg.append("rect")
+      .attr("x", cornerX - 5)
+      .attr("y", cornerY - 5)
+      .attr("width", 10)
+      .attr("height", 10)
+      .attr("fill", "#d1d5db")
+      .attr("transform", `rotate(45,${cornerX},${cornerY})`);
+    
+    label(cornerX + 4, cornerY + 18, "x arm", "#9ca3af", "start");
+    label(cornerX - 8, cornerY - ARM_PIXELS / 2, "y arm", "#9ca3af", "end");
+    label(PANEL_WIDTH * 2.5, 16, "Interferometer", DETECTOR_COLOR);
+    label(PANEL_WIDTH * 2.5, HEIGHT - 10, `Lx − Ly = ${(detectorStrain * DETECTOR_ARM_LENGTH).toExponential(2)} m`);
+  }, [plus, cross, detectorStrain, exaggeration]);
+  
+  // Sensitivity over the sky, with the source marked
+  useEffect(() => {
+    const svg = d3.select(skyRef.current);
+    svg.selectAll("*").remove();
+    
+    const x = d3.scaleLinear()
+      .domain([0, 360])
+      .range([SKY_MARGIN.left, SKY_WIDTH - SKY_MARGIN.right]);
+    const y = d3.scaleLinear()
+      .domain([0, 180])
+      .range([SKY_MARGIN.top, SKY_HEIGHT - SKY_MARGIN.bottom]);
+    
+    for (let theta = 0; theta < 180; theta += SKY_CELL) {
+      for (let phi = 0; phi < 360; phi += SKY_CELL) {
+        const sensitivity = antennaSensitivity(degrees(theta + SKY_CELL / 2), degrees(phi + SKY_CELL / 2));
+        svg.append("rect")
+          .attr("x", x(phi))
+          .attr("y", y(theta))
+          .attr("width", x(phi + SKY_CELL) - x(phi) + 0.5)
+          .attr("height", y(theta + SKY_CELL) - y(theta) + 0.5)
+          .attr("fill", d3.interpolateViridis(sensitivity));
+      }
+    }
+    
+    svg.append("g")
+      .attr("transform", `translate(0,${SKY_HEIGHT - SKY_MARGIN.bottom})`)
+      .call(d3.axisBottom(x).tickValues([0, 90, 180, 270, 360]).tickFormat(d => `${d}°`))
+      .attr("color", "#9ca3af");
+    svg.append("g")
+      .attr("transform", `translate(${SKY_MARGIN.left},0)`)
+      .call(d3.axisLeft(y).tickValues([0, 90, 180]).tickFormat(d => `${d}°`))
+      .attr("color", "#9ca3af");
+    
+    svg.append("circle")
+      .attr("cx", x(sourcePhi))
+      .attr("cy", y(sourceTheta))
+      .attr("r", 5)
+      .attr("fill", "none")
+      .attr("stroke", "red")
+      .attr("stroke-width", 2);
+  }, [sourceTheta, sourcePhi]);
+  
+  return (
+    <div>
+      <svg
+        ref={svgRef}
+        width={WIDTH}
+        height={HEIGHT}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="bg-gray-900 rounded max-w-full h-auto"
+      />
+      <p className="text-xs text-gray-400 mt-1 mb-3">
+        {(-waveform.time[index] * 1000).toFixed(1)} ms before the innermost stable orbit, at {waveform.frequency[index].toFixed(0)} Hz,
+        slowed down. The wave travels into the screen; displacements are exaggerated {exaggeration.toExponential(0)} times.
+      </p>
+      
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <svg
+            ref={skyRef}
+            width={SKY_WIDTH}
+            height={SKY_HEIGHT}
+            viewBox={`0 0 ${SKY_WIDTH} ${SKY_HEIGHT}`}
+            className="bg-gray-900 rounded max-w-full h-auto"
+          />
+          <p className="text-xs text-gray-400 mt-1">
+            Antenna pattern √(F₊² + F×²) by source azimuth φ (across) and polar angle θ (down): brightest overhead and
+            underneath, blind in the arms' plane along the lines bisecting them.
+          </p>
+        </div>
+        
+        <div>
+          {[
+            { label: 'Source polar angle θ', value: sourceTheta, set: onSourceThetaChange, max: 180 },
+            { label: 'Source azimuth φ', value: sourcePhi, set: onSourcePhiChange, max: 360 },
+            { label: 'Polarization angle ψ', value: polarization, set: onPolarizationChange, max: 180 }
+          ].map(({ label, value, set, max }) => (
+            <div key={label} className="mb-2">
+              <label className="block text-sm font-medium mb-1 text-gray-200">
+                {label}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max={max}
+                step="1"
+                value={value}
+                onChange={(e) => set(Number(e.target.value))}
+                className="w-full accent-blue-500"
+              />
+              <div className="text-right text-sm text-gray-200">{value}°</div>
+            </div>
+          ))}
+          <div className="text-sm text-gray-200">
+            F₊ = {pattern.plus.toFixed(2)}, F× = {pattern.cross.toFixed(2)}: the detector sees
+            h = F₊h₊ + F×h×
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PolarizationPanel;
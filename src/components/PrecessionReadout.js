@@ -0,0 +1,110 @@
+import React, { useMemo } from 'react';
+import {
+  kerrHorizons,
+  boundOrbitRadii,
+  predictedPeriapsisAdvance,
+  integratePeriapsisAdvance,
+  MERCURY_ORBIT,
+  DAYS_PER_CENTURY,
+  ARCSECONDS_PER_RADIAN
+} from '../physics';
+
+// Outermost radius searched for turning points (the particles' escape radius)
+const MAX_ORBIT_RADIUS = 200;
+
+const formatAngle = (radians) => `${radians.toFixed(4)} rad (${(radians * 180 / Math.PI).toFixed(2)}°)`;
+
+// Mercury's perihelion advance from its real orbit, integrated exactly in
+// Schwarzschild and compared with the weak-field formula
+const computeMercury = () => {
+  const { centralMass, semiMajorAxis, eccentricity, periodDays } = MERCURY_ORBIT;
+  const perihelion = semiMajorAxis * (1 - eccentricity);
+  const aphelion = semiMajorAxis * (1 + eccentricity);
+  const perCentury = DAYS_PER_CENTURY / periodDays * ARCSECONDS_PER_RADIAN;
+  return {
+    measured: integratePeriapsisAdvance(centralMass, perihelion, aphelion) * perCentury,
+    predicted: predictedPeriapsisAdvance(centralMass, perihelion, aphelion) * perCentury,
+    perOrbit: predictedPeriapsisAdvance(centralMass, perihelion, aphelion) * ARCSECONDS_PER_RADIAN
+  };
+};
+
+const MERCURY = computeMercury();
+
+// Precession per orbit of the selected particle, measured from its periapsis
+// passages in the simulation, next to the GR prediction 6πM / (a(1 − e²));
+// or the same comparison for Mercury in real solar-system units, as orbit
+// ('particle' or 'mercury') selects.
+// particle is { r, E, L, periapsisAdvance, periapsisCount } around a hole of
+// geometric mass M and spin a.
+const PrecessionReadout = ({ M, a, particle, orbit, onOrbitChange }) => {
+  const { r, E, L, periapsisAdvance, periapsisCount } = particle;
+  
+  // Turning points and the exact Schwarzschild advance, found by root search
+  // and quadrature, so only redone when the orbit changes
+  const { radii, exactAdvance } = useMemo(() => {
+    const radii = boundOrbitRadii(M, a, E, L, r, kerrHorizons(M, a).outer * 1.05, MAX_ORBIT_RADIUS);
+    return {
+      radii,
+      exactAdvance: radii && a === 0 ? integratePeriapsisAdvance(M, radii.periapsis, radii.apoapsis) : null
+    };
+  }, [M, a, E, L, r]);
+  const semiMajorAxis = radii && (radii.periapsis + radii.apoapsis) / 2;
+  const eccentricity = radii && (radii.apoapsis - radii.periapsis) / (radii.apoapsis + radii.periapsis);
+  
+  return (
+    <div className="text-sm text-gray-200">
+      <select
+        value={orbit}
+        onChange={(e) => onOrbitChange(e.target.value)}
+        className="w-full bg-gray-700 text-white rounded py-1 px-2 mb-2"
+      >
+        <option value="particle">Selected particle</option>
+        <option value="mercury">Mercury around the Sun (real units)</option>
+      </select>
+      
+      {orbit === 'particle' ? (
+        <div className="space-y-1">
+          <div>
+            Measured: {Number.isNaN(periapsisAdvance)
+              ? 'waiting for two periapsis passages'
+              : `${formatAngle(periapsisAdvance)} per orbit over ${periapsisCount - 1} orbit${periapsisCount > 2 ? 's' : ''}`}
+          </div>
+          <div>
+            GR prediction: {radii
+              ? `${formatAngle(predictedPeriapsisAdvance(M, radii.periapsis, radii.apoapsis))} per orbit`
+              : 'no bound orbit (plunging, escaping or nearly circular)'}
+          </div>
+          {exactAdvance !== null && (
+            <div>
+              Exact Schwarzschild: {formatAngle(exactAdvance)} per orbit
+            </div>
+          )}
+          {radii && (
+            <div className="text-xs text-gray-400">
+              a = {(semiMajorAxis / M).toFixed(1)}M, e = {eccentricity.toFixed(3)}. The formula is the weak-field limit
+              without spin, so close in, or around a spinning hole, the measured value rightly differs.
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-1">
+          <div>
+            a = {(MERCURY_ORBIT.semiMajorAxis / 1e9).toFixed(2)} million km, e = {MERCURY_ORBIT.eccentricity},
+            M☉ = {(MERCURY_ORBIT.centralMass / 1000).toFixed(3)} km (GM/c²)
+          </div>
+          <div>Integrated orbit: {MERCURY.measured.toFixed(3)}″ per century</div>
+          <div>
+            GR prediction: {MERCURY.predicted.toFixed(3)}″ per century ({MERCURY.perOrbit.toFixed(4)}″ per orbit)
+          </div>
+          <div className="text-xs text-gray-400">
+            Observed after subtracting the pull of the other planets: about 43″ per century. The advance is
+            only 5 × 10⁻⁷ rad per orbit, so it is integrated directly from the relativistic orbit equation rather
+            than animated.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PrecessionReadout;
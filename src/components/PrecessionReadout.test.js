@@ -0,0 +1,22 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import PrecessionReadout from './PrecessionReadout';
+
+// A particle in the simulation's units, before any periapsis passage
+const particle = { r: 60, E: 0.97, L: 4.2, periapsisAdvance: NaN, periapsisCount: 0 };
+
+describe('PrecessionReadout', () => {
+  it('shows Mercury\'s advance per century when Mercury is chosen', () => {
+    render(<PrecessionReadout M={10} a={0} particle={particle} orbit="mercury" onOrbitChange={() => {}} />);
+    expect(screen.getByText(/^Integrated orbit: 4[23]\.\d{3}″ per century$/)).toBeInTheDocument();
+  });
+  
+  it('reports a change of orbit instead of keeping it', () => {
+    const onOrbitChange = jest.fn();
+    render(<PrecessionReadout M={10} a={0} particle={particle} orbit="particle" onOrbitChange={onOrbitChange} />);
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: 'mercury' } });
+    
+    expect(onOrbitChange).toHaveBeenCalledWith('mercury');
+    expect(screen.getByText(/^Measured: waiting/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,185 @@
+import React, { useState, useRef } from 'react';
+import { Bookmark, Save, Download, Upload, Trash2 } from 'lucide-react';
+import {
+  BUILT_IN_PRESETS,
+  presetToState,
+  loadUserPresets,
+  saveUserPresets,
+  createPreset,
+  serializePresets,
+  parsePresetFile,
+  withUniqueIds
+} from '../state/presets';
+import { downloadBlob } from '../export/imageExport';
+
+// Preset picker for the parameters panel: apply a built-in or saved scenario,
+// save the current view, and move saved presets between browsers as JSON files.
+const PresetLibrary = ({ currentState, onApply }) => {
+  const [userPresets, setUserPresets] = useState(loadUserPresets);
+  const [selectedId, setSelectedId] = useState('');
+  const [presetName, setPresetName] = useState('');
+  const [notice, setNotice] = useState(null); // { error, lines } from the last action
+  const fileInputRef = useRef(null);
+  
+  const allPresets = [...BUILT_IN_PRESETS, ...userPresets];
+  const selectedPreset = allPresets.find(preset => preset.id === selectedId);
+  const isUserPreset = userPresets.some(preset => preset.id === selectedId);
+  
+  // Store the list and report when the browser refuses
+  const updateUserPresets = (presets) => {
+    setUserPresets(presets);
+    if (!saveUserPresets(presets)) {
+      setNotice({ error: true, lines: ['Presets could not be saved in this browser; export them to keep them'] });
+    }
+  };
+  
+  const applyPreset = (id) => {
+    setSelectedId(id);
+    setNotice(null);
+    const preset = allPresets.find(candidate => candidate.id === id);
+    if (preset) onApply(presetToState(preset));
+  };
+  
+  const saveCurrent = () => {
+    const name = presetName.trim();
+    if (!name) {
+      setNotice({ error: true, lines: ['Enter a name for the preset'] });
+      return;
+    }
+    
+    // Saving under an existing name replaces that preset
+    const preset = createPreset(name, currentState);
+    updateUserPresets([...userPresets.filter(existing => existing.name !== name), preset]);
+    setSelectedId(preset.id);
+    setPresetName('');
+    setNotice({ error: false, lines: [`Saved "${name}"`] });
+  };
+  
+  const deleteSelected = () => {
+    updateUserPresets(userPresets.filter(preset => preset.id !== selectedId));
+    setSelectedId('');
+    setNotice(null);
+  };
+  
+  const exportPresets = () => {
+    const blob = new Blob([serializePresets(userPresets)], { type: 'application/json' });
+    downloadBlob(blob, 'relativity-presets.json');
+  };
+  
+  const importPresets = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    
+    file.text().then(text => {
+      const { presets, errors } = parsePresetFile(text);
+      if (errors.length > 0) {
+        setNotice({ error: true, lines: [`${file.name} was not imported:`, ...errors] });
+        return;
+      }
+      
+      // Imported presets replace saved ones with the same name, and are
+      // renumbered where their ids clash with any that remain
+      const names = new Set(presets.map(preset => preset.name));
+      const kept = userPresets.filter(preset => !names.has(preset.name));
+      const takenIds = [...BUILT_IN_PRESETS, ...kept].map(preset => preset.id);
+      updateUserPresets([...kept, ...withUniqueIds(presets, takenIds)]);
+      setNotice({ error: false, lines: [`Imported ${presets.length} preset${presets.length === 1 ? '' : 's'}`] });
+    }).catch(error => {
+      setNotice({ error: true, lines: [`${file.name} could not be read: ${error.message}`] });
+    });
+  };
+  
+  return (
+    <div className="mb-4 p-3 bg-gray-800 rounded-lg">
+      <h3 className="text-sm font-semibold mb-2 flex items-center">
+        <Bookmark size={16} className="mr-2" />
+        Presets
+      </h3>
+      
+      <select
+        value={selectedId}
+        onChange={(e) => applyPreset(e.target.value)}
+        className="w-full bg-gray-700 text-white text-sm rounded py-1 px-2 mb-1"
+      >
+        <option value="" disabled>Choose a scenario…</option>
+        <optgroup label="Built-in">
+          {BUILT_IN_PRESETS.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </optgroup>
+        {userPresets.length > 0 && (
+          <optgroup label="My presets">
+            {userPresets.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      {selectedPreset && selectedPreset.description && (
+        <p className="text-xs text-gray-300 mb-2">{selectedPreset.description}</p>
+      )}
+      
+      <div className="flex space-x-2 mt-2">
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Name this view"
+          className="flex-1 min-w-0 bg-gray-700 text-white text-sm rounded py-1 px-2"
+        />
+        <button
+          className="flex items-center text-xs px-2 py-1 rounded bg-blue-700 hover:bg-blue-600"
+          onClick={saveCurrent}
+          title="Save the current parameters as a preset"
+        >
+          <Save size={14} className="mr-1" />
+          Save
+        </button>
+      </div>
+      
+      <div className="flex space-x-2 mt-2">
+        <button
+          className="flex items-center text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600"
+          onClick={() => fileInputRef.current.click()}
+        >
+          <Upload size={14} className="mr-1" />
+          Import
+        </button>
+        <button
+          className="flex items-center text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+          onClick={exportPresets}
+          disabled={userPresets.length === 0}
+        >
+          <Download size={14} className="mr-1" />
+          Export
+        </button>
+        {isUserPreset && (
+          <button
+            className="flex items-center text-xs px-2 py-1 rounded bg-red-800 hover:bg-red-700"
+            onClick={deleteSelected}
+          >
+            <Trash2 size={14} className="mr-1" />
+            Delete
+          </button>
+        )}
+        <input
+          type="file"
+          accept="application/json,.json"
+          ref={fileInputRef}
+          onChange={importPresets}
+          className="hidden"
+          aria-label="Preset file to import"
+        />
+      </div>
+      
+      {notice && (
+        <ul className={`text-xs mt-2 space-y-1 ${notice.error ? 'text-red-300' : 'text-green-300'}`}>
+          {notice.lines.map(line => <li key={line}>{line}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PresetLibrary;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import PresetLibrary from './PresetLibrary';
+import { BUILT_IN_PRESETS, presetToState, serializePresets } from '../state/presets';
+import { DEFAULT_STATE } from '../state/visualizerState';
+
+// Upload a file whose contents resolve (or fail) as given
+const importFile = (name, text) => {
+  const input = screen.getByLabelText('Preset file to import');
+  const file = { name, text: () => text };
+  fireEvent.change(input, { target: { files: [file] } });
+};
+
+afterEach(() => window.localStorage.clear());
+
+describe('PresetLibrary', () => {
+  it('applies a built-in preset', () => {
+    const onApply = jest.fn();
+    render(<PresetLibrary currentState={DEFAULT_STATE} onApply={onApply} />);
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: BUILT_IN_PRESETS[0].id } });
+    expect(onApply).toHaveBeenCalledWith(presetToState(BUILT_IN_PRESETS[0]));
+  });
+  
+  it('saves the current view under a name', () => {
+    render(<PresetLibrary currentState={{ ...DEFAULT_STATE, mass: 42 }} onApply={() => {}} />);
+    fireEvent.change(screen.getByPlaceholderText('Name this view'), { target: { value: 'Heavy' } });
+    fireEvent.click(screen.getByText('Save'));
+    
+    expect(screen.getByText('Saved "Heavy"')).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Heavy' })).toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem('relativityVisualizer.presets')).presets[0].state.mass).toBe(42);
+  });
+});
+
+describe('PresetLibrary import', () => {
+  it('reports a file that cannot be read', async () => {
+    render(<PresetLibrary currentState={DEFAULT_STATE} onApply={() => {}} />);
+    importFile('broken.json', Promise.reject(new Error('permission denied')));
+    expect(await screen.findByText('broken.json could not be read: permission denied')).toBeInTheDocument();
+  });
+  
+  it('renumbers imported presets whose ids clash', async () => {
+    render(<PresetLibrary currentState={DEFAULT_STATE} onApply={() => {}} />);
+    const presets = [
+      { id: 'sun', name: 'My sun', description: '', state: { mass: 3 } },
+      { id: 'sun', name: 'Another sun', description: '', state: { mass: 4 } }
+    ];
+    importFile('presets.json', Promise.resolve(serializePresets(presets)));
+    expect(await screen.findByText('Imported 2 presets')).toBeInTheDocument();
+    
+    const options = screen.getAllByRole('option').map(option => option.value);
+    expect(options).toContain('sun-2');
+    expect(options).toContain('sun-3');
+    expect(new Set(options).size).toBe(options.length);
+  });
+});
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { Film } from 'lucide-react';
+
+const FRAME_RATES = [10, 15, 24, 30];
+
+// Options for recording the animated views to a GIF or a ZIP of PNG frames.
+// status is null when idle, { phase, done, total } while working, or { error }.
+const RecordControls = ({ onRecord, status, disabled }) => {
+  const [frameCount, setFrameCount] = useState(60);
+  const [fps, setFps] = useState(15);
+  const [format, setFormat] = useState('gif');
+  const [scale, setScale] = useState(1);
+  
+  const busy = status !== null && !status.error;
+  
+  return (
+    <div className="flex items-center space-x-2 text-xs text-gray-200">
+      <input
+        type="number"
+        min="2"
+        max="600"
+        value={frameCount}
+        onChange={(e) => setFrameCount(Math.max(2, Math.min(600, Math.round(Number(e.target.value)) || 2)))}
+        className="w-14 bg-gray-700 text-white rounded py-1 px-1"
+        title="Number of frames"
+      />
+      <span>frames at</span>
+      <select
+        value={fps}
+        onChange={(e) => setFps(Number(e.target.value))}
+        className="bg-gray-700 text-white rounded py-1 px-1"
+      >
+        {FRAME_RATES.map(rate => (
+          <option key={rate} value={rate}>{rate} fps</option>
+        ))}
+      </select>
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="bg-gray-700 text-white rounded py-1 px-1"
+      >
+        <option value="gif">GIF</option>
+        <option value="zip">PNG frames (ZIP)</option>
+      </select>
+      <select
+        value={scale}
+        onChange={(e) => setScale(Number(e.target.value))}
+        className="bg-gray-700 text-white rounded py-1 px-1"
+        title="Resolution relative to the screen"
+      >
+        <option value={1}>1×</option>
+        <option value={2}>2×</option>
+      </select>
+      <button
+        className="flex items-center px-3 py-1 rounded bg-red-800 hover:bg-red-700 disabled:opacity-50"
+        onClick={() => onRecord({ frameCount, fps, format, scale })}
+        disabled={disabled || busy}
+        title={disabled ? 'Only the animated views can be recorded' : 'Record the animation frame by frame'}
+      >
+        <Film size={14} className="mr-1" />
+        {busy
+          ? `${status.phase === 'capturing' ? 'Capturing' : 'Encoding'} ${status.done}/${status.total}`
+          : 'Record'}
+      </button>
+      {status && status.error && <span className="text-red-300">{status.error}</span>}
+    </div>
+  );
+};
+
+export default RecordControls;
@@ -1,5 +1,5 @@
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import * as d3 from 'd3';
 import { 
   Camera, 
@@ -12,269 +12,915 @@ import {
   Waves, 
   Eye, 
   LocateFixed,
-  LifeBuoy 
+  LifeBuoy,
+  Gauge,
+  Link,
+  Dices
 } from 'lucide-react';
+import {
+  SCALE_FACTOR,
+  calculateSpacetimeGrid,
+  calculateLightPaths,
+  criticalImpactParameter,
+  photonSphereRadius,
+  calculateSpecialRelativityEffects,
+  clampToTimelike,
+  kerrHorizons,
+  kerrErgosphereRadius,
+  kerrIscoRadius,
+  frameDraggingAngularVelocity,
+  calculateRelativisticEffects,
+  scaledEinsteinRingRadius,
+  MAX_TRAIL_LENGTH,
+  launchParticle,
+  predictTrajectory,
+  integrateTidalStretch,
+  interpolateTidalStretch,
+  radialInfallTime,
+  radialInfallRadius,
+  radialInfallCoordinateTime,
+  sampleRadialInfall,
+  SOLAR_MASS_TIME,
+  massInSolarMasses,
+  tortoiseRadius,
+  toChart,
+  fromChart,
+  constantTimeLines,
+  constantRadiusLine,
+  radialLightRays,
+  futureNullDirections,
+  radialInfallWorldline,
+  maxProperTimeToSingularity,
+  kretschmannScalar,
+  penroseGeometry,
+  penroseBlocks,
+  penroseEventAt,
+  penroseWorldline,
+  constantRadiusCurve,
+  chirpWaveform,
+  chirpMass,
+  binaryMerger,
+  binaryMergerState,
+  starDisruption,
+  tidalAccelerationAcross,
+  TIDAL_BLACK_HOLES,
+  MAX_SEED,
+  createRandom,
+  randomSeed,
+  PARTICLE_INTEGRATORS,
+  generateWavePoints,
+  updateWaves
+} from '../physics';
+import { encodeState, readStateFromUrl, useUrlStateSync } from '../state/urlState';
+import PresetLibrary from './PresetLibrary';
+import ExportControls from './ExportControls';
+import RecordControls from './RecordControls';
+import SimulationControls from './SimulationControls';
+import DriftPlot from './DriftPlot';
+import EffectivePotentialPlot from './EffectivePotentialPlot';
+import PrecessionReadout from './PrecessionReadout';
+import TidalStretchPlot from './TidalStretchPlot';
+import InfallClocksPlot from './InfallClocksPlot';
+import StrainPlot from './StrainPlot';
+import PolarizationPanel from './PolarizationPanel';
+import DetectorDataPanel from './DetectorDataPanel';
+import { useSimulationClock } from '../simulation/useSimulationClock';
+import { serializeSvg, downloadBlob } from '../export/imageExport';
+import { encodeFramesAsGif, encodeFramesAsZip } from '../export/animationExport';
+import { createSvgRenderer, createCanvasRenderer, RENDERER_VIEWS } from '../renderers';
+import { spawnParticleWorker } from '../workers/spawnParticleWorker';
+import { createParticleClient } from '../workers/particleClient';
+
+// Simulated time added per animation tick in each animated view; views
+// without an entry are static
+const SIMULATION_TIME_STEPS = {
+  particles: 0.5, // Coordinate time (geometric units)
+  waves: 0.1,
+  neutron: 0.02,
+  kerr: 0.05,
+  blackhole: 0.05, // Proper time of the infaller, in units of M
+  merger: 1, // Coordinate time, in units of the binary's total mass
+  tidal: 0.5 // Proper time of the falling body
+};
+
+const simulationTimeStep = (activeTab, extremeObjectType) => (
+  SIMULATION_TIME_STEPS[activeTab === 'extreme' ? extremeObjectType : activeTab] ?? null
+);
+
+// Particle integrators offered in the particles panel
+const INTEGRATOR_LABELS = {
+  euler: 'Euler (1st order)',
+  leapfrog: 'Leapfrog / Verlet (2nd order)',
+  rk4: 'Runge–Kutta 4',
+  rk45: 'Adaptive RK45 (Dormand–Prince)'
+};
+
+// Samples kept for the energy and angular momentum drift plot
+const DRIFT_HISTORY_LENGTH = 300;
+
+// Launch speed (fraction of c) per unit of drag on the particle view
+const LAUNCH_SPEED_PER_UNIT = 0.02;
+
+// Steps of the launch preview path, recomputed as the drag moves; fewer than
+// a full prediction so aiming stays smooth
+const LAUNCH_PREVIEW_STEPS = 400;
+
+// Color and description of a launch preview by what the particle will do
+const LAUNCH_OUTCOMES = {
+  captured: { color: '#ef4444', label: 'plunges through the horizon' },
+  escaped: { color: '#60a5fa', label: 'escapes to infinity' },
+  orbiting: { color: '#4CAF50', label: 'is still in view when the preview ends' }
+};
+
+// Distance (view units) within which a click selects a particle
+const PARTICLE_PICK_RADIUS = 2;
+
+// Particle placed where the drag started, moving along the drag
+const launchFromDrag = ({ start, end }) => ({
+  x: start.x,
+  y: start.y,
+  vx: (end.x - start.x) * LAUNCH_SPEED_PER_UNIT,
+  vy: (end.y - start.y) * LAUNCH_SPEED_PER_UNIT
+});
+
+// Merger view: the binary starts this far apart, in units of its total mass
+// M, and is drawn at MERGER_VIEW_SCALE view units per M
+const MERGER_INITIAL_SEPARATION = 10;
+const MERGER_VIEW_SCALE = 4;
+
+// The ringdown runs this many damping times before the merger starts over
+const MERGER_RINGDOWN_DAMPING_TIMES = 6;
+
+// Wave rings are displaced by the true strain times distance, exaggerated
+// this much, and the ringing remnant's horizon by this fraction at first
+const MERGER_WAVE_EXAGGERATION = 4;
+const MERGER_RINGDOWN_DISTORTION = 0.3;
+
+// Rest energy of one solar mass, in joules
+const SOLAR_MASS_ENERGY = 1.787e47;
+
+// Black hole view: an observer falls radially from rest at this radius (in
+// units of M) to the singularity
+const INFALL_RELEASE_RADIUS = 10;
+
+// Proper time for that fall to reach the horizon and the singularity, in
+// units of M (the same for every mass)
+const INFALL_HORIZON_TIME = radialInfallTime(1, INFALL_RELEASE_RADIUS, 2);
+const INFALL_SINGULARITY_TIME = radialInfallTime(1, INFALL_RELEASE_RADIUS, 0);
+
+// A time in units of M as milliseconds, for a hole of the given solar masses
+const formatMillisecondsForMass = (time, solarMasses) => `${(time * solarMasses * SOLAR_MASS_TIME * 1000).toPrecision(3)} ms`;
+
+// Charts of the spacetime diagram, in units of M: axis labels, the region
+// shown and the spacing of the lattice of light cones drawn over it. Both
+// axes share one scale, so light rays at 45° are drawn at 45°.
+const DIAGRAM_CHARTS = {
+  schwarzschild: { label: 'Schwarzschild', xLabel: 'r', yLabel: 't', xRange: [0, 16], yRange: [-2, 10], coneSpacing: 1.2 },
+  eddington: { label: 'Eddington–Finkelstein', xLabel: 'r', yLabel: 'v − r', xRange: [0, 16], yRange: [-2, 10], coneSpacing: 1.2 },
+  kruskal: { label: 'Kruskal–Szekeres', xLabel: 'X', yLabel: 'T', xRange: [-2.5, 4], yRange: [-1.5, 4], coneSpacing: 0.5 }
+};
+
+// Advanced times and radii spanned by the diagram's coordinate grid, and the
+// Schwarzschild times and radii of its lines
+const DIAGRAM_ADVANCED_TIMES = [-30, 40];
+const DIAGRAM_GRID_TIMES = [-8, -4, 0, 4, 8, 12, 16];
+const DIAGRAM_GRID_RADII = [0.5, 1, 1.5, 3, 4, 6, 8, 10, 12, 14];
+const DIAGRAM_MAX_RADIUS = 20;
+
+// Observer dropped from rest at r = 3M at t = 0, with a tick every 0.5M of
+// proper time; it reaches r = 0 inside every chart's region
+const DIAGRAM_INFALL_RADIUS = 3;
+const DIAGRAM_INFALL = radialInfallWorldline(1, DIAGRAM_INFALL_RADIUS, tortoiseRadius(1, DIAGRAM_INFALL_RADIUS));
+const DIAGRAM_TICK_INTERVAL = 0.5;
+
+// Penrose diagrams: the holes on offer, how their regions are named and
+// coloured, and the part of the diagram shown (the charged and rotating holes
+// repeat upwards without end). Spin is capped below 1 because an extremal
+// hole's two horizons merge into one.
+const PENROSE_SPACETIME_LABELS = {
+  schwarzschild: 'Schwarzschild',
+  reissnerNordstrom: 'Reissner–Nordström',
+  kerr: 'Kerr (axis)'
+};
+const PENROSE_REGIONS = {
+  exterior: { label: 'Exterior', fill: "#1e3a8a" },
+  blackHole: { label: 'Black hole', fill: "#7f1d1d" },
+  inner: { label: 'Inner region', fill: "#581c87" },
+  whiteHole: { label: 'White hole', fill: "#374151" }
+};
+const PENROSE_Y_RANGES = { schwarzschild: [-1, 1], tower: [-1, 5] };
+const PENROSE_MAX_SPIN = 0.99;
+
+// Dropped worldlines: how many are kept, their colours, how far they are
+// followed and the proper time between their ticks, in units of M
+const PENROSE_MAX_WORLDLINES = 5;
+const PENROSE_WORLDLINE_COLORS = ["#4CAF50", "#ff9800", "#22d3ee", "#f472b6", "#facc15"];
+const PENROSE_MAX_PROPER_TIME = 100;
+const PENROSE_TICK_INTERVAL = 1;
+
+// Name of a Penrose diagram block, telling apart the two exteriors of our
+// universe from those further up the diagram
+const penroseRegionName = (block) => {
+  const { label } = PENROSE_REGIONS[block.kind];
+  if (block.kind === 'exterior') {
+    if (block.cy > 0) return `${label} (next universe, ${block.side > 0 ? 'right' : 'left'})`;
+    return `${label} (${block.side > 0 ? 'ours' : 'the other side'})`;
+  }
+  if (block.kind === 'inner') return `${label} (${block.side > 0 ? 'right' : 'left'})`;
+  return block.cy > 1 ? `${label} (next universe)` : label;
+};
+
+// Tidal view: a star released at rest falls radially until it is well inside
+// the horizon (radii in view units and in units of M)
+const TIDAL_RELEASE_RADIUS = 50;
+const TIDAL_FINAL_RADIUS = 0.5;
+
+// Drawn size of the falling star and the test particles that make it up,
+// as rings of 1, 6, 12, ... particles
+const TIDAL_BODY_RADIUS = 3;
+const TIDAL_BODY_RINGS = 4;
+const TIDAL_BODY_OFFSETS = Array.from({ length: TIDAL_BODY_RINGS }, (_, ring) => (
+  Array.from({ length: Math.max(1, 6 * ring) }, (_, k) => {
+    const angle = 2 * Math.PI * k / Math.max(1, 6 * ring);
+    const radius = TIDAL_BODY_RADIUS * ring / (TIDAL_BODY_RINGS - 1);
+    return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+  })
+)).flat();
+
+// Length of the body whose tidal pull is quoted in the tidal panel, in metres
+const PERSON_HEIGHT = 2;
+const STANDARD_GRAVITY = 9.81;
 
 const RelativityVisualizer = () => {
+  // Shared links restore their view on load (paused, at the linked frame time)
+  const [{ state: initialState, errors: initialLinkErrors }] = useState(readStateFromUrl);
+  
   // State for our parameters
-  const [mass, setMass] = useState(10);
+  const [mass, setMass] = useState(initialState.mass);
   const [resolution, setResolution] = useState(50);
-  const [showLightPaths, setShowLightPaths] = useState(true);
-  const [observer1Position, setObserver1Position] = useState(30);
-  const [observer2Position, setObserver2Position] = useState(20);
-  const [observer2Angle, setObserver2Angle] = useState(120);
-  const [rotation, setRotation] = useState(0);
-  const [viewAngle, setViewAngle] = useState(30);
-  const [activeObserver, setActiveObserver] = useState(1);
+  const [showLightPaths, setShowLightPaths] = useState(initialState.showLightPaths);
+  const [observer1Position, setObserver1Position] = useState(initialState.observer1Position);
+  const [observer2Position, setObserver2Position] = useState(initialState.observer2Position);
+  const [observer2Angle, setObserver2Angle] = useState(initialState.observer2Angle);
+  const [rotation, setRotation] = useState(initialState.rotation);
+  const [viewAngle, setViewAngle] = useState(initialState.viewAngle);
+  const [activeObserver, setActiveObserver] = useState(initialState.activeObserver);
   const [showFactPanel, setShowFactPanel] = useState(true);
+  const [physicsMode, setPhysicsMode] = useState(initialState.physicsMode); // 'exact' Schwarzschild or 'toy' visual exaggeration
   
   // State for tab navigation
-  const [activeTab, setActiveTab] = useState('spacetime'); // 'spacetime', 'particles', 'waves', 'observer', 'extreme', 'singularity'
+  const [activeTab, setActiveTab] = useState(initialState.activeTab); // 'spacetime', 'special', 'particles', 'waves', 'observer', 'extreme', 'singularity'
+  
+  // State for special relativity tab
+  const [specialVelocity, setSpecialVelocity] = useState(initialState.specialVelocity); // Boost of the primed frame, fraction of c
+  const [twinTurnaround, setTwinTurnaround] = useState(initialState.twinTurnaround); // Travelling twin's turnaround event
+  const [simultaneityEvent, setSimultaneityEvent] = useState(initialState.simultaneityEvent); // Event compared with the origin
   
   // State for singularity tab
-  const [viewMode, setViewMode] = useState('penrose'); // For singularity tab: 'penrose' or 'kerr'
-  const [showConsensus, setShowConsensus] = useState(false); // For singularity tab
+  const [viewMode, setViewMode] = useState(initialState.viewMode); // For singularity tab: 'penrose' or 'kerr'
+  const [showConsensus, setShowConsensus] = useState(initialState.showConsensus); // For singularity tab
+  const [diagramChart, setDiagramChart] = useState(initialState.diagramChart); // Coordinates of the spacetime diagram
+  const [diagramEvent, setDiagramEvent] = useState(initialState.diagramEvent); // Movable event: x = r, t = v − r (units of M)
+  const [penroseSpacetime, setPenroseSpacetime] = useState(initialState.penroseSpacetime); // Hole drawn in the Penrose diagram
+  const [penroseCharge, setPenroseCharge] = useState(initialState.penroseCharge); // Reissner–Nordström charge Q/M
+  const [penroseDrops, setPenroseDrops] = useState([]); // Diagram points the dropped worldlines start from
   
   // State for advanced features
-  const [particleCount, setParticleCount] = useState(50);
-  const [particleSpeed, setParticleSpeed] = useState(0.3);
-  const [waveAmplitude, setWaveAmplitude] = useState(0.5);
-  const [waveFrequency, setWaveFrequency] = useState(0.05);
-  const [extremeObjectType, setExtremeObjectType] = useState('blackhole'); // 'blackhole', 'neutron', 'kerr', 'merger'
+  const [particleCount, setParticleCount] = useState(initialState.particleCount);
+  const [particleSpeed, setParticleSpeed] = useState(initialState.particleSpeed); // Fraction of the local circular orbit speed
+  const [particleIntegrator, setParticleIntegrator] = useState(initialState.particleIntegrator);
+  const [precessionOrbit, setPrecessionOrbit] = useState(initialState.precessionOrbit); // Selected particle or Mercury
+  const [waveAmplitude, setWaveAmplitude] = useState(initialState.waveAmplitude);
+  const [waveFrequency, setWaveFrequency] = useState(initialState.waveFrequency);
+  const [waveMass1, setWaveMass1] = useState(initialState.waveMass1); // Chirp binary's component masses, M☉
+  const [waveMass2, setWaveMass2] = useState(initialState.waveMass2);
+  const [waveDistance, setWaveDistance] = useState(initialState.waveDistance); // Mpc
+  const [waveInclination, setWaveInclination] = useState(initialState.waveInclination); // Degrees, 0 = face-on
+  const [detectorSourceTheta, setDetectorSourceTheta] = useState(initialState.detectorSourceTheta); // Source direction from the interferometer, degrees
+  const [detectorSourcePhi, setDetectorSourcePhi] = useState(initialState.detectorSourcePhi);
+  const [detectorPolarization, setDetectorPolarization] = useState(initialState.detectorPolarization);
+  const [strainBandLow, setStrainBandLow] = useState(initialState.strainBandLow); // Bandpass for detector data, Hz
+  const [strainBandHigh, setStrainBandHigh] = useState(initialState.strainBandHigh);
+  const [detectorData, setDetectorData] = useState(null); // Strain loaded from a GWOSC file
+  const [mergerMass1, setMergerMass1] = useState(initialState.mergerMass1); // Merger view's black holes, M☉
+  const [mergerMass2, setMergerMass2] = useState(initialState.mergerMass2);
+  const [mergerSpin1, setMergerSpin1] = useState(initialState.mergerSpin1); // Dimensionless spins along the orbital axis
+  const [mergerSpin2, setMergerSpin2] = useState(initialState.mergerSpin2);
+  const [extremeObjectType, setExtremeObjectType] = useState(initialState.extremeObjectType); // 'blackhole', 'neutron', 'kerr', 'merger', 'tidal'
+  const [tidalBlackHole, setTidalBlackHole] = useState(initialState.tidalBlackHole); // Real black hole the tidal view compares against
   const [simulationRunning, setSimulationRunning] = useState(false);
-  const [frameTime, setFrameTime] = useState(0);
+  const [seed, setSeed] = useState(initialState.seed); // Seeds every random choice, so a configuration renders identically
+  const [simulationSpeed, setSimulationSpeed] = useState(initialState.simulationSpeed); // Multiplier on the simulation clock
+  const [frameTime, setFrameTime] = useState(initialState.frameTime);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [linkErrors, setLinkErrors] = useState(initialLinkErrors); // Parts of the opened link that were ignored
+  const [renderBackend, setRenderBackend] = useState('canvas'); // 'canvas' or 'svg' for the particle and wave views
   
   const svgRef = useRef(null);
+  const canvasRef = useRef(null);
   const containerRef = useRef(null);
-  const animationRef = useRef(null);
-  const particlesRef = useRef([]);
-  const wavePointsRef = useRef([]);
+  const particleClientRef = useRef(null);
+  const restoredViewRef = useRef(initialState); // View restored by a link or preset, until the particles are rebuilt for it
+  const [viewRestores, setViewRestores] = useState(0); // Counts restored views, so each rebuilds the particles
+  const [particleSnapshot, setParticleSnapshot] = useState(null); // Latest particle state from the worker
+  const [particleError, setParticleError] = useState(null);
+  const [driftHistory, setDriftHistory] = useState([]); // { time, energy, angularMomentum } per snapshot
+  const [launchDrag, setLaunchDrag] = useState(null); // { start, end } in view coordinates while aiming a particle
+  const [selectedParticle, setSelectedParticle] = useState(0); // Index of the particle whose effective potential is shown
+  const wavePointsRef = useRef(null); // { seed, points } generated for the current seed
+  const usingCanvas = renderBackend === 'canvas' && RENDERER_VIEWS.includes(activeTab);
+  const recordingRef = useRef(null); // { options, state, frames } while frames are being captured
+  const [recordingStatus, setRecordingStatus] = useState(null);
+  
+  // Everything a shared link reproduces (see src/state/visualizerState.js)
+  const visualizerState = {
+    activeTab,
+    mass,
+    rotation,
+    observer1Position,
+    observer2Position,
+    observer2Angle,
+    activeObserver,
+    viewAngle,
+    showLightPaths,
+    physicsMode,
+    specialVelocity,
+    twinTurnaround,
+    simultaneityEvent,
+    viewMode,
+    showConsensus,
+    diagramChart,
+    diagramEvent,
+    penroseSpacetime,
+    penroseCharge,
+    particleCount,
+    particleSpeed,
+    particleIntegrator,
+    precessionOrbit,
+    waveAmplitude,
+    waveFrequency,
+    waveMass1,
+    waveMass2,
+    waveDistance,
+    waveInclination,
+    detectorSourceTheta,
+    detectorSourcePhi,
+    detectorPolarization,
+    strainBandLow,
+    strainBandHigh,
+    mergerMass1,
+    mergerMass2,
+    mergerSpin1,
+    mergerSpin2,
+    extremeObjectType,
+    tidalBlackHole,
+    seed,
+    simulationSpeed,
+    frameTime
+  };
+  
+  // Restore a complete state, e.g. when the back button revisits an earlier edit
+  const applyVisualizerState = useCallback((state) => {
+    setSimulationRunning(false);
+    setActiveTab(state.activeTab);
+    setMass(state.mass);
+    setRotation(state.rotation);
+    setObserver1Position(state.observer1Position);
+    setObserver2Position(state.observer2Position);
+    setObserver2Angle(state.observer2Angle);
+    setActiveObserver(state.activeObserver);
+    setViewAngle(state.viewAngle);
+    setShowLightPaths(state.showLightPaths);
+    setPhysicsMode(state.physicsMode);
+    setSpecialVelocity(state.specialVelocity);
+    setTwinTurnaround(state.twinTurnaround);
+    setSimultaneityEvent(state.simultaneityEvent);
+    setViewMode(state.viewMode);
+    setShowConsensus(state.showConsensus);
+    setDiagramChart(state.diagramChart);
+    setDiagramEvent(state.diagramEvent);
+    setPenroseSpacetime(state.penroseSpacetime);
+    setPenroseCharge(state.penroseCharge);
+    setParticleCount(state.particleCount);
+    setParticleSpeed(state.particleSpeed);
+    setParticleIntegrator(state.particleIntegrator);
+    setPrecessionOrbit(state.precessionOrbit);
+    setWaveAmplitude(state.waveAmplitude);
+    setWaveFrequency(state.waveFrequency);
+    setWaveMass1(state.waveMass1);
+    setWaveMass2(state.waveMass2);
+    setWaveDistance(state.waveDistance);
+    setWaveInclination(state.waveInclination);
+    setDetectorSourceTheta(state.detectorSourceTheta);
+    setDetectorSourcePhi(state.detectorSourcePhi);
+    setDetectorPolarization(state.detectorPolarization);
+    setStrainBandLow(state.strainBandLow);
+    setStrainBandHigh(state.strainBandHigh);
+    setMergerMass1(state.mergerMass1);
+    setMergerMass2(state.mergerMass2);
+    setMergerSpin1(state.mergerSpin1);
+    setMergerSpin2(state.mergerSpin2);
+    setExtremeObjectType(state.extremeObjectType);
+    setTidalBlackHole(state.tidalBlackHole);
+    setSeed(state.seed);
+    setSimulationSpeed(state.simulationSpeed);
+    setFrameTime(state.frameTime);
+    restoredViewRef.current = state;
+    setViewRestores(count => count + 1);
+  }, []);
+  
+  // Mirror edits into the address bar whenever the animation is paused
+  useUrlStateSync(visualizerState, applyVisualizerState, {
+    paused: !simulationRunning && !recordingRef.current,
+    onErrors: setLinkErrors
+  });
+  
+  // Copy a deep link to the current view, including the current animation time
+  const copyShareLink = () => {
+    const { origin, pathname } = window.location;
+    navigator.clipboard.writeText(`${origin}${pathname}${encodeState(visualizerState)}`)
+      .then(() => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 2000);
+      })
+      .catch(() => setLinkCopied(false));
+  };
+  
+  // Photon geodesics of the spacetime view, integrated once per mass and spin
+  const lightPaths = useMemo(() => (
+    activeTab === 'spacetime' && showLightPaths ? calculateLightPaths(mass, rotation) : []
+  ), [activeTab, showLightPaths, mass, rotation]);
   
-  // Utility Constants
-  const SPEED_OF_LIGHT = 1;
-  const GRAVITATIONAL_CONSTANT = 1;
-  const SCALE_FACTOR = 0.1; // Used to scale gravitational effects for visualization
+  // Stretch factors along the tidal view's whole fall, computed once per mass
+  const tidalView = activeTab === 'extreme' && extremeObjectType === 'tidal';
+  const tidalProfile = useMemo(() => {
+    if (!tidalView) return null;
+    const M = mass * SCALE_FACTOR;
+    return integrateTidalStretch(M, TIDAL_RELEASE_RADIUS, radialInfallTime(M, TIDAL_RELEASE_RADIUS, TIDAL_FINAL_RADIUS * M));
+  }, [tidalView, mass]);
+  
+  // Both clocks along the black hole view's radial infall, in view units
+  const infallView = activeTab === 'extreme' && extremeObjectType === 'blackhole';
+  const infallProfile = useMemo(() => {
+    if (!infallView) return null;
+    const M = mass * SCALE_FACTOR;
+    return sampleRadialInfall(M, INFALL_RELEASE_RADIUS * M);
+  }, [infallView, mass]);
+  
+  // The merger view's binary, in units of its total mass
+  const mergerView = activeTab === 'extreme' && extremeObjectType === 'merger';
+  const merger = useMemo(() => {
+    if (!mergerView) return null;
+    const total = mergerMass1 + mergerMass2;
+    return binaryMerger({
+      m1: mergerMass1 / total,
+      m2: mergerMass2 / total,
+      chi1: mergerSpin1,
+      chi2: mergerSpin2,
+      initialSeparation: MERGER_INITIAL_SEPARATION
+    });
+  }, [mergerView, mergerMass1, mergerMass2, mergerSpin1, mergerSpin2]);
+  
+  // Post-Newtonian inspiral strain plotted under the gravitational wave view
+  const chirp = useMemo(() => {
+    if (activeTab !== 'waves') return null;
+    return chirpWaveform({
+      m1: waveMass1,
+      m2: waveMass2,
+      distance: waveDistance,
+      inclination: waveInclination * Math.PI / 180
+    });
+  }, [activeTab, waveMass1, waveMass2, waveDistance, waveInclination]);
+  
+  // Advance the animated view by one fixed step. The simulation clock calls
+  // this at a steady rate, and the step button and recorder once at a time.
+  const advanceSimulation = useCallback(() => {
+    const dt = simulationTimeStep(activeTab, extremeObjectType);
+    if (dt === null) return;
+    
+    // Particles step in the worker; their time advances when it replies
+    if (activeTab === 'particles') {
+      particleClientRef.current.step(1, { dt, speed: particleSpeed, mass, rotation, integrator: particleIntegrator });
+      return;
+    }
+    
+    // The merger starts over once the remnant has rung down, the radial
+    // infall once it reaches the singularity and the tidal infall once the
+    // star is deep inside the horizon
+    const finished = (time) => {
+      if (activeTab !== 'extreme') return false;
+      if (mergerView) return time >= merger.mergerTime + MERGER_RINGDOWN_DAMPING_TIMES * merger.ringdown.dampingTime;
+      if (infallView) return time >= INFALL_SINGULARITY_TIME;
+      if (tidalView) return time >= tidalProfile[tidalProfile.length - 1].tau;
+      return false;
+    };
+    setFrameTime(prev => (finished(prev) ? 0 : prev + dt));
+  }, [activeTab, extremeObjectType, infallView, mass, merger, mergerView, particleIntegrator, particleSpeed, rotation, tidalProfile, tidalView]);
   
-  // Calculate the spacetime grid
-  const calculateSpacetimeGrid = (mass, rotation) => {
-    const size = 60;
-    const gridSize = 20;
-    const step = size / gridSize;
-    
-    const grid = [];
-    
-    // Create grid points
-    for (let x = -size/2; x <= size/2; x += step) {
-      for (let y = -size/2; y <= size/2; y += step) {
-        const r = Math.sqrt(x*x + y*y);
-        if (r < 2) continue; // Skip points too close to center
-        
-        // Calculate z based on simplified Schwarzschild metric
-        let z = -mass / r;
-        
-        // Add rotation effect (simplified)
-        if (rotation > 0) {
-          const theta = Math.atan2(y, x);
-          z += rotation * mass * Math.sin(theta) / (r*r) * 0.5;
+  // Particle integration runs in a Web Worker for the life of the component
+  useEffect(() => {
+    const client = createParticleClient(spawnParticleWorker(), {
+      onSnapshot: (snapshot) => {
+        setParticleSnapshot(snapshot);
+        setParticleError(null);
+        // Steps replayed by a restore are already counted in the restored time
+        if (snapshot.steps > 0 && !snapshot.reset) {
+          setFrameTime(prev => prev + snapshot.steps * SIMULATION_TIME_STEPS.particles);
         }
         
-        grid.push({ x, y, z });
-      }
+        // Drift since the particles were (re)initialised, which restarts the plot
+        setDriftHistory(prev => {
+          const last = prev[prev.length - 1];
+          const sample = {
+            time: !snapshot.reset && last ? last.time + snapshot.steps * SIMULATION_TIME_STEPS.particles : 0,
+            energy: snapshot.energyDrift,
+            angularMomentum: snapshot.angularMomentumDrift
+          };
+          return snapshot.reset ? [sample] : [...prev, sample].slice(-DRIFT_HISTORY_LENGTH);
+        });
+      },
+      onError: (error) => setParticleError(error.message || 'The particle simulation failed')
+    });
+    particleClientRef.current = client;
+    return () => client.terminate();
+  }, []);
+  
+  // Fresh particles whenever their number, launch speed, integrator or seed
+  // changes, so each drift plot starts from exact orbits; mass and spin changes
+  // act on the particles already in flight, so they are read through a ref.
+  // Fresh particles start the clock over, except that a restored view of the
+  // particles tab replays its seeded particles up to the restored time.
+  const centralBodyRef = useRef({ mass, rotation });
+  centralBodyRef.current = { mass, rotation };
+  useEffect(() => {
+    const restored = restoredViewRef.current;
+    restoredViewRef.current = null;
+    const params = { count: particleCount, speed: particleSpeed, ...centralBodyRef.current, seed };
+    
+    if (restored && restored.activeTab === 'particles') {
+      setFrameTime(particleClientRef.current.restore(params, restored.frameTime, {
+        dt: SIMULATION_TIME_STEPS.particles,
+        integrator: particleIntegrator
+      }));
+      return;
     }
     
-    return grid;
+    // Another view's restored time stays as it is
+    if (!restored) setFrameTime(0);
+    particleClientRef.current.init(params);
+  }, [particleCount, particleSpeed, particleIntegrator, seed, viewRestores]);
+  
+  // Shared clock for every animated view
+  const animatedView = simulationTimeStep(activeTab, extremeObjectType) !== null;
+  const clockAlpha = useSimulationClock({
+    running: simulationRunning && animatedView,
+    speed: simulationSpeed,
+    onTick: advanceSimulation
+  });
+  
+  // Time shown on screen: between the last step and the next one
+  const renderTime = frameTime + clockAlpha * (simulationTimeStep(activeTab, extremeObjectType) ?? 0);
+  
+  // Infaller of the black hole view now, timed by its own clock
+  const infallState = useMemo(() => {
+    if (!infallView) return null;
+    const M = mass * SCALE_FACTOR;
+    const R = INFALL_RELEASE_RADIUS * M;
+    const r = radialInfallRadius(M, R, renderTime * M);
+    return { r, tau: radialInfallTime(M, R, r), t: radialInfallCoordinateTime(M, R, r) };
+  }, [infallView, mass, renderTime]);
+  
+  // The black hole's mass in M☉, for turning the fall times into seconds
+  const infallSolarMasses = massInSolarMasses(mass);
+  
+  // Falling star of the tidal view now, and where a Sun-like star would be torn apart
+  const tidalState = useMemo(
+    () => tidalProfile && interpolateTidalStretch(tidalProfile, renderTime),
+    [tidalProfile, renderTime]
+  );
+  const tidalDisruption = useMemo(
+    () => starDisruption(TIDAL_BLACK_HOLES[tidalBlackHole].solarMasses),
+    [tidalBlackHole]
+  );
+  
+  // The merging binary now, or its remnant ringing down
+  const mergerState = useMemo(() => merger && binaryMergerState(merger, renderTime), [merger, renderTime]);
+  
+  // The spacetime diagram's movable event as (r, v), in units of M
+  const diagramEventPoint = useMemo(
+    () => ({ r: diagramEvent.x, v: diagramEvent.t + diagramEvent.x }),
+    [diagramEvent]
+  );
+  
+  // Penrose diagram of the chosen hole in units of M, with every dropped
+  // worldline followed up to the top of the part shown
+  const penroseView = activeTab === 'singularity' && viewMode === 'penrose';
+  const penroseParameter = penroseSpacetime === 'kerr' ? Math.min(rotation, PENROSE_MAX_SPIN) : penroseCharge;
+  const penroseDiagram = useMemo(() => {
+    if (!penroseView) return null;
+    const geometry = penroseGeometry(penroseSpacetime, 1, penroseParameter);
+    const yRange = PENROSE_Y_RANGES[geometry.inner > 0 ? 'tower' : 'schwarzschild'];
+    const worldlines = penroseDrops
+      .map((drop, i) => ({
+        color: PENROSE_WORLDLINE_COLORS[i % PENROSE_WORLDLINE_COLORS.length],
+        ...penroseWorldline(geometry, drop, { maxProperTime: PENROSE_MAX_PROPER_TIME, yMax: yRange[1] })
+      }))
+      .filter(worldline => worldline.points);
+    return { geometry, yRange, worldlines };
+  }, [penroseView, penroseSpacetime, penroseParameter, penroseDrops]);
+  
+  // Particle being aimed on the particle view and the path it would take,
+  // integrated the same way as the simulation
+  const launchPreview = useMemo(() => {
+    if (!launchDrag) return null;
+    const particle = launchParticle(launchFromDrag(launchDrag), mass, rotation);
+    if (!particle) return null;
+    return {
+      particle,
+      ...predictTrajectory(particle, mass, rotation, particleIntegrator, {
+        steps: LAUNCH_PREVIEW_STEPS,
+        dt: SIMULATION_TIME_STEPS.particles
+      })
+    };
+  }, [launchDrag, mass, rotation, particleIntegrator]);
+  
+  // Pointer position in the particle view's coordinates
+  const particleViewPoint = (event) => {
+    const rect = (usingCanvas ? canvasRef.current : svgRef.current).getBoundingClientRect();
+    const scale = Math.min(rect.width, rect.height) / 120;
+    return {
+      x: (event.clientX - rect.left - rect.width / 2) / scale,
+      y: (rect.height / 2 - (event.clientY - rect.top)) / scale
+    };
   };
   
-  // Calculate light paths in curved spacetime
-  const calculateLightPaths = (mass, rotation, numPaths = 8) => {
-    const paths = [];
-    const sourceDistance = observer1Position;
-    
-    for (let i = 0; i < numPaths; i++) {
-      const angle = (i * 2 * Math.PI) / numPaths;
-      const path = [];
-      
-      // Starting point
-      const x0 = sourceDistance * Math.cos(angle);
-      const y0 = sourceDistance * Math.sin(angle);
-      const r0 = Math.sqrt(x0*x0 + y0*y0);
-      const z0 = -mass / r0;
-      path.push({ x: x0, y: y0, z: z0 });
-      
-      // Calculate path (simplified approximation)
-      const steps = 100;
-      let x = x0;
-      let y = y0;
-      let vx = -Math.cos(angle) * 0.5;
-      let vy = -Math.sin(angle) * 0.5;
-      
-      for (let j = 0; j < steps; j++) {
-        // Update position
-        x += vx;
-        y += vy;
-        
-        // Calculate gravitational effect
-        const r = Math.sqrt(x*x + y*y);
-        if (r < 2.5) break; // Inside event horizon (simplified)
-        
-        // Update velocity due to spacetime curvature
-        const forceFactor = mass / (r*r*r);
-        vx -= x * forceFactor;
-        vy -= y * forceFactor;
-        
-        // Add rotation effect
-        if (rotation > 0) {
-          const theta = Math.atan2(y, x);
-          const rotFactor = rotation * mass / (r*r*r) * 0.2;
-          vx += -y * rotFactor;
-          vy += x * rotFactor;
-        }
-        
-        // Normalize velocity to maintain "speed of light"
-        const vMag = Math.sqrt(vx*vx + vy*vy);
-        vx = vx / vMag * 0.5;
-        vy = vy / vMag * 0.5;
-        
-        // Calculate z for visualization
-        const z = -mass / r;
-        
-        // Add to path
-        path.push({ x, y, z });
+  // Particle whose effective potential and precession are shown, with its
+  // radius, E, L and measured periapsis advance
+  const selectedParticleState = useMemo(() => {
+    if (!particleSnapshot || particleSnapshot.count === 0) return null;
+    const index = selectedParticle < particleSnapshot.count ? selectedParticle : 0;
+    const { positions, energies, angularMomenta, periapsisAdvances, periapsisCounts } = particleSnapshot;
+    return {
+      index,
+      r: Math.hypot(positions[2 * index], positions[2 * index + 1]),
+      E: energies[index],
+      L: angularMomenta[index],
+      periapsisAdvance: periapsisAdvances[index],
+      periapsisCount: periapsisCounts[index]
+    };
+  }, [particleSnapshot, selectedParticle]);
+  
+  // Index of the particle drawn nearest a view point, if one is close enough
+  const particleAt = (point) => {
+    if (!particleSnapshot) return null;
+    const { count, positions } = particleSnapshot;
+    let nearest = null;
+    let nearestDistance = PARTICLE_PICK_RADIUS;
+    for (let i = 0; i < count; i++) {
+      const distance = Math.hypot(positions[2 * i] - point.x, positions[2 * i + 1] - point.y);
+      if (distance < nearestDistance) {
+        nearest = i;
+        nearestDistance = distance;
       }
-      
-      paths.push(path);
     }
-    
-    return paths;
+    return nearest;
   };
   
-  // Calculate relativistic effects between observers
-  const calculateRelativisticEffects = () => {
-    // Convert observer2Angle to radians
-    const angleRad = observer2Angle * Math.PI / 180;
-    
-    // Position of second observer
-    const x2 = observer2Position * Math.cos(angleRad);
-    const y2 = observer2Position * Math.sin(angleRad);
-    
-    // Calculate gravitational potential at each observer
-    const r1 = observer1Position;
-    const r2 = observer2Position;
+  // Press on a particle to select it; press elsewhere to place a new one, drag
+  // to set its velocity and release to launch it
+  const beginLaunch = (event) => {
+    if (activeTab !== 'particles' || event.button !== 0 || event.target.closest('button')) return;
+    const point = particleViewPoint(event);
+    const hit = particleAt(point);
+    if (hit !== null) {
+      setSelectedParticle(hit);
+      return;
+    }
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setLaunchDrag({ start: point, end: point });
+  };
+  
+  // Aiming waits for the next animation frame and takes the latest pointer
+  // position, so the preview path is integrated at most once per frame
+  const aimFrameRef = useRef(null); // { frame, point } of the pending aim
+  useEffect(() => () => {
+    if (aimFrameRef.current) cancelAnimationFrame(aimFrameRef.current.frame);
+  }, []);
+  
+  const aimLaunch = (event) => {
+    if (!launchDrag) return;
+    const point = particleViewPoint(event);
+    if (aimFrameRef.current) {
+      aimFrameRef.current.point = point;
+      return;
+    }
     
-    // Calculate using scaled gravitational constant (G=1) and mass
-    // This is the gravitational potential energy per unit mass: GM/r
-    const potential1 = mass / r1;
-    const potential2 = mass / r2;
+    const frame = requestAnimationFrame(() => {
+      const end = aimFrameRef.current.point;
+      aimFrameRef.current = null;
+      setLaunchDrag(prev => prev && { ...prev, end });
+    });
+    aimFrameRef.current = { frame, point };
+  };
+  
+  // The particle launched is the one previewed, so a pending aim is dropped
+  const finishLaunch = () => {
+    if (!launchDrag) return;
+    if (aimFrameRef.current) {
+      cancelAnimationFrame(aimFrameRef.current.frame);
+      aimFrameRef.current = null;
+    }
+    if (launchPreview) {
+      // The new particle is appended, and selected so its potential is shown
+      particleClientRef.current.launch(launchFromDrag(launchDrag), { mass, rotation });
+      setSelectedParticle(particleSnapshot ? particleSnapshot.count : 0);
+    }
+    setLaunchDrag(null);
+  };
+  
+  const simulationControls = (
+    <SimulationControls
+      running={simulationRunning}
+      onToggle={() => setSimulationRunning(!simulationRunning)}
+      onStep={advanceSimulation}
+      speed={simulationSpeed}
+      onSpeedChange={setSimulationSpeed}
+      disabled={!animatedView}
+    />
+  );
+  
+  // Record the animation deterministically: pause the live loop, then capture
+  // the drawn frame and step the simulation, once per frame, until done
+  const startRecording = (options) => {
+    if (!animatedView) return;
+    recordingRef.current = { options, state: visualizerState, frames: [] };
     
-    // Scale factor to ensure time dilation stays reasonable
-    // Keeps 2*potential < 1 to avoid imaginary results
+    // A running animation is paused first; capture starts once it has settled
+    if (simulationRunning) {
+      setSimulationRunning(false);
+    } else {
+      captureRecordingFrame();
+    }
+  };
+  
+  // Collect the observer configuration for the physics engine
+  const getRelativisticEffects = useCallback(() => calculateRelativisticEffects({
+    mass,
+    observer1Position,
+    observer2Position,
+    observer2Angle,
+    mode: physicsMode
+  }), [mass, observer1Position, observer2Position, observer2Angle, physicsMode]);
+  
+  // Collect the Minkowski diagram configuration for the physics engine
+  const getSpecialRelativityEffects = useCallback(() => calculateSpecialRelativityEffects({
+    velocity: specialVelocity,
+    turnaround: twinTurnaround,
+    event: simultaneityEvent
+  }), [specialVelocity, twinTurnaround, simultaneityEvent]);
+  
+  // Format time difference in a human-readable way
+  const formatTimeDifference = (seconds) => {
+    // If very small, just show seconds
+    if (seconds < 60) {
+      return `${seconds.toFixed(2)} seconds`;
+    }
     
-    // Time dilation factor (simplified approximation)
-    // Using the Schwarzschild metric approximation
-    const timeDilation1 = 1 / Math.sqrt(1 - (2 * potential1 * SCALE_FACTOR));
-    const timeDilation2 = 1 / Math.sqrt(1 - (2 * potential2 * SCALE_FACTOR));
+    // For larger time periods, break down into years, months, days, etc.
+    const years = Math.floor(seconds / 31536000);
+    const remainingAfterYears = seconds % 31536000;
     
-    // Calculate relative time dilation
-    const relativeTimeDilation = timeDilation2 / timeDilation1;
+    const months = Math.floor(remainingAfterYears / 2592000);
+    const remainingAfterMonths = remainingAfterYears % 2592000;
     
-    // Space contraction factor
-    const spaceContraction1 = Math.sqrt(1 - (2 * potential1 * SCALE_FACTOR));
-    const spaceContraction2 = Math.sqrt(1 - (2 * potential2 * SCALE_FACTOR));
+    const days = Math.floor(remainingAfterMonths / 86400);
+    const remainingAfterDays = remainingAfterMonths % 86400;
     
-    // Light travel time between observers
-    // Simplified - actual path would follow geodesic
-    const distance = Math.sqrt(r1*r1 + r2*r2 - 2*r1*r2*Math.cos(angleRad));
+    const hours = Math.floor(remainingAfterDays / 3600);
+    const remainingAfterHours = remainingAfterDays % 3600;
     
-    // Approximate light travel time with gravitational delay
-    const lightTravelTime = distance * (1 + (potential1 + potential2) / 2 * SCALE_FACTOR);
+    const minutes = Math.floor(remainingAfterHours / 60);
+    const remainingSeconds = Math.floor(remainingAfterHours % 60);
     
-    // Calculate gravitational redshift (also scaled to avoid NaN)
-    const redshift = Math.sqrt((1 - 2 * potential2 * SCALE_FACTOR) / (1 - 2 * potential1 * SCALE_FACTOR)) - 1;
+    let result = "";
+    if (years > 0) result += `${years} year${years !== 1 ? "s" : ""} `;
+    if (months > 0) result += `${months} month${months !== 1 ? "s" : ""} `;
+    if (days > 0) result += `${days} day${days !== 1 ? "s" : ""} `;
+    if (hours > 0) result += `${hours} hour${hours !== 1 ? "s" : ""} `;
+    if (minutes > 0) result += `${minutes} minute${minutes !== 1 ? "s" : ""} `;
+    if (remainingSeconds > 0) result += `${remainingSeconds} second${remainingSeconds !== 1 ? "s" : ""}`;
     
-    // Calculate escape velocities (as fraction of c)
-    // v_esc = sqrt(2GM/r)
-    const escapeVelocity1 = Math.sqrt(2 * potential1 * SCALE_FACTOR);
-    const escapeVelocity2 = Math.sqrt(2 * potential2 * SCALE_FACTOR);
+    return result.trim();
+  };
+  
+  // Generate fun facts based on relativistic effects
+  const generateFacts = (effects) => {
+    // Special relativity facts for the Minkowski diagram
+    if (effects.kind === 'special') {
+      const { velocity, lorentzFactor, rodLength, contractedLength, event, boostedEvent, causal, twin } = effects;
+      const speed = `${(Math.abs(velocity) * 100).toFixed(0)}% of the speed of light`;
+      
+      const gammaFact = `At ${speed}, γ = ${lorentzFactor.toFixed(3)}: clocks in the boosted frame tick ${lorentzFactor.toFixed(3)} times slower as seen from the lab.`;
+      const lengthContractionFact = `A rod ${rodLength} units long at rest in the lab measures only ${contractedLength.toFixed(2)} units in the boosted frame.`;
+      
+      // Relative simultaneity between the origin and the movable event
+      const order = Math.abs(boostedEvent.t) < 0.005
+        ? 'at the same moment as the origin'
+        : `${Math.abs(boostedEvent.t).toFixed(2)} time units ${boostedEvent.t > 0 ? 'after' : 'before'} the origin`;
+      const simultaneityFact = `In the lab the event happens at t = ${event.t.toFixed(2)}; in the boosted frame it happens ${order}.`;
+      const causalityFact = causal
+        ? 'The event lies inside the light cone of the origin, so every observer agrees on their time order.'
+        : 'The event lies outside the light cone of the origin, so observers moving at different speeds disagree on which happened first.';
+      
+      // Twin paradox
+      const twinFact = twin.ageDifference !== null
+        ? `The stay-at-home twin ages ${twin.homeProperTime.toFixed(2)} time units, the travelling twin only ${twin.travelerProperTime.toFixed(2)}: a difference of ${twin.ageDifference.toFixed(2)}.`
+        : 'The turnaround lies outside the future light cone of the departure, so no clock can make this trip.';
+      const twinSpeedFact = twin.travelerGamma !== null
+        ? `The travelling twin moves at ${(twin.travelerSpeed * 100).toFixed(0)}% of c (γ = ${twin.travelerGamma.toFixed(3)}) and turns around ${Math.abs(twin.turnaround.x).toFixed(2)} units away.`
+        : `Reaching a turnaround ${Math.abs(twin.turnaround.x).toFixed(2)} units away in that time would take a speed of at least c.`;
+      
+      return {
+        gammaFact,
+        lengthContractionFact,
+        simultaneityFact,
+        causalityFact,
+        twinFact,
+        twinSpeedFact
+      };
+    }
     
-    return {
-      observer1: { 
-        x: observer1Position, 
-        y: 0, 
-        r: r1, 
-        potential: potential1, 
-        timeDilation: timeDilation1,
-        escapeVelocity: escapeVelocity1
-      },
-      observer2: { 
-        x: x2, 
-        y: y2, 
-        r: r2, 
-        potential: potential2, 
-        timeDilation: timeDilation2,
-        escapeVelocity: escapeVelocity2
-      },
+    const {
+      mode,
+      horizonRadius,
+      horizonCrossed,
+      observer1,
+      observer2,
       relativeTimeDilation,
       lightTravelTime,
+      lightPathBlocked,
+      shapiroDelay,
       redshift,
-      spaceContraction1,
-      spaceContraction2,
+      properDistance,
       distance
-    };
-  };
-  
-  // Generate fun facts based on relativistic effects
-  const generateFacts = (effects) => {
-    const { observer1, observer2, relativeTimeDilation, lightTravelTime, redshift, distance } = effects;
+    } = effects;
+    
+    // Fun gravitational event horizon fact
+    const horizonFact = `At this mass, the event horizon would be at ${horizonRadius.toFixed(2)} units from center.`;
+    
+    // Einstein ring fact
+    const einsteinRingRadius = scaledEinsteinRingRadius(mass);
+    const einsteinRingFact = `Light from a distant source directly behind the mass would form an Einstein ring of radius ${einsteinRingRadius.toFixed(2)} units.`;
+    
+    // Escape velocity facts - use pre-calculated values
+    const escapeVelocityFact = (observer, number) => observer.insideHorizon
+      ? `Observer ${number} is inside the event horizon: nothing, not even light, can escape from there.`
+      : `Observer ${number}'s escape velocity is ${(observer.escapeVelocity * 100).toFixed(2)}% of the speed of light.`;
+    const escapeVelocityFact1 = escapeVelocityFact(observer1, 1);
+    const escapeVelocityFact2 = escapeVelocityFact(observer2, 2);
+    
+    // No static observer can exist at or inside the horizon, so the comparisons are undefined
+    if (horizonCrossed) {
+      const inside = [observer1.insideHorizon && 'Observer 1', observer2.insideHorizon && 'Observer 2']
+        .filter(Boolean)
+        .join(' and ');
+      const horizonWarning = `${inside} ${observer1.insideHorizon && observer2.insideHorizon ? 'sit' : 'sits'} at or inside the event horizon (r ≤ ${horizonRadius.toFixed(2)} units).`;
+      
+      return {
+        timeDilationFact: `${horizonWarning} No observer can stay at rest there, so gravitational time dilation is undefined.`,
+        clockFact: 'Clocks cannot be compared: any signal from inside the horizon never reaches the outside.',
+        lightFact: 'Light cannot travel outward from inside the event horizon.',
+        redshiftFact: 'The redshift of light from the horizon is infinite.',
+        escapeVelocityFact1,
+        escapeVelocityFact2,
+        properDistanceFact: 'The proper distance to a point inside the horizon is not a static spatial distance.',
+        horizonFact,
+        einsteinRingFact
+      };
+    }
     
     // Time dilation facts
     const timeDilationPercent = ((relativeTimeDilation - 1) * 100).toFixed(4);
     const timeDilationFact = relativeTimeDilation > 1 
       ? `Observer 2 experiences time ${timeDilationPercent}% slower than Observer 1 due to being deeper in the gravitational well.`
       : `Observer 1 experiences time ${Math.abs(timeDilationPercent)}% slower than Observer 2 due to being deeper in the gravitational well.`;
-      
+    
     
     // Clock difference over time in seconds
     const secondsDifference = 31536000 * Math.abs(relativeTimeDilation - 1);
     
-    // Format time difference in a human-readable way
-    const formatTimeDifference = (seconds) => {
-      // If very small, just show seconds
-      if (seconds < 60) {
-        return `${seconds.toFixed(2)} seconds`;
-      }
-      
-      // For larger time periods, break down into years, months, days, etc.
-      const years = Math.floor(seconds / 31536000);
-      const remainingAfterYears = seconds % 31536000;
-      
-      const months = Math.floor(remainingAfterYears / 2592000);
-      const remainingAfterMonths = remainingAfterYears % 2592000;
-      
-      const days = Math.floor(remainingAfterMonths / 86400);
-      const remainingAfterDays = remainingAfterMonths % 86400;
-      
-      const hours = Math.floor(remainingAfterDays / 3600);
-      const remainingAfterHours = remainingAfterDays % 3600;
-      
-      const minutes = Math.floor(remainingAfterHours / 60);
-      const remainingSeconds = Math.floor(remainingAfterHours % 60);
-      
-      let result = "";
-      if (years > 0) result += `${years} year${years !== 1 ? "s" : ""} `;
-      if (months > 0) result += `${months} month${months !== 1 ? "s" : ""} `;
-      if (days > 0) result += `${days} day${days !== 1 ? "s" : ""} `;
-      if (hours > 0) result += `${hours} hour${hours !== 1 ? "s" : ""} `;
-      if (minutes > 0) result += `${minutes} minute${minutes !== 1 ? "s" : ""} `;
-      if (remainingSeconds > 0) result += `${remainingSeconds} second${remainingSeconds !== 1 ? "s" : ""}`;
-      
-      return result.trim();
-    };
-    
     const timeDifferenceStr = formatTimeDifference(secondsDifference);
     const clockFact = `After 1 year, their clocks would differ by approximately ${timeDifferenceStr}.`;
     
     // Light travel fact
-    const lightFact = `Light takes approximately ${lightTravelTime.toFixed(2)} time units to travel between the observers.`;
+    let lightFact;
+    if (mode === 'toy') {
+      lightFact = `Light takes approximately ${lightTravelTime.toFixed(2)} time units to travel between the observers.`;
+    } else if (lightPathBlocked) {
+      lightFact = 'The straight line between the observers passes inside the photon sphere, so no direct light signal connects them.';
+    } else {
+      lightFact = `Light takes ${lightTravelTime.toFixed(2)} time units (coordinate time) to travel between the observers, ${shapiroDelay.toFixed(3)} longer than in flat space (Shapiro delay).`;
+    }
     
     // Redshift fact
     const redshiftPercent = (redshift * 100).toFixed(4);
@@ -282,21 +928,10 @@ const RelativityVisualizer = () => {
       ? `Light from Observer 2 appears redshifted by ${redshiftPercent}% to Observer 1.`
       : `Light from Observer 1 appears redshifted by ${Math.abs(redshiftPercent)}% to Observer 2.`;
     
-    // Escape velocity facts - use pre-calculated values
-    const escapeVelocityFact1 = `Observer 1's escape velocity is ${(observer1.escapeVelocity * 100).toFixed(2)}% of the speed of light.`;
-    const escapeVelocityFact2 = `Observer 2's escape velocity is ${(observer2.escapeVelocity * 100).toFixed(2)}% of the speed of light.`;
-    
-    // Proper distance fact - scaled to be realistic
-    const properDistance = distance / (1 + (observer1.potential + observer2.potential) / 2 * SCALE_FACTOR);
-    const properDistanceFact = `The proper distance between observers is ${properDistance.toFixed(2)} units.`;
-    
-    // Fun gravitational event horizon fact
-    const schwarzschildRadius = 2 * mass * SCALE_FACTOR; // Scaled to match our other calculations
-    const horizonFact = `At this mass, the event horizon would be at ${schwarzschildRadius.toFixed(2)} units from center.`;
-    
-    // Einstein ring fact
-    const einsteinRingRadius = 4 * mass * SCALE_FACTOR; // Simplified approximation
-    const einsteinRingFact = `Light from a distant source directly behind the mass would form an Einstein ring of radius ${einsteinRingRadius.toFixed(2)} units.`;
+    // Proper distance fact
+    const properDistanceFact = mode === 'toy'
+      ? `The proper distance between observers is ${properDistance.toFixed(2)} units.`
+      : `The radial proper distance between the observers' orbits is ${properDistance.toFixed(2)} units, versus a coordinate difference of ${Math.abs(observer1.r - observer2.r).toFixed(2)} (straight-line separation ${distance.toFixed(2)}).`;
     
     return {
       timeDilationFact,
@@ -310,13 +945,12 @@ const RelativityVisualizer = () => {
       einsteinRingFact
     };
   };
-
+  
   // Function to render the Spacetime View
-  const renderSpacetimeView = (svg, containerWidth, containerHeight) => {
+  const renderSpacetimeView = useCallback((svg, containerWidth, containerHeight) => {
     // Calculate data
     const gridPoints = calculateSpacetimeGrid(mass, rotation);
-    const lightPaths = showLightPaths ? calculateLightPaths(mass, rotation) : [];
-    const relativisticEffects = calculateRelativisticEffects();
+    const relativisticEffects = getRelativisticEffects();
     
     // Set up scales and projections
     const xExtent = d3.extent(gridPoints, d => d.x);
@@ -372,9 +1006,25 @@ const RelativityVisualizer = () => {
     
     // Draw light paths
     if (showLightPaths) {
+      // Photon sphere at r = 3M, where light can orbit the mass
+      const photonSphere = d3.range(0, 2 * Math.PI + 0.1, 0.1).map(angle => {
+        const r = photonSphereRadius(mass * SCALE_FACTOR);
+        const proj = project(r * Math.cos(angle), r * Math.sin(angle), -mass / r);
+        return { x: xScale(proj.x), y: yScale(proj.y) };
+      });
+      
+      svg.append("path")
+        .datum(photonSphere)
+        .attr("d", d3.line().x(d => d.x).y(d => d.y))
+        .attr("fill", "none")
+        .attr("stroke", "yellow")
+        .attr("stroke-width", 1)
+        .attr("stroke-dasharray", "3,3")
+        .attr("opacity", 0.6);
+      
       lightPaths.forEach((path, i) => {
         // Project all points
-        const projectedPath = path.map(p => {
+        const projectedPath = path.points.map(p => {
           const proj = project(p.x, p.y, p.z);
           return {
             x: xScale(proj.x),
@@ -389,14 +1039,22 @@ const RelativityVisualizer = () => {
           .y(d => d.y)
           .curve(d3.curveBasis);
         
-        // Draw path
+        // Draw path, with captured photons in red
         svg.append("path")
           .datum(projectedPath)
           .attr("d", lineGenerator)
           .attr("fill", "none")
-          .attr("stroke", "yellow")
+          .attr("stroke", path.captured ? "#ff5722" : "yellow")
           .attr("stroke-width", 2)
-          .attr("opacity", 0.7);
+          .attr("opacity", 0.7)
+          .append("title")
+          .text(() => {
+            const b = `b = ${path.impactParameter.toFixed(2)}`;
+            if (path.captured) return `${b}: captured`;
+            // Photons still circling near 3M when the integration stops have no deflection yet
+            if (path.deflectionAngle === null) return `${b}: orbiting / unresolved`;
+            return `${b}: deflected ${(path.deflectionAngle * 180 / Math.PI).toFixed(1)}°`;
+          });
       });
     }
     
@@ -472,351 +1130,176 @@ const RelativityVisualizer = () => {
       .attr("stroke-width", 1)
       .attr("stroke-dasharray", "3,3")
       .attr("opacity", 0.7);
-  };
-
-  // Initialize the particle simulation
-  const initParticles = () => {
-    const particles = [];
-    
-    for (let i = 0; i < particleCount; i++) {
-      // Random angle and distance
-      const angle = Math.random() * 2 * Math.PI;
-      const distance = 10 + Math.random() * 40;
-      
-      // Initial position
-      const x = distance * Math.cos(angle);
-      const y = distance * Math.sin(angle);
-      
-      // Initial velocity (perpendicular to radial direction for orbital motion)
-      const speed = particleSpeed * (0.8 + 0.4 * Math.random());
-      const vx = -y * speed / Math.sqrt(x*x + y*y);
-      const vy = x * speed / Math.sqrt(x*x + y*y);
-      
-      particles.push({
-        x, y,
-        vx, vy,
-        trail: [], // Store previous positions for trail effect
-        color: d3.interpolateRainbow(i / particleCount),
-        size: 1 + Math.random() * 2
+  }, [activeObserver, getRelativisticEffects, lightPaths, mass, rotation, showLightPaths, viewAngle]);
+  
+  // Render functions for different visualization types
+  // The particle and wave views draw through a renderer (see src/renderers),
+  // so they can use Canvas on screen and SVG for export.
+  const renderParticleView = useCallback((draw, containerWidth, containerHeight) => {
+    // Scale for mapping to screen coordinates
+    const scale = Math.min(containerWidth, containerHeight) / 120;
+    const xScale = d => (containerWidth / 2) + d * scale;
+    const yScale = d => (containerHeight / 2) - d * scale;
+    
+    // Draw central mass
+    draw.circle(xScale(0), yScale(0), Math.max(5, Math.min(20, mass/2)), {
+      fill: "orange",
+      opacity: 0.9
+    });
+    
+    // Geometric mass and spin of the central body
+    const M = mass * SCALE_FACTOR;
+    const a = rotation * M;
+    
+    // Draw event horizon
+    const eventHorizonRadius = kerrHorizons(M, a).outer;
+    draw.circle(xScale(0), yScale(0), eventHorizonRadius * scale, {
+      stroke: "red",
+      strokeWidth: 1.5,
+      dash: [5, 5],
+      opacity: 0.8
+    });
+    
+    // Draw ergosphere if rotating
+    if (rotation > 0) {
+      const ergosphereRadius = kerrErgosphereRadius(M, a);
+      draw.circle(xScale(0), yScale(0), ergosphereRadius * scale, {
+        stroke: "purple",
+        strokeWidth: 1.5,
+        dash: [3, 3],
+        opacity: 0.7
       });
     }
     
-    return particles;
-  };
-  
-  // Update particle positions based on gravitational field
-  const updateParticles = (particles, dt, centralMass, rotation) => {
-    return particles.map(particle => {
-      const { x, y, vx, vy, trail, color, size } = particle;
-      
-      // Calculate distance from center
-      const r = Math.sqrt(x*x + y*y);
+    // Draw innermost stable circular orbit for prograde particles
+    draw.circle(xScale(0), yScale(0), kerrIscoRadius(M, a, true) * scale, {
+      stroke: "#4CAF50",
+      strokeWidth: 1,
+      dash: [2, 4],
+      opacity: 0.6
+    });
+    
+    // Predicted path and velocity of a particle being aimed
+    if (launchPreview) {
+      const { particle, points, outcome } = launchPreview;
+      const { color } = LAUNCH_OUTCOMES[outcome];
+      draw.curve(points.map(point => ({ x: xScale(point.x), y: yScale(point.y) })), {
+        stroke: color,
+        strokeWidth: 1.5,
+        dash: [4, 3],
+        opacity: 0.9
+      });
+      draw.line(xScale(launchDrag.start.x), yScale(launchDrag.start.y), xScale(launchDrag.end.x), yScale(launchDrag.end.y), {
+        stroke: "white",
+        strokeWidth: 1.5
+      });
+      draw.circle(xScale(particle.x), yScale(particle.y), 4, {
+        fill: color
+      });
+    }
+    
+    // Particles arrive from the worker as flat typed arrays
+    if (!particleSnapshot) return;
+    const { count, positions, previous, trails, trailLengths, hues, sizes } = particleSnapshot;
+    
+    for (let i = 0; i < count; i++) {
+      const color = d3.interpolateRainbow(hues[i]);
+      const trailLength = trailLengths[i];
       
-      // Skip if particle is inside event horizon
-      const eventHorizon = 2 * centralMass * SCALE_FACTOR;
-      if (r < eventHorizon) {
-        // Create a new particle outside
-        const angle = Math.random() * 2 * Math.PI;
-        const distance = 10 + Math.random() * 40;
-        
-        // Initial position
-        const newX = distance * Math.cos(angle);
-        const newY = distance * Math.sin(angle);
-        
-        // Initial velocity (perpendicular to radial direction for orbital motion)
-        const speed = particleSpeed * (0.8 + 0.4 * Math.random());
-        const newVx = -newY * speed / Math.sqrt(newX*newX + newY*newY);
-        const newVy = newX * speed / Math.sqrt(newX*newX + newY*newY);
-        
-        return {
-          x: newX, y: newY,
-          vx: newVx, vy: newVy,
-          trail: [],
-          color,
-          size
-        };
+      // Draw trail
+      if (trailLength > 1) {
+        const trail = [];
+        for (let j = 0; j < trailLength; j++) {
+          const offset = (i * MAX_TRAIL_LENGTH + j) * 2;
+          trail.push({ x: xScale(trails[offset]), y: yScale(trails[offset + 1]) });
+        }
+        draw.curve(trail, {
+          stroke: color,
+          strokeWidth: 1,
+          opacity: 0.5
+        });
       }
       
-      // Calculate gravitational force
-      const forceMagnitude = centralMass / (r*r);
-      const forceX = -x * forceMagnitude / r;
-      const forceY = -y * forceMagnitude / r;
-      
-      // Add frame-dragging effect if rotation > 0
-      let frameX = 0;
-      let frameY = 0;
+      // Draw particle part way between the last two steps, except just after a respawn
+      const t = trailLength > 0 ? clockAlpha : 1;
+      const x = previous[2 * i] + (positions[2 * i] - previous[2 * i]) * t;
+      const y = previous[2 * i + 1] + (positions[2 * i + 1] - previous[2 * i + 1]) * t;
+      draw.circle(xScale(x), yScale(y), sizes[i], {
+        fill: color,
+        opacity: 0.9
+      });
       
-      if (rotation > 0) {
-        const rotationEffect = rotation * centralMass / (r*r*r) * 0.2;
-        frameX = -y * rotationEffect;
-        frameY = x * rotationEffect;
+      // Ring the particle shown in the effective potential plot
+      if (selectedParticleState && i === selectedParticleState.index) {
+        draw.circle(xScale(x), yScale(y), sizes[i] + 4, {
+          stroke: "white",
+          strokeWidth: 1.5
+        });
       }
-      
-      // Apply forces to get new velocity
-      const newVx = vx + (forceX + frameX) * dt;
-      const newVy = vy + (forceY + frameY) * dt;
-      
-      // Apply velocity to get new position
-      const newX = x + newVx * dt;
-      const newY = y + newVy * dt;
-      
-      // Update trail
-      const newTrail = [...trail, { x, y }];
-      if (newTrail.length > 20) newTrail.shift(); // Limit trail length
-      
-      return {
-        x: newX,
-        y: newY,
-        vx: newVx,
-        vy: newVy,
-        trail: newTrail,
-        color,
-        size
-      };
-    });
-  };
+    }
+  }, [clockAlpha, launchDrag, launchPreview, mass, particleSnapshot, rotation, selectedParticleState]);
   
-  // Generate gravitational wave simulation data
-  const generateWavePoints = () => {
-    const points = [];
-    const waveCount = 100;
-    const source1 = { x: -10, y: 0 };
-    const source2 = { x: 10, y: 0 };
-    
-    for (let i = 0; i < waveCount; i++) {
-      const angle = (i / waveCount) * 2 * Math.PI;
-      const radius = 5 + i * 0.5;
-      
-      // Calculate wave positions around both sources
-      const x1 = source1.x + radius * Math.cos(angle);
-      const y1 = source1.y + radius * Math.sin(angle);
-      
-      const x2 = source2.x + radius * Math.cos(angle);
-      const y2 = source2.y + radius * Math.sin(angle);
-      
-      points.push(
-        { 
-          x: x1, 
-          y: y1, 
-          source: 1, 
-          radius, 
-          angle, 
-          phase: Math.random() * Math.PI * 2
-        },
-        {
-          x: x2,
-          y: y2,
-          source: 2,
-          radius,
-          angle,
-          phase: Math.random() * Math.PI * 2
-        }
-      );
+  const renderGravitationalWaves = useCallback((draw, containerWidth, containerHeight) => {
+    // Initialize wave points for the current seed
+    if (!wavePointsRef.current || wavePointsRef.current.seed !== seed) {
+      wavePointsRef.current = { seed, points: generateWavePoints(createRandom(seed)) };
     }
     
-    return points;
-  };
-  
-  // Update wave points for animation
-  const updateWaves = (points, time, amplitude, frequency) => {
-    // Calculate current orbital angle for sources
-    const orbitFreq = 0.05;
-    const orbitAngle = time * orbitFreq;
-    
-    // Update source positions (spiraling in)
-    const initialDistance = 10;
-    const decayRate = 0.03;
-    const distance = Math.max(2, initialDistance * Math.exp(-time * decayRate));
-    
-    const source1 = {
-      x: -distance * Math.cos(orbitAngle),
-      y: -distance * Math.sin(orbitAngle)
-    };
+    // Scale for mapping to screen coordinates
+    const scale = Math.min(containerWidth, containerHeight) / 120;
+    const xScale = d => (containerWidth / 2) + d * scale;
+    const yScale = d => (containerHeight / 2) - d * scale;
     
-    const source2 = {
-      x: distance * Math.cos(orbitAngle),
-      y: distance * Math.sin(orbitAngle)
-    };
+    // Wave points at the current time, so any frame can be redrawn exactly
+    const updatedWavePoints = updateWaves(wavePointsRef.current.points, renderTime, waveAmplitude, waveFrequency);
     
-    return points.map(point => {
-      // Get the correct source
-      const source = point.source === 1 ? source1 : source2;
-      
-      // Calculate new position based on radius and angle
-      const newAngle = point.angle + time * 0.1;
-      const x = source.x + point.radius * Math.cos(newAngle);
-      const y = source.y + point.radius * Math.sin(newAngle);
-      
-      // Calculate wave displacement
-      const waveDisplacement = Math.sin(time * frequency + point.phase) * amplitude;
-      
-      return {
-        ...point,
-        x,
-        y,
-        angle: newAngle,
-        displacement: waveDisplacement,
-        sourceX: source.x,
-        sourceY: source.y
-      };
-    });
-  };
-  
-  // Render functions for different visualization types
-  const renderParticleView = (svg, containerWidth, containerHeight) => {
-    // Initialize particles if needed
-    if (particlesRef.current.length === 0) {
-      particlesRef.current = initParticles();
-    }
-    
-    // Scale for mapping to screen coordinates
-    const scale = Math.min(containerWidth, containerHeight) / 120;
-    const xScale = d => (containerWidth / 2) + d * scale;
-    const yScale = d => (containerHeight / 2) - d * scale;
-    
-    // Draw central mass
-    svg.append("circle")
-      .attr("cx", xScale(0))
-      .attr("cy", yScale(0))
-      .attr("r", Math.max(5, Math.min(20, mass/2)))
-      .attr("fill", "orange")
-      .attr("opacity", 0.9);
-    
-    // Draw event horizon
-    const eventHorizonRadius = 2 * mass * SCALE_FACTOR;
-    svg.append("circle")
-      .attr("cx", xScale(0))
-      .attr("cy", yScale(0))
-      .attr("r", eventHorizonRadius * scale)
-      .attr("fill", "none")
-      .attr("stroke", "red")
-      .attr("stroke-width", 1.5)
-      .attr("stroke-dasharray", "5,5")
-      .attr("opacity", 0.8);
-      
-    // Draw ergosphere if rotating
-    if (rotation > 0) {
-      const ergosphereRadius = 2 * mass * SCALE_FACTOR * (1 + Math.sqrt(1 - rotation * rotation));
-      svg.append("circle")
-        .attr("cx", xScale(0))
-        .attr("cy", yScale(0))
-        .attr("r", ergosphereRadius * scale)
-        .attr("fill", "none")
-        .attr("stroke", "purple")
-        .attr("stroke-width", 1.5)
-        .attr("stroke-dasharray", "3,3")
-        .attr("opacity", 0.7);
-    }
-    
-    // Draw particles and their trails
-    particlesRef.current.forEach(particle => {
-      // Draw trail
-      if (particle.trail.length > 1) {
-        const lineGenerator = d3.line()
-          .x(d => xScale(d.x))
-          .y(d => yScale(d.y))
-          .curve(d3.curveBasis);
-        
-        svg.append("path")
-          .datum(particle.trail)
-          .attr("d", lineGenerator)
-          .attr("fill", "none")
-          .attr("stroke", particle.color)
-          .attr("stroke-width", 1)
-          .attr("opacity", 0.5);
-      }
-      
-      // Draw particle
-      svg.append("circle")
-        .attr("cx", xScale(particle.x))
-        .attr("cy", yScale(particle.y))
-        .attr("r", particle.size)
-        .attr("fill", particle.color)
-        .attr("opacity", 0.9);
-    });
-    
-    // Update particles for next frame if simulation is running
-    if (simulationRunning) {
-      const dt = 0.1; // Time step
-      particlesRef.current = updateParticles(particlesRef.current, dt, mass, rotation);
-      setFrameTime(prev => prev + dt);
-    }
-  };
-  
-  const renderGravitationalWaves = (svg, containerWidth, containerHeight) => {
-    // Initialize wave points if needed
-    if (wavePointsRef.current.length === 0) {
-      wavePointsRef.current = generateWavePoints();
-    }
-    
-    // Scale for mapping to screen coordinates
-    const scale = Math.min(containerWidth, containerHeight) / 120;
-    const xScale = d => (containerWidth / 2) + d * scale;
-    const yScale = d => (containerHeight / 2) - d * scale;
-    
-    // Update wave points based on current time
-    const updatedWavePoints = simulationRunning ? 
-      updateWaves(wavePointsRef.current, frameTime, waveAmplitude, waveFrequency) : 
-      wavePointsRef.current;
-    
-    if (simulationRunning) {
-      wavePointsRef.current = updatedWavePoints;
-      setFrameTime(prev => prev + 0.1);
-    }
-    
-    // Draw wave points
-    updatedWavePoints.forEach(point => {
-      if (!point.displacement) return;
+    // Draw wave points
+    updatedWavePoints.forEach(point => {
+      if (!point.displacement) return;
       
       // Draw line connecting to source
-      svg.append("line")
-        .attr("x1", xScale(point.sourceX))
-        .attr("y1", yScale(point.sourceY))
-        .attr("x2", xScale(point.x))
-        .attr("y2", yScale(point.y))
-        .attr("stroke", point.source === 1 ? "#ff5722" : "#2196f3")
-        .attr("stroke-width", 0.5)
-        .attr("opacity", 0.2);
+      draw.line(xScale(point.sourceX), yScale(point.sourceY), xScale(point.x), yScale(point.y), {
+        stroke: point.source === 1 ? "#ff5722" : "#2196f3",
+        strokeWidth: 0.5,
+        opacity: 0.2
+      });
       
       // Draw wave point with displacement
-      svg.append("circle")
-        .attr("cx", xScale(point.x))
-        .attr("cy", yScale(point.y))
-        .attr("r", Math.abs(point.displacement) * 3 + 1)
-        .attr("fill", point.displacement > 0 ? 
+      draw.circle(xScale(point.x), yScale(point.y), Math.abs(point.displacement) * 3 + 1, {
+        fill: point.displacement > 0 ? 
           (point.source === 1 ? "#ff5722" : "#2196f3") : 
-          (point.source === 1 ? "#ffccbc" : "#bbdefb"))
-        .attr("opacity", 0.7);
+          (point.source === 1 ? "#ffccbc" : "#bbdefb"),
+        opacity: 0.7
+      });
     });
     
     // Draw sources (two black holes)
-    svg.append("circle")
-      .attr("cx", xScale(updatedWavePoints[0].sourceX))
-      .attr("cy", yScale(updatedWavePoints[0].sourceY))
-      .attr("r", 6)
-      .attr("fill", "#ff5722")
-      .attr("opacity", 0.9);
-      
-    svg.append("circle")
-      .attr("cx", xScale(updatedWavePoints[1].sourceX))
-      .attr("cy", yScale(updatedWavePoints[1].sourceY))
-      .attr("r", 6)
-      .attr("fill", "#2196f3")
-      .attr("opacity", 0.9);
+    draw.circle(xScale(updatedWavePoints[0].sourceX), yScale(updatedWavePoints[0].sourceY), 6, {
+      fill: "#ff5722",
+      opacity: 0.9
+    });
+    
+    draw.circle(xScale(updatedWavePoints[1].sourceX), yScale(updatedWavePoints[1].sourceY), 6, {
+      fill: "#2196f3",
+      opacity: 0.9
+    });
     
     // Draw a connecting line
-    svg.append("line")
-      .attr("x1", xScale(updatedWavePoints[0].sourceX))
-      .attr("y1", yScale(updatedWavePoints[0].sourceY))
-      .attr("x2", xScale(updatedWavePoints[1].sourceX))
-      .attr("y2", yScale(updatedWavePoints[1].sourceY))
-      .attr("stroke", "#aaaaaa")
-      .attr("stroke-width", 1.5)
-      .attr("stroke-dasharray", "3,3")
-      .attr("opacity", 0.7);
-  };
+    draw.line(
+      xScale(updatedWavePoints[0].sourceX),
+      yScale(updatedWavePoints[0].sourceY),
+      xScale(updatedWavePoints[1].sourceX),
+      yScale(updatedWavePoints[1].sourceY),
+      {
+        stroke: "#aaaaaa",
+        strokeWidth: 1.5,
+        dash: [3, 3],
+        opacity: 0.7
+      }
+    );
+  }, [renderTime, seed, waveAmplitude, waveFrequency]);
   
-  const renderObserverView = (svg, containerWidth, containerHeight) => {
+  const renderObserverView = useCallback((svg, containerWidth, containerHeight) => {
     // This view simulates what an observer would see
     const observer = activeObserver === 1 ? 
       { x: observer1Position, y: 0 } : 
@@ -847,7 +1330,7 @@ const RelativityVisualizer = () => {
         .attr("stroke", "#555555")
         .attr("stroke-width", 1)
         .attr("opacity", 0.5);
-        
+      
       // Add distance label
       svg.append("text")
         .attr("x", xScale(apparentRadius * 0.7))
@@ -964,7 +1447,7 @@ const RelativityVisualizer = () => {
       .attr("fill", "white")
       .attr("font-size", "12px")
       .text(`Observer ${activeObserver === 1 ? 2 : 1}`);
-      
+    
     // Add "apparent position" line
     svg.append("line")
       .attr("x1", xScale(apparentX))
@@ -983,16 +1466,16 @@ const RelativityVisualizer = () => {
       .attr("r", 3)
       .attr("fill", "#999999")
       .attr("opacity", 0.5);
-      
+    
     svg.append("text")
       .attr("x", xScale(relX) + 5)
       .attr("y", yScale(relY) - 5)
       .attr("fill", "#999999")
       .attr("font-size", "10px")
       .text("Actual position");
-  };
+  }, [activeObserver, mass, observer1Position, observer2Angle, observer2Position]);
   
-  const renderExtremeObjects = (svg, containerWidth, containerHeight) => {
+  const renderExtremeObjects = useCallback((svg, containerWidth, containerHeight) => {
     // Scale for mapping to screen coordinates
     const scale = Math.min(containerWidth, containerHeight) / 120;
     const xScale = d => (containerWidth / 2) + d * scale;
@@ -1044,22 +1527,23 @@ const RelativityVisualizer = () => {
           .attr("r", "50%")
           .attr("fx", "50%")
           .attr("fy", "50%");
-          
+        
         radialGradient.append("stop")
           .attr("offset", "0%")
           .attr("stop-color", "#ff9500")
           .attr("stop-opacity", 1);
-          
+        
         radialGradient.append("stop")
           .attr("offset", "100%")
           .attr("stop-color", "#ff5722")
           .attr("stop-opacity", 0.3);
         
-        // Draw accretion disc
+        // Draw accretion disc, scattered the same way on every render
+        const random = createRandom(seed);
         for (let i = 0; i < 50; i++) {
           const angle = (i / 50) * Math.PI * 2;
-          const random = 0.8 + Math.random() * 0.4;
-          const discRadius = random * (innerRadius + (i / 50) * (outerRadius - innerRadius));
+          const jitter = 0.8 + random() * 0.4;
+          const discRadius = jitter * (innerRadius + (i / 50) * (outerRadius - innerRadius));
           
           svg.append("circle")
             .attr("cx", xScale(0))
@@ -1067,8 +1551,8 @@ const RelativityVisualizer = () => {
             .attr("r", discRadius * scale)
             .attr("fill", "none")
             .attr("stroke", d3.interpolateInferno(i / 50))
-            .attr("stroke-width", 0.5 + Math.random())
-            .attr("opacity", 0.1 + Math.random() * 0.3);
+            .attr("stroke-width", 0.5 + random())
+            .attr("opacity", 0.1 + random() * 0.3);
         }
         
         // Labels
@@ -1078,7 +1562,7 @@ const RelativityVisualizer = () => {
           .attr("fill", "red")
           .attr("font-size", "12px")
           .text("Event Horizon");
-          
+        
         svg.append("text")
           .attr("x", xScale(1.5 * eventHorizonRadius) + 5)
           .attr("y", yScale(1.5 * eventHorizonRadius))
@@ -1086,8 +1570,41 @@ const RelativityVisualizer = () => {
           .attr("font-size", "12px")
           .text("Photon Sphere");
         
-        break;
+        // Observer falling radially from rest, and how long the fall has
+        // taken by its own clock and by the clock of an observer far away
+        const infallRelease = INFALL_RELEASE_RADIUS * mass * SCALE_FACTOR;
+        svg.append("line")
+          .attr("x1", xScale(0))
+          .attr("y1", yScale(0))
+          .attr("x2", xScale(-infallRelease))
+          .attr("y2", yScale(0))
+          .attr("stroke", "white")
+          .attr("stroke-dasharray", "3,3")
+          .attr("opacity", 0.3);
+        
+        svg.append("circle")
+          .attr("cx", xScale(-infallState.r))
+          .attr("cy", yScale(0))
+          .attr("r", 5)
+          .attr("fill", "#4CAF50")
+          .attr("stroke", "white");
         
+        const infallM = mass * SCALE_FACTOR;
+        [
+          `Infaller at r = ${(infallState.r / infallM).toFixed(2)}M${infallState.r <= eventHorizonRadius ? ' (inside the horizon)' : ''}`,
+          `Proper time τ = ${(infallState.tau / infallM).toFixed(1)}M`,
+          `Coordinate time t = ${Number.isFinite(infallState.t) ? `${(infallState.t / infallM).toFixed(1)}M` : '∞'}`
+        ].forEach((line, i) => {
+          svg.append("text")
+            .attr("x", xScale(-55))
+            .attr("y", yScale(-40) + i * 16)
+            .attr("fill", "white")
+            .attr("font-size", "12px")
+            .text(line);
+        });
+        
+        break;
+      
       case 'neutron':
         // Neutron star
         const neutronRadius = mass * 0.3; // Neutron stars are much smaller than black holes
@@ -1108,17 +1625,17 @@ const RelativityVisualizer = () => {
           .attr("r", "50%")
           .attr("fx", "50%")
           .attr("fy", "50%");
-          
+        
         neutronGradient.append("stop")
           .attr("offset", "0%")
           .attr("stop-color", "#ffffff")
           .attr("stop-opacity", 1);
-          
+        
         neutronGradient.append("stop")
           .attr("offset", "80%")
           .attr("stop-color", "#64b5f6")
           .attr("stop-opacity", 1);
-          
+        
         neutronGradient.append("stop")
           .attr("offset", "100%")
           .attr("stop-color", "#1976d2")
@@ -1135,8 +1652,8 @@ const RelativityVisualizer = () => {
             
             // Add dipole field effect
             const bendFactor = 0.2 * (1 - (neutronRadius / r));
-            const bentX = x + bendFactor * neutronRadius * Math.sin(angle + frameTime);
-            const bentY = y - bendFactor * neutronRadius * Math.cos(angle + frameTime);
+            const bentX = x + bendFactor * neutronRadius * Math.sin(angle + renderTime);
+            const bentY = y - bendFactor * neutronRadius * Math.cos(angle + renderTime);
             
             fieldLine.push({ x: bentX, y: bentY });
           }
@@ -1213,7 +1730,7 @@ const RelativityVisualizer = () => {
           .attr("fill", "white")
           .attr("font-size", "12px")
           .text("Neutron Star");
-          
+        
         svg.append("text")
           .attr("x", xScale(jetLength * 0.7 * Math.cos(jetAngle)))
           .attr("y", yScale(jetLength * 0.7 * Math.sin(jetAngle)))
@@ -1221,36 +1738,34 @@ const RelativityVisualizer = () => {
           .attr("font-size", "12px")
           .text("Relativistic Jet");
         
-        if (simulationRunning) {
-          setFrameTime(prev => prev + 0.02);
-        }
-        
         break;
-        
+      
       case 'kerr':
         // Rotating (Kerr) black hole
-        const kerrMass = mass;
-        const kerrSpin = rotation;
+        const kerrMass = mass * SCALE_FACTOR;
+        const kerrSpin = rotation * kerrMass;
         
         // Event horizon for Kerr black hole is different from Schwarzschild
-        const rPlus = kerrMass + Math.sqrt(kerrMass*kerrMass - kerrSpin*kerrSpin);
-        const rMinus = kerrMass - Math.sqrt(kerrMass*kerrMass - kerrSpin*kerrSpin);
+        const horizonRadius = kerrHorizons(kerrMass, kerrSpin).outer;
         
-        // Scale for visualization
-        const kerrScale = SCALE_FACTOR;
-        const horizonRadius = rPlus * kerrScale;
+        // Ergosphere (static limit) in the equatorial plane
+        const ergoRadius = kerrErgosphereRadius(kerrMass, kerrSpin);
         
-        // Ergosphere (static limit)
-        const ergoRadius = 2 * kerrMass * kerrScale;
+        // Cross-section through the spin axis (vertical). Boyer–Lindquist radii are
+        // drawn with the Kerr–Schild cylindrical radius sqrt(r² + a²) sinθ.
+        const meridianPoint = (r, angle) => {
+          const theta = Math.PI / 2 - angle;
+          return {
+            x: Math.sqrt(r*r + kerrSpin*kerrSpin) * Math.sin(theta),
+            y: r * Math.cos(theta)
+          };
+        };
         
-        // Draw ergosphere (oblate spheroid approximation)
+        // Draw ergosphere (flattened at the poles, where it touches the horizon)
         const ergoPoints = [];
         for (let angle = 0; angle <= 2 * Math.PI; angle += 0.1) {
-          // Flattened at poles due to rotation
-          const flattenFactor = 1 - 0.3 * kerrSpin * Math.abs(Math.sin(angle));
-          const x = ergoRadius * Math.cos(angle);
-          const y = ergoRadius * flattenFactor * Math.sin(angle);
-          ergoPoints.push({ x, y });
+          const theta = Math.PI / 2 - angle;
+          ergoPoints.push(meridianPoint(kerrErgosphereRadius(kerrMass, kerrSpin, theta), angle));
         }
         
         // Create line generator
@@ -1268,14 +1783,10 @@ const RelativityVisualizer = () => {
           .attr("stroke-width", 1.5)
           .attr("stroke-dasharray", "5,5");
         
-        // Draw event horizon (more circular)
+        // Draw event horizon (oblate in Kerr–Schild coordinates)
         const horizonPoints = [];
         for (let angle = 0; angle <= 2 * Math.PI; angle += 0.1) {
-          // Slightly flattened
-          const flattenFactor = 1 - 0.1 * kerrSpin * Math.abs(Math.sin(angle));
-          const x = horizonRadius * Math.cos(angle);
-          const y = horizonRadius * flattenFactor * Math.sin(angle);
-          horizonPoints.push({ x, y });
+          horizonPoints.push(meridianPoint(horizonRadius, angle));
         }
         
         // Draw event horizon
@@ -1299,8 +1810,9 @@ const RelativityVisualizer = () => {
         
         // Draw frame-dragging effect
         const frameDraggingPoints = [];
+        // Markers co-rotate with the local inertial frames at ω = −g_tφ / g_φφ
         const frameDraggingRadius = horizonRadius * 3;
-        let startAngle = frameTime * kerrSpin;
+        let startAngle = renderTime * frameDraggingAngularVelocity(kerrMass, kerrSpin, frameDraggingRadius);
         
         for (let i = 0; i < 360; i += 10) {
           const angle = (i / 180) * Math.PI + startAngle;
@@ -1329,14 +1841,14 @@ const RelativityVisualizer = () => {
           .attr("fill", "red")
           .attr("font-size", "12px")
           .text("Event Horizon");
-          
+        
         svg.append("text")
           .attr("x", xScale(ergoRadius) + 5)
           .attr("y", yScale(ergoRadius * 0.5))
           .attr("fill", "purple")
           .attr("font-size", "12px")
           .text("Ergosphere");
-          
+        
         svg.append("text")
           .attr("x", xScale(frameDraggingRadius) + 5)
           .attr("y", yScale(frameDraggingRadius))
@@ -1344,335 +1856,890 @@ const RelativityVisualizer = () => {
           .attr("font-size", "12px")
           .text("Frame Dragging");
         
-        if (simulationRunning) {
-          setFrameTime(prev => prev + 0.05);
-        }
-        
         break;
+      
+      case 'merger': {
+        // Black hole binary in units of its total mass M, seen from above
+        // with the orbit running counter-clockwise
+        const { m1, m2, chi1, chi2, finalMass, finalSpin, ringdown } = merger;
+        const { stage, separation, orbitalPhase } = mergerState;
+        const totalMass = mergerMass1 + mergerMass2;
+        const toView = d => d * MERGER_VIEW_SCALE;
+        const closedLine = d3.line()
+          .x(d => xScale(d.x))
+          .y(d => yScale(d.y))
+          .curve(d3.curveCardinalClosed);
         
-      case 'merger':
-        // Black hole merger simulation
-        // Calculate orbital parameters
-        const time = frameTime;
-        const initialSeparation = 40;
-        const decayRate = 0.03;
-        
-        // Decreasing orbital separation
-        const separation = Math.max(5, initialSeparation * Math.exp(-time * decayRate));
-        const orbitFrequency = 0.05 * Math.pow(separation / initialSeparation, -1.5);
-        const orbitAngle = time * orbitFrequency;
+        // Gravitational waves: the ring at distance r shows the wave emitted a
+        // time r earlier, stretching and squeezing space in the rotating
+        // quadrupole pattern. Strain falls off as 1/r, so the displacement
+        // (strain × distance) is the same at every ring.
+        for (let radius = 5; radius < 100; radius += 5) {
+          const emitted = binaryMergerState(merger, renderTime - radius / MERGER_VIEW_SCALE);
+          const displacement = toView(MERGER_WAVE_EXAGGERATION * emitted.waveAmplitude / 2);
+          const wavePoints = d3.range(0, 2 * Math.PI, 0.1).map(angle => {
+            const waveRadius = radius + displacement * Math.cos(2 * angle - emitted.wavePhase);
+            return { x: waveRadius * Math.cos(angle), y: waveRadius * Math.sin(angle) };
+          });
+          
+          svg.append("path")
+            .datum(wavePoints)
+            .attr("d", closedLine)
+            .attr("fill", "none")
+            .attr("stroke", d3.interpolateViridis(radius / 100))
+            .attr("stroke-width", 1.5)
+            .attr("opacity", 0.5);
+        }
         
-        // Positions of the black holes
-        const mass1 = mass * 0.6;
-        const mass2 = mass * 0.4;
+        // A horizon of mass m and spin χ, outlined by the shape function, with
+        // a marker turning at the horizon's angular velocity
+        const drawHorizon = (cx, cy, m, chi, shape = () => 1) => {
+          const r = kerrHorizons(m, chi * m).outer;
+          const outline = d3.range(0, 2 * Math.PI, 0.1).map(angle => ({
+            x: cx + toView(r * shape(angle)) * Math.cos(angle),
+            y: cy + toView(r * shape(angle)) * Math.sin(angle)
+          }));
+          svg.append("path")
+            .datum(outline)
+            .attr("d", closedLine)
+            .attr("fill", "black")
+            .attr("stroke", "red")
+            .attr("stroke-width", 2);
+          
+          const markerAngle = renderTime * frameDraggingAngularVelocity(m, chi * m, r);
+          svg.append("circle")
+            .attr("cx", xScale(cx + toView(r) * Math.cos(markerAngle)))
+            .attr("cy", yScale(cy + toView(r) * Math.sin(markerAngle)))
+            .attr("r", 2.5)
+            .attr("fill", "orange");
+          return toView(r);
+        };
         
-        // Center of mass
-        const centerX = 0;
-        const centerY = 0;
+        const label = (x, y, text, size = "12px") => {
+          svg.append("text")
+            .attr("x", xScale(x))
+            .attr("y", yScale(y))
+            .attr("fill", "white")
+            .attr("font-size", size)
+            .text(text);
+        };
         
-        // Position of first black hole
-        const bh1x = centerX - separation * (mass2 / (mass1 + mass2)) * Math.cos(orbitAngle);
-        const bh1y = centerY - separation * (mass2 / (mass1 + mass2)) * Math.sin(orbitAngle);
+        if (stage === 'inspiral') {
+          // Each hole circles the center of mass at its share of the separation
+          const direction = { x: Math.cos(orbitalPhase), y: Math.sin(orbitalPhase) };
+          const holes = [
+            { offset: -separation * m2, m: m1, chi: chi1, solarMasses: mergerMass1 },
+            { offset: separation * m1, m: m2, chi: chi2, solarMasses: mergerMass2 }
+          ];
+          holes.forEach(({ offset, m, chi, solarMasses }) => {
+            svg.append("circle")
+              .attr("cx", xScale(0))
+              .attr("cy", yScale(0))
+              .attr("r", toView(Math.abs(offset)) * scale)
+              .attr("fill", "none")
+              .attr("stroke", "white")
+              .attr("stroke-width", 1)
+              .attr("opacity", 0.3)
+              .attr("stroke-dasharray", "3,3");
+            
+            const x = toView(offset * direction.x);
+            const y = toView(offset * direction.y);
+            const horizonRadius = drawHorizon(x, y, m, chi);
+            label(x + horizonRadius, y + horizonRadius + 1, `${solarMasses.toFixed(1)} M☉, χ = ${chi.toFixed(2)}`);
+          });
+          
+          const timeLeft = merger.mergerTime - renderTime;
+          label(-40, -40, "Stage: Inspiral", "14px");
+          label(-40, -45, `Separation: ${separation.toFixed(2)} M`);
+          label(-40, -50, `Merger in ${timeLeft.toFixed(0)} M = ${formatMillisecondsForMass(timeLeft, totalMass)}`);
+        } else {
+          // The remnant's horizon rings in its l = m = 2 mode, rotating with
+          // the wave and dying away over the damping time
+          const { ringdownTime, wavePhase } = mergerState;
+          const distortion = MERGER_RINGDOWN_DISTORTION * Math.exp(-ringdownTime / ringdown.dampingTime);
+          const horizonRadius = drawHorizon(0, 0, finalMass, finalSpin, angle => 1 + distortion * Math.cos(2 * angle - wavePhase));
+          label(horizonRadius + 2, horizonRadius + 2, `${(finalMass * totalMass).toFixed(1)} M☉, a/M = ${finalSpin.toFixed(2)}`);
+          
+          label(-40, -40, "Stage: Ringdown", "14px");
+          label(-40, -45, `${ringdownTime.toFixed(0)} M = ${formatMillisecondsForMass(ringdownTime, totalMass)} after merger`);
+          label(-40, -50, `Radiated: ${(merger.radiatedEnergy * 100).toFixed(1)}% of the mass`);
+        }
         
-        // Position of second black hole
-        const bh2x = centerX + separation * (mass1 / (mass1 + mass2)) * Math.cos(orbitAngle);
-        const bh2y = centerY + separation * (mass1 / (mass1 + mass2)) * Math.sin(orbitAngle);
+        break;
+      }
+      
+      case 'tidal': {
+        // A star falling radially from rest, drawn as a cluster of test
+        // particles whose separations follow the tidal stretch factors
+        const M = mass * SCALE_FACTOR;
+        const horizonRadius = 2 * M;
+        const disruptionRadius = tidalDisruption.disruptionRadius * M;
+        const { r, radial, transverse } = tidalState;
+        const disrupted = r <= disruptionRadius;
         
-        // Draw first black hole
-        const horizon1 = 2 * mass1 * SCALE_FACTOR;
-        svg.append("circle")
-          .attr("cx", xScale(bh1x))
-          .attr("cy", yScale(bh1y))
-          .attr("r", horizon1 * scale)
-          .attr("fill", "black")
-          .attr("stroke", "red")
-          .attr("stroke-width", 2);
+        // Path of the fall
+        svg.append("line")
+          .attr("x1", xScale(0))
+          .attr("y1", yScale(0))
+          .attr("x2", xScale(TIDAL_RELEASE_RADIUS))
+          .attr("y2", yScale(0))
+          .attr("stroke", "white")
+          .attr("stroke-dasharray", "3,3")
+          .attr("opacity", 0.3);
         
-        // Draw second black hole
-        const horizon2 = 2 * mass2 * SCALE_FACTOR;
+        // Event horizon
         svg.append("circle")
-          .attr("cx", xScale(bh2x))
-          .attr("cy", yScale(bh2y))
-          .attr("r", horizon2 * scale)
+          .attr("cx", xScale(0))
+          .attr("cy", yScale(0))
+          .attr("r", horizonRadius * scale)
           .attr("fill", "black")
           .attr("stroke", "red")
           .attr("stroke-width", 2);
         
-        // Draw gravitational waves
-        // The amplitude increases as the black holes get closer
-        const waveAmplitudeMax = 5 * SCALE_FACTOR * (initialSeparation / separation);
-        
-        // Draw circular waves emanating from the system
-        for (let radius = 5; radius < 100; radius += 5) {
-          // Wave phase depends on distance and time
-          const wavePhase = time * 5 - radius * 0.3;
-          const amplitude = waveAmplitudeMax * Math.exp(-radius * 0.02) * Math.sin(wavePhase);
-          
-          const wavePoints = [];
-          for (let angle = 0; angle <= 2 * Math.PI; angle += 0.1) {
-            // Direction-dependent amplitude (quadrupole radiation pattern)
-            const directionFactor = 1 + 0.5 * Math.cos(2 * angle);
-            
-            // Get wave position
-            const waveRadius = radius + amplitude * directionFactor;
-            const wx = waveRadius * Math.cos(angle);
-            const wy = waveRadius * Math.sin(angle);
-            
-            wavePoints.push({ x: wx, y: wy });
-          }
-          
-          // Create line generator
-          const waveLineGenerator = d3.line()
-            .x(d => xScale(d.x))
-            .y(d => yScale(d.y))
-            .curve(d3.curveCardinalClosed);
-          
-          // Draw wave
-          svg.append("path")
-            .datum(wavePoints)
-            .attr("d", waveLineGenerator)
+        // Tidal disruption radius of a Sun-like star, where it is in view
+        if (disruptionRadius < 60) {
+          svg.append("circle")
+            .attr("cx", xScale(0))
+            .attr("cy", yScale(0))
+            .attr("r", disruptionRadius * scale)
             .attr("fill", "none")
-            .attr("stroke", d3.interpolateViridis(radius / 100))
+            .attr("stroke", "#fde047")
             .attr("stroke-width", 1.5)
-            .attr("opacity", 0.5);
-        }
-        
-        // Draw orbital path
-        svg.append("circle")
-          .attr("cx", xScale(centerX))
-          .attr("cy", yScale(centerY))
-          .attr("r", separation * scale)
-          .attr("fill", "none")
-          .attr("stroke", "white")
-          .attr("stroke-width", 1)
-          .attr("opacity", 0.3)
-          .attr("stroke-dasharray", "3,3");
-        
-        // Labels
-        svg.append("text")
-          .attr("x", xScale(bh1x) + 5)
-          .attr("y", yScale(bh1y) - 10)
-          .attr("fill", "white")
-          .attr("font-size", "12px")
-          .text(`${mass1.toFixed(1)} M☉`);
+            .attr("stroke-dasharray", "6,4");
           
-        svg.append("text")
-          .attr("x", xScale(bh2x) + 5)
-          .attr("y", yScale(bh2y) - 10)
-          .attr("fill", "white")
-          .attr("font-size", "12px")
-          .text(`${mass2.toFixed(1)} M☉`);
+          svg.append("text")
+            .attr("x", xScale(0))
+            .attr("y", yScale(disruptionRadius) - 5)
+            .attr("fill", "#fde047")
+            .attr("font-size", "11px")
+            .attr("text-anchor", "middle")
+            .text("Tidal disruption radius");
+        }
         
-        // Add merger state
-        let mergerState = "Early inspiral";
-        if (separation < 15) mergerState = "Late inspiral";
-        if (separation < 10) mergerState = "Merger imminent";
-        if (separation < 7) mergerState = "Merger";
+        // The body, stretched along the fall and squeezed across it
+        svg.append("ellipse")
+          .attr("cx", xScale(r))
+          .attr("cy", yScale(0))
+          .attr("rx", TIDAL_BODY_RADIUS * radial * scale)
+          .attr("ry", TIDAL_BODY_RADIUS * transverse * scale)
+          .attr("fill", disrupted ? "#f97316" : "#fde047")
+          .attr("opacity", 0.2);
         
-        svg.append("text")
-          .attr("x", xScale(-40))
-          .attr("y", yScale(-40))
-          .attr("fill", "white")
-          .attr("font-size", "14px")
-          .attr("font-weight", "bold")
-          .text(`Merger state: ${mergerState}`);
-          
-        svg.append("text")
-          .attr("x", xScale(-40))
-          .attr("y", yScale(-35))
-          .attr("fill", "white")
-          .attr("font-size", "12px")
-          .text(`Separation: ${separation.toFixed(1)} units`);
+        TIDAL_BODY_OFFSETS.forEach(offset => {
+          svg.append("circle")
+            .attr("cx", xScale(r + offset.x * radial))
+            .attr("cy", yScale(offset.y * transverse))
+            .attr("r", 2)
+            .attr("fill", disrupted ? "#f97316" : "#fde047");
+        });
         
-        // Reset simulation if merger complete
-        if (separation <= 5 && simulationRunning) {
-          setFrameTime(0);
-        } else if (simulationRunning) {
-          setFrameTime(prev => prev + 0.1);
-        }
+        // Readout
+        [
+          `r = ${(r / M).toFixed(1)}M${r < horizonRadius ? ' (inside the horizon)' : ''}`,
+          `Radial stretch ×${radial.toFixed(2)}, transverse compression ×${transverse.toFixed(3)}`,
+          disruptionRadius < 60
+            ? (disrupted ? 'A Sun-like star would now be torn apart' : 'A Sun-like star would still hold together')
+            : `A Sun-like star is torn apart at ${Math.round(tidalDisruption.disruptionRadius).toLocaleString()}M, far outside this view`
+        ].forEach((line, i) => {
+          svg.append("text")
+            .attr("x", xScale(-55))
+            .attr("y", yScale(-40) + i * 16)
+            .attr("fill", "white")
+            .attr("font-size", "12px")
+            .text(line);
+        });
         
         break;
+      }
     }
-  };
-
-  // Function to render the Singularity Debate View
-  const renderSingularityDebateView = (svg, containerWidth, containerHeight) => {
-    // Clear previous SVG content
-    svg.selectAll("*").remove();
+  }, [extremeObjectType, infallState, mass, merger, mergerMass1, mergerMass2, mergerState, renderTime, rotation, seed, tidalDisruption, tidalState]);
+  
+  // Function to render the Special Relativity (Minkowski diagram) View
+  const renderSpecialRelativityView = useCallback((svg, containerWidth, containerHeight) => {
+    const effects = getSpecialRelativityEffects();
+    const { twin, event, boostedEvent } = effects;
+    const v = specialVelocity;
     
-    // Constants for visualization
-    const centerX = containerWidth / 2;
-    const centerY = containerHeight / 2;
-    const maxRadius = Math.min(containerWidth, containerHeight) / 2.5;
+    // Equal scales on both axes so light rays sit at 45°
+    const xRange = [-12, 12];
+    const tRange = [-2, 20];
+    const scale = Math.min(
+      (containerWidth - 80) / (xRange[1] - xRange[0]),
+      (containerHeight - 60) / (tRange[1] - tRange[0])
+    );
+    const xScale = x => containerWidth / 2 + x * scale;
+    const tScale = t => containerHeight - 30 - (t - tRange[0]) * scale;
+    const line = d3.line().x(d => xScale(d.x)).y(d => tScale(d.t));
     
-    // Draw outer event horizon
-    svg.append("circle")
-      .attr("cx", centerX)
-      .attr("cy", centerY)
-      .attr("r", maxRadius * 0.8)
-      .attr("fill", "none")
-      .attr("stroke", "#444")
-      .attr("stroke-width", 2);
+    // Clip everything to the diagram area
+    svg.append("defs")
+      .append("clipPath")
+      .attr("id", "minkowskiClip")
+      .append("rect")
+      .attr("x", xScale(xRange[0]))
+      .attr("y", tScale(tRange[1]))
+      .attr("width", (xRange[1] - xRange[0]) * scale)
+      .attr("height", (tRange[1] - tRange[0]) * scale);
+    
+    const diagram = svg.append("g").attr("clip-path", "url(#minkowskiClip)");
+    
+    // Lines of constant t' and x' in the boosted frame
+    const gamma = effects.lorentzFactor;
+    for (let k = -30; k <= 30; k += 2) {
+      // t' = k: t = k/γ + v x
+      diagram.append("path")
+        .datum([{ x: -40, t: k / gamma - 40 * v }, { x: 40, t: k / gamma + 40 * v }])
+        .attr("d", line)
+        .attr("stroke", "#2196F3")
+        .attr("stroke-width", 0.5)
+        .attr("opacity", 0.25);
       
-    // Draw inner event horizon (for Kerr black hole)
-    svg.append("circle")
-      .attr("cx", centerX)
-      .attr("cy", centerY)
-      .attr("r", maxRadius * 0.5)
+      // x' = k: x = k/γ + v t
+      diagram.append("path")
+        .datum([{ x: k / gamma - 40 * v, t: -40 }, { x: k / gamma + 40 * v, t: 40 }])
+        .attr("d", line)
+        .attr("stroke", "#2196F3")
+        .attr("stroke-width", 0.5)
+        .attr("opacity", 0.25);
+    }
+    
+    // Lab frame axes
+    diagram.append("path")
+      .datum([{ x: xRange[0], t: 0 }, { x: xRange[1], t: 0 }])
+      .attr("d", line)
+      .attr("stroke", "#aaaaaa")
+      .attr("stroke-width", 1.5);
+    diagram.append("path")
+      .datum([{ x: 0, t: tRange[0] }, { x: 0, t: tRange[1] }])
+      .attr("d", line)
+      .attr("stroke", "#aaaaaa")
+      .attr("stroke-width", 1.5);
+    
+    // Boosted frame axes, sheared towards the light cone
+    diagram.append("path")
+      .datum([{ x: -40, t: -40 * v }, { x: 40, t: 40 * v }])
+      .attr("d", line)
+      .attr("stroke", "#2196F3")
+      .attr("stroke-width", 2);
+    diagram.append("path")
+      .datum([{ x: -40 * v, t: -40 }, { x: 40 * v, t: 40 }])
+      .attr("d", line)
+      .attr("stroke", "#2196F3")
+      .attr("stroke-width", 2);
+    
+    // Light cones through the origin and the movable event
+    [{ x: 0, t: 0 }, event].forEach((apex, i) => {
+      [-1, 1].forEach(direction => {
+        diagram.append("path")
+          .datum([{ x: apex.x - 40 * direction, t: apex.t - 40 }, { x: apex.x + 40 * direction, t: apex.t + 40 }])
+          .attr("d", line)
+          .attr("stroke", "yellow")
+          .attr("stroke-width", 1)
+          .attr("stroke-dasharray", i === 0 ? null : "4,4")
+          .attr("opacity", 0.6);
+      });
+    });
+    
+    // Boosted-frame simultaneity line through the event (t' = const)
+    diagram.append("path")
+      .datum([
+        { x: event.x - 40, t: event.t - 40 * v },
+        { x: event.x + 40, t: event.t + 40 * v }
+      ])
+      .attr("d", line)
+      .attr("stroke", "#ff9800")
+      .attr("stroke-width", 1.5)
+      .attr("stroke-dasharray", "6,3");
+    
+    // Twin worldlines
+    diagram.append("path")
+      .datum([{ x: 0, t: 0 }, twin.reunion])
+      .attr("d", line)
+      .attr("stroke", "#4CAF50")
+      .attr("stroke-width", 3);
+    diagram.append("path")
+      .datum([{ x: 0, t: 0 }, twin.turnaround, twin.reunion])
+      .attr("d", line)
       .attr("fill", "none")
-      .attr("stroke", "#666")
+      .attr("stroke", "#e91e63")
+      .attr("stroke-width", 3);
+    
+    // Tick marks of equal proper time along both worldlines
+    for (let tau = 1; tau < twin.homeProperTime; tau += 1) {
+      diagram.append("circle")
+        .attr("cx", xScale(0))
+        .attr("cy", tScale(tau))
+        .attr("r", 2)
+        .attr("fill", "#4CAF50");
+    }
+    const legTau = twin.travelerProperTime / 2;
+    for (let tau = 1; tau < twin.travelerProperTime; tau += 1) {
+      const leg = tau < legTau ? tau / legTau : 1 + (tau - legTau) / legTau;
+      const point = leg <= 1
+        ? { x: twin.turnaround.x * leg, t: twin.turnaround.t * leg }
+        : {
+          x: twin.turnaround.x * (2 - leg),
+          t: twin.turnaround.t + (twin.reunion.t - twin.turnaround.t) * (leg - 1)
+        };
+      diagram.append("circle")
+        .attr("cx", xScale(point.x))
+        .attr("cy", tScale(point.t))
+        .attr("r", 2)
+        .attr("fill", "#e91e63");
+    }
+    
+    // Convert a pointer position back to diagram coordinates
+    const toDiagram = (sourceEvent) => {
+      const [px, py] = d3.pointer(sourceEvent, svgRef.current);
+      return {
+        x: Math.max(xRange[0], Math.min(xRange[1], (px - containerWidth / 2) / scale)),
+        t: Math.max(tRange[0], Math.min(tRange[1], tRange[0] + (containerHeight - 30 - py) / scale))
+      };
+    };
+    
+    // Draggable turnaround event (kept timelike and inside the diagram)
+    svg.append("circle")
+      .attr("cx", xScale(twin.turnaround.x))
+      .attr("cy", tScale(twin.turnaround.t))
+      .attr("r", 8)
+      .attr("fill", "#e91e63")
+      .attr("stroke", "white")
+      .attr("stroke-width", 1.5)
+      .attr("cursor", "move")
+      .call(d3.drag().on("drag", (e) => {
+        const point = toDiagram(e.sourceEvent);
+        setTwinTurnaround(clampToTimelike({ x: point.x, t: Math.max(0.5, Math.min(tRange[1] / 2, point.t)) }));
+      }));
+    
+    // Draggable event for relative simultaneity
+    svg.append("circle")
+      .attr("cx", xScale(event.x))
+      .attr("cy", tScale(event.t))
+      .attr("r", 7)
+      .attr("fill", "#ff9800")
+      .attr("stroke", "white")
       .attr("stroke-width", 1.5)
-      .attr("stroke-dasharray", "5,5");
+      .attr("cursor", "move")
+      .call(d3.drag().on("drag", (e) => setSimultaneityEvent(toDiagram(e.sourceEvent))));
+    
+    // Labels
+    const label = (x, y, text, color, anchor = "start") => {
+      svg.append("text")
+        .attr("x", x)
+        .attr("y", y)
+        .attr("fill", color)
+        .attr("font-size", "12px")
+        .attr("text-anchor", anchor)
+        .text(text);
+    };
+    
+    label(xScale(0) + 5, tScale(tRange[1]) + 12, "ct", "#aaaaaa");
+    label(xScale(xRange[1]) - 5, tScale(0) - 5, "x", "#aaaaaa", "end");
+    label(xScale(Math.max(xRange[0], Math.min(xRange[1], 18 * v))) + 5, tScale(18), "ct'", "#2196F3");
+    label(xScale(xRange[1]) - 5, tScale(xRange[1] * v) - 5, "x'", "#2196F3", "end");
+    // Proper times are null for a trip outside the light cone
+    const formatTau = (tau, share = 1) => tau === null ? '—' : (tau * share).toFixed(2);
+    label(xScale(twin.turnaround.x) + 12, tScale(twin.turnaround.t), `Turnaround (τ = ${formatTau(twin.travelerProperTime, 0.5)})`, "#e91e63");
+    label(xScale(event.x) + 10, tScale(event.t) + 16, `Event: t' = ${boostedEvent.t.toFixed(2)}, x' = ${boostedEvent.x.toFixed(2)}`, "#ff9800");
+    label(xScale(0) - 8, tScale(twin.reunion.t) - 8, `Reunion: home ${formatTau(twin.homeProperTime)}, traveller ${formatTau(twin.travelerProperTime)}`, "white", "end");
     
-    // Add label for outer event horizon
     svg.append("text")
-      .attr("x", centerX + maxRadius * 0.8 + 10)
-      .attr("y", centerY)
+      .attr("x", 20)
+      .attr("y", 25)
       .attr("fill", "white")
-      .attr("font-size", "12px")
-      .text("Outer Event Horizon");
-      
-    // Add label for inner event horizon
+      .attr("font-size", "14px")
+      .attr("font-weight", "bold")
+      .text(`Minkowski diagram: boost v = ${v.toFixed(2)}c, γ = ${gamma.toFixed(3)}`);
+  }, [getSpecialRelativityEffects, specialVelocity]);
+  
+  // Radial spacetime diagram of a Schwarzschild black hole in the chosen
+  // chart, in units of M. The same worldlines, light cones and movable event
+  // are drawn in every chart; only the coordinates change.
+  const renderSpacetimeDiagram = useCallback((svg, containerWidth, containerHeight) => {
+    const M = 1;
+    const { label: chartLabel, xLabel, yLabel, xRange, yRange, coneSpacing } = DIAGRAM_CHARTS[diagramChart];
+    const scale = Math.min(
+      (containerWidth - 80) / (xRange[1] - xRange[0]),
+      (containerHeight - 80) / (yRange[1] - yRange[0])
+    );
+    const left = (containerWidth - (xRange[1] - xRange[0]) * scale) / 2;
+    const xScale = d3.scaleLinear().domain(xRange).range([left, left + (xRange[1] - xRange[0]) * scale]);
+    const yScale = d3.scaleLinear().domain(yRange).range([containerHeight - 40, containerHeight - 40 - (yRange[1] - yRange[0]) * scale]);
+    
+    // Events are projected into the chart; points the chart cannot place
+    // (t at the horizon) or far outside the diagram break the line
+    const project = event => toChart(diagramChart, M, event);
+    const visible = point => Number.isFinite(point.x) && Number.isFinite(point.y) && Math.abs(point.x) < 1e3 && Math.abs(point.y) < 1e3;
+    const chartLine = d3.line().defined(visible).x(point => xScale(point.x)).y(point => yScale(point.y));
+    const eventLine = events => chartLine(events.map(project));
+    
+    svg.append("defs")
+      .append("clipPath")
+      .attr("id", "spacetimeDiagramClip")
+      .append("rect")
+      .attr("x", xScale(xRange[0]))
+      .attr("y", yScale(yRange[1]))
+      .attr("width", (xRange[1] - xRange[0]) * scale)
+      .attr("height", (yRange[1] - yRange[0]) * scale);
+    
+    const diagram = svg.append("g").attr("clip-path", "url(#spacetimeDiagramClip)");
+    
+    // Inside the horizon, and in the Kruskal diagram the white hole and the
+    // second exterior, which no event reached from outside can see, and
+    // beyond the singularities, which is not part of spacetime
+    if (diagramChart === 'kruskal') {
+      const xs = d3.range(xRange[0], xRange[1] + 0.01, 0.05);
+      const area = (lower, upper) => d3.area().x(x => xScale(x)).y0(x => yScale(lower(x))).y1(x => yScale(upper(x)));
+      [1, -1].forEach(side => {
+        diagram.append("path")
+          .datum(xs)
+          .attr("d", area(x => side * Math.sqrt(1 + x * x), () => side * 100))
+          .attr("fill", "#030712");
+      });
+      diagram.append("path")
+        .datum(xs)
+        .attr("d", area(x => Math.abs(x), x => Math.sqrt(1 + x * x)))
+        .attr("fill", "#7f1d1d")
+        .attr("opacity", 0.35);
+      diagram.append("path")
+        .datum(xs)
+        .attr("d", area(x => -Math.sqrt(1 + x * x), x => -x))
+        .attr("fill", "#374151")
+        .attr("opacity", 0.5);
+      [
+        { x: 0, y: 0.6, text: "Black hole" },
+        { x: 0, y: -0.6, text: "White hole" },
+        { x: -1.7, y: 0.05, text: "Second exterior" },
+        { x: 2.5, y: 0.05, text: "Our exterior" }
+      ].forEach(({ x, y, text }) => {
+        diagram.append("text")
+          .attr("x", xScale(x))
+          .attr("y", yScale(y))
+          .attr("fill", "#9ca3af")
+          .attr("font-size", "11px")
+          .attr("text-anchor", "middle")
+          .text(text);
+      });
+    } else {
+      diagram.append("rect")
+        .attr("x", xScale(0))
+        .attr("y", yScale(yRange[1]))
+        .attr("width", xScale(2 * M) - xScale(0))
+        .attr("height", (yRange[1] - yRange[0]) * scale)
+        .attr("fill", "#7f1d1d")
+        .attr("opacity", 0.35);
+    }
+    
+    // Grid of Schwarzschild coordinates: lines of constant t (grey) and r (blue)
+    DIAGRAM_GRID_TIMES.forEach(t => {
+      constantTimeLines(M, t, DIAGRAM_MAX_RADIUS).forEach(events => {
+        diagram.append("path")
+          .attr("d", eventLine(events))
+          .attr("fill", "none")
+          .attr("stroke", "#6b7280")
+          .attr("stroke-width", 0.75)
+          .attr("opacity", 0.6);
+      });
+    });
+    DIAGRAM_GRID_RADII.forEach(r => {
+      diagram.append("path")
+        .attr("d", eventLine(constantRadiusLine(M, r, ...DIAGRAM_ADVANCED_TIMES, 400)))
+        .attr("fill", "none")
+        .attr("stroke", "#2196F3")
+        .attr("stroke-width", 0.75)
+        .attr("opacity", 0.5);
+    });
+    
+    // Horizon and singularity. In Kruskal coordinates the horizon is the
+    // light ray T = X and the singularity the hyperbola T² − X² = 1; the past
+    // horizon and the white hole's singularity are dashed.
+    const boundary = (points, color, width, dash = null) => {
+      diagram.append("path")
+        .attr("d", chartLine(points))
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", width)
+        .attr("stroke-dasharray", dash);
+    };
+    if (diagramChart === 'kruskal') {
+      const xs = d3.range(xRange[0], xRange[1] + 0.01, 0.05);
+      boundary([{ x: 0, y: 0 }, { x: 10, y: 10 }], "red", 2);
+      boundary([{ x: -10, y: 10 }, { x: 10, y: -10 }], "red", 1, "6,4");
+      boundary([{ x: -10, y: -10 }, { x: 0, y: 0 }], "red", 1, "6,4");
+      boundary(xs.map(x => ({ x, y: Math.sqrt(1 + x * x) })), "#a855f7", 3);
+      boundary(xs.map(x => ({ x, y: -Math.sqrt(1 + x * x) })), "#a855f7", 1.5, "6,4");
+    } else {
+      boundary([{ x: 2 * M, y: yRange[0] }, { x: 2 * M, y: yRange[1] }], "red", 2);
+      boundary([{ x: 0, y: yRange[0] }, { x: 0, y: yRange[1] }], "#a855f7", 3);
+    }
+    
+    // Future light cones, as short wedges between the ingoing and outgoing
+    // radial light rays, on a lattice of points evenly spaced in the chart
+    const drawCone = (group, event, length, color, opacity) => {
+      const apex = project(event);
+      if (!visible(apex)) return;
+      const edges = futureNullDirections(M, event.r).map(({ dr, dv }) => {
+        const end = project({ r: event.r + dr * 1e-4, v: event.v + dv * 1e-4 });
+        const dx = xScale(end.x) - xScale(apex.x);
+        const dy = yScale(end.y) - yScale(apex.y);
+        const norm = Math.hypot(dx, dy) || 1;
+        return [xScale(apex.x) + dx / norm * length, yScale(apex.y) + dy / norm * length];
+      });
+      group.append("path")
+        .attr("d", `M${xScale(apex.x)},${yScale(apex.y)}L${edges[0]}L${edges[1]}Z`)
+        .attr("fill", color)
+        .attr("opacity", opacity);
+    };
+    for (let x = xRange[0] + coneSpacing / 2; x < xRange[1]; x += coneSpacing) {
+      for (let y = yRange[0] + coneSpacing / 2; y < yRange[1]; y += coneSpacing) {
+        const event = fromChart(diagramChart, M, { x, y });
+        if (event && event.r > 0.1) drawCone(diagram, event, 12, "yellow", 0.35);
+      }
+    }
+    
+    // Observer dropped from rest, with ticks of equal proper time
+    diagram.append("path")
+      .attr("d", eventLine(DIAGRAM_INFALL))
+      .attr("fill", "none")
+      .attr("stroke", "#4CAF50")
+      .attr("stroke-width", 2.5);
+    for (let tau = DIAGRAM_TICK_INTERVAL; tau < DIAGRAM_INFALL[DIAGRAM_INFALL.length - 1].tau; tau += DIAGRAM_TICK_INTERVAL) {
+      const tick = project(DIAGRAM_INFALL.find(event => event.tau >= tau));
+      if (!visible(tick)) continue;
+      diagram.append("circle")
+        .attr("cx", xScale(tick.x))
+        .attr("cy", yScale(tick.y))
+        .attr("r", 2.5)
+        .attr("fill", "#4CAF50");
+    }
+    
+    // The movable event, its light cone and both of its radial light rays
+    const event = diagramEventPoint;
+    const rays = radialLightRays(M, event, DIAGRAM_MAX_RADIUS);
+    [rays.ingoing, rays.outgoing].forEach(ray => {
+      diagram.append("path")
+        .attr("d", eventLine(ray))
+        .attr("fill", "none")
+        .attr("stroke", "#ff9800")
+        .attr("stroke-width", 1.5)
+        .attr("stroke-dasharray", "5,3");
+    });
+    drawCone(diagram, event, 30, "#ff9800", 0.4);
+    
+    // Axes
+    svg.append("g")
+      .attr("transform", `translate(0,${yScale(yRange[0])})`)
+      .call(d3.axisBottom(xScale).ticks(6))
+      .attr("color", "#9ca3af");
+    svg.append("g")
+      .attr("transform", `translate(${xScale(xRange[0])},0)`)
+      .call(d3.axisLeft(yScale).ticks(6))
+      .attr("color", "#9ca3af");
+    
+    // Convert a pointer position to an event, keeping the last one where the
+    // chart has no event (beyond the singularity or before v = −∞)
+    const toEvent = (sourceEvent) => {
+      const [px, py] = d3.pointer(sourceEvent, svgRef.current);
+      const dragged = fromChart(diagramChart, M, {
+        x: Math.max(xRange[0], Math.min(xRange[1], xScale.invert(px))),
+        y: Math.max(yRange[0], Math.min(yRange[1], yScale.invert(py)))
+      });
+      if (!dragged || dragged.r < 0.05 || dragged.r > DIAGRAM_MAX_RADIUS) return null;
+      return { x: dragged.r, t: dragged.v - dragged.r };
+    };
+    
+    const eventPoint = project(event);
+    if (visible(eventPoint)) {
+      svg.append("circle")
+        .attr("cx", xScale(eventPoint.x))
+        .attr("cy", yScale(eventPoint.y))
+        .attr("r", 7)
+        .attr("fill", "#ff9800")
+        .attr("stroke", "white")
+        .attr("stroke-width", 1.5)
+        .attr("cursor", "move")
+        .call(d3.drag().on("drag", (e) => {
+          const dragged = toEvent(e.sourceEvent);
+          if (dragged) setDiagramEvent(dragged);
+        }));
+    }
+    
+    // Labels
+    const label = (x, y, text, color, anchor = "start") => {
+      svg.append("text")
+        .attr("x", x)
+        .attr("y", y)
+        .attr("fill", color)
+        .attr("font-size", "12px")
+        .attr("text-anchor", anchor)
+        .text(text);
+    };
+    
+    label(xScale(xRange[1]) - 5, yScale(yRange[0]) - 6, `${xLabel} / M`, "#aaaaaa", "end");
+    label(xScale(xRange[0]) + 6, yScale(yRange[1]) + 14, `${yLabel} / M`, "#aaaaaa");
+    if (diagramChart !== 'kruskal') {
+      label(xScale(2 * M) + 4, yScale(yRange[1]) + 28, "Horizon r = 2M", "red");
+      label(xScale(0) + 4, yScale(yRange[1]) + 42, "Singularity r = 0", "#a855f7");
+    }
+    if (visible(eventPoint)) {
+      label(xScale(eventPoint.x) + 10, yScale(eventPoint.y) + 18, `Event: r = ${event.r.toFixed(2)}M`, "#ff9800");
+    }
+    
     svg.append("text")
-      .attr("x", centerX + maxRadius * 0.5 + 10)
-      .attr("y", centerY + 20)
+      .attr("x", 20)
+      .attr("y", 25)
       .attr("fill", "white")
-      .attr("font-size", "12px")
-      .text("Inner Event Horizon");
+      .attr("font-size", "14px")
+      .attr("font-weight", "bold")
+      .text(`${chartLabel} coordinates: ${diagramChart === 'schwarzschild'
+        ? 'light cones close up at the horizon, where t → ∞'
+        : 'light cones stay open through the horizon'}`);
+  }, [diagramChart, diagramEventPoint]);
+  
+  // Penrose diagram of the chosen hole: each region between horizons squeezed
+  // into a diamond (or half of one), radial light rays at 45° and infinity
+  // brought to the edges. Clicking drops a freely falling observer there.
+  const renderPenroseDiagram = useCallback((svg, containerWidth, containerHeight) => {
+    const { geometry, yRange, worldlines } = penroseDiagram;
+    const xRange = [-2, 2];
+    const scale = Math.min(
+      (containerWidth - 80) / (xRange[1] - xRange[0]),
+      (containerHeight - 100) / (yRange[1] - yRange[0])
+    );
+    const left = (containerWidth - (xRange[1] - xRange[0]) * scale) / 2;
+    const xScale = d3.scaleLinear().domain(xRange).range([left, left + (xRange[1] - xRange[0]) * scale]);
+    const yScale = d3.scaleLinear().domain(yRange).range([containerHeight - 50, containerHeight - 50 - (yRange[1] - yRange[0]) * scale]);
+    const diagramLine = d3.line().x(point => xScale(point.x)).y(point => yScale(point.y));
     
-    // Different visualizations based on view mode
-    if (viewMode === 'penrose') {
-      // Draw Penrose-Hawking singularity (ring for Kerr black hole)
-      const ringPoints = [];
-      for (let angle = 0; angle <= 2 * Math.PI; angle += 0.1) {
-        ringPoints.push({
-          x: centerX + Math.cos(angle) * maxRadius * 0.2,
-          y: centerY + Math.sin(angle) * maxRadius * 0.1 // Elliptical to show perspective
-        });
+    svg.append("defs")
+      .append("clipPath")
+      .attr("id", "penroseDiagramClip")
+      .append("rect")
+      .attr("x", xScale(xRange[0]))
+      .attr("y", yScale(yRange[1]))
+      .attr("width", (xRange[1] - xRange[0]) * scale)
+      .attr("height", (yRange[1] - yRange[0]) * scale);
+    
+    const diagram = svg.append("g").attr("clip-path", "url(#penroseDiagramClip)");
+    const blocks = penroseBlocks(geometry, ...yRange);
+    
+    // Corners of a block's diamond. Inner regions keep the half away from
+    // their r = 0 line, and without an inner horizon the black and white
+    // holes end at the singularity halfway across theirs.
+    const corners = ({ cx, cy }) => ({
+      top: { x: cx, y: cy + 1 },
+      bottom: { x: cx, y: cy - 1 },
+      left: { x: cx - 1, y: cy },
+      right: { x: cx + 1, y: cy }
+    });
+    const outline = (block) => {
+      const { top, bottom, left: leftCorner, right } = corners(block);
+      if (block.kind === 'inner') return block.side > 0 ? [bottom, leftCorner, top] : [bottom, right, top];
+      if (geometry.inner === 0 && block.kind === 'blackHole') return [leftCorner, bottom, right];
+      if (geometry.inner === 0 && block.kind === 'whiteHole') return [leftCorner, top, right];
+      return [top, right, bottom, leftCorner];
+    };
+    
+    // Regions, with lines of constant r across each
+    const { inner, outer } = geometry;
+    const radii = {
+      exterior: [1.1, 1.5, 2, 4].map(k => outer * k),
+      blackHole: [0.2, 0.4, 0.6, 0.8].map(k => inner + (outer - inner) * k),
+      whiteHole: [0.2, 0.4, 0.6, 0.8].map(k => inner + (outer - inner) * k),
+      inner: [0.9, 0.99, 0.999].map(k => inner * k)
+    };
+    blocks.forEach(block => {
+      diagram.append("path")
+        .attr("d", `${diagramLine(outline(block))}Z`)
+        .attr("fill", PENROSE_REGIONS[block.kind].fill)
+        .attr("opacity", 0.45);
+      radii[block.kind].forEach(r => {
+        diagram.append("path")
+          .attr("d", diagramLine(constantRadiusCurve(geometry, block, r)))
+          .attr("fill", "none")
+          .attr("stroke", "#2196F3")
+          .attr("stroke-width", 0.75)
+          .attr("opacity", 0.5);
+      });
+    });
+    
+    // Boundaries: horizons r+ (red) and r− (orange, dashed), null infinity
+    // (blue) and the singularity r = 0 (purple)
+    const edge = (from, to, color, width, dash = null) => {
+      diagram.append("path")
+        .attr("d", diagramLine([from, to]))
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", width)
+        .attr("stroke-dasharray", dash);
+    };
+    const labels = [];
+    blocks.forEach(block => {
+      const { top, bottom, left: leftCorner, right } = corners(block);
+      const [near, far] = block.side > 0 ? [leftCorner, right] : [right, leftCorner];
+      if (block.kind === 'exterior') {
+        edge(near, top, "red", 2);
+        edge(near, bottom, "red", 2);
+        edge(far, top, "#60a5fa", 1.5);
+        edge(far, bottom, "#60a5fa", 1.5);
+        labels.push(
+          { ...far, dx: block.side * 6, text: "i⁰", color: "#60a5fa" },
+          { ...top, dy: -6, text: "i⁺", color: "#60a5fa" },
+          { ...bottom, dy: 14, text: "i⁻", color: "#60a5fa" },
+          { x: (far.x + top.x) / 2, y: (far.y + top.y) / 2, dx: block.side * 8, dy: -4, text: "ℐ⁺", color: "#60a5fa" },
+          { x: (far.x + bottom.x) / 2, y: (far.y + bottom.y) / 2, dx: block.side * 8, dy: 12, text: "ℐ⁻", color: "#60a5fa" }
+        );
+      } else if (block.kind === 'inner') {
+        edge(near, top, "#fb923c", 1.5, "6,4");
+        edge(near, bottom, "#fb923c", 1.5, "6,4");
+        edge(bottom, top, "#a855f7", 3);
+      } else if (geometry.inner === 0) {
+        edge(leftCorner, right, "#a855f7", 3);
       }
-      
-      // Create line generator
-      const lineGenerator = d3.line()
-        .x(d => d.x)
-        .y(d => d.y)
-        .curve(d3.curveCardinalClosed);
-      
-      // Draw ring singularity
-      svg.append("path")
-        .datum(ringPoints)
-        .attr("d", lineGenerator)
+    });
+    
+    // Region names
+    blocks.forEach(block => {
+      const { cx, cy, kind, side } = block;
+      const offset = geometry.inner === 0 ? { blackHole: -0.4, whiteHole: 0.4 }[kind] || 0 : 0;
+      labels.push({
+        x: kind === 'inner' ? cx - side * 0.5 : cx,
+        y: cy + offset,
+        dy: 4,
+        text: PENROSE_REGIONS[kind].label,
+        color: "#d1d5db"
+      });
+    });
+    
+    // Dropped observers, with a dot every PENROSE_TICK_INTERVAL of proper
+    // time; a cross marks where one reaches r = 0
+    worldlines.forEach(({ points, fate, color }) => {
+      diagram.append("path")
+        .attr("d", diagramLine(points))
         .attr("fill", "none")
-        .attr("stroke", "red")
-        .attr("stroke-width", 3);
-        
-      // Add a glow effect to singularity
-      const defs = svg.append("defs");
-      
-      const glow = defs.append("filter")
-        .attr("id", "glow")
-        .attr("x", "-50%")
-        .attr("y", "-50%")
-        .attr("width", "200%")
-        .attr("height", "200%");
-        
-      glow.append("feGaussianBlur")
-        .attr("stdDeviation", "5")
-        .attr("result", "coloredBlur");
-        
-      const feMerge = glow.append("feMerge");
-      feMerge.append("feMergeNode")
-        .attr("in", "coloredBlur");
-      feMerge.append("feMergeNode")
-        .attr("in", "SourceGraphic");
-      
-      // Apply glow to ring
-      svg.select("path")
-        .style("filter", "url(#glow)");
-      
-      // Add label for ring singularity
+        .attr("stroke", color)
+        .attr("stroke-width", 2.5);
+      const lastTau = points[points.length - 1].tau;
+      for (let tau = PENROSE_TICK_INTERVAL; tau < lastTau; tau += PENROSE_TICK_INTERVAL) {
+        const tick = points.find(point => point.tau >= tau);
+        diagram.append("circle")
+          .attr("cx", xScale(tick.x))
+          .attr("cy", yScale(tick.y))
+          .attr("r", 2.5)
+          .attr("fill", color);
+      }
+      diagram.append("circle")
+        .attr("cx", xScale(points[0].x))
+        .attr("cy", yScale(points[0].y))
+        .attr("r", 5)
+        .attr("fill", color)
+        .attr("stroke", "white")
+        .attr("stroke-width", 1.5);
+      if (fate === 'singularity' || fate === 'disc') {
+        const end = points[points.length - 1];
+        labels.push({ ...end, dy: 4, text: "✕", color });
+      }
+    });
+    
+    const label = ({ x, y, dx = 0, dy = 0, text, color }) => {
       svg.append("text")
-        .attr("x", centerX)
-        .attr("y", centerY + maxRadius * 0.2)
-        .attr("fill", "red")
-        .attr("font-size", "14px")
-        .attr("font-weight", "bold")
+        .attr("x", xScale(x) + dx)
+        .attr("y", yScale(y) + dy)
+        .attr("fill", color)
+        .attr("font-size", "12px")
         .attr("text-anchor", "middle")
-        .text("Ring Singularity");
-        
-      // Draw geodesics leading to singularity
-      for (let i = 0; i < 8; i++) {
-        const angle = (i / 8) * 2 * Math.PI;
-        const startX = centerX + Math.cos(angle) * maxRadius * 0.7;
-        const startY = centerY + Math.sin(angle) * maxRadius * 0.7;
-        
-        // Create a curved path to the singularity
-        const path = [];
-        for (let t = 0; t <= 1; t += 0.1) {
-          const pathX = centerX + (startX - centerX) * (1 - t) * (1 - t);
-          const pathY = centerY + (startY - centerY) * (1 - t) * (1 - t);
-          path.push({ x: pathX, y: pathY });
+        .text(text);
+    };
+    labels
+      .filter(({ x, y }) => x >= xRange[0] && x <= xRange[1] && y >= yRange[0] && y <= yRange[1])
+      .forEach(label);
+    
+    // Clicking anywhere inside a region drops a new observer there
+    svg.append("rect")
+      .attr("x", xScale(xRange[0]))
+      .attr("y", yScale(yRange[1]))
+      .attr("width", (xRange[1] - xRange[0]) * scale)
+      .attr("height", (yRange[1] - yRange[0]) * scale)
+      .attr("fill", "transparent")
+      .attr("cursor", "crosshair")
+      .on("click", (event) => {
+        const [px, py] = d3.pointer(event, svgRef.current);
+        const point = { x: xScale.invert(px), y: yScale.invert(py) };
+        if (penroseEventAt(geometry, point)) {
+          setPenroseDrops(drops => [...drops, point].slice(-PENROSE_MAX_WORLDLINES));
         }
-        
-        // Create line generator
-        const pathGenerator = d3.line()
-          .x(d => d.x)
-          .y(d => d.y)
-          .curve(d3.curveBasis);
-        
-        // Draw the path
-        svg.append("path")
-          .datum(path)
-          .attr("d", pathGenerator)
-          .attr("fill", "none")
-          .attr("stroke", "yellow")
-          .attr("stroke-width", 1)
-          .attr("opacity", 0.6);
-      }
+      });
+    
+    const parameterText = {
+      schwarzschild: '',
+      reissnerNordstrom: `, Q = ${geometry.parameter.toFixed(2)}M`,
+      kerr: `, a = ${geometry.parameter.toFixed(2)}M`
+    }[geometry.spacetime];
+    svg.append("text")
+      .attr("x", 20)
+      .attr("y", 25)
+      .attr("fill", "white")
+      .attr("font-size", "14px")
+      .attr("font-weight", "bold")
+      .text(`Penrose diagram: ${PENROSE_SPACETIME_LABELS[geometry.spacetime]}${parameterText}`);
+    svg.append("text")
+      .attr("x", 20)
+      .attr("y", containerHeight - 15)
+      .attr("fill", "#9ca3af")
+      .attr("font-size", "12px")
+      .text("Click inside the diagram to drop a freely falling observer");
+  }, [penroseDiagram]);
+  
+  // Function to render the Singularity Debate View
+  const renderSingularityDebateView = useCallback((svg, containerWidth, containerHeight) => {
+    // Clear previous SVG content
+    svg.selectAll("*").remove();
+    
+    // The traditional view is the computed Penrose diagram; the alternative
+    // keeps its sketch of a hole without a singularity
+    if (viewMode === 'penrose') {
+      renderPenroseDiagram(svg, containerWidth, containerHeight);
+    } else if (viewMode === 'kerr') {
+      // Constants for visualization
+      const centerX = containerWidth / 2;
+      const centerY = containerHeight / 2;
+      const maxRadius = Math.min(containerWidth, containerHeight) / 2.5;
       
-      // Add title
-      svg.append("text")
-        .attr("x", centerX)
-        .attr("y", 30)
-        .attr("fill", "white")
-        .attr("font-size", "18px")
-        .attr("font-weight", "bold")
-        .attr("text-anchor", "middle")
-        .text("Penrose-Hawking Model: Inevitable Singularity");
-        
-      // Add explanation
-      svg.append("text")
-        .attr("x", 20)
-        .attr("y", containerHeight - 70)
-        .attr("fill", "white")
-        .attr("font-size", "14px")
-        .text("All geodesics (paths through spacetime) inevitably terminate at the singularity,");
-        
-      svg.append("text")
-        .attr("x", 20)
-        .attr("y", containerHeight - 50)
-        .attr("fill", "white")
-        .attr("font-size", "14px")
-        .text("where spacetime curvature becomes infinite and physics breaks down.");
-        
-      // Add warning icon
+      // Draw outer event horizon
       svg.append("circle")
         .attr("cx", centerX)
         .attr("cy", centerY)
-        .attr("r", maxRadius * 0.15)
-        .attr("fill", "rgba(255,0,0,0.2)")
-        .attr("stroke", "red")
-        .attr("stroke-width", 1);
-        
+        .attr("r", maxRadius * 0.8)
+        .attr("fill", "none")
+        .attr("stroke", "#444")
+        .attr("stroke-width", 2);
+      
+      // Draw inner event horizon (for Kerr black hole)
+      svg.append("circle")
+        .attr("cx", centerX)
+        .attr("cy", centerY)
+        .attr("r", maxRadius * 0.5)
+        .attr("fill", "none")
+        .attr("stroke", "#666")
+        .attr("stroke-width", 1.5)
+        .attr("stroke-dasharray", "5,5");
+      
+      // Add label for outer event horizon
       svg.append("text")
-        .attr("x", centerX)
-        .attr("y", centerY + 5)
-        .attr("fill", "red")
-        .attr("font-size", "16px")
-        .attr("text-anchor", "middle")
-        .attr("dominant-baseline", "middle")
-        .text("∞");
-        
-    } else if (viewMode === 'kerr') {
+        .attr("x", centerX + maxRadius * 0.8 + 10)
+        .attr("y", centerY)
+        .attr("fill", "white")
+        .attr("font-size", "12px")
+        .text("Outer Event Horizon");
+      
+      // Add label for inner event horizon
+      svg.append("text")
+        .attr("x", centerX + maxRadius * 0.5 + 10)
+        .attr("y", centerY + 20)
+        .attr("fill", "white")
+        .attr("font-size", "12px")
+        .text("Inner Event Horizon");
+      
       // Draw Kerr alternative - non-singular matter distribution
       const ringPoints = [];
       for (let angle = 0; angle <= 2 * Math.PI; angle += 0.1) {
@@ -1705,7 +2772,7 @@ const RelativityVisualizer = () => {
         .attr("font-weight", "bold")
         .attr("text-anchor", "middle")
         .text("Non-singular Matter");
-        
+      
       // Draw geodesics that don't terminate
       for (let i = 0; i < 8; i++) {
         const angle = (i / 8) * 2 * Math.PI;
@@ -1749,7 +2816,7 @@ const RelativityVisualizer = () => {
         .attr("font-weight", "bold")
         .attr("text-anchor", "middle")
         .text("Kerr's Alternative: No True Singularity");
-        
+      
       // Add explanation
       svg.append("text")
         .attr("x", 20)
@@ -1757,7 +2824,7 @@ const RelativityVisualizer = () => {
         .attr("fill", "white")
         .attr("font-size", "14px")
         .text("Geodesics may have finite affine length but don't necessarily encounter");
-        
+      
       svg.append("text")
         .attr("x", 20)
         .attr("y", containerHeight - 50)
@@ -1765,7 +2832,7 @@ const RelativityVisualizer = () => {
         .attr("font-size", "14px")
         .text("infinite curvature. Physics might remain valid throughout the black hole.");
     }
-
+    
     // Render consensus overlay if enabled
     if (showConsensus) {
       // Add semi-transparent overlay
@@ -1893,39 +2960,32 @@ const RelativityVisualizer = () => {
         .attr("x", containerWidth / 2)
         .attr("y", containerHeight - 30)
         .attr("fill", "white")
-        .attr("font-size", "16px")
-        .attr("font-style", "italic")
-        .attr("text-anchor", "middle")
-        .text("This represents an evolving scientific debate between mathematical possibilities");
-    }
-  };
-
-  // Effect to render visualization when parameters change
-  useEffect(() => {
-    if (!svgRef.current || !containerRef.current) return;
-    
-    // Get container dimensions
-    const containerWidth = containerRef.current.clientWidth;
-    const containerHeight = 500;
-    
-    // Clear previous SVG content
-    d3.select(svgRef.current).selectAll("*").remove();
-    
-    // Create new SVG
-    const svg = d3.select(svgRef.current)
-      .attr("width", containerWidth)
-      .attr("height", containerHeight);
+        .attr("font-size", "16px")
+        .attr("font-style", "italic")
+        .attr("text-anchor", "middle")
+        .text("This represents an evolving scientific debate between mathematical possibilities");
+    }
+  }, [renderPenroseDiagram, showConsensus, viewMode]);
+  
+  // Render the appropriate view based on active tab. Renderer-based views
+  // draw onto the canvas when one is given and into the SVG otherwise.
+  const drawView = useCallback((svg, containerWidth, containerHeight, canvas = null) => {
+    const renderer = () => (canvas
+      ? createCanvasRenderer(canvas, containerWidth, containerHeight)
+      : createSvgRenderer(svg));
     
-    // Render the appropriate view based on active tab
     switch (activeTab) {
       case 'spacetime':
         renderSpacetimeView(svg, containerWidth, containerHeight);
         break;
+      case 'special':
+        renderSpecialRelativityView(svg, containerWidth, containerHeight);
+        break;
       case 'particles':
-        renderParticleView(svg, containerWidth, containerHeight);
+        renderParticleView(renderer(), containerWidth, containerHeight);
         break;
       case 'waves':
-        renderGravitationalWaves(svg, containerWidth, containerHeight);
+        renderGravitationalWaves(renderer(), containerWidth, containerHeight);
         break;
       case 'observer':
         renderObserverView(svg, containerWidth, containerHeight);
@@ -1934,51 +2994,107 @@ const RelativityVisualizer = () => {
         renderExtremeObjects(svg, containerWidth, containerHeight);
         break;
       case 'singularity':
-        renderSingularityDebateView(svg, containerWidth, containerHeight);
+        if (viewMode === 'diagram') renderSpacetimeDiagram(svg, containerWidth, containerHeight);
+        else renderSingularityDebateView(svg, containerWidth, containerHeight);
         break;
     }
-    
-    // Set up animation loop if needed
-    if (simulationRunning && 
-        (activeTab === 'particles' || 
-         activeTab === 'waves' || 
-         (activeTab === 'extreme' && extremeObjectType !== 'blackhole'))) {
-      animationRef.current = requestAnimationFrame(() => {
-        // Force re-render
-        setFrameTime(prev => prev + 0.1);
-      });
-    }
-    
-    // Cleanup
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    };
   }, [
     activeTab,
-    mass,
-    rotation,
-    observer1Position,
-    observer2Position,
-    observer2Angle,
-    viewAngle,
-    activeObserver,
-    showLightPaths,
-    simulationRunning,
-    frameTime,
-    particleCount,
-    particleSpeed,
-    waveAmplitude,
-    waveFrequency,
-    extremeObjectType,
-    viewMode,
-    showConsensus
+    renderExtremeObjects,
+    renderGravitationalWaves,
+    renderObserverView,
+    renderParticleView,
+    renderSingularityDebateView,
+    renderSpacetimeDiagram,
+    renderSpacetimeView,
+    renderSpecialRelativityView,
+    viewMode
   ]);
   
+  // The SVG for export and recording. Canvas views are redrawn into a
+  // detached SVG element so exports stay vector graphics.
+  const getExportSvg = useCallback(() => {
+    if (!usingCanvas) return svgRef.current;
+    
+    const width = Number(svgRef.current.getAttribute("width"));
+    const height = Number(svgRef.current.getAttribute("height"));
+    const element = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    const svg = d3.select(element)
+      .attr("width", width)
+      .attr("height", height);
+    drawView(svg, width, height);
+    return element;
+  }, [drawView, usingCanvas]);
+  
+  // Encode the captured frames and download them
+  const encodeRecording = useCallback(({ options, state, frames }) => {
+    const encode = options.format === 'gif' ? encodeFramesAsGif : encodeFramesAsZip;
+    const onProgress = (done, total) => setRecordingStatus({ phase: 'encoding', done, total });
+    
+    encode(frames, { fps: options.fps, scale: options.scale, state, onProgress })
+      .then(blob => {
+        downloadBlob(blob, `relativity-${state.activeTab}.${options.format}`);
+        setRecordingStatus(null);
+      })
+      .catch(error => setRecordingStatus({ error: error.message }));
+  }, []);
+  
+  // Capture the frame just drawn for the recording, then step on to the
+  // next one, or encode the frames once there are enough
+  const captureRecordingFrame = useCallback(() => {
+    const recording = recordingRef.current;
+    recording.frames.push(serializeSvg(getExportSvg()));
+    setRecordingStatus({ phase: 'capturing', done: recording.frames.length, total: recording.options.frameCount });
+    
+    if (recording.frames.length < recording.options.frameCount) {
+      advanceSimulation();
+    } else {
+      recordingRef.current = null;
+      encodeRecording(recording);
+    }
+  }, [advanceSimulation, encodeRecording, getExportSvg]);
+  
+  // Redraw whenever the view or anything it draws changes
+  useEffect(() => {
+    if (!svgRef.current || !containerRef.current) return;
+    
+    // Get container dimensions
+    const containerWidth = containerRef.current.clientWidth;
+    const containerHeight = 500;
+    
+    // Clear previous SVG content
+    d3.select(svgRef.current).selectAll("*").remove();
+    
+    // Create new SVG
+    const svg = d3.select(svgRef.current)
+      .attr("width", containerWidth)
+      .attr("height", containerHeight);
+    
+    drawView(svg, containerWidth, containerHeight, usingCanvas ? canvasRef.current : null);
+    
+    // While recording, capture each frame as soon as it is drawn
+    if (recordingRef.current && !simulationRunning && clockAlpha === 0) {
+      captureRecordingFrame();
+    }
+  }, [drawView, captureRecordingFrame, usingCanvas, simulationRunning, clockAlpha]);
+  
   // Calculate effects for the fact panel
-  const relativisticEffects = calculateRelativisticEffects();
+  const relativisticEffects = getRelativisticEffects();
   const facts = generateFacts(relativisticEffects);
+  const specialFacts = generateFacts(getSpecialRelativityEffects());
+  
+  // Summarize the light-path geodesics for the spacetime fact panel
+  const lightPathSummary = (() => {
+    if (lightPaths.length === 0) return null;
+    const capturedCount = lightPaths.filter(path => path.captured).length;
+    const escaping = lightPaths.filter(path => path.deflectionAngle !== null);
+    const unresolvedCount = lightPaths.length - capturedCount - escaping.length;
+    const maxDeflection = d3.max(escaping, path => path.deflectionAngle) || 0;
+    const unresolved = unresolvedCount > 0
+      ? ` ${unresolvedCount} more still circle the photon sphere when the integration stops, so they have no deflection yet.`
+      : '';
+    return `${capturedCount} of ${lightPaths.length} photons are captured (impact parameter below ${criticalImpactParameter(mass * SCALE_FACTOR).toFixed(2)} units); the strongest escaping ray is deflected by ${(maxDeflection * 180 / Math.PI).toFixed(1)}°.${unresolved}`;
+  })();
   
   // Tab content for different visualizations
   const tabContent = {
@@ -1988,6 +3104,9 @@ const RelativityVisualizer = () => {
           <h3 className="text-lg font-bold flex items-center">
             <Users size={20} className="mr-2" />
             Observer {activeObserver === 1 ? "1" : "2"} Facts
+            {physicsMode === 'toy' && (
+              <span className="ml-2 text-xs font-normal bg-orange-700 px-2 py-0.5 rounded">Visual exaggeration</span>
+            )}
           </h3>
           <button 
             className="flex items-center text-xs bg-gray-700 px-2 py-1 rounded hover:bg-gray-600"
@@ -2024,6 +3143,70 @@ const RelativityVisualizer = () => {
             <RotateCcw size={16} className="mt-1 mr-2 flex-shrink-0 text-green-300" />
             <p className="text-sm">{facts.properDistanceFact}</p>
           </div>
+          {lightPathSummary && (
+            <div className="flex items-start">
+              <Zap size={16} className="mt-1 mr-2 flex-shrink-0 text-yellow-300" />
+              <p className="text-sm">{lightPathSummary}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    ),
+    
+    special: (
+      <div className="mt-4 p-4 bg-gray-800 text-white rounded-lg">
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-lg font-bold flex items-center">
+            <Gauge size={20} className="mr-2" />
+            Special Relativity Facts
+          </h3>
+          <button 
+            className="flex items-center text-xs bg-gray-700 px-2 py-1 rounded hover:bg-gray-600"
+            onClick={() => {
+              setTwinTurnaround({ x: 6, t: 8 });
+              setSimultaneityEvent({ x: 6, t: 0 });
+            }}
+          >
+            Reset Events
+          </button>
+        </div>
+        
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="flex items-start">
+            <Clock size={16} className="mt-1 mr-2 flex-shrink-0 text-blue-300" />
+            <p className="text-sm">{specialFacts.gammaFact}</p>
+          </div>
+          <div className="flex items-start">
+            <RotateCcw size={16} className="mt-1 mr-2 flex-shrink-0 text-green-300" />
+            <p className="text-sm">{specialFacts.lengthContractionFact}</p>
+          </div>
+          <div className="flex items-start">
+            <Zap size={16} className="mt-1 mr-2 flex-shrink-0 text-yellow-300" />
+            <p className="text-sm">{specialFacts.simultaneityFact}</p>
+          </div>
+          <div className="flex items-start">
+            <Zap size={16} className="mt-1 mr-2 flex-shrink-0 text-yellow-300" />
+            <p className="text-sm">{specialFacts.causalityFact}</p>
+          </div>
+          <div className="flex items-start">
+            <Users size={16} className="mt-1 mr-2 flex-shrink-0 text-pink-300" />
+            <p className="text-sm">{specialFacts.twinFact}</p>
+          </div>
+          <div className="flex items-start">
+            <Users size={16} className="mt-1 mr-2 flex-shrink-0 text-pink-300" />
+            <p className="text-sm">{specialFacts.twinSpeedFact}</p>
+          </div>
+        </div>
+        
+        <div className="mt-4">
+          <h4 className="text-md font-medium mb-2 text-gray-200">What You're Seeing:</h4>
+          <ul className="text-sm list-disc ml-5 space-y-1 text-gray-200">
+            <li>Grey axes belong to the lab frame; blue axes and grid belong to a frame moving at the boost velocity</li>
+            <li>Yellow lines are light rays: every observer measures them at 45°, so the boosted axes shear towards them</li>
+            <li>The dashed orange line joins events the boosted observer calls simultaneous with the orange event</li>
+            <li>Drag the pink turnaround event to change the trip; dots mark equal ticks of each twin's clock</li>
+            <li>The travelling twin's bent worldline is shorter in proper time, so they come home younger</li>
+          </ul>
         </div>
       </div>
     ),
@@ -2035,12 +3218,7 @@ const RelativityVisualizer = () => {
             <Orbit size={20} className="mr-2" />
             Particle Simulation Controls
           </h3>
-          <button 
-            className={`flex items-center text-xs px-3 py-1 rounded ${simulationRunning ? 'bg-red-700 hover:bg-red-600' : 'bg-green-700 hover:bg-green-600'}`}
-            onClick={() => setSimulationRunning(!simulationRunning)}
-          >
-            {simulationRunning ? 'Pause' : 'Start'} Simulation
-          </button>
+          {simulationControls}
         </div>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -2051,38 +3229,103 @@ const RelativityVisualizer = () => {
             <input
               type="range"
               min="10"
-              max="200"
+              max="5000"
               step="10"
               value={particleCount}
-              onChange={(e) => {
-                setParticleCount(Number(e.target.value));
-                particlesRef.current = []; // Reset particles
-              }}
+              onChange={(e) => setParticleCount(Number(e.target.value))}
               className="w-full accent-blue-500"
             />
             <div className="text-right text-sm text-gray-200">{particleCount} particles</div>
+            {particleError && <div className="text-sm text-red-300">{particleError}</div>}
           </div>
           
           <div>
             <label className="block text-sm font-medium mb-1 text-gray-200">
-              Particle Speed
+              Orbital Speed
             </label>
             <input
               type="range"
-              min="0.1"
-              max="0.5"
+              min="0.5"
+              max="1.3"
               step="0.05"
               value={particleSpeed}
-              onChange={(e) => {
-                setParticleSpeed(Number(e.target.value));
-                particlesRef.current = []; // Reset particles
-              }}
+              onChange={(e) => setParticleSpeed(Number(e.target.value))}
               className="w-full accent-blue-500"
             />
-            <div className="text-right text-sm text-gray-200">{particleSpeed * 100}% of c</div>
+            <div className="text-right text-sm text-gray-200">{Math.round(particleSpeed * 100)}% of circular orbit speed</div>
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium mb-1 text-gray-200">
+              Integrator
+            </label>
+            <select
+              value={particleIntegrator}
+              onChange={(e) => setParticleIntegrator(e.target.value)}
+              className="w-full bg-gray-700 text-white rounded py-1 px-2"
+            >
+              {PARTICLE_INTEGRATORS.map(integrator => (
+                <option key={integrator} value={integrator}>{INTEGRATOR_LABELS[integrator]}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-400 mt-1">
+              Fixed-step methods take one step of {SIMULATION_TIME_STEPS.particles} per tick, so their error shows up on screen.
+              Euler orbits spiral outward, leapfrog drifts far more slowly, and RK4 and RK45 are accurate at this step size.
+              The geodesic equations here are not separable and advance in coordinate time, so leapfrog is not symplectic and its drift is not guaranteed to stay bounded.
+            </p>
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium mb-1 text-gray-200">
+              Conservation Drift (relative)
+            </label>
+            <DriftPlot history={driftHistory} />
+          </div>
+          
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium mb-1 text-gray-200">
+              Effective Potential of the Selected Particle
+            </label>
+            {selectedParticleState ? (
+              <EffectivePotentialPlot
+                M={mass * SCALE_FACTOR}
+                a={rotation * mass * SCALE_FACTOR}
+                particle={selectedParticleState}
+              />
+            ) : (
+              <div className="text-sm text-gray-400">Waiting for the simulation…</div>
+            )}
+            <p className="text-xs text-gray-400 mt-1">
+              Click a particle to select it. It can only move where its energy level lies above the curve, so between two
+              turning points it stays bound and beyond the last one it escapes or plunges. The relativistic barrier has a
+              finite height near the photon orbit, so unlike the Newtonian one it cannot turn back every infalling particle.
+            </p>
+          </div>
+          
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium mb-1 text-gray-200">
+              Periapsis Precession
+            </label>
+            {selectedParticleState && (
+              <PrecessionReadout
+                M={mass * SCALE_FACTOR}
+                a={rotation * mass * SCALE_FACTOR}
+                particle={selectedParticleState}
+                orbit={precessionOrbit}
+                onOrbitChange={setPrecessionOrbit}
+              />
+            )}
           </div>
         </div>
         
+        <div className="mt-3 text-sm text-gray-200">
+          {launchDrag
+            ? (launchPreview
+              ? `Launch at ${Math.round(Math.min(0.99, Math.hypot(launchDrag.end.x - launchDrag.start.x, launchDrag.end.y - launchDrag.start.y) * LAUNCH_SPEED_PER_UNIT) * 100)}% of c: ${LAUNCH_OUTCOMES[launchPreview.outcome].label}`
+              : 'Nothing can be launched inside the horizon')
+            : 'Click on the view to place a test particle and drag to set its velocity; the dashed line previews its path'}
+        </div>
+        
         <div className="mt-4">
           <h4 className="text-md font-medium mb-2 text-gray-200">What You're Seeing:</h4>
           <p className="text-sm mb-2 text-gray-200">
@@ -2092,7 +3335,9 @@ const RelativityVisualizer = () => {
             <li>The central mass creates a gravitational well that pulls particles inward</li>
             <li>Particles with sufficient tangential velocity can maintain stable orbits</li>
             <li>The event horizon (red circle) is a boundary beyond which escape is impossible</li>
-            <li>Adding rotation creates frame-dragging, pulling particles in the direction of rotation</li>
+            <li>Particles follow Kerr geodesics: inside the green dashed circle (the innermost stable circular orbit) no stable orbit exists</li>
+            <li>Adding rotation creates frame-dragging, pulling particles in the direction of rotation and moving the stable orbits inward</li>
+            <li>Energy and angular momentum are exactly conserved along a geodesic, so any drift in the plot is numerical error. Orbits still precess with zero drift: that precession is real general relativity, while a drifting integrator adds spurious precession and decay on top</li>
           </ul>
         </div>
       </div>
@@ -2105,12 +3350,7 @@ const RelativityVisualizer = () => {
             <Waves size={20} className="mr-2" />
             Gravitational Wave Controls
           </h3>
-          <button 
-            className={`flex items-center text-xs px-3 py-1 rounded ${simulationRunning ? 'bg-red-700 hover:bg-red-600' : 'bg-green-700 hover:bg-green-600'}`}
-            onClick={() => setSimulationRunning(!simulationRunning)}
-          >
-            {simulationRunning ? 'Pause' : 'Start'} Simulation
-          </button>
+          {simulationControls}
         </div>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -2147,6 +3387,87 @@ const RelativityVisualizer = () => {
           </div>
         </div>
         
+        <div className="mt-4">
+          <h4 className="text-md font-medium mb-2 text-gray-200">Inspiral Chirp</h4>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { label: 'Mass 1', value: waveMass1, set: setWaveMass1, min: 1, max: 100, step: 0.1, format: v => `${v.toFixed(1)} M☉` },
+              { label: 'Mass 2', value: waveMass2, set: setWaveMass2, min: 1, max: 100, step: 0.1, format: v => `${v.toFixed(1)} M☉` },
+              { label: 'Distance', value: waveDistance, set: setWaveDistance, min: 10, max: 5000, step: 10, format: v => `${v} Mpc` },
+              { label: 'Inclination', value: waveInclination, set: setWaveInclination, min: 0, max: 180, step: 1, format: v => `${v}°` }
+            ].map(({ label, value, set, min, max, step, format }) => (
+              <div key={label}>
+                <label className="block text-sm font-medium mb-1 text-gray-200">
+                  {label}
+                </label>
+                <input
+                  type="range"
+                  min={min}
+                  max={max}
+                  step={step}
+                  value={value}
+                  onChange={(e) => set(Number(e.target.value))}
+                  className="w-full accent-blue-500"
+                />
+                <div className="text-right text-sm text-gray-200">{format(value)}</div>
+              </div>
+            ))}
+          </div>
+          
+          {chirp && (
+            <div className="mt-2">
+              <StrainPlot waveform={chirp} />
+              <p className="text-xs text-gray-400 mt-1">
+                Chirp mass {chirpMass(waveMass1, waveMass2).toFixed(1)} M☉: the wave frequency sweeps
+                from {chirp.startFrequency.toFixed(0)} Hz to {chirp.endFrequency.toFixed(0)} Hz in the
+                last {chirp.duration.toFixed(2)} s before the innermost stable orbit, where this
+                post-Newtonian inspiral (2PN phase, leading-order amplitude) hands over to the merger.
+                Face-on (0°) the two polarizations are equal and circular; edge-on (90°) h× vanishes.
+              </p>
+            </div>
+          )}
+        </div>
+        
+        {chirp && (
+          <div className="mt-4">
+            <h4 className="text-md font-medium mb-2 text-gray-200">Polarizations and Detector Response</h4>
+            <p className="text-xs text-gray-400 mb-2">
+              A passing wave stretches space one way while squeezing it at right angles. h₊ does so along the axes and h×
+              along the diagonals. An interferometer measures the difference in length of its two arms, which depends on
+              where the source is in its sky.
+            </p>
+            <PolarizationPanel
+              waveform={chirp}
+              time={renderTime}
+              sourceTheta={detectorSourceTheta}
+              sourcePhi={detectorSourcePhi}
+              polarization={detectorPolarization}
+              onSourceThetaChange={setDetectorSourceTheta}
+              onSourcePhiChange={setDetectorSourcePhi}
+              onPolarizationChange={setDetectorPolarization}
+            />
+          </div>
+        )}
+        
+        <div className="mt-4">
+          <h4 className="text-md font-medium mb-2 text-gray-200">Detector Data</h4>
+          <p className="text-xs text-gray-400 mb-2">
+            Load strain from the Gravitational Wave Open Science Center (gwosc.org), such as the 32 s files around GW150914,
+            to compare a real detection with the model chirp for the masses above. Detector noise buries the signal, so the
+            data is whitened (each frequency divided by its noise level) and bandpassed first.
+          </p>
+          <DetectorDataPanel
+            data={detectorData}
+            onDataChange={setDetectorData}
+            m1={waveMass1}
+            m2={waveMass2}
+            bandLow={strainBandLow}
+            bandHigh={strainBandHigh}
+            onBandLowChange={setStrainBandLow}
+            onBandHighChange={setStrainBandHigh}
+          />
+        </div>
+        
         <div className="mt-4">
           <h4 className="text-md font-medium mb-2 text-gray-200">What You're Seeing:</h4>
           <p className="text-sm mb-2 text-gray-200">
@@ -2203,7 +3524,9 @@ const RelativityVisualizer = () => {
           <p className="text-sm text-gray-200">
             When Observer {activeObserver} looks at Observer {activeObserver === 1 ? "2" : "1"}, 
             they see them at a different position than their actual location due to gravitational lensing.
-            Light from the other observer appears redshifted by {Math.abs((relativisticEffects.redshift * 100).toFixed(4))}%.
+            {relativisticEffects.horizonCrossed
+              ? ' An observer inside the event horizon sends no light outward at all.'
+              : ` Light from the other observer appears redshifted by ${Math.abs((relativisticEffects.redshift * 100).toFixed(4))}%.`}
           </p>
         </div>
       </div>
@@ -2217,12 +3540,7 @@ const RelativityVisualizer = () => {
             Extreme Objects
           </h3>
           <div className="flex items-center">
-            <button 
-              className={`flex items-center text-xs px-3 py-1 rounded ${simulationRunning ? 'bg-red-700 hover:bg-red-600' : 'bg-green-700 hover:bg-green-600'} mr-2`}
-              onClick={() => setSimulationRunning(!simulationRunning)}
-            >
-              {simulationRunning ? 'Pause' : 'Start'} Simulation
-            </button>
+            <div className="mr-2">{simulationControls}</div>
             <select
               value={extremeObjectType}
               onChange={(e) => {
@@ -2235,6 +3553,7 @@ const RelativityVisualizer = () => {
               <option value="neutron">Neutron Star</option>
               <option value="kerr">Rotating Black Hole</option>
               <option value="merger">Black Hole Merger</option>
+              <option value="tidal">Tidal Forces</option>
             </select>
           </div>
         </div>
@@ -2244,6 +3563,7 @@ const RelativityVisualizer = () => {
             extremeObjectType === 'blackhole' ? 'Black Holes' :
             extremeObjectType === 'neutron' ? 'Neutron Stars' :
             extremeObjectType === 'kerr' ? 'Rotating Black Holes' :
+            extremeObjectType === 'tidal' ? 'Tidal Forces' :
             'Black Hole Mergers'
           }:</h4>
           
@@ -2259,6 +3579,37 @@ const RelativityVisualizer = () => {
                 <li>Black holes are predicted by Einstein's theory of general relativity</li>
                 <li>First directly imaged in 2019 by the Event Horizon Telescope</li>
               </ul>
+              
+              <h4 className="text-md font-medium mt-4 mb-2 text-gray-200">Falling In: Two Clocks</h4>
+              <p className="text-sm mb-2 text-gray-200">
+                The green observer falls straight in from rest at {INFALL_RELEASE_RADIUS}M. Its own clock (proper time τ) reaches the
+                horizon and the singularity after a finite time, but the Schwarzschild coordinate time t of an observer far away
+                diverges at r = 2M: seen from outside, the infaller slows and fades at the horizon without ever crossing it.
+                The times below read the Mass slider in solar masses.
+              </p>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-2">
+                <div>
+                  <InfallClocksPlot profile={infallProfile} current={infallState} M={mass * SCALE_FACTOR} />
+                </div>
+                
+                <div className="text-sm text-gray-200 space-y-1">
+                  <div className="font-medium">Fall from {INFALL_RELEASE_RADIUS}M for a {infallSolarMasses} M☉ black hole:</div>
+                  <div>
+                    <span className="text-green-400">Proper time</span> to the horizon: {INFALL_HORIZON_TIME.toFixed(1)}M = {formatMillisecondsForMass(INFALL_HORIZON_TIME, infallSolarMasses)}
+                  </div>
+                  <div>
+                    <span className="text-green-400">Proper time</span> to r = 0: {INFALL_SINGULARITY_TIME.toFixed(1)}M = {formatMillisecondsForMass(INFALL_SINGULARITY_TIME, infallSolarMasses)}
+                  </div>
+                  <div>
+                    <span className="text-blue-400">Coordinate time</span> to the horizon: ∞
+                  </div>
+                  <div>
+                    From the horizon to the singularity takes just {(INFALL_SINGULARITY_TIME - INFALL_HORIZON_TIME).toFixed(2)}M
+                    = {formatMillisecondsForMass(INFALL_SINGULARITY_TIME - INFALL_HORIZON_TIME, infallSolarMasses)} of proper time
+                  </div>
+                </div>
+              </div>
             </div>
           )}
           
@@ -2292,26 +3643,231 @@ const RelativityVisualizer = () => {
             </div>
           )}
           
-          {extremeObjectType === 'merger' && (
+          {mergerView && (
             <div>
               <p className="text-sm mb-2 text-gray-200">
                 Black hole mergers are among the most energetic events in the universe, releasing energy as gravitational waves.
+                Spins are dimensionless (χ = a/m) and point along the orbital axis; negative spins are anti-aligned.
               </p>
+              
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-3">
+                {[
+                  { label: 'Mass 1', value: mergerMass1, set: setMergerMass1, min: 1, max: 100, step: 0.1, format: v => `${v.toFixed(1)} M☉` },
+                  { label: 'Mass 2', value: mergerMass2, set: setMergerMass2, min: 1, max: 100, step: 0.1, format: v => `${v.toFixed(1)} M☉` },
+                  { label: 'Spin 1', value: mergerSpin1, set: setMergerSpin1, min: -0.99, max: 0.99, step: 0.01, format: v => `χ = ${v.toFixed(2)}` },
+                  { label: 'Spin 2', value: mergerSpin2, set: setMergerSpin2, min: -0.99, max: 0.99, step: 0.01, format: v => `χ = ${v.toFixed(2)}` }
+                ].map(({ label, value, set, min, max, step, format }) => (
+                  <div key={label}>
+                    <label className="block text-sm font-medium mb-1 text-gray-200">
+                      {label}
+                    </label>
+                    <input
+                      type="range"
+                      min={min}
+                      max={max}
+                      step={step}
+                      value={value}
+                      onChange={(e) => set(Number(e.target.value))}
+                      className="w-full accent-blue-500"
+                    />
+                    <div className="text-right text-sm text-gray-200">{format(value)}</div>
+                  </div>
+                ))}
+              </div>
+              
+              <div className="text-sm text-gray-200 space-y-1 mb-3">
+                <div>
+                  Inspiral from {MERGER_INITIAL_SEPARATION}M apart to touching horizons: {merger.mergerTime.toFixed(0)}M
+                  = {formatMillisecondsForMass(merger.mergerTime, mergerMass1 + mergerMass2)}
+                </div>
+                <div>
+                  Remnant: {(merger.finalMass * (mergerMass1 + mergerMass2)).toFixed(1)} M☉ spinning at a/M = {merger.finalSpin.toFixed(2)}
+                </div>
+                <div className="text-orange-300">
+                  Radiated as gravitational waves: {(merger.radiatedEnergy * 100).toFixed(1)}% of the total mass
+                  = {(merger.radiatedEnergy * (mergerMass1 + mergerMass2)).toFixed(2)} M☉
+                  ≈ {(merger.radiatedEnergy * (mergerMass1 + mergerMass2) * SOLAR_MASS_ENERGY).toExponential(1)} J
+                </div>
+                <div>
+                  Ringdown: {(merger.ringdown.angularFrequency / (2 * Math.PI * (mergerMass1 + mergerMass2) * SOLAR_MASS_TIME)).toFixed(0)} Hz,
+                  damping time {formatMillisecondsForMass(merger.ringdown.dampingTime, mergerMass1 + mergerMass2)}
+                </div>
+              </div>
+              
               <ul className="text-sm list-disc ml-5 space-y-1 text-gray-200">
-                <li>As black holes orbit, they lose energy through gravitational radiation</li>
-                <li>This causes their orbits to decay, bringing them closer together</li>
-                <li>The closer they get, the faster they orbit and the stronger the waves</li>
-                <li>During merger, up to 5% of their mass is converted to gravitational wave energy</li>
+                <li>The orbit shrinks by Peters' quadrupole formula, da/dt = −(64/5) m₁m₂(m₁ + m₂)/a³, so the holes close in ever faster</li>
+                <li>Each ring shows the wave emitted when light left the binary, so the pattern spirals outward as the orbit speeds up</li>
+                <li>Once the horizons touch, the single remnant rings down in its fundamental quasinormal mode, whose frequency and damping depend only on its mass and spin</li>
+                <li>Remnant spin and radiated energy come from fits to numerical relativity (Rezzolla et al. 2008; Barausse, Morozova & Rezzolla 2012); spins aligned with the orbit merge later, radiate more and leave a faster-spinning hole</li>
                 <li>LIGO detected the first black hole merger in 2015, confirming Einstein's prediction</li>
               </ul>
             </div>
           )}
+          
+          {tidalView && (
+            <div>
+              <p className="text-sm mb-2 text-gray-200">
+                A star falls straight in from rest. Gravity pulls harder on its near side than its far side, stretching it along the
+                fall and squeezing it from the sides: the tidal tensor has eigenvalues +2M/r³ along the radius and −M/r³ across it.
+              </p>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-2">
+                <div>
+                  <TidalStretchPlot
+                    profile={tidalProfile}
+                    current={tidalState}
+                    M={mass * SCALE_FACTOR}
+                    horizonRadius={2 * mass * SCALE_FACTOR}
+                    disruptionRadius={tidalDisruption.disruptionRadius * mass * SCALE_FACTOR}
+                  />
+                </div>
+                
+                <div className="text-sm text-gray-200 space-y-1">
+                  <label className="block text-sm font-medium mb-1 text-gray-200">
+                    Compare with
+                  </label>
+                  <select
+                    value={tidalBlackHole}
+                    onChange={(e) => setTidalBlackHole(e.target.value)}
+                    className="w-full bg-gray-700 text-white rounded py-1 px-2"
+                  >
+                    {Object.entries(TIDAL_BLACK_HOLES).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  <div>
+                    Sun-like star torn apart at {tidalDisruption.disruptionRadius < 10
+                      ? tidalDisruption.disruptionRadius.toFixed(2)
+                      : Math.round(tidalDisruption.disruptionRadius).toLocaleString()}M; horizon at 2M
+                  </div>
+                  <div className={tidalDisruption.disruptedOutsideHorizon ? 'text-orange-300' : 'text-blue-300'}>
+                    {tidalDisruption.disruptedOutsideHorizon
+                      ? 'Disrupted outside the horizon: a visible tidal disruption flare'
+                      : 'Swallowed whole: the star crosses the horizon before it is torn apart'}
+                  </div>
+                  <div>
+                    Stretching across a {PERSON_HEIGHT} m person at the horizon: {
+                      (tidalAccelerationAcross(TIDAL_BLACK_HOLES[tidalBlackHole].solarMasses, 2, PERSON_HEIGHT) / STANDARD_GRAVITY).toPrecision(2)
+                    } g
+                  </div>
+                </div>
+              </div>
+              
+              <ul className="text-sm list-disc ml-5 space-y-1 text-gray-200">
+                <li>The stretch factors come from the geodesic deviation equation along the exact Schwarzschild free fall, and do not depend on the body's size</li>
+                <li>Tidal forces fall off as M/r³, so at its horizon (r = 2M) a heavier hole is gentler: the tidal strength there scales as 1/M²</li>
+                <li>Around stellar-mass holes anything is spaghettified long before the horizon; a big enough supermassive hole swallows a star whole</li>
+                <li>The test particles ignore the star's own gravity, which holds it together until it reaches the tidal disruption radius r ≈ R<sub>*</sub>(M/M<sub>*</sub>)<sup>1/3</sup></li>
+              </ul>
+            </div>
+          )}
         </div>
       </div>
     ),
     
-    singularity: (
+    singularity: viewMode === 'diagram' ? (
       <div className="mt-4 bg-gray-800 p-4 rounded-lg text-white">
+        <h3 className="text-lg font-semibold mb-2">
+          Spacetime Diagram: {DIAGRAM_CHARTS[diagramChart].label} Coordinates
+        </h3>
+        <p className="text-sm mb-3 text-gray-200">
+          Time runs up and the radius across. Yellow wedges are future light cones, the green line an observer dropped from
+          rest at r = {DIAGRAM_INFALL_RADIUS}M (a dot every {DIAGRAM_TICK_INTERVAL}M of its proper time), and the thin lines the
+          Schwarzschild grid of constant t and r. Drag the orange event to see where its light can go.
+        </p>
+        
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-3">
+          <div className="p-3 bg-gray-700 rounded-lg text-sm space-y-1">
+            <h4 className="font-medium text-orange-300 mb-1">The event in each chart</h4>
+            {Object.entries(DIAGRAM_CHARTS).map(([key, { label, xLabel, yLabel }]) => {
+              const point = toChart(key, 1, diagramEventPoint);
+              const format = value => (Number.isFinite(value) ? `${value.toFixed(2)}` : '∞');
+              return (
+                <div key={key} className={key === diagramChart ? 'text-white' : 'text-gray-300'}>
+                  {label}: {xLabel} = {format(point.x)}, {yLabel} = {format(point.y)}
+                </div>
+              );
+            })}
+            <div className="text-gray-300">
+              Curvature 48M²/r⁶ = {kretschmannScalar(1, diagramEventPoint.r).toPrecision(3)} / M⁴
+              {diagramEventPoint.r > 2 ? '' : ' (finite at the horizon, infinite only at r = 0)'}
+            </div>
+          </div>
+          
+          <div className={`p-3 rounded-lg text-sm ${diagramEventPoint.r > 2 ? 'bg-blue-900 bg-opacity-30' : 'bg-red-900 bg-opacity-30'}`}>
+            {diagramEventPoint.r > 2
+              ? 'Outside the horizon: the outgoing light ray escapes to infinity, so a distant observer can still hear from this event.'
+              : `Inside the horizon: both light rays, and every worldline, reach r = 0. Even the best-placed observer has at most
+                ${maxProperTimeToSingularity(1, diagramEventPoint.r).toFixed(2)}M of proper time left.`}
+          </div>
+        </div>
+        
+        <ul className="text-sm list-disc ml-5 space-y-1 text-gray-200">
+          <li>Schwarzschild coordinates put the horizon at t = ∞: light cones narrow to a sliver there, and the falling observer's line runs off the top and returns inside, though its clock ticks steadily through</li>
+          <li>Ingoing Eddington–Finkelstein time v − r follows ingoing light, so the horizon is crossed in finite time and the cones tip over smoothly towards r = 0</li>
+          <li>Kruskal–Szekeres coordinates keep every light cone at 45° and show the whole geometry: our exterior, the black hole, and the white hole and second exterior of the eternal solution</li>
+          <li>The curvature stays finite at r = 2M in every chart, so the horizon singularity of Schwarzschild coordinates is an artifact of the coordinates; r = 0 is a true curvature singularity</li>
+        </ul>
+      </div>
+    ) : (
+      <div className="mt-4 bg-gray-800 p-4 rounded-lg text-white">
+        {penroseDiagram && (
+          <div className="mb-4">
+            <h3 className="text-lg font-semibold mb-2">
+              Penrose Diagram: {PENROSE_SPACETIME_LABELS[penroseSpacetime]}
+            </h3>
+            <p className="text-sm mb-3 text-gray-200">
+              Time runs up and radial light rays run at 45°, with the whole of the eternal black hole squeezed into a finite
+              picture. The horizon is at r+ = {penroseDiagram.geometry.outer.toFixed(2)}M
+              {penroseDiagram.geometry.inner > 0 ? ` and the inner horizon at r− = ${penroseDiagram.geometry.inner.toFixed(2)}M` : ''};
+              blue lines are constant r.
+              {penroseSpacetime === 'kerr' && ' The Kerr diagram is drawn along the rotation axis, with the spin set by the Rotation Effect slider.'}
+            </p>
+            
+            {penroseDiagram.worldlines.length === 0 ? (
+              <p className="text-sm mb-3 text-gray-400">Click inside the diagram to drop a freely falling observer.</p>
+            ) : (
+              <div className="space-y-2 mb-3">
+                {penroseDiagram.worldlines.map(({ blocks, fate, points, color }, i) => (
+                  <div key={i} className="p-2 bg-gray-700 rounded text-sm">
+                    <div>
+                      <span style={{ color }}>■</span> Observer {i + 1}: {blocks
+                        .map(({ block, tau }) => `${penroseRegionName(block)} (τ = ${tau.toFixed(1)}M)`)
+                        .join(' → ')}
+                    </div>
+                    <div className="text-gray-300">
+                      {{
+                        singularity: 'Ends at the singularity r = 0',
+                        disc: 'Reaches r = 0 on the axis and passes through the ring into negative r, not drawn',
+                        escaped: 'Escapes to infinity',
+                        continues: 'Carries on beyond the part shown'
+                      }[fate]} after τ = {points[points.length - 1].tau.toFixed(1)}M of proper time
+                    </div>
+                  </div>
+                ))}
+                <button
+                  className="px-3 py-1 rounded-lg bg-gray-600 text-sm"
+                  onClick={() => setPenroseDrops([])}
+                >
+                  Clear Observers
+                </button>
+              </div>
+            )}
+            
+            <ul className="text-sm list-disc ml-5 space-y-1 text-gray-200">
+              <li>Blue edges are null infinity, ℐ⁺ and ℐ⁻, where light rays begin and end; i⁰ is spatial infinity and i⁺ and i⁻ where timelike worldlines begin and end</li>
+              {penroseDiagram.geometry.inner > 0 ? (
+                <>
+                  <li>Past the inner horizon r− the singularity is timelike, a place rather than a moment, and can be avoided: observers bounce and leave through a white hole into another universe, repeated up the diagram without end</li>
+                  <li>The inner horizon is a Cauchy horizon, beyond which the past no longer determines the future. It is unstable to anything falling in after the hole forms, so real charged or rotating holes are not expected to have this tower</li>
+                </>
+              ) : (
+                <li>The singularity is spacelike, a moment in the future of everything inside the horizon rather than a place: every observer who crosses the horizon ends there, which the Penrose–Hawking theorems extend to holes without this symmetry</li>
+              )}
+            </ul>
+          </div>
+        )}
+        
         <h3 className="text-lg font-semibold mb-2">
           Key Differences
         </h3>
@@ -2358,7 +3914,7 @@ const RelativityVisualizer = () => {
       </div>
     )
   };
-
+  
   // Function to render the fact panel based on active tab
   const renderFactPanel = () => {
     return tabContent[activeTab] || null;
@@ -2366,7 +3922,40 @@ const RelativityVisualizer = () => {
   
   return (
     <div className="flex flex-col w-full p-4 bg-gray-800 rounded-lg text-white">
-      <h1 className="text-2xl font-bold mb-4 text-white">Interactive Relativity Theory Visualizer</h1>
+      <div className="flex flex-wrap justify-between items-center mb-4 gap-2">
+        <h1 className="text-2xl font-bold text-white">Interactive Relativity Theory Visualizer</h1>
+        <div className="flex flex-wrap items-center gap-2">
+          <RecordControls
+            onRecord={startRecording}
+            status={recordingStatus}
+            disabled={simulationTimeStep(activeTab, extremeObjectType) === null}
+          />
+          <ExportControls getSvg={getExportSvg} currentState={visualizerState} />
+          <button
+            className="flex items-center text-xs px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+            onClick={copyShareLink}
+            title="Copy a link that reopens this exact view"
+          >
+            <Link size={14} className="mr-1" />
+            {linkCopied ? 'Link Copied' : 'Copy Link'}
+          </button>
+        </div>
+      </div>
+      
+      {linkErrors.length > 0 && (
+        <div className="flex justify-between items-start mb-4 p-2 rounded bg-gray-900 text-xs text-red-300">
+          <ul className="space-y-1">
+            <li>Some settings in this link were ignored:</li>
+            {linkErrors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+          <button
+            className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+            onClick={() => setLinkErrors([])}
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
       
       {/* Tab navigation */}
       <div className="flex flex-wrap border-b border-gray-600 mb-4">
@@ -2377,6 +3966,13 @@ const RelativityVisualizer = () => {
           <Layers size={16} className="inline mr-1" />
           Spacetime Curvature
         </button>
+        <button
+          className={`px-4 py-2 font-medium text-sm rounded-t-lg mr-1 ${activeTab === 'special' ? 'bg-blue-700 text-white' : 'bg-gray-700 text-gray-200 hover:bg-gray-600'}`}
+          onClick={() => setActiveTab('special')}
+        >
+          <Gauge size={16} className="inline mr-1" />
+          Special Relativity
+        </button>
         <button
           className={`px-4 py-2 font-medium text-sm rounded-t-lg mr-1 ${activeTab === 'particles' ? 'bg-blue-700 text-white' : 'bg-gray-700 text-gray-200 hover:bg-gray-600'}`}
           onClick={() => setActiveTab('particles')}
@@ -2425,26 +4021,68 @@ const RelativityVisualizer = () => {
               Traditional View (Penrose/Hawking)
             </button>
             <button 
-              className={`px-4 py-2 text-sm font-medium rounded-r-lg ${viewMode === 'kerr' ? 'bg-blue-700 text-white' : 'bg-gray-700 text-gray-300'}`}
+              className={`px-4 py-2 text-sm font-medium ${viewMode === 'kerr' ? 'bg-blue-700 text-white' : 'bg-gray-700 text-gray-300'}`}
               onClick={() => setViewMode('kerr')}
             >
               Alternative View (Kerr)
             </button>
+            <button 
+              className={`px-4 py-2 text-sm font-medium rounded-r-lg ${viewMode === 'diagram' ? 'bg-blue-700 text-white' : 'bg-gray-700 text-gray-300'}`}
+              onClick={() => setViewMode('diagram')}
+            >
+              Spacetime Diagram
+            </button>
           </div>
           
-          <button
-            className={`px-3 py-1 rounded-lg ${showConsensus ? 'bg-orange-600' : 'bg-gray-600'}`}
-            onClick={() => setShowConsensus(!showConsensus)}
-          >
-            {showConsensus ? 'Hide' : 'Show'} Scientific Consensus
-          </button>
+          {viewMode === 'diagram' ? (
+            <div className="inline-flex rounded-md shadow-sm bg-gray-800" role="group">
+              {Object.entries(DIAGRAM_CHARTS).map(([key, { label }], i, charts) => (
+                <button
+                  key={key}
+                  className={`px-3 py-1 text-sm font-medium ${i === 0 ? 'rounded-l-lg' : ''} ${i === charts.length - 1 ? 'rounded-r-lg' : ''} ${diagramChart === key ? 'bg-orange-600 text-white' : 'bg-gray-600 text-gray-200'}`}
+                  onClick={() => setDiagramChart(key)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <div className="flex space-x-2">
+              {viewMode === 'penrose' && (
+                <div className="inline-flex rounded-md shadow-sm bg-gray-800" role="group">
+                  {Object.entries(PENROSE_SPACETIME_LABELS).map(([key, label], i, spacetimes) => (
+                    <button
+                      key={key}
+                      className={`px-3 py-1 text-sm font-medium ${i === 0 ? 'rounded-l-lg' : ''} ${i === spacetimes.length - 1 ? 'rounded-r-lg' : ''} ${penroseSpacetime === key ? 'bg-orange-600 text-white' : 'bg-gray-600 text-gray-200'}`}
+                      onClick={() => setPenroseSpacetime(key)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <button
+                className={`px-3 py-1 rounded-lg ${showConsensus ? 'bg-orange-600' : 'bg-gray-600'}`}
+                onClick={() => setShowConsensus(!showConsensus)}
+              >
+                {showConsensus ? 'Hide' : 'Show'} Scientific Consensus
+              </button>
+            </div>
+          )}
         </div>
       )}
       
       <div className="flex flex-col md:flex-row">
         <div className="w-full md:w-3/5" ref={containerRef}>
-          <div className="bg-gray-800 rounded-lg p-2 relative">
-            <svg ref={svgRef} className="w-full"></svg>
+          <div
+            className={`bg-gray-800 rounded-lg p-2 relative ${activeTab === 'particles' ? 'cursor-crosshair touch-none' : ''}`}
+            onPointerDown={beginLaunch}
+            onPointerMove={aimLaunch}
+            onPointerUp={finishLaunch}
+            onPointerCancel={() => setLaunchDrag(null)}
+          >
+            <svg ref={svgRef} className={usingCanvas ? 'hidden' : 'w-full'}></svg>
+            <canvas ref={canvasRef} className={usingCanvas ? 'block' : 'hidden'}></canvas>
             
             {/* Camera controls */}
             {(activeTab === 'spacetime' || activeTab === 'particles' || activeTab === 'waves') && (
@@ -2466,6 +4104,8 @@ const RelativityVisualizer = () => {
         <div className="w-full md:w-2/5 p-4 bg-gray-700 rounded-lg shadow md:ml-4 mt-4 md:mt-0 text-white">
           <h2 className="text-lg font-semibold mb-4 text-white">Parameters</h2>
           
+          <PresetLibrary currentState={visualizerState} onApply={applyVisualizerState} />
+          
           <div className="mb-4">
             <label className="block text-sm font-medium mb-1 text-gray-200">
               Mass (1-50 units)
@@ -2481,6 +4121,34 @@ const RelativityVisualizer = () => {
             <div className="text-right text-sm text-gray-200">{mass} units</div>
           </div>
           
+          <div className="mb-4">
+            <label className="block text-sm font-medium mb-1 text-gray-200">
+              Random Seed
+            </label>
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                min="0"
+                max={MAX_SEED}
+                step="1"
+                value={seed}
+                onChange={(e) => {
+                  const value = Math.round(Number(e.target.value));
+                  if (Number.isFinite(value)) setSeed(Math.max(0, Math.min(MAX_SEED, value)));
+                }}
+                className="flex-1 bg-gray-800 text-white rounded py-1 px-2"
+              />
+              <button
+                className="flex items-center px-3 py-1 rounded bg-gray-600 hover:bg-gray-500"
+                onClick={() => setSeed(randomSeed())}
+                title="Pick a new seed"
+              >
+                <Dices size={16} />
+              </button>
+            </div>
+            <div className="text-xs text-gray-400 mt-1">Particle spawns, wave phases and the accretion disk are drawn from this seed</div>
+          </div>
+          
           {/* Show observer position controls only for spacetime tab */}
           {activeTab === 'spacetime' && (
             <>
@@ -2529,9 +4197,61 @@ const RelativityVisualizer = () => {
                 />
                 <div className="text-right text-sm">{observer2Angle}° around central mass</div>
               </div>
+              
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-1">
+                  Physics Mode
+                </label>
+                <select
+                  value={physicsMode}
+                  onChange={(e) => setPhysicsMode(e.target.value)}
+                  className="w-full bg-gray-800 text-white text-sm rounded py-1 px-2"
+                >
+                  <option value="exact">Exact Schwarzschild</option>
+                  <option value="toy">Visual exaggeration (toy model)</option>
+                </select>
+              </div>
             </>
           )}
           
+          {/* Show boost controls only for special relativity tab */}
+          {activeTab === 'special' && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-1">
+                Boost Velocity
+              </label>
+              <input
+                type="range"
+                min="-0.95"
+                max="0.95"
+                step="0.05"
+                value={specialVelocity}
+                onChange={(e) => setSpecialVelocity(Number(e.target.value))}
+                className="w-full"
+              />
+              <div className="text-right text-sm">{specialVelocity.toFixed(2)}c</div>
+            </div>
+          )}
+          
+          {/* Charge of the Reissner–Nordström Penrose diagram */}
+          {activeTab === 'singularity' && viewMode === 'penrose' && penroseSpacetime === 'reissnerNordstrom' && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-1">
+                Charge Q/M
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="0.99"
+                step="0.01"
+                value={penroseCharge}
+                onChange={(e) => setPenroseCharge(Number(e.target.value))}
+                className="w-full"
+              />
+              <div className="text-right text-sm">{penroseCharge.toFixed(2)}</div>
+            </div>
+          )}
+          
           <div className="mb-4">
             <label className="block text-sm font-medium mb-1">
               Rotation Effect
@@ -2548,6 +4268,23 @@ const RelativityVisualizer = () => {
             <div className="text-right text-sm">{rotation.toFixed(1)}</div>
           </div>
           
+          {/* Drawing backend for the animated views */}
+          {RENDERER_VIEWS.includes(activeTab) && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-1">
+                Renderer
+              </label>
+              <select
+                value={renderBackend}
+                onChange={(e) => setRenderBackend(e.target.value)}
+                className="w-full bg-gray-800 text-white text-sm rounded py-1 px-2"
+              >
+                <option value="canvas">Canvas (fast)</option>
+                <option value="svg">SVG</option>
+              </select>
+            </div>
+          )}
+          
           {activeTab === 'spacetime' && (
             <div className="mb-4">
               <label className="flex items-center space-x-2">
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Play, Pause, StepForward } from 'lucide-react';
+import { SPEED_MULTIPLIERS } from '../simulation/clock';
+
+// Play/pause, single-step and speed controls for the shared simulation clock
+const SimulationControls = ({ running, onToggle, onStep, speed, onSpeedChange, disabled = false }) => (
+  <div className="flex items-center space-x-2">
+    <button 
+      className={`flex items-center text-xs px-3 py-1 rounded ${running ? 'bg-red-700 hover:bg-red-600' : 'bg-green-700 hover:bg-green-600'} disabled:opacity-50`}
+      onClick={onToggle}
+      disabled={disabled}
+    >
+      {running ? <Pause size={14} className="mr-1" /> : <Play size={14} className="mr-1" />}
+      {running ? 'Pause' : 'Start'} Simulation
+    </button>
+    <button
+      className="flex items-center text-xs px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+      onClick={onStep}
+      disabled={disabled || running}
+      title="Advance one time step"
+    >
+      <StepForward size={14} />
+    </button>
+    <select
+      value={speed}
+      onChange={(e) => onSpeedChange(Number(e.target.value))}
+      className="bg-gray-700 text-white text-xs rounded py-1 px-1"
+      title="Simulation speed"
+    >
+      {SPEED_MULTIPLIERS.map(multiplier => (
+        <option key={multiplier} value={multiplier}>{multiplier}×</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default SimulationControls;
@@ -0,0 +1,208 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { Volume2, Square } from 'lucide-react';
+
+const WIDTH = 640;
+const HEIGHT = 250;
+const MARGIN = { top: 10, right: 10, bottom: 24, left: 54 };
+
+// The strain panel's share of the plot height; the frequency panel fills the rest
+const STRAIN_SHARE = 0.6;
+const PANEL_GAP = 16;
+
+const SERIES = [
+  { key: 'plus', label: 'h₊', color: "#60a5fa" },
+  { key: 'cross', label: 'h×', color: "#f59e0b" }
+];
+const FREQUENCY_COLOR = "#4CAF50";
+
+// Seconds over which playback fades in, so it starts without a click
+const FADE_IN = 0.05;
+
+// Smallest and largest sample in each pixel column, alternating, so a signal
+// with many cycles per pixel draws as its envelope and a sparse one as a line
+const columnExtremes = (time, values, x) => {
+  const points = [];
+  let column = null;
+  let low = 0;
+  let high = 0;
+  const flush = () => {
+    if (column !== null) points.push([column, low], [column, high]);
+  };
+  for (let i = 0; i < values.length; i++) {
+    const c = Math.round(x(time[i]));
+    if (c !== column) {
+      flush();
+      column = c;
+      low = values[i];
+      high = values[i];
+    } else {
+      low = Math.min(low, values[i]);
+      high = Math.max(high, values[i]);
+    }
+  }
+  flush();
+  return points;
+};
+
+// Strain of an inspiral chirp against time to the end of the inspiral: both
+// polarizations above and the sweeping wave frequency (log scale) below.
+// waveform comes from chirpWaveform. The play button sonifies h₊ at its true
+// frequencies, which for stellar-mass binaries lie in the audible band.
+const StrainPlot = ({ waveform }) => {
+  const svgRef = useRef(null);
+  const audioRef = useRef(null); // AudioContext while the chirp is playing
+  const [playing, setPlaying] = useState(false);
+  
+  const stopAudio = useCallback(() => {
+    if (audioRef.current) audioRef.current.close();
+    audioRef.current = null;
+    setPlaying(false);
+  }, []);
+  
+  // A changed waveform, or leaving the tab, ends playback of the old one
+  useEffect(() => stopAudio, [waveform, stopAudio]);
+  
+  const playAudio = () => {
+    stopAudio();
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    
+    const context = new AudioContext();
+    const { plus, sampleRate } = waveform;
+    const peak = d3.max(plus, Math.abs) || 1;
+    const fadeSamples = FADE_IN * sampleRate;
+    const buffer = context.createBuffer(1, plus.length, sampleRate);
+    buffer.getChannelData(0).set(plus.map((h, i) => 0.8 * Math.min(1, i / fadeSamples) * h / peak));
+    
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.onended = () => {
+      if (audioRef.current === context) stopAudio();
+    };
+    source.start();
+    audioRef.current = context;
+    setPlaying(true);
+  };
+  
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    
+    const { time, frequency, startFrequency, endFrequency } = waveform;
+    const strainBottom = MARGIN.top + (HEIGHT - MARGIN.top - MARGIN.bottom) * STRAIN_SHARE;
+    const peak = d3.max(SERIES, ({ key }) => d3.max(waveform[key], Math.abs)) || 1;
+    
+    const x = d3.scaleLinear()
+      .domain([time[0], 0])
+      .range([MARGIN.left, WIDTH - MARGIN.right]);
+    const y = d3.scaleLinear()
+      .domain([-peak * 1.1, peak * 1.1])
+      .range([strainBottom, MARGIN.top]);
+    const yFrequency = d3.scaleLog()
+      .domain([startFrequency * 0.9, endFrequency * 1.1])
+      .range([HEIGHT - MARGIN.bottom, strainBottom + PANEL_GAP]);
+    
+    svg.append("g")
+      .attr("transform", `translate(0,${HEIGHT - MARGIN.bottom})`)
+      .call(d3.axisBottom(x).ticks(6))
+      .attr("color", "#9ca3af");
+    svg.append("g")
+      .attr("transform", `translate(${MARGIN.left},0)`)
+      .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format(".0e")))
+      .attr("color", "#9ca3af");
+    svg.append("g")
+      .attr("transform", `translate(${MARGIN.left},0)`)
+      .call(d3.axisLeft(yFrequency).ticks(3, "~s"))
+      .attr("color", "#9ca3af");
+    svg.append("text")
+      .attr("x", WIDTH - MARGIN.right)
+      .attr("y", HEIGHT - MARGIN.bottom - 4)
+      .attr("fill", "#9ca3af")
+      .attr("font-size", "10px")
+      .attr("text-anchor", "end")
+      .text("time to merger / s");
+    svg.append("text")
+      .attr("x", MARGIN.left + 4)
+      .attr("y", MARGIN.top + 8)
+      .attr("fill", "#9ca3af")
+      .attr("font-size", "10px")
+      .text("strain");
+    svg.append("text")
+      .attr("x", MARGIN.left + 4)
+      .attr("y", strainBottom + PANEL_GAP + 8)
+      .attr("fill", "#9ca3af")
+      .attr("font-size", "10px")
+      .text("frequency / Hz");
+    
+    // Zero strain
+    svg.append("line")
+      .attr("x1", MARGIN.left)
+      .attr("x2", WIDTH - MARGIN.right)
+      .attr("y1", y(0))
+      .attr("y2", y(0))
+      .attr("stroke", "#4b5563")
+      .attr("stroke-dasharray", "3,3");
+    
+    SERIES.forEach(({ key, color }) => {
+      svg.append("path")
+        .datum(columnExtremes(time, waveform[key], x))
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 1)
+        .attr("opacity", 0.8)
+        .attr("d", d3.line().x(([column]) => column).y(([, value]) => y(value)));
+    });
+    
+    svg.append("path")
+      .datum(columnExtremes(time, frequency, x))
+      .attr("fill", "none")
+      .attr("stroke", FREQUENCY_COLOR)
+      .attr("stroke-width", 2)
+      .attr("d", d3.line().x(([column]) => column).y(([, value]) => yFrequency(value)));
+    
+    // Innermost stable circular orbit, where the inspiral gives way to the merger
+    svg.append("line")
+      .attr("x1", x(0))
+      .attr("x2", x(0))
+      .attr("y1", MARGIN.top)
+      .attr("y2", HEIGHT - MARGIN.bottom)
+      .attr("stroke", "red")
+      .attr("stroke-dasharray", "2,3");
+    svg.append("text")
+      .attr("x", x(0) - 3)
+      .attr("y", HEIGHT - MARGIN.bottom - 16)
+      .attr("fill", "red")
+      .attr("font-size", "9px")
+      .attr("text-anchor", "end")
+      .text(`ISCO ${endFrequency.toFixed(0)} Hz`);
+  }, [waveform]);
+  
+  return (
+    <div>
+      <svg
+        ref={svgRef}
+        width={WIDTH}
+        height={HEIGHT}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="bg-gray-900 rounded max-w-full h-auto"
+      />
+      <div className="flex items-center space-x-4 text-xs text-gray-200 mt-1">
+        {SERIES.map(({ key, label, color }) => (
+          <span key={key}><span style={{ color }}>■</span> {label}</span>
+        ))}
+        <span><span style={{ color: FREQUENCY_COLOR }}>■</span> Wave frequency</span>
+        <button
+          onClick={playing ? stopAudio : playAudio}
+          className="ml-auto flex items-center px-2 py-1 rounded bg-gray-700 hover:bg-gray-600"
+        >
+          {playing ? <Square size={12} className="mr-1" /> : <Volume2 size={12} className="mr-1" />}
+          {playing ? 'Stop' : 'Play chirp'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StrainPlot;
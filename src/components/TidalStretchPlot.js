@@ -0,0 +1,103 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+
+const WIDTH = 320;
+const HEIGHT = 180;
+const MARGIN = { top: 10, right: 10, bottom: 24, left: 44 };
+
+// How a falling body's radial length (stretching) and transverse width
+// (compression) change with radius, on a log scale. profile holds samples
+// { r, radial, transverse } from integrateTidalStretch, current the body's
+// present state, and M, horizonRadius and disruptionRadius share profile's units.
+const TidalStretchPlot = ({ profile, current, M, horizonRadius, disruptionRadius }) => {
+  const svgRef = useRef(null);
+  
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    
+    const releaseRadius = profile[0].r / M;
+    const x = d3.scaleLinear()
+      .domain([0, releaseRadius])
+      .range([MARGIN.left, WIDTH - MARGIN.right]);
+    const y = d3.scaleLog()
+      .domain([d3.min(profile, sample => sample.transverse), d3.max(profile, sample => sample.radial)])
+      .range([HEIGHT - MARGIN.bottom, MARGIN.top])
+      .nice();
+    
+    svg.append("g")
+      .attr("transform", `translate(0,${HEIGHT - MARGIN.bottom})`)
+      .call(d3.axisBottom(x).ticks(6))
+      .attr("color", "#9ca3af");
+    svg.append("g")
+      .attr("transform", `translate(${MARGIN.left},0)`)
+      .call(d3.axisLeft(y).ticks(4, "~g"))
+      .attr("color", "#9ca3af");
+    svg.append("text")
+      .attr("x", WIDTH - MARGIN.right)
+      .attr("y", HEIGHT - MARGIN.bottom - 4)
+      .attr("fill", "#9ca3af")
+      .attr("font-size", "10px")
+      .attr("text-anchor", "end")
+      .text("r / M");
+    
+    // Unstretched size
+    svg.append("line")
+      .attr("x1", MARGIN.left)
+      .attr("x2", WIDTH - MARGIN.right)
+      .attr("y1", y(1))
+      .attr("y2", y(1))
+      .attr("stroke", "#4b5563")
+      .attr("stroke-dasharray", "3,3");
+    
+    // Horizon and, when it is in range, the star's tidal disruption radius
+    [
+      { radius: horizonRadius, color: "red", label: "horizon" },
+      { radius: disruptionRadius, color: "#fde047", label: "disruption" }
+    ].filter(({ radius }) => radius / M <= releaseRadius).forEach(({ radius, color, label }) => {
+      svg.append("line")
+        .attr("x1", x(radius / M))
+        .attr("x2", x(radius / M))
+        .attr("y1", MARGIN.top)
+        .attr("y2", HEIGHT - MARGIN.bottom)
+        .attr("stroke", color)
+        .attr("stroke-dasharray", "2,3");
+      svg.append("text")
+        .attr("x", x(radius / M) + 3)
+        .attr("y", MARGIN.top + 10)
+        .attr("fill", color)
+        .attr("font-size", "9px")
+        .text(label);
+    });
+    
+    [
+      { key: 'radial', color: "#f97316" },
+      { key: 'transverse', color: "#22d3ee" }
+    ].forEach(({ key, color }) => {
+      svg.append("path")
+        .datum(profile)
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 2)
+        .attr("d", d3.line().x(sample => x(sample.r / M)).y(sample => y(sample[key])));
+      svg.append("circle")
+        .attr("cx", x(current.r / M))
+        .attr("cy", y(current[key]))
+        .attr("r", 4)
+        .attr("fill", color)
+        .attr("stroke", "white");
+    });
+  }, [profile, current, M, horizonRadius, disruptionRadius]);
+  
+  return (
+    <div>
+      <svg ref={svgRef} width={WIDTH} height={HEIGHT} className="bg-gray-900 rounded" />
+      <div className="flex space-x-4 text-xs text-gray-200 mt-1">
+        <span><span style={{ color: '#f97316' }}>■</span> Radial stretch ×{current.radial.toFixed(2)}</span>
+        <span><span style={{ color: '#22d3ee' }}>■</span> Transverse compression ×{current.transverse.toFixed(3)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default TidalStretchPlot;
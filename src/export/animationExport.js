@@ -0,0 +1,50 @@
+import { svgToCanvas, canvasToPng, captionForState } from './imageExport';
+import { quantizeFrame, encodeGif } from './gif';
+import { createZip } from './zip';
+
+// Turn recorded SVG frames (from serializeSvg) into a downloadable animation.
+// Frames are rasterized one at a time so only one bitmap is held in memory.
+
+// Animated GIF at the given frame rate; GIF delays are whole hundredths of a second
+export const encodeFramesAsGif = async (frames, { fps, scale = 1, onProgress }) => {
+  const indexedFrames = [];
+  let width = 0;
+  let height = 0;
+  
+  for (let i = 0; i < frames.length; i++) {
+    const canvas = await svgToCanvas(frames[i], scale);
+    width = canvas.width;
+    height = canvas.height;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    indexedFrames.push(quantizeFrame(data));
+    if (onProgress) onProgress(i + 1, frames.length);
+  }
+  
+  return encodeGif(indexedFrames, width, height, Math.max(2, Math.round(100 / fps)));
+};
+
+// ZIP of numbered PNG frames plus an animation.json describing the sequence
+export const encodeFramesAsZip = async (frames, { fps, scale = 1, state, onProgress }) => {
+  const digits = String(frames.length).length;
+  const files = [];
+  
+  for (let i = 0; i < frames.length; i++) {
+    const canvas = await svgToCanvas(frames[i], scale);
+    const name = `frame-${String(i).padStart(digits, '0')}.png`;
+    files.push({ name, data: await canvasToPng(canvas) });
+    if (onProgress) onProgress(i + 1, frames.length);
+  }
+  
+  files.push({
+    name: 'animation.json',
+    data: JSON.stringify({
+      fps,
+      frameCount: frames.length,
+      scale,
+      caption: state ? captionForState(state) : undefined,
+      parameters: state
+    }, null, 2)
+  });
+  
+  return createZip(files);
+};
@@ -0,0 +1,13 @@
+import { crc32 } from './crc32';
+
+const bytes = (text) => Uint8Array.from(text, c => c.charCodeAt(0));
+
+describe('crc32', () => {
+  it.each([
+    ['', 0],
+    ['123456789', 0xcbf43926],
+    ['The quick brown fox jumps over the lazy dog', 0x414fa339]
+  ])('of "%s" is the IEEE check value', (text, expected) => {
+    expect(crc32(bytes(text))).toBe(expected);
+  });
+});
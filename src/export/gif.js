@@ -0,0 +1,139 @@
+// Minimal animated GIF89a encoder. Frames are quantized to a fixed 6×7×6
+// colour cube (252 colours, more levels of green since the eye is most
+// sensitive to it), which suits the visualizer's flat, saturated palette.
+
+const RED_LEVELS = 6;
+const GREEN_LEVELS = 7;
+const BLUE_LEVELS = 6;
+const MAX_CODE_SIZE = 12;
+
+// The shared global colour table, padded to 256 entries
+const buildPalette = () => {
+  const palette = new Uint8Array(256 * 3);
+  let i = 0;
+  for (let r = 0; r < RED_LEVELS; r++) {
+    for (let g = 0; g < GREEN_LEVELS; g++) {
+      for (let b = 0; b < BLUE_LEVELS; b++) {
+        palette[i++] = Math.round(r * 255 / (RED_LEVELS - 1));
+        palette[i++] = Math.round(g * 255 / (GREEN_LEVELS - 1));
+        palette[i++] = Math.round(b * 255 / (BLUE_LEVELS - 1));
+      }
+    }
+  }
+  return palette;
+};
+
+// Map RGBA pixels to palette indices
+export const quantizeFrame = (rgba) => {
+  const indices = new Uint8Array(rgba.length / 4);
+  for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+    const r = Math.round(rgba[i] * (RED_LEVELS - 1) / 255);
+    const g = Math.round(rgba[i + 1] * (GREEN_LEVELS - 1) / 255);
+    const b = Math.round(rgba[i + 2] * (BLUE_LEVELS - 1) / 255);
+    indices[p] = (r * GREEN_LEVELS + g) * BLUE_LEVELS + b;
+  }
+  return indices;
+};
+
+// Variable-length LZW compression of 8-bit indices, as specified for GIF
+const lzwEncode = (indices) => {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  
+  const bytes = [];
+  let buffer = 0;
+  let bufferBits = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let dictionary = new Map();
+  
+  // Write a code, widening the code size once the next free code needs it
+  const emit = (code) => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+    if (nextCode >= (1 << codeSize) && codeSize < MAX_CODE_SIZE) codeSize++;
+  };
+  
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    if (dictionary.has(key)) {
+      prefix = dictionary.get(key);
+      continue;
+    }
+    
+    emit(prefix);
+    if (nextCode < (1 << MAX_CODE_SIZE)) {
+      dictionary.set(key, nextCode++);
+    } else {
+      // Table full: start again with a fresh dictionary
+      emit(clearCode);
+      dictionary = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bufferBits > 0) bytes.push(buffer & 0xff);
+  
+  return { minCodeSize, bytes };
+};
+
+// GIF stores data in sub-blocks of at most 255 bytes, ended by an empty block
+const subBlocks = (bytes) => {
+  const out = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const chunk = bytes.slice(i, i + 255);
+    out.push(chunk.length, ...chunk);
+  }
+  out.push(0);
+  return out;
+};
+
+const uint16 = (value) => [value & 0xff, (value >> 8) & 0xff];
+
+// Encode quantized frames (from quantizeFrame) as a looping animated GIF.
+// delay is the time per frame in hundredths of a second.
+export const encodeGif = (frames, width, height, delay) => {
+  const parts = [];
+  const ascii = (text) => Array.from(text, c => c.charCodeAt(0));
+  
+  // Header and logical screen with a 256-entry global colour table
+  parts.push(new Uint8Array([
+    ...ascii('GIF89a'),
+    ...uint16(width),
+    ...uint16(height),
+    0xf7, 0, 0
+  ]));
+  parts.push(buildPalette());
+  
+  // Loop forever
+  parts.push(new Uint8Array([
+    0x21, 0xff, 0x0b, ...ascii('NETSCAPE2.0'), 0x03, 0x01, ...uint16(0), 0x00
+  ]));
+  
+  frames.forEach(indices => {
+    const { minCodeSize, bytes } = lzwEncode(indices);
+    parts.push(new Uint8Array([
+      // Graphic control extension: frame delay, no transparency
+      0x21, 0xf9, 0x04, 0x04, ...uint16(delay), 0x00, 0x00,
+      // Image descriptor covering the whole screen
+      0x2c, ...uint16(0), ...uint16(0), ...uint16(width), ...uint16(height), 0x00,
+      minCodeSize,
+      ...subBlocks(bytes)
+    ]));
+  });
+  
+  parts.push(new Uint8Array([0x3b]));
+  return new Blob(parts, { type: 'image/gif' });
+};
@@ -0,0 +1,120 @@
+import { encodeGif, quantizeFrame } from './gif';
+
+// jsdom's Blob has no arrayBuffer()
+const blobBytes = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.readAsArrayBuffer(blob);
+});
+
+// Variable-length LZW decoder, as a GIF reader implements it
+const lzwDecode = (minCodeSize, data) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let table;
+  let codeSize;
+  let previous;
+  let bit = 0;
+  
+  const reset = () => {
+    table = Array.from({ length: endCode + 1 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) {
+      code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+    }
+    return code;
+  };
+  
+  reset();
+  for (;;) {
+    const code = read();
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+    
+    let entry;
+    if (previous === null) {
+      entry = table[code];
+    } else {
+      entry = code < table.length ? table[code] : [...table[previous], table[previous][0]];
+      table.push([...table[previous], entry[0]]);
+    }
+    output.push(...entry);
+    previous = code;
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+  }
+  return output;
+};
+
+// Split a GIF into its screen size, frame delays and decoded frames
+const readGif = (bytes) => {
+  const header = String.fromCharCode(...bytes.subarray(0, 6));
+  const width = bytes[6] | (bytes[7] << 8);
+  const height = bytes[8] | (bytes[9] << 8);
+  let offset = 13 + 256 * 3 + 19; // screen descriptor, colour table, loop extension
+  
+  const frames = [];
+  while (bytes[offset] === 0x21) {
+    const delay = bytes[offset + 4] | (bytes[offset + 5] << 8);
+    offset += 8 + 10; // graphic control extension, image descriptor
+    const minCodeSize = bytes[offset++];
+    const data = [];
+    while (bytes[offset] !== 0) {
+      const length = bytes[offset];
+      data.push(...bytes.subarray(offset + 1, offset + 1 + length));
+      offset += length + 1;
+    }
+    offset++;
+    frames.push({ delay, indices: lzwDecode(minCodeSize, data) });
+  }
+  
+  return { header, width, height, frames, trailer: bytes[offset] };
+};
+
+const encode = async (frames, width, height, delay) => (
+  readGif(await blobBytes(encodeGif(frames, width, height, delay)))
+);
+
+describe('quantizeFrame', () => {
+  it('maps colours into the 6×7×6 cube', () => {
+    const rgba = Uint8Array.from([
+      0, 0, 0, 255,
+      255, 255, 255, 255,
+      255, 0, 0, 255,
+      0, 255, 0, 255
+    ]);
+    expect(Array.from(quantizeFrame(rgba))).toEqual([0, 251, 5 * 42, 6 * 6]);
+  });
+});
+
+describe('encodeGif', () => {
+  it('writes a looping GIF89a with one block per frame', async () => {
+    const frames = [new Uint8Array(12).fill(3), new Uint8Array(12).fill(200)];
+    const gif = await encode(frames, 4, 3, 5);
+    expect(gif.header).toBe('GIF89a');
+    expect([gif.width, gif.height]).toEqual([4, 3]);
+    expect(gif.frames.map(frame => frame.delay)).toEqual([5, 5]);
+    expect(gif.frames.map(frame => frame.indices)).toEqual(frames.map(frame => Array.from(frame)));
+    expect(gif.trailer).toBe(0x3b);
+  });
+  
+  it('round-trips frames that widen the codes and refill the table', async () => {
+    // Pseudo-random pixels fill the 4096-entry table several times over
+    let state = 1;
+    const noise = Uint8Array.from({ length: 200 * 200 }, () => {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      return (state >> 16) % 252;
+    });
+    const gradient = Uint8Array.from({ length: 200 * 200 }, (_, i) => Math.floor(i / 200) % 252);
+    const gif = await encode([noise, gradient], 200, 200, 10);
+    expect(gif.frames[0].indices).toEqual(Array.from(noise));
+    expect(gif.frames[1].indices).toEqual(Array.from(gradient));
+  });
+});
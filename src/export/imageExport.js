@@ -0,0 +1,238 @@
+import { crc32 } from './crc32';
+import { TIDAL_BLACK_HOLES } from '../physics/tidal';
+
+// Export the rendered visualization for slides and papers: a standalone SVG
+// (with its defs, gradients and filters) or a PNG rasterized at any scale.
+// Both carry the visualizer parameters as metadata and optionally a caption.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Matches the panel behind the SVG (Tailwind bg-gray-800)
+const BACKGROUND_COLOR = '#1f2937';
+const CAPTION_HEIGHT = 28;
+
+const TAB_LABELS = {
+  spacetime: 'Spacetime curvature',
+  special: 'Special relativity',
+  particles: 'Particle geodesics',
+  waves: 'Gravitational waves',
+  observer: 'Observer view',
+  extreme: 'Extreme objects',
+  singularity: 'Singularity debate'
+};
+
+const OBJECT_LABELS = {
+  blackhole: 'black hole',
+  neutron: 'neutron star',
+  kerr: 'rotating black hole',
+  merger: 'black hole merger',
+  tidal: 'tidal forces'
+};
+
+const SINGULARITY_VIEW_LABELS = {
+  penrose: 'Penrose diagram',
+  kerr: 'alternative view (Kerr)',
+  diagram: 'spacetime diagram'
+};
+
+const DIAGRAM_CHART_LABELS = {
+  schwarzschild: 'Schwarzschild coordinates',
+  eddington: 'Eddington–Finkelstein coordinates',
+  kruskal: 'Kruskal–Szekeres coordinates'
+};
+
+const PENROSE_SPACETIME_LABELS = {
+  schwarzschild: 'Schwarzschild',
+  reissnerNordstrom: 'Reissner–Nordström',
+  kerr: 'Kerr (axis)'
+};
+
+// Label for a key, or the key itself for values added after these tables
+const labelFor = (labels, key) => labels[key] || key;
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+// One-line summary of the parameters that shape the current view
+export const captionForState = (state) => {
+  const parts = [labelFor(TAB_LABELS, state.activeTab)];
+  
+  if (state.activeTab === 'special') {
+    parts.push(`v = ${round(state.specialVelocity)}c`);
+    parts.push(`turnaround (x = ${round(state.twinTurnaround.x)}, t = ${round(state.twinTurnaround.t)})`);
+  } else {
+    if (state.activeTab === 'extreme') parts.push(labelFor(OBJECT_LABELS, state.extremeObjectType));
+    if (state.activeTab === 'singularity') parts.push(labelFor(SINGULARITY_VIEW_LABELS, state.viewMode));
+    parts.push(`mass ${round(state.mass)}`);
+    parts.push(`spin a/M = ${round(state.rotation)}`);
+  }
+  if (state.activeTab === 'spacetime' || state.activeTab === 'observer') {
+    parts.push(`observers at r = ${round(state.observer1Position)}, ${round(state.observer2Position)}`);
+  }
+  if (state.activeTab === 'extreme' && state.extremeObjectType === 'tidal') {
+    parts.push(TIDAL_BLACK_HOLES[state.tidalBlackHole]?.label || state.tidalBlackHole);
+  }
+  if (state.activeTab === 'singularity' && state.viewMode === 'diagram') {
+    parts.push(labelFor(DIAGRAM_CHART_LABELS, state.diagramChart));
+  }
+  if (state.activeTab === 'singularity' && state.viewMode === 'penrose') {
+    parts.push(labelFor(PENROSE_SPACETIME_LABELS, state.penroseSpacetime));
+    if (state.penroseSpacetime === 'reissnerNordstrom') parts.push(`charge Q/M = ${round(state.penroseCharge)}`);
+  }
+  if (state.activeTab === 'particles') {
+    parts.push(`${state.particleCount} particles`);
+  }
+  if (state.activeTab === 'spacetime') {
+    parts.push(state.physicsMode === 'exact' ? 'exact Schwarzschild' : 'visual exaggeration');
+  }
+  parts.push(`t = ${round(state.frameTime, 2)}`);
+  
+  return parts.join(' · ');
+};
+
+// Standalone SVG markup for the live element (the serializer adds the SVG
+// namespace). The clone gets an explicit size and viewBox, a background, the page font and the parameters as <metadata>.
+export const serializeSvg = (svgElement, { state, caption } = {}) => {
+  const width = Number(svgElement.getAttribute('width')) || svgElement.clientWidth;
+  const height = Number(svgElement.getAttribute('height')) || svgElement.clientHeight;
+  const totalHeight = height + (caption ? CAPTION_HEIGHT : 0);
+  
+  const clone = svgElement.cloneNode(true);
+  clone.removeAttribute('class');
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', totalHeight);
+  clone.setAttribute('viewBox', `0 0 ${width} ${totalHeight}`);
+  
+  // Text inherits the page font on screen; a standalone file needs it spelled out
+  const fontFamily = window.getComputedStyle(svgElement).fontFamily;
+  if (fontFamily) clone.setAttribute('font-family', fontFamily);
+  
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', width);
+  background.setAttribute('height', totalHeight);
+  background.setAttribute('fill', BACKGROUND_COLOR);
+  clone.insertBefore(background, clone.firstChild);
+  
+  if (state) {
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = 'Relativity Visualizer';
+    const desc = document.createElementNS(SVG_NS, 'desc');
+    desc.textContent = captionForState(state);
+    const metadata = document.createElementNS(SVG_NS, 'metadata');
+    metadata.textContent = JSON.stringify(state);
+    clone.insertBefore(metadata, clone.firstChild);
+    clone.insertBefore(desc, clone.firstChild);
+    clone.insertBefore(title, clone.firstChild);
+  }
+  
+  if (caption) {
+    const text = document.createElementNS(SVG_NS, 'text');
+    text.setAttribute('x', 10);
+    text.setAttribute('y', height + CAPTION_HEIGHT / 2);
+    text.setAttribute('dominant-baseline', 'middle');
+    text.setAttribute('font-size', '12px');
+    text.setAttribute('fill', '#d1d5db');
+    text.textContent = caption;
+    clone.appendChild(text);
+  }
+  
+  const markup = new XMLSerializer().serializeToString(clone);
+  return {
+    markup: `<?xml version="1.0" encoding="UTF-8"?>\n${markup}`,
+    width,
+    height: totalHeight
+  };
+};
+
+// Encode a PNG iTXt chunk (UTF-8 text, uncompressed)
+const textChunk = (keyword, text) => {
+  const encoder = new TextEncoder();
+  const data = [
+    ...encoder.encode(keyword), 0,  // keyword, null separator
+    0, 0,                           // not compressed
+    0, 0,                           // no language tag, no translated keyword
+    ...encoder.encode(text)
+  ];
+  const typeAndData = new Uint8Array([...encoder.encode('iTXt'), ...data]);
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(typeAndData, 4);
+  view.setUint32(8 + data.length, crc32(typeAndData));
+  return chunk;
+};
+
+// Insert text chunks into a PNG just before its IEND chunk
+export const addPngText = (pngBytes, entries) => {
+  const iendOffset = pngBytes.length - 12;
+  const chunks = Object.entries(entries).map(([keyword, text]) => textChunk(keyword, text));
+  const extra = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  
+  const result = new Uint8Array(pngBytes.length + extra);
+  result.set(pngBytes.subarray(0, iendOffset), 0);
+  let offset = iendOffset;
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  result.set(pngBytes.subarray(iendOffset), offset);
+  return result;
+};
+
+// Draw SVG markup onto a new canvas at the given scale
+export const svgToCanvas = ({ markup, width, height }, scale = 1) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    resolve(canvas);
+  };
+  image.onerror = () => reject(new Error('The SVG could not be rasterized'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+});
+
+// Encode a canvas as PNG bytes with optional text metadata
+export const canvasToPng = (canvas, metadata = {}) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => {
+    if (!blob) {
+      reject(new Error('The browser could not encode the PNG'));
+      return;
+    }
+    blob.arrayBuffer().then(buffer => resolve(addPngText(new Uint8Array(buffer), metadata)), reject);
+  }, 'image/png');
+});
+
+// Rasterize SVG markup to a PNG blob at the given scale
+export const rasterizeSvg = (svg, scale = 2, metadata = {}) => svgToCanvas(svg, scale)
+  .then(canvas => canvasToPng(canvas, metadata))
+  .then(bytes => new Blob([bytes], { type: 'image/png' }));
+
+// Offer a blob as a file download
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Export the SVG element as an .svg file
+export const exportSvg = (svgElement, state, { caption = true, filename } = {}) => {
+  const { markup } = serializeSvg(svgElement, { state, caption: caption ? captionForState(state) : null });
+  downloadBlob(new Blob([markup], { type: 'image/svg+xml' }), filename || `relativity-${state.activeTab}.svg`);
+};
+
+// Export the SVG element as a .png file, scale times its on-screen size
+export const exportPng = (svgElement, state, { caption = true, scale = 2, filename } = {}) => {
+  const captionText = captionForState(state);
+  const svg = serializeSvg(svgElement, { state, caption: caption ? captionText : null });
+  return rasterizeSvg(svg, scale, {
+    Title: 'Relativity Visualizer',
+    Description: captionText,
+    Parameters: JSON.stringify(state)
+  }).then(blob => downloadBlob(blob, filename || `relativity-${state.activeTab}@${scale}x.png`));
+};
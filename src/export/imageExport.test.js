@@ -0,0 +1,110 @@
+import { addPngText, captionForState, serializeSvg } from './imageExport';
+import { crc32 } from './crc32';
+import { DEFAULT_STATE } from '../state/visualizerState';
+
+describe('captionForState', () => {
+  it('summarizes the spacetime view', () => {
+    expect(captionForState({ ...DEFAULT_STATE, frameTime: 1.234 })).toBe(
+      'Spacetime curvature · mass 10 · spin a/M = 0 · observers at r = 30, 20 · exact Schwarzschild · t = 1.23'
+    );
+  });
+  
+  it('describes the boost and turnaround in special relativity', () => {
+    expect(captionForState({ ...DEFAULT_STATE, activeTab: 'special' })).toBe(
+      'Special relativity · v = 0.5c · turnaround (x = 6, t = 8) · t = 0'
+    );
+  });
+  
+  it('names the extreme object', () => {
+    expect(captionForState({ ...DEFAULT_STATE, activeTab: 'extreme', extremeObjectType: 'neutron' }))
+      .toMatch(/^Extreme objects · neutron star · mass 10/);
+  });
+  
+  it('names the tidal view and its black hole', () => {
+    expect(captionForState({ ...DEFAULT_STATE, activeTab: 'extreme', extremeObjectType: 'tidal' }))
+      .toMatch(/^Extreme objects · tidal forces · mass 10 · spin a\/M = 0 · Sgr A\* \(4.3 × 10⁶ M☉\)/);
+  });
+  
+  it('falls back to the raw key for an unlabelled value', () => {
+    expect(captionForState({ ...DEFAULT_STATE, activeTab: 'extreme', extremeObjectType: 'wormhole' }))
+      .toMatch(/^Extreme objects · wormhole · mass 10/);
+  });
+  
+  it('names the spacetime diagram and its coordinates', () => {
+    expect(captionForState({ ...DEFAULT_STATE, activeTab: 'singularity', viewMode: 'diagram', diagramChart: 'kruskal' })).toBe(
+      'Singularity debate · spacetime diagram · mass 10 · spin a/M = 0 · Kruskal–Szekeres coordinates · t = 0'
+    );
+    expect(captionForState({ ...DEFAULT_STATE, activeTab: 'singularity', viewMode: 'kerr' }))
+      .toMatch(/^Singularity debate · alternative view \(Kerr\) · mass 10/);
+  });
+  
+  it('names the Penrose diagram, with the charge of a charged hole', () => {
+    expect(captionForState({ ...DEFAULT_STATE, activeTab: 'singularity' })).toBe(
+      'Singularity debate · Penrose diagram · mass 10 · spin a/M = 0 · Schwarzschild · t = 0'
+    );
+    expect(captionForState({ ...DEFAULT_STATE, activeTab: 'singularity', penroseSpacetime: 'reissnerNordstrom' }))
+      .toContain('Penrose diagram · mass 10 · spin a/M = 0 · Reissner–Nordström · charge Q/M = 0.9');
+  });
+});
+
+describe('serializeSvg', () => {
+  const svgElement = () => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', '200');
+    svg.setAttribute('height', '100');
+    svg.setAttribute('class', 'rounded');
+    svg.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'circle'));
+    return svg;
+  };
+  
+  it('sizes a standalone copy with a background', () => {
+    const { markup, width, height } = serializeSvg(svgElement());
+    expect([width, height]).toEqual([200, 100]);
+    expect(markup).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg /);
+    expect(markup).toContain('viewBox="0 0 200 100"');
+    expect(markup).toContain('<rect width="200" height="100" fill="#1f2937"/>');
+    expect(markup).not.toContain('class=');
+  });
+  
+  it('leaves the live element untouched', () => {
+    const svg = svgElement();
+    serializeSvg(svg, { state: DEFAULT_STATE, caption: 'caption' });
+    expect(svg.childNodes).toHaveLength(1);
+    expect(svg.getAttribute('class')).toBe('rounded');
+  });
+  
+  it('embeds the state and a caption below the image', () => {
+    const { markup, height } = serializeSvg(svgElement(), { state: DEFAULT_STATE, caption: 'A caption' });
+    const parsed = new DOMParser().parseFromString(markup, 'image/svg+xml');
+    expect(height).toBe(128);
+    expect(JSON.parse(parsed.querySelector('metadata').textContent)).toEqual(DEFAULT_STATE);
+    expect(parsed.querySelector('desc').textContent).toBe(captionForState(DEFAULT_STATE));
+    expect(parsed.querySelector('svg > text').textContent).toBe('A caption');
+  });
+});
+
+describe('addPngText', () => {
+  // PNG signature followed by the IEND chunk
+  const emptyPng = Uint8Array.from([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82
+  ]);
+  
+  it('inserts checksummed iTXt chunks before IEND', () => {
+    const png = addPngText(emptyPng, { Title: 'Relativity', Description: 'γ = 2' });
+    const view = new DataView(png.buffer);
+    const decoder = new TextDecoder();
+    
+    const chunks = [];
+    for (let offset = 8; offset < png.length;) {
+      const length = view.getUint32(offset);
+      const typeAndData = png.subarray(offset + 4, offset + 8 + length);
+      expect(view.getUint32(offset + 8 + length)).toBe(crc32(typeAndData));
+      chunks.push({ type: decoder.decode(typeAndData.subarray(0, 4)), data: typeAndData.subarray(4) });
+      offset += 12 + length;
+    }
+    
+    expect(chunks.map(chunk => chunk.type)).toEqual(['iTXt', 'iTXt', 'IEND']);
+    expect(decoder.decode(chunks[1].data).split('\0')).toEqual(['Description', '', '', '', '', 'γ = 2']);
+  });
+});
@@ -0,0 +1,70 @@
+import { crc32 } from './crc32';
+
+// Minimal ZIP writer. Entries are stored uncompressed, which is what PNG
+// frames want anyway since they are already deflated.
+
+// Date and time in MS-DOS format
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Build a ZIP archive from [{ name, data: Uint8Array | string }]
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    const crc = crc32(bytes);
+    
+    // Local file header
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);              // version needed
+    header.setUint16(6, 0x0800, true);          // UTF-8 names
+    header.setUint16(8, 0, true);               // stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, bytes.length, true);   // compressed size
+    header.setUint32(22, bytes.length, true);   // uncompressed size
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);              // extra field length
+    parts.push(new Uint8Array(header.buffer), nameBytes, bytes);
+    
+    // Matching central directory record
+    const record = new DataView(new ArrayBuffer(46));
+    record.setUint32(0, 0x02014b50, true);
+    record.setUint16(4, 20, true);              // version made by
+    record.setUint16(6, 20, true);              // version needed
+    record.setUint16(8, 0x0800, true);
+    record.setUint16(10, 0, true);
+    record.setUint16(12, time, true);
+    record.setUint16(14, date, true);
+    record.setUint32(16, crc, true);
+    record.setUint32(20, bytes.length, true);
+    record.setUint32(24, bytes.length, true);
+    record.setUint16(28, nameBytes.length, true);
+    record.setUint32(42, offset, true);         // local header offset
+    directory.push(new Uint8Array(record.buffer), nameBytes);
+    
+    offset += 30 + nameBytes.length + bytes.length;
+  });
+  
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  
+  // End of central directory
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  
+  return new Blob([...parts, ...directory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};
@@ -0,0 +1,63 @@
+import { createZip } from './zip';
+import { crc32 } from './crc32';
+
+// jsdom's Blob has no arrayBuffer()
+const blobBytes = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.readAsArrayBuffer(blob);
+});
+
+// Read every entry back through the central directory
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let record = view.getUint32(end + 16, true);
+  
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(record, true)).toBe(0x02014b50);
+    const crc = view.getUint32(record + 16, true);
+    const size = view.getUint32(record + 24, true);
+    const nameLength = view.getUint16(record + 28, true);
+    const name = new TextDecoder().decode(bytes.subarray(record + 46, record + 46 + nameLength));
+    const local = view.getUint32(record + 42, true);
+    
+    expect(view.getUint32(local, true)).toBe(0x04034b50);
+    expect(view.getUint32(local + 14, true)).toBe(crc);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    entries.push({ name, crc, data: bytes.subarray(start, start + size) });
+    record += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('createZip', () => {
+  it('stores each file with its name and checksum', async () => {
+    const frame = Uint8Array.from({ length: 300 }, (_, i) => i % 256);
+    const blob = createZip([
+      { name: 'frame-0.png', data: frame },
+      { name: 'animation.json', data: '{"fps":10}' }
+    ], new Date(2024, 5, 15, 12, 30, 10));
+    expect(blob.type).toBe('application/zip');
+    
+    const entries = readZip(await blobBytes(blob));
+    expect(entries.map(entry => entry.name)).toEqual(['frame-0.png', 'animation.json']);
+    expect(entries[0].data).toEqual(frame);
+    expect(entries[0].crc).toBe(crc32(frame));
+    expect(new TextDecoder().decode(entries[1].data)).toBe('{"fps":10}');
+  });
+  
+  it('encodes the modification time in MS-DOS format', async () => {
+    const bytes = await blobBytes(createZip([{ name: 'a', data: 'x' }], new Date(2024, 5, 15, 12, 30, 10)));
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint16(10, true)).toBe((12 << 11) | (30 << 5) | 5);
+    expect(view.getUint16(12, true)).toBe(((2024 - 1980) << 9) | (6 << 5) | 15);
+  });
+  
+  it('writes an empty archive', async () => {
+    expect(readZip(await blobBytes(createZip([])))).toEqual([]);
+  });
+});
@@ -0,0 +1,93 @@
+import { isHdf5, readHdf5Dataset } from './hdf5';
+
+// Strain data from the Gravitational Wave Open Science Center (GWOSC), read
+// from a local file in either of its standard formats:
+//   HDF5  the strain/Strain dataset, with attributes Xstart (GPS start time)
+//         and Xspacing (seconds between samples)
+//   TXT   one strain value per line after '#' header lines, which state the
+//         sample rate ("(4096 Hz sample rate)") and GPS start ("starting GPS
+//         1126259447"); a gzipped .txt.gz is unpacked first. Two columns of
+//         GPS time and strain are accepted too.
+// Resolves to { name, detector, gpsStart, sampleRate, strain }.
+
+// Longer files (such as GWOSC's 4096 s ones) are too slow to filter in the browser
+export const MAX_STRAIN_DURATION = 256;
+
+// Fewest samples worth filtering: a few seconds at GWOSC's lower rate
+const MIN_STRAIN_SAMPLES = 4096 * 4;
+
+// GWOSC file names start with the observatory and detector, e.g. H-H1_GWOSC_4KHZ_R1-1126259447-32.hdf5
+const detectorFromName = (name) => (name.match(/^[A-Z]-([A-Z]\d)_/) || [])[1] || null;
+
+const gunzip = async (buffer) => {
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+};
+
+const readHdf5Strain = async (buffer) => {
+  const { values, attributes } = await readHdf5Dataset(buffer, 'strain/Strain');
+  if (!(attributes.Xspacing > 0)) throw new Error('strain/Strain has no Xspacing attribute giving its sample spacing');
+  return {
+    gpsStart: attributes.Xstart ?? 0,
+    sampleRate: Math.round(1 / attributes.Xspacing),
+    strain: values
+  };
+};
+
+// Strain in the text format, as { detector, gpsStart, sampleRate, strain }
+export const parseGwoscText = (text) => {
+  const lines = text.split(/\r?\n/);
+  const header = lines.filter(line => line.startsWith('#')).join('\n');
+  const rows = lines
+    .filter(line => line.trim() !== '' && !line.startsWith('#'))
+    .map(line => line.trim().split(/[\s,]+/).map(Number));
+  if (rows.length === 0) throw new Error('The text file contains no strain values');
+  if (rows.some(row => row.some(Number.isNaN))) throw new Error('The text file has lines that are not numbers');
+  
+  const detector = (header.match(/strain for ([A-Z]\d)_/) || [])[1] || null;
+  if (rows[0].length >= 2) {
+    // The sample rate comes from the spacing of the first two times
+    if (rows.length < 2) throw new Error('The text file has a time column but only one sample, so its sample rate is unknown');
+    return {
+      detector,
+      gpsStart: rows[0][0],
+      sampleRate: Math.round(1 / (rows[1][0] - rows[0][0])),
+      strain: Float64Array.from(rows, row => row[1])
+    };
+  }
+  
+  const rate = header.match(/([\d.]+)\s*Hz/);
+  if (!rate) throw new Error('The text file header does not state the sample rate, e.g. "(4096 Hz sample rate)"');
+  const start = header.match(/starting GPS\s+([\d.]+)/) || header.match(/GPS\s+([\d.]+)/);
+  return {
+    detector,
+    gpsStart: start ? Number(start[1]) : 0,
+    sampleRate: Number(rate[1]),
+    strain: Float64Array.from(rows, row => row[0])
+  };
+};
+
+// Read a GWOSC strain file chosen by the user
+export const readGwoscFile = async (file) => {
+  let buffer = await file.arrayBuffer();
+  if (/\.gz$/i.test(file.name)) buffer = await gunzip(buffer);
+  const data = isHdf5(buffer)
+    ? await readHdf5Strain(buffer)
+    : parseGwoscText(new TextDecoder().decode(buffer));
+  
+  const { strain, sampleRate } = data;
+  if (!(sampleRate > 0)) throw new Error('The sample rate could not be determined');
+  if (strain.length < MIN_STRAIN_SAMPLES) throw new Error('The file holds too little data to estimate the noise; use at least a few seconds');
+  if (strain.length / sampleRate > MAX_STRAIN_DURATION) {
+    throw new Error(`The file holds ${Math.round(strain.length / sampleRate)} s of data; use one of at most ${MAX_STRAIN_DURATION} s, such as GWOSC's 32 s event files`);
+  }
+  if (strain.some(Number.isNaN)) throw new Error('The data has gaps (NaN samples); choose a stretch without them');
+  
+  return {
+    name: file.name,
+    detector: detectorFromName(file.name) || data.detector || null,
+    gpsStart: data.gpsStart,
+    sampleRate,
+    strain
+  };
+};
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { MAX_STRAIN_DURATION, parseGwoscText, readGwoscFile } from './gwosc';
+
+const fixturePath = name => path.join(__dirname, '__fixtures__', name);
+
+// Enough of a File for readGwoscFile
+const file = (name, bytes) => ({
+  name,
+  arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+});
+
+// A single-column text file of count samples at the given rate
+const textFile = (sampleRate, count) => [
+  `# Gravitational wave strain for H1_GWOSC_4KHZ_R1 (${sampleRate} Hz sample rate)`,
+  '# starting GPS 1126259462 duration 4',
+  ...Array.from({ length: count }, (_, i) => `${(i % 7) - 3}e-22`)
+].join('\n');
+
+describe('parseGwoscText', () => {
+  it('reads the detector, sample rate and GPS start from the header', () => {
+    const { detector, gpsStart, sampleRate, strain } = parseGwoscText(
+      readFileSync(fixturePath('L-L1_GWOSC_4KHZ_R1-1126259446-0.txt'), 'utf8')
+    );
+    expect(detector).toBe('L1');
+    expect(gpsStart).toBe(1126259446);
+    expect(sampleRate).toBe(4096);
+    expect(strain).toHaveLength(64);
+    expect(strain[0]).toBe(-3.2e-22);
+    expect(strain[63]).toBe(3.1e-22);
+  });
+  
+  it('takes the start and sample rate from a GPS time column', () => {
+    const { detector, gpsStart, sampleRate, strain } = parseGwoscText('1126259462.0 1e-21\n1126259462.000244140625 -2e-21\r\n');
+    expect(detector).toBeNull();
+    expect(gpsStart).toBe(1126259462);
+    expect(sampleRate).toBe(4096);
+    expect(Array.from(strain)).toEqual([1e-21, -2e-21]);
+  });
+  
+  it.each([
+    ['no samples', '# starting GPS 1126259462\n', 'The text file contains no strain values'],
+    ['a line that is not a number', '# (4096 Hz sample rate)\n1e-21\nstrain\n', 'The text file has lines that are not numbers'],
+    ['no sample rate', '# starting GPS 1126259462\n1e-21\n', /does not state the sample rate/],
+    ['a time column but one sample', '1126259462 1e-21\n', /only one sample, so its sample rate is unknown/]
+  ])('rejects a file with %s', (name, text, message) => {
+    expect(() => parseGwoscText(text)).toThrow(message);
+  });
+});
+
+describe('readGwoscFile', () => {
+  it('reads the strain, spacing and start time of a GWOSC HDF5 file', async () => {
+    const name = 'H-H1_GWOSC_4KHZ_R1-1126259446-4.hdf5';
+    const data = await readGwoscFile(file(name, readFileSync(fixturePath(name))));
+    expect(data).toMatchObject({ name, detector: 'H1', gpsStart: 1126259446, sampleRate: 4096 });
+    expect(data.strain).toHaveLength(16384);
+    expect(data.strain[1]).toBe(-31 * 1e-23);
+  });
+  
+  it('unpacks a gzipped text file', async () => {
+    const data = await readGwoscFile(file('strain.txt.gz', gzipSync(textFile(4096, 16384))));
+    expect(data).toMatchObject({ name: 'strain.txt.gz', detector: 'H1', gpsStart: 1126259462, sampleRate: 4096 });
+    expect(data.strain).toHaveLength(16384);
+  });
+  
+  it('rejects too little data to estimate the noise', async () => {
+    const name = 'L-L1_GWOSC_4KHZ_R1-1126259446-0.txt';
+    await expect(readGwoscFile(file(name, readFileSync(fixturePath(name))))).rejects.toThrow(/too little data/);
+  });
+  
+  it(`rejects files longer than ${MAX_STRAIN_DURATION} s`, async () => {
+    const longest = Buffer.from(textFile(64, 64 * MAX_STRAIN_DURATION));
+    await expect(readGwoscFile(file('strain.txt', longest))).resolves.toMatchObject({ sampleRate: 64 });
+    const tooLong = Buffer.from(textFile(64, 64 * (MAX_STRAIN_DURATION + 1)));
+    await expect(readGwoscFile(file('strain.txt', tooLong))).rejects.toThrow(`The file holds ${MAX_STRAIN_DURATION + 1} s of data`);
+  });
+});
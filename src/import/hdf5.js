@@ -0,0 +1,506 @@
+// Minimal HDF5 reader: enough of the format to read numeric datasets and their
+// numeric attributes from files written with the HDF5 library's defaults, as
+// h5py writes them and GWOSC strain files are. It understands superblock
+// versions 0–3, object header versions 1 and 2, symbol-table and compact
+// groups, and compact, contiguous or chunked storage (version 1 B-tree or a
+// single chunk) with the deflate, shuffle and Fletcher-32 filters. Anything
+// else rejects with an error naming the unsupported feature.
+
+const SIGNATURE = [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Object header message types
+const MESSAGE = {
+  dataspace: 0x0001,
+  linkInfo: 0x0002,
+  datatype: 0x0003,
+  link: 0x0006,
+  layout: 0x0008,
+  filterPipeline: 0x000b,
+  attribute: 0x000c,
+  continuation: 0x0010,
+  symbolTable: 0x0011
+};
+
+const FILTER = { deflate: 1, shuffle: 2, fletcher32: 3 };
+
+// Datatype classes this reader converts to numbers
+const FIXED_POINT = 0;
+const FLOATING_POINT = 1;
+
+const unsupported = (feature) => new Error(`Unsupported HDF5 feature: ${feature}`);
+
+// True when the bytes start with the HDF5 signature (at offset 0, where
+// files without a user block keep their superblock)
+export const isHdf5 = (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(SIGNATURE.length, buffer.byteLength));
+  return SIGNATURE.every((byte, i) => bytes[i] === byte);
+};
+
+// Sequential little-endian reads from the file, starting at position. Offsets
+// and lengths take the sizes the superblock declares; offsets are made
+// absolute, and the undefined address (all bits set) reads as null.
+const cursor = (file, start) => {
+  const { view } = file;
+  let position = start;
+  const take = (size) => {
+    const at = position;
+    position += size;
+    return at;
+  };
+  const uint = (size) => {
+    const at = take(size);
+    let value = 0;
+    for (let i = size - 1; i >= 0; i--) value = value * 256 + view.getUint8(at + i);
+    return value;
+  };
+  return {
+    get position() {
+      return position;
+    },
+    skip: (size) => {
+      position += size;
+    },
+    u8: () => view.getUint8(take(1)),
+    u16: () => view.getUint16(take(2), true),
+    u32: () => view.getUint32(take(4), true),
+    uint,
+    length: () => uint(file.lengthSize),
+    address: () => {
+      const value = uint(file.offsetSize);
+      return value >= 2 ** 53 ? null : file.baseAddress + value;
+    },
+    signature: (expected) => {
+      const text = String.fromCharCode(...new Uint8Array(file.buffer, take(4), 4));
+      if (text !== expected) throw new Error(`Corrupt HDF5 file: expected ${expected} at byte ${position - 4}`);
+    },
+    // Text of the given byte length, up to its first null
+    string: (size) => {
+      const bytes = new Uint8Array(file.buffer, take(size), size);
+      const end = bytes.indexOf(0);
+      return new TextDecoder().decode(end === -1 ? bytes : bytes.subarray(0, end));
+    }
+  };
+};
+
+// The superblock may follow a user block of 512, 1024, 2048… bytes
+const findSuperblock = (buffer) => {
+  for (let offset = 0; offset + SIGNATURE.length <= buffer.byteLength; offset = offset ? offset * 2 : 512) {
+    if (isHdf5(buffer.slice(offset, offset + SIGNATURE.length))) return offset;
+  }
+  throw new Error('Not an HDF5 file');
+};
+
+// File-wide sizes and the root group's object header address
+const readSuperblock = (buffer) => {
+  const view = new DataView(buffer);
+  const start = findSuperblock(buffer);
+  const version = view.getUint8(start + 8);
+  const file = { buffer, view, baseAddress: 0 };
+  
+  if (version === 0 || version === 1) {
+    file.offsetSize = view.getUint8(start + 13);
+    file.lengthSize = view.getUint8(start + 14);
+    const c = cursor(file, start + (version === 0 ? 24 : 28));
+    file.baseAddress = c.uint(file.offsetSize);
+    c.skip(3 * file.offsetSize); // free space, end of file and driver addresses
+    c.skip(file.offsetSize); // root entry's link name offset
+    file.rootAddress = c.address();
+  } else if (version === 2 || version === 3) {
+    file.offsetSize = view.getUint8(start + 9);
+    file.lengthSize = view.getUint8(start + 10);
+    const c = cursor(file, start + 12);
+    file.baseAddress = c.uint(file.offsetSize);
+    c.skip(2 * file.offsetSize); // superblock extension and end of file addresses
+    file.rootAddress = c.address();
+  } else {
+    throw unsupported(`superblock version ${version}`);
+  }
+  return file;
+};
+
+// Messages of the object header at address, as { type, position, size, flags },
+// following continuation blocks
+const readObjectHeader = (file, address) => {
+  const messages = [];
+  const blocks = [];
+  const version = file.view.getUint8(address);
+  
+  if (version === 1) {
+    const c = cursor(file, address + 2);
+    const count = c.u16();
+    c.skip(4); // reference count
+    blocks.push({ start: address + 16, end: address + 16 + c.u32() });
+    while (blocks.length > 0 && messages.length < count) {
+      const { start, end } = blocks.shift();
+      const m = cursor(file, start);
+      while (m.position + 8 <= end && messages.length < count) {
+        const type = m.u16();
+        const size = m.u16();
+        const flags = m.u8();
+        m.skip(3);
+        messages.push({ type, position: m.position, size, flags });
+        if (type === MESSAGE.continuation) {
+          const continuation = cursor(file, m.position);
+          const blockStart = continuation.address();
+          blocks.push({ start: blockStart, end: blockStart + continuation.length() });
+        }
+        m.skip(size);
+      }
+    }
+    return messages;
+  }
+  
+  const c = cursor(file, address);
+  c.signature('OHDR');
+  if (c.u8() !== 2) throw unsupported('object header version');
+  const flags = c.u8();
+  if (flags & 0x20) c.skip(16); // access, modification, change and birth times
+  if (flags & 0x10) c.skip(4); // attribute storage phase change values
+  const chunkSize = c.uint(1 << (flags & 0x03));
+  const headerSize = flags & 0x04 ? 6 : 4;
+  blocks.push({ start: c.position, end: c.position + chunkSize });
+  while (blocks.length > 0) {
+    const { start, end } = blocks.shift();
+    const m = cursor(file, start);
+    while (m.position + headerSize <= end) {
+      const type = m.u8();
+      const size = m.u16();
+      const messageFlags = m.u8();
+      if (flags & 0x04) m.skip(2); // creation order
+      messages.push({ type, position: m.position, size, flags: messageFlags });
+      if (type === MESSAGE.continuation) {
+        const continuation = cursor(file, m.position);
+        const blockStart = continuation.address();
+        const blockEnd = blockStart + continuation.length() - 4; // less the checksum
+        cursor(file, blockStart).signature('OCHK');
+        blocks.push({ start: blockStart + 4, end: blockEnd });
+      }
+      m.skip(size);
+    }
+  }
+  return messages;
+};
+
+const findMessage = (messages, type) => messages.find(message => message.type === type);
+
+// Dimension sizes; empty for a scalar
+const readDataspace = (file, { position }) => {
+  const c = cursor(file, position);
+  const version = c.u8();
+  const rank = c.u8();
+  c.skip(version === 1 ? 6 : 2); // flags and reserved bytes, or flags and type
+  return Array.from({ length: rank }, () => c.length());
+};
+
+// { cls, size, littleEndian, signed }
+const readDatatype = (file, message) => {
+  if (message.flags & 0x02) throw unsupported('shared datatypes');
+  const c = cursor(file, message.position);
+  const cls = c.u8() & 0x0f;
+  const bits = c.u8();
+  c.skip(2);
+  return { cls, size: c.u32(), littleEndian: (bits & 0x01) === 0, signed: (bits & 0x08) !== 0 };
+};
+
+// Convert raw element bytes to numbers
+const decodeNumbers = (bytes, datatype, count) => {
+  const { cls, size, littleEndian, signed } = datatype;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const values = new Float64Array(count);
+  let read;
+  if (cls === FLOATING_POINT && size === 8) read = at => view.getFloat64(at, littleEndian);
+  else if (cls === FLOATING_POINT && size === 4) read = at => view.getFloat32(at, littleEndian);
+  else if (cls === FIXED_POINT && size === 8) read = at => Number(signed ? view.getBigInt64(at, littleEndian) : view.getBigUint64(at, littleEndian));
+  else if (cls === FIXED_POINT && size === 4) read = at => (signed ? view.getInt32(at, littleEndian) : view.getUint32(at, littleEndian));
+  else if (cls === FIXED_POINT && size === 2) read = at => (signed ? view.getInt16(at, littleEndian) : view.getUint16(at, littleEndian));
+  else if (cls === FIXED_POINT && size === 1) read = at => (signed ? view.getInt8(at) : view.getUint8(at));
+  else throw unsupported(`datatype class ${cls} of ${size} bytes`);
+  for (let i = 0; i < count; i++) values[i] = read(i * size);
+  return values;
+};
+
+const padTo8 = (size) => Math.ceil(size / 8) * 8;
+
+// Attribute { name, value }, the value a number or array of numbers, or
+// undefined when it is not numeric (strings, for instance)
+const readAttribute = (file, { position }) => {
+  const c = cursor(file, position);
+  const version = c.u8();
+  const flags = c.u8();
+  if (version > 1 && (flags & 0x03)) throw unsupported('shared attribute datatypes');
+  const nameSize = c.u16();
+  const datatypeSize = c.u16();
+  const dataspaceSize = c.u16();
+  if (version === 3) c.skip(1); // name character set
+  const pad = version === 1 ? padTo8 : size => size;
+  const name = c.string(nameSize);
+  c.skip(pad(nameSize) - nameSize);
+  const datatype = readDatatype(file, { position: c.position, flags: 0 });
+  c.skip(pad(datatypeSize));
+  const dims = readDataspace(file, { position: c.position });
+  c.skip(pad(dataspaceSize));
+  
+  const count = dims.reduce((product, size) => product * size, 1);
+  if (datatype.cls !== FIXED_POINT && datatype.cls !== FLOATING_POINT) return { name, value: undefined };
+  const values = decodeNumbers(new Uint8Array(file.buffer, c.position, count * datatype.size), datatype, count);
+  return { name, value: dims.length === 0 ? values[0] : Array.from(values) };
+};
+
+// Filters as { id, values }, in the order they were applied on writing
+const readFilterPipeline = (file, { position }) => {
+  const c = cursor(file, position);
+  const version = c.u8();
+  const count = c.u8();
+  if (version === 1) c.skip(6);
+  return Array.from({ length: count }, () => {
+    const id = c.u16();
+    const nameLength = version === 1 || id >= 256 ? c.u16() : 0;
+    c.skip(2); // flags
+    const valueCount = c.u16();
+    c.skip(version === 1 ? padTo8(nameLength) : nameLength);
+    const values = Array.from({ length: valueCount }, () => c.u32());
+    if (version === 1 && valueCount % 2 === 1) c.skip(4);
+    return { id, values };
+  });
+};
+
+// Undo the deflate stage with the browser's decompressor
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Regroup bytes that the shuffle filter stored by byte significance
+const unshuffle = (bytes, elementSize) => {
+  const count = bytes.length / elementSize;
+  const result = new Uint8Array(bytes.length);
+  for (let b = 0; b < elementSize; b++) {
+    for (let i = 0; i < count; i++) result[i * elementSize + b] = bytes[b * count + i];
+  }
+  return result;
+};
+
+// Raw bytes of a stored chunk, with its filters undone in reverse order
+// (skipping any its filter mask marks as not applied)
+const unfilter = async (bytes, filters, filterMask) => {
+  let data = bytes;
+  for (let i = filters.length - 1; i >= 0; i--) {
+    if (filterMask & (1 << i)) continue;
+    const { id, values } = filters[i];
+    if (id === FILTER.deflate) data = await inflate(data);
+    else if (id === FILTER.shuffle) data = unshuffle(data, values[0]);
+    else if (id === FILTER.fletcher32) data = data.subarray(0, data.length - 4);
+    else throw unsupported(`filter ${id}`);
+  }
+  return data;
+};
+
+// Chunks indexed by a version 1 B-tree, as { offsets, size, filterMask, address }
+// with offsets in elements along each dimension
+const readChunkTree = (file, address, rank) => {
+  const c = cursor(file, address);
+  c.signature('TREE');
+  c.skip(1); // node type
+  const level = c.u8();
+  const entries = c.u16();
+  c.skip(2 * file.offsetSize); // siblings
+  const chunks = [];
+  for (let i = 0; i < entries; i++) {
+    const size = c.u32();
+    const filterMask = c.u32();
+    const offsets = Array.from({ length: rank + 1 }, () => c.uint(8)).slice(0, rank);
+    const child = c.address();
+    if (level > 0) chunks.push(...readChunkTree(file, child, rank));
+    else chunks.push({ offsets, size, filterMask, address: child });
+  }
+  return chunks;
+};
+
+// Where the dataset's elements are stored: { compact: position, size },
+// { contiguous: address, size } or { chunks, chunkDims }
+const readLayout = (file, { position }, rank) => {
+  const c = cursor(file, position);
+  const version = c.u8();
+  
+  if (version === 1 || version === 2) {
+    const dimensionality = c.u8();
+    const layoutClass = c.u8();
+    c.skip(5);
+    const address = layoutClass === 0 ? null : c.address();
+    const dims = Array.from({ length: dimensionality }, () => c.u32());
+    if (layoutClass === 0) return { compact: c.position + 4, size: c.u32() };
+    if (layoutClass === 1) return { contiguous: address, size: null };
+    return { chunks: readChunkTree(file, address, rank), chunkDims: dims.slice(0, rank) };
+  }
+  
+  const layoutClass = c.u8();
+  if (layoutClass === 0) {
+    const size = c.u16();
+    return { compact: c.position, size };
+  }
+  if (layoutClass === 1) return { contiguous: c.address(), size: c.length() };
+  if (layoutClass !== 2) throw unsupported(`layout class ${layoutClass}`);
+  
+  if (version === 3) {
+    const dimensionality = c.u8();
+    const address = c.address();
+    const dims = Array.from({ length: dimensionality }, () => c.u32());
+    return { chunks: readChunkTree(file, address, rank), chunkDims: dims.slice(0, rank) };
+  }
+  
+  // Version 4: only a single chunk holding the whole dataset is understood
+  const flags = c.u8();
+  const dimensionality = c.u8();
+  const encodedSize = c.u8();
+  const dims = Array.from({ length: dimensionality }, () => c.uint(encodedSize));
+  const indexType = c.u8();
+  if (indexType !== 1) throw unsupported(`chunk index type ${indexType}`);
+  const filtered = (flags & 0x02) !== 0;
+  const size = filtered ? c.length() : null;
+  const filterMask = filtered ? c.u32() : 0;
+  const address = c.address();
+  return { chunks: [{ offsets: dims.map(() => 0), size, filterMask, address }], chunkDims: dims.slice(0, rank) };
+};
+
+// Address of the named member of the group whose header messages are given
+const findGroupMember = (file, messages, name) => {
+  const symbolTable = findMessage(messages, MESSAGE.symbolTable);
+  if (symbolTable) {
+    const c = cursor(file, symbolTable.position);
+    const treeAddress = c.address();
+    const heap = cursor(file, c.address());
+    heap.signature('HEAP');
+    heap.skip(4 + 2 * file.lengthSize); // version, reserved, data size, free list
+    const heapData = heap.address();
+    return findInGroupTree(file, treeAddress, heapData, name);
+  }
+  
+  const link = messages
+    .filter(message => message.type === MESSAGE.link)
+    .map(message => readLink(file, message))
+    .find(candidate => candidate.name === name);
+  if (link) return link.address;
+  
+  // Groups with many links keep them in a fractal heap instead
+  const linkInfo = findMessage(messages, MESSAGE.linkInfo);
+  if (linkInfo) {
+    const c = cursor(file, linkInfo.position);
+    c.skip(1); // version
+    if (c.u8() & 0x01) c.skip(8); // maximum creation index
+    if (c.address() !== null) throw unsupported('groups with dense link storage');
+  }
+  return null;
+};
+
+// Search a group's version 1 B-tree and its symbol table nodes for name
+const findInGroupTree = (file, address, heapData, name) => {
+  const c = cursor(file, address);
+  c.signature('TREE');
+  c.skip(1); // node type
+  const level = c.u8();
+  const entries = c.u16();
+  c.skip(2 * file.offsetSize); // siblings
+  for (let i = 0; i < entries; i++) {
+    c.skip(file.lengthSize); // key
+    const child = c.address();
+    const found = level > 0
+      ? findInGroupTree(file, child, heapData, name)
+      : findInSymbolNode(file, child, heapData, name);
+    if (found !== null) return found;
+  }
+  return null;
+};
+
+const findInSymbolNode = (file, address, heapData, name) => {
+  const c = cursor(file, address);
+  c.signature('SNOD');
+  c.skip(2); // version, reserved
+  const count = c.u16();
+  for (let i = 0; i < count; i++) {
+    const nameOffset = c.uint(file.offsetSize);
+    const headerAddress = c.address();
+    c.skip(24); // cache type, reserved, scratch pad
+    if (cursor(file, heapData + nameOffset).string(file.buffer.byteLength - heapData - nameOffset) === name) {
+      return headerAddress;
+    }
+  }
+  return null;
+};
+
+// A link message as { name, address }; address is null for soft and external links
+const readLink = (file, { position }) => {
+  const c = cursor(file, position);
+  c.skip(1); // version
+  const flags = c.u8();
+  const linkType = flags & 0x08 ? c.u8() : 0;
+  if (flags & 0x04) c.skip(8); // creation order
+  if (flags & 0x10) c.skip(1); // name character set
+  const name = c.string(c.uint(1 << (flags & 0x03)));
+  return { name, address: linkType === 0 ? c.address() : null };
+};
+
+// Read the numeric dataset at path (e.g. 'strain/Strain') from an ArrayBuffer
+// holding an HDF5 file. Resolves to { shape, values, attributes } with the
+// elements as a Float64Array in row-major order and the numeric attributes by name.
+export const readHdf5Dataset = async (buffer, path) => {
+  const file = readSuperblock(buffer);
+  let messages = readObjectHeader(file, file.rootAddress);
+  path.split('/').filter(Boolean).forEach(name => {
+    const address = findGroupMember(file, messages, name);
+    if (address === null) throw new Error(`The file has no ${path}`);
+    messages = readObjectHeader(file, address);
+  });
+  
+  const dataspace = findMessage(messages, MESSAGE.dataspace);
+  const datatypeMessage = findMessage(messages, MESSAGE.datatype);
+  const layoutMessage = findMessage(messages, MESSAGE.layout);
+  if (!dataspace || !datatypeMessage || !layoutMessage) throw new Error(`${path} is not a dataset`);
+  
+  const shape = readDataspace(file, dataspace);
+  const datatype = readDatatype(file, datatypeMessage);
+  const count = shape.reduce((product, size) => product * size, 1);
+  const layout = readLayout(file, layoutMessage, shape.length);
+  const pipeline = findMessage(messages, MESSAGE.filterPipeline);
+  const filters = pipeline ? readFilterPipeline(file, pipeline) : [];
+  
+  let values;
+  if (layout.compact !== undefined) {
+    values = decodeNumbers(new Uint8Array(buffer, layout.compact, count * datatype.size), datatype, count);
+  } else if (layout.contiguous !== undefined) {
+    values = layout.contiguous === null
+      ? new Float64Array(count) // never written: all fill value
+      : decodeNumbers(new Uint8Array(buffer, layout.contiguous, count * datatype.size), datatype, count);
+  } else {
+    values = new Float64Array(count);
+    const { chunkDims } = layout;
+    const chunkCount = chunkDims.reduce((product, size) => product * size, 1);
+    const strides = shape.map((_, d) => shape.slice(d + 1).reduce((product, size) => product * size, 1));
+    for (const chunk of layout.chunks) {
+      const size = chunk.size ?? chunkCount * datatype.size;
+      const bytes = await unfilter(new Uint8Array(buffer, chunk.address, size), filters, chunk.filterMask);
+      const chunkValues = decodeNumbers(bytes, datatype, chunkCount);
+      
+      // Copy the chunk's elements that fall inside the dataset
+      for (let i = 0; i < chunkCount; i++) {
+        let rest = i;
+        let index = 0;
+        let inside = true;
+        for (let d = chunkDims.length - 1; d >= 0; d--) {
+          const coordinate = chunk.offsets[d] + (rest % chunkDims[d]);
+          rest = Math.floor(rest / chunkDims[d]);
+          if (coordinate >= shape[d]) inside = false;
+          index += coordinate * strides[d];
+        }
+        if (inside) values[index] = chunkValues[i];
+      }
+    }
+  }
+  
+  const attributes = Object.fromEntries(messages
+    .filter(message => message.type === MESSAGE.attribute)
+    .map(message => readAttribute(file, message))
+    .filter(({ value }) => value !== undefined)
+    .map(({ name, value }) => [name, value]));
+  
+  return { shape, values, attributes };
+};
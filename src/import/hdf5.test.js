@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { isHdf5, readHdf5Dataset } from './hdf5';
+
+// Fixtures written by h5py: a GWOSC-style strain file in the oldest file
+// format (chunked, with the shuffle, deflate and Fletcher-32 filters) and one
+// in the HDF5 1.8 format with each storage layout
+const fixture = name => {
+  const bytes = readFileSync(path.join(__dirname, '__fixtures__', name));
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+const gwosc = fixture('H-H1_GWOSC_4KHZ_R1-1126259446-4.hdf5');
+const layouts = fixture('layouts.hdf5');
+
+describe('isHdf5', () => {
+  it('recognizes the signature', () => {
+    expect(isHdf5(gwosc)).toBe(true);
+    expect(isHdf5(new TextEncoder().encode('# strain\n1e-21\n').buffer)).toBe(false);
+  });
+});
+
+describe('readHdf5Dataset', () => {
+  it('reads a filtered, chunked strain series with its attributes', async () => {
+    const { shape, values, attributes } = await readHdf5Dataset(gwosc, 'strain/Strain');
+    expect(shape).toEqual([16384]);
+    expect(values).toEqual(Float64Array.from({ length: 16384 }, (_, i) => ((i % 64) - 32) * 1e-23));
+    expect(attributes).toEqual({ Xstart: 1126259446, Xspacing: 1 / 4096, Npoints: 16384 });
+  });
+  
+  it('reads scalars from a symbol-table group', async () => {
+    const { shape, values } = await readHdf5Dataset(gwosc, 'meta/GPSstart');
+    expect(shape).toEqual([]);
+    expect(Array.from(values)).toEqual([1126259446]);
+  });
+  
+  it('reads compact and contiguous datasets of any numeric type', async () => {
+    expect(Array.from((await readHdf5Dataset(layouts, 'compact')).values)).toEqual([-1, 2, -3]);
+    expect(Array.from((await readHdf5Dataset(layouts, 'bigEndian')).values)).toEqual([1, -2, 300000]);
+    const { shape, values, attributes } = await readHdf5Dataset(layouts, 'contiguous');
+    expect(shape).toEqual([2, 3]);
+    expect(Array.from(values)).toEqual([1.5, -2, 3, 4, 5, -6.25]);
+    expect(attributes).toEqual({ scale: 2.5, offsets: [1, 2, 3] });
+  });
+  
+  it('reassembles chunks that overhang the edges of a nested dataset', async () => {
+    const { shape, values } = await readHdf5Dataset(layouts, 'nested/deeper/grid');
+    expect(shape).toEqual([5, 7]);
+    expect(Array.from(values)).toEqual(Array.from({ length: 35 }, (_, i) => i / 4));
+  });
+  
+  it('rejects missing paths and groups', async () => {
+    await expect(readHdf5Dataset(gwosc, 'strain/Missing')).rejects.toThrow('The file has no strain/Missing');
+    await expect(readHdf5Dataset(gwosc, 'strain')).rejects.toThrow('strain is not a dataset');
+  });
+  
+  it('rejects files that are not HDF5', async () => {
+    await expect(readHdf5Dataset(new ArrayBuffer(64), 'strain/Strain')).rejects.toThrow();
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  binaryMerger,
+  binaryMergerState,
+  mergerFinalSpin,
+  mergerRadiatedEnergy,
+  petersCoalescenceTime,
+  petersOrbitalPhase,
+  petersSeparation,
+  ringdownMode
+} from './binaryMerger';
+
+describe('Peters inspiral', () => {
+  const [m1, m2, a0] = [0.6, 0.4, 10];
+  const T = petersCoalescenceTime(m1, m2, a0);
+  
+  it('coalesces in 5a⁴ / 256m₁m₂M', () => {
+    expect(T).toBeCloseTo(5e4 / (256 * 0.24), 8);
+  });
+  
+  it('shrinks the orbit as (1 − t/T)^{1/4}', () => {
+    expect(petersSeparation(m1, m2, a0, 0)).toBe(a0);
+    expect(petersSeparation(m1, m2, a0, 15 * T / 16)).toBeCloseTo(a0 / 2, 12);
+    expect(petersSeparation(m1, m2, a0, 2 * T)).toBe(0);
+  });
+  
+  it('sweeps the phase at Kepler’s rate', () => {
+    const dt = 1e-3;
+    expect(petersOrbitalPhase(m1, m2, a0, 0)).toBe(0);
+    expect(petersOrbitalPhase(m1, m2, a0, dt) / dt).toBeCloseTo(Math.sqrt(1 / a0 ** 3), 6);
+    expect(petersOrbitalPhase(m1, m2, a0, T)).toBeCloseTo(1.6 * Math.sqrt(1 / a0 ** 3) * T, 8);
+  });
+});
+
+describe('remnant fits', () => {
+  it('leave equal non-spinning holes with a/M ≈ 0.69 after radiating ≈ 4.8%', () => {
+    expect(mergerFinalSpin(1, 1, 0, 0)).toBeCloseTo(0.686, 3);
+    expect(mergerRadiatedEnergy(1, 1, 0, 0)).toBeCloseTo(0.048, 3);
+  });
+  
+  it('do not depend on which body is listed first', () => {
+    expect(mergerFinalSpin(36, 29, 0.3, -0.5)).toBeCloseTo(mergerFinalSpin(29, 36, -0.5, 0.3), 14);
+    expect(mergerRadiatedEnergy(36, 29, 0.3, -0.5)).toBeCloseTo(mergerRadiatedEnergy(29, 36, -0.5, 0.3), 14);
+  });
+  
+  it('spin up and radiate more with aligned spins', () => {
+    expect(mergerFinalSpin(1, 1, 0.8, 0.8)).toBeGreaterThan(mergerFinalSpin(1, 1, 0, 0));
+    expect(mergerFinalSpin(1, 1, -0.8, -0.8)).toBeLessThan(mergerFinalSpin(1, 1, 0, 0));
+    expect(mergerRadiatedEnergy(1, 1, 0.8, 0.8)).toBeGreaterThan(mergerRadiatedEnergy(1, 1, -0.8, -0.8));
+  });
+  
+  it('reduce to the test particle’s binding energy at small mass ratios', () => {
+    const q = 1e-4;
+    expect(mergerRadiatedEnergy(1, q, 0, 0) / (q / (1 + q) ** 2)).toBeCloseTo(1 - Math.sqrt(8 / 9), 3);
+  });
+});
+
+describe('ringdownMode', () => {
+  it('rings at Mω ≈ 0.37 with Q ≈ 2.1 for a Schwarzschild remnant', () => {
+    const { angularFrequency, dampingTime } = ringdownMode(1, 0);
+    expect(angularFrequency).toBeCloseTo(0.3683, 4);
+    expect(dampingTime).toBeCloseTo(2 * 2.1187 / 0.3683, 2);
+  });
+  
+  it('scales with the mass and rings longer when spinning', () => {
+    expect(ringdownMode(10, 0.5).angularFrequency).toBeCloseTo(ringdownMode(1, 0.5).angularFrequency / 10, 14);
+    expect(ringdownMode(1, 0.9).dampingTime).toBeGreaterThan(ringdownMode(1, 0).dampingTime);
+    expect(ringdownMode(1, -0.7)).toEqual(ringdownMode(1, 0.7));
+  });
+});
+
+describe('binaryMerger', () => {
+  const merger = binaryMerger({ m1: 0.5, m2: 0.5, chi1: 0, chi2: 0, initialSeparation: 10 });
+  
+  it('merges when the horizons touch', () => {
+    expect(merger.contactSeparation).toBeCloseTo(2, 12);
+    expect(petersSeparation(0.5, 0.5, 10, merger.mergerTime)).toBeCloseTo(2, 8);
+    expect(merger.finalMass).toBeCloseTo(1 - merger.radiatedEnergy, 14);
+  });
+  
+  it('follows the inspiral up to the merger and rings down after it', () => {
+    const before = binaryMergerState(merger, merger.mergerTime - 1e-9);
+    const after = binaryMergerState(merger, merger.mergerTime);
+    expect(before.stage).toBe('inspiral');
+    expect(after.stage).toBe('ringdown');
+    expect(after.wavePhase).toBeCloseTo(before.wavePhase, 6);
+    expect(after.waveAmplitude).toBeCloseTo(before.waveAmplitude, 6);
+    
+    const later = binaryMergerState(merger, merger.mergerTime + merger.ringdown.dampingTime);
+    expect(later.separation).toBe(after.separation);
+    expect(later.waveAmplitude / after.waveAmplitude).toBeCloseTo(Math.exp(-1), 12);
+  });
+  
+  it('traces the orbit back to wider separations before t = 0', () => {
+    const earlier = binaryMergerState(merger, -100);
+    expect(earlier.stage).toBe('inspiral');
+    expect(earlier.separation).toBeGreaterThan(10);
+    expect(earlier.orbitalPhase).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,99 @@
+import { rk4Step } from './integrators';
+import { SOLAR_MASS_TIME } from './infall';
+
+// Gravitational-wave strain of an inspiralling compact binary in the
+// post-Newtonian approximation. Masses are in solar masses, distances in
+// megaparsecs and times in seconds; internally every quantity is a time
+// (G = c = 1). The orbit is followed through x = (Mω)^{2/3}, with ω the
+// orbital angular frequency, whose energy-balance evolution (TaylorT4, 2PN) is
+//   dx/dt = (64/5)(η/M) x⁵ [1 − (743/336 + 11η/4) x + 4π x^{3/2}
+//                          + (34103/18144 + 13661η/2016 + 59η²/18) x²]
+// up to the innermost stable circular orbit, x = 1/6, where the inspiral
+// approximation breaks down and the plunge and merger begin.
+
+// One megaparsec travelled at c, in seconds
+export const MEGAPARSEC_TIME = 1.029271e14;
+
+// Samples per second of generated waveforms: fast enough for the highest
+// frequency a neutron star binary reaches, and playable as audio
+export const CHIRP_SAMPLE_RATE = 8192;
+
+// x at the innermost stable circular orbit of the total mass
+const ISCO_X = 1 / 6;
+
+// Chirp mass (m₁m₂)^{3/5} / (m₁ + m₂)^{1/5}, which alone sets the leading-order
+// frequency evolution (any consistent units)
+export const chirpMass = (m1, m2) => (m1 * m2) ** 0.6 / (m1 + m2) ** 0.2;
+
+// Gravitational-wave frequency (twice the orbital one) at the innermost
+// stable circular orbit, in Hz
+export const iscoFrequency = (m1, m2) => ISCO_X ** 1.5 / (Math.PI * (m1 + m2) * SOLAR_MASS_TIME);
+
+// Leading-order time left before coalescence once the wave frequency is f:
+// τ = (5/256) (π f)^{−8/3} 𝓜^{−5/3}, with 𝓜 the chirp mass as a time
+export const timeToCoalescence = (m1, m2, f) => (
+  5 / 256 * (Math.PI * f) ** (-8 / 3) * (chirpMass(m1, m2) * SOLAR_MASS_TIME) ** (-5 / 3)
+);
+
+// Frequency at which the leading-order time to coalescence is τ (inverse of the above)
+const frequencyBeforeCoalescence = (m1, m2, tau) => (
+  (5 / 256 / tau) ** 0.375 * (chirpMass(m1, m2) * SOLAR_MASS_TIME) ** -0.625 / Math.PI
+);
+
+// dx/dt and dφ/dt for total mass M (seconds) and symmetric mass ratio η
+const inspiralDerivative = (M, eta) => (t, [x]) => {
+  const correction = 1
+    - (743 / 336 + 11 / 4 * eta) * x
+    + 4 * Math.PI * x ** 1.5
+    + (34103 / 18144 + 13661 / 2016 * eta + 59 / 18 * eta * eta) * x * x;
+  return [64 / 5 * eta / M * x ** 5 * correction, x ** 1.5 / M];
+};
+
+// Plus and cross polarizations h₊ and h× seen at distance D (Mpc) and
+// inclination ι (radians, 0 = face-on) from the wave frequency fLow (Hz) up to
+// the innermost stable circular orbit, sampled at sampleRate. Amplitudes are
+// leading order ("restricted" PN):
+//   h₊ = −(2ηM/D) x (1 + cos²ι) cos 2φ,  h× = −(2ηM/D) x 2cos ι sin 2φ
+// Signals that would last longer than maxDuration start later, at the
+// frequency that leaves maxDuration before coalescence. Returns
+// { sampleRate, time, plus, cross, frequency, startFrequency, endFrequency, duration }
+// with time counting up to 0 at the end of the inspiral.
+export const chirpWaveform = ({ m1, m2, distance, inclination, fLow = 20, sampleRate = CHIRP_SAMPLE_RATE, maxDuration = 8 }) => {
+  const M = (m1 + m2) * SOLAR_MASS_TIME;
+  const eta = m1 * m2 / (m1 + m2) ** 2;
+  const D = distance * MEGAPARSEC_TIME;
+  const cosI = Math.cos(inclination);
+  const endFrequency = iscoFrequency(m1, m2);
+  const startFrequency = Math.min(
+    Math.max(fLow, frequencyBeforeCoalescence(m1, m2, maxDuration)),
+    endFrequency / 2
+  );
+  
+  const derivative = inspiralDerivative(M, eta);
+  const dt = 1 / sampleRate;
+  const maxSamples = Math.ceil(2 * maxDuration * sampleRate);
+  const plus = [];
+  const cross = [];
+  const frequency = [];
+  let state = [(Math.PI * M * startFrequency) ** (2 / 3), 0];
+  while (state[0] < ISCO_X && plus.length < maxSamples) {
+    const [x, phi] = state;
+    const amplitude = -2 * eta * M / D * x;
+    plus.push(amplitude * (1 + cosI * cosI) * Math.cos(2 * phi));
+    cross.push(amplitude * 2 * cosI * Math.sin(2 * phi));
+    frequency.push(x ** 1.5 / (Math.PI * M));
+    state = rk4Step(derivative, 0, state, dt);
+  }
+  
+  const count = plus.length;
+  return {
+    sampleRate,
+    time: Float64Array.from({ length: count }, (_, i) => (i - count + 1) * dt),
+    plus: Float64Array.from(plus),
+    cross: Float64Array.from(cross),
+    frequency: Float64Array.from(frequency),
+    startFrequency,
+    endFrequency,
+    duration: (count - 1) * dt
+  };
+};
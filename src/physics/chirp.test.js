@@ -0,0 +1,76 @@
+import { chirpMass, chirpWaveform, iscoFrequency, timeToCoalescence } from './chirp';
+
+const peak = values => Math.max(...values.map(Math.abs));
+
+describe('chirpMass', () => {
+  it('is m / 2^{1/5} for equal masses and symmetric in the two', () => {
+    expect(chirpMass(30, 30)).toBeCloseTo(30 / 2 ** 0.2, 12);
+    expect(chirpMass(36, 29)).toBeCloseTo(chirpMass(29, 36), 12);
+    expect(chirpMass(36, 29)).toBeCloseTo(28.1, 1);
+  });
+});
+
+describe('iscoFrequency', () => {
+  it('is about 4.4 kHz divided by the total mass in M☉', () => {
+    expect(iscoFrequency(5, 5)).toBeCloseTo(440, -1);
+    expect(iscoFrequency(50, 50)).toBeCloseTo(iscoFrequency(5, 5) / 10, 10);
+  });
+});
+
+describe('timeToCoalescence', () => {
+  it('falls as f^{−8/3}', () => {
+    expect(timeToCoalescence(1.4, 1.4, 40) / timeToCoalescence(1.4, 1.4, 20)).toBeCloseTo(2 ** (-8 / 3), 12);
+  });
+  
+  it('gives a binary neutron star minutes in band from 10 Hz', () => {
+    const minutes = timeToCoalescence(1.4, 1.4, 10) / 60;
+    expect(minutes).toBeGreaterThan(15);
+    expect(minutes).toBeLessThan(20);
+  });
+});
+
+describe('chirpWaveform', () => {
+  const gw150914 = { m1: 36, m2: 29, distance: 410, inclination: 0 };
+  const waveform = chirpWaveform(gw150914);
+  
+  it('sweeps up in frequency to the innermost stable orbit, ending at t = 0', () => {
+    const { frequency, time, startFrequency, endFrequency, duration, sampleRate } = waveform;
+    expect(startFrequency).toBe(20);
+    expect(frequency[0]).toBeCloseTo(20, 8);
+    frequency.slice(1).forEach((f, i) => expect(f).toBeGreaterThan(frequency[i]));
+    expect(frequency[frequency.length - 1]).toBeLessThan(endFrequency);
+    expect(frequency[frequency.length - 1]).toBeGreaterThan(0.9 * endFrequency);
+    expect(time[time.length - 1]).toBe(0);
+    expect(time[0]).toBeCloseTo(-duration, 12);
+    expect(time).toHaveLength(Math.round(duration * sampleRate) + 1);
+  });
+  
+  it('lasts about as long as the leading-order estimate', () => {
+    const estimate = timeToCoalescence(36, 29, 20);
+    expect(waveform.duration / estimate).toBeGreaterThan(0.7);
+    expect(waveform.duration / estimate).toBeLessThan(1.1);
+  });
+  
+  it('reaches a strain of order 10⁻²¹ at 410 Mpc', () => {
+    const strain = peak(Array.from(waveform.plus));
+    expect(strain).toBeGreaterThan(3e-22);
+    expect(strain).toBeLessThan(3e-21);
+    expect(peak(Array.from(chirpWaveform({ ...gw150914, distance: 820 }).plus))).toBeCloseTo(strain / 2, 30);
+  });
+  
+  it('is circularly polarized face-on and linearly polarized edge-on', () => {
+    // Face-on, h₊ and h× are a quarter cycle apart, so their norm is a smooth envelope
+    const envelope = Array.from(waveform.plus, (plus, i) => Math.hypot(plus, waveform.cross[i]));
+    envelope.slice(1).forEach((value, i) => expect(value).toBeGreaterThan(envelope[i]));
+    const edgeOn = chirpWaveform({ ...gw150914, inclination: Math.PI / 2 });
+    expect(peak(Array.from(edgeOn.cross)) / peak(Array.from(edgeOn.plus))).toBeLessThan(1e-12);
+    expect(peak(Array.from(edgeOn.plus)) / peak(Array.from(waveform.plus))).toBeCloseTo(0.5, 6);
+  });
+  
+  it('starts later for signals longer than maxDuration', () => {
+    const neutronStars = chirpWaveform({ m1: 1.4, m2: 1.4, distance: 40, inclination: 0, sampleRate: 2048, maxDuration: 4 });
+    expect(neutronStars.startFrequency).toBeGreaterThan(20);
+    expect(neutronStars.duration).toBeGreaterThan(3);
+    expect(neutronStars.duration).toBeLessThan(8);
+  });
+});
@@ -0,0 +1,6 @@
+// Geometrized units used throughout the engine (G = c = 1)
+export const SPEED_OF_LIGHT = 1;
+export const GRAVITATIONAL_CONSTANT = 1;
+
+// Used to scale gravitational effects for visualization
+export const SCALE_FACTOR = 0.1;
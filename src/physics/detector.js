@@ -0,0 +1,37 @@
+// Response of free test masses and of an L-shaped interferometer to a plane
+// gravitational wave with polarizations h₊ and h×, in the transverse-traceless
+// gauge. Directions follow the usual detector frame: arms along x and y, z up;
+// the source sits at polar angle θ from z and azimuth φ from the x arm, and ψ
+// rotates the wave's polarization axes about the line of sight.
+
+// Arm length of the LIGO detectors, in metres
+export const DETECTOR_ARM_LENGTH = 4000;
+
+// Displacement of a free mass at (x, y) in the plane of the wave front, with
+// the wave travelling along z: δx = ½(h₊x + h×y), δy = ½(h×x − h₊y)
+export const testMassDisplacement = ({ x, y }, plus, cross) => ({
+  x: (plus * x + cross * y) / 2,
+  y: (cross * x - plus * y) / 2
+});
+
+// Antenna pattern: the detector strain is h = F₊h₊ + F×h×, with
+//   F₊ = ½(1 + cos²θ) cos 2φ cos 2ψ − cos θ sin 2φ sin 2ψ
+//   F× = ½(1 + cos²θ) cos 2φ sin 2ψ + cos θ sin 2φ cos 2ψ
+// Angles in radians. The strain is the relative arm-length difference
+// (Lx − Ly)/L.
+export const antennaPattern = (theta, phi, psi = 0) => {
+  const cosTheta = Math.cos(theta);
+  const a = (1 + cosTheta * cosTheta) / 2 * Math.cos(2 * phi);
+  const b = cosTheta * Math.sin(2 * phi);
+  return {
+    plus: a * Math.cos(2 * psi) - b * Math.sin(2 * psi),
+    cross: a * Math.sin(2 * psi) + b * Math.cos(2 * psi)
+  };
+};
+
+// Sensitivity √(F₊² + F×²) towards (θ, φ), the same for every ψ: 1 overhead,
+// 1/2 along either arm and 0 in the plane along the bisectors of the arms
+export const antennaSensitivity = (theta, phi) => {
+  const { plus, cross } = antennaPattern(theta, phi);
+  return Math.sqrt(plus * plus + cross * cross);
+};
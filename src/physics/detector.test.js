@@ -0,0 +1,51 @@
+import { antennaPattern, antennaSensitivity, testMassDisplacement } from './detector';
+
+describe('testMassDisplacement', () => {
+  it('stretches x and squeezes y under h₊', () => {
+    expect(testMassDisplacement({ x: 1, y: 0 }, 0.2, 0)).toEqual({ x: 0.1, y: 0 });
+    expect(testMassDisplacement({ x: 0, y: 1 }, 0.2, 0)).toEqual({ x: 0, y: -0.1 });
+  });
+  
+  it('acts as h₊ turned by 45° under h×', () => {
+    const diagonal = { x: Math.SQRT1_2, y: Math.SQRT1_2 };
+    const { x, y } = testMassDisplacement(diagonal, 0, 0.2);
+    expect(x).toBeCloseTo(0.1 * Math.SQRT1_2, 15);
+    expect(y).toBeCloseTo(0.1 * Math.SQRT1_2, 15);
+  });
+});
+
+describe('antennaPattern', () => {
+  it('responds fully to h₊ from overhead', () => {
+    const { plus, cross } = antennaPattern(0, 0);
+    expect(plus).toBe(1);
+    expect(cross).toBe(0);
+  });
+  
+  it('trades h₊ for h× as the polarization angle turns by 45°', () => {
+    const { plus, cross } = antennaPattern(0, 0, Math.PI / 4);
+    expect(plus).toBeCloseTo(0, 15);
+    expect(cross).toBeCloseTo(1, 15);
+  });
+  
+  it('is blind in the plane of the arms along their bisector', () => {
+    const { plus, cross } = antennaPattern(Math.PI / 2, Math.PI / 4, 0.3);
+    expect(plus).toBeCloseTo(0, 15);
+    expect(cross).toBeCloseTo(0, 15);
+  });
+});
+
+describe('antennaSensitivity', () => {
+  it('is 1 overhead and underneath and ½ along an arm', () => {
+    expect(antennaSensitivity(0, 1.2)).toBeCloseTo(1, 15);
+    expect(antennaSensitivity(Math.PI, 0.4)).toBeCloseTo(1, 15);
+    expect(antennaSensitivity(Math.PI / 2, 0)).toBeCloseTo(0.5, 15);
+    expect(antennaSensitivity(Math.PI / 2, Math.PI / 2)).toBeCloseTo(0.5, 15);
+  });
+  
+  it('does not depend on the polarization angle', () => {
+    [0.3, 1.1, 2].forEach(psi => {
+      const { plus, cross } = antennaPattern(0.7, 2.1, psi);
+      expect(Math.hypot(plus, cross)).toBeCloseTo(antennaSensitivity(0.7, 2.1), 14);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+// Effective potentials for equatorial orbits, per unit mass and in geometric units.
+// Both forms are written so that ½(dr/dτ)² + V_eff(r) = (E² − 1)/2, which puts the
+// Newtonian and relativistic curves on the same axes as one energy level.
+
+// The energy level a particle of specific energy E moves at
+export const orbitalEnergyLevel = (E) => (E*E - 1) / 2;
+
+// Newtonian V_eff = −M/r + L²/2r²
+export const newtonianEffectivePotential = (M, L, r) => -M / r + L*L / (2 * r*r);
+
+// Relativistic V_eff from the Kerr radial equation r⁴(dr/dτ)² = R(r), with
+// R = [E(r² + a²) − aL]² − Δ[r² + (L − aE)²]. For a = 0 this is the Schwarzschild
+// form −M/r + L²/2r² − ML²/r³; with spin it also depends on E.
+export const kerrEffectivePotential = (M, a, E, L, r) => {
+  const delta = r*r - 2*M*r + a*a;
+  const P = E * (r*r + a*a) - a * L;
+  const R = P*P - delta * (r*r + (L - a * E) ** 2);
+  return orbitalEnergyLevel(E) - R / (2 * r ** 4);
+};
+
+// Radii in [rMin, rMax] where potential(r) equals level: the turning points
+// of the motion. Sign changes are bracketed on a grid and refined by bisection.
+export const findTurningPoints = (potential, level, rMin, rMax, samples = 400) => {
+  const points = [];
+  const f = r => potential(r) - level;
+  let r0 = rMin;
+  let f0 = f(r0);
+  
+  for (let i = 1; i <= samples; i++) {
+    const r1 = rMin + (rMax - rMin) * i / samples;
+    const f1 = f(r1);
+    if (f0 === 0) {
+      points.push(r0);
+    } else if (f0 * f1 < 0) {
+      let lo = r0;
+      let hi = r1;
+      for (let j = 0; j < 50; j++) {
+        const mid = (lo + hi) / 2;
+        if (f(lo) * f(mid) <= 0) hi = mid;
+        else lo = mid;
+      }
+      points.push((lo + hi) / 2);
+    }
+    r0 = r1;
+    f0 = f1;
+  }
+  
+  return points;
+};
+
+// Periapsis and apoapsis of the bound orbit through radius r: the nearest
+// turning points on either side. null when the motion is not confined there
+// (the particle plunges or escapes) or the orbit is too close to circular for
+// the turning points to be bracketed on the grid.
+export const boundOrbitRadii = (M, a, E, L, r, rMin, rMax) => {
+  const points = findTurningPoints(radius => kerrEffectivePotential(M, a, E, L, radius), orbitalEnergyLevel(E), rMin, rMax);
+  const inner = points.filter(radius => radius <= r);
+  const outer = points.filter(radius => radius > r);
+  if (inner.length === 0 || outer.length === 0) return null;
+  return { periapsis: Math.max(...inner), apoapsis: Math.min(...outer) };
+};
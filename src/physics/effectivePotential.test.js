@@ -0,0 +1,71 @@
+import {
+  boundOrbitRadii,
+  findTurningPoints,
+  kerrEffectivePotential,
+  newtonianEffectivePotential,
+  orbitalEnergyLevel
+} from './effectivePotential';
+import { kerrCircularOrbit } from './kerr';
+
+describe('kerrEffectivePotential', () => {
+  it('reduces to the Schwarzschild form without spin', () => {
+    const L = 4;
+    [3, 6, 20].forEach(r => {
+      const schwarzschild = -1 / r + L*L / (2 * r*r) - L*L / r ** 3;
+      expect(kerrEffectivePotential(1, 0, 0.95, L, r)).toBeCloseTo(schwarzschild, 12);
+    });
+  });
+  
+  it('approaches the Newtonian potential far out', () => {
+    const r = 1e4;
+    const newtonian = newtonianEffectivePotential(1, 4, r);
+    expect(kerrEffectivePotential(1, 0.9, 0.99, 4, r) / newtonian).toBeCloseTo(1, 3);
+  });
+  
+  it.each([
+    ['prograde', true],
+    ['retrograde', false]
+  ])('has a minimum at the energy level of a %s circular orbit', (name, prograde) => {
+    const r = 12;
+    const { E, L } = kerrCircularOrbit(1, 0.9, r, prograde);
+    const V = radius => kerrEffectivePotential(1, 0.9, E, L, radius);
+    expect(V(r)).toBeCloseTo(orbitalEnergyLevel(E), 10);
+    expect((V(r + 1e-4) - V(r - 1e-4)) / 2e-4).toBeCloseTo(0, 6);
+    expect(V(r + 0.5)).toBeGreaterThan(V(r));
+    expect(V(r - 0.5)).toBeGreaterThan(V(r));
+  });
+});
+
+describe('findTurningPoints', () => {
+  it('finds both roots of a Newtonian bound orbit', () => {
+    // −1/r + 1/r² = −3/16 at r = 4/3 and r = 4
+    const points = findTurningPoints(r => newtonianEffectivePotential(1, Math.SQRT2, r), -3 / 16, 0.5, 20);
+    expect(points).toHaveLength(2);
+    expect(points[0]).toBeCloseTo(4 / 3, 10);
+    expect(points[1]).toBeCloseTo(4, 10);
+  });
+  
+  it('finds nothing when the level lies below the potential', () => {
+    expect(findTurningPoints(r => newtonianEffectivePotential(1, 4, r), -1, 1, 100)).toEqual([]);
+  });
+});
+
+describe('boundOrbitRadii', () => {
+  it('brackets a slightly eccentric orbit around its circular radius', () => {
+    const { E, L } = kerrCircularOrbit(1, 0, 10);
+    const { periapsis, apoapsis } = boundOrbitRadii(1, 0, E + 1e-3, L, 10, 2, 100);
+    expect(periapsis).toBeLessThan(10);
+    expect(apoapsis).toBeGreaterThan(10);
+    const level = orbitalEnergyLevel(E + 1e-3);
+    expect(kerrEffectivePotential(1, 0, E + 1e-3, L, periapsis)).toBeCloseTo(level, 8);
+    expect(kerrEffectivePotential(1, 0, E + 1e-3, L, apoapsis)).toBeCloseTo(level, 8);
+  });
+  
+  it('is null for a radial plunge', () => {
+    expect(boundOrbitRadii(1, 0, 0.97, 0, 10, 2, 100)).toBeNull();
+  });
+  
+  it('is null for an unbound orbit that escapes', () => {
+    expect(boundOrbitRadii(1, 0, 1.05, 6, 20, 2, 100)).toBeNull();
+  });
+});
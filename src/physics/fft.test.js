@@ -0,0 +1,36 @@
+import { fft, nextPowerOfTwo } from './fft';
+
+describe('nextPowerOfTwo', () => {
+  it('rounds up to a power of two', () => {
+    expect([0, 1, 2, 3, 1000, 1024, 1025].map(nextPowerOfTwo)).toEqual([1, 1, 2, 4, 1024, 1024, 2048]);
+  });
+});
+
+describe('fft', () => {
+  it('transforms an impulse into a flat spectrum', () => {
+    const re = Float64Array.from({ length: 8 }, (_, i) => (i === 0 ? 1 : 0));
+    const im = new Float64Array(8);
+    fft(re, im);
+    expect(Array.from(re)).toEqual(new Array(8).fill(1));
+    expect(Array.from(im)).toEqual(new Array(8).fill(0));
+  });
+  
+  it('puts a cosine in its two frequency bins', () => {
+    const n = 64;
+    const re = Float64Array.from({ length: n }, (_, i) => Math.cos(2 * Math.PI * 5 * i / n));
+    const im = new Float64Array(n);
+    fft(re, im);
+    re.forEach((value, k) => expect(value).toBeCloseTo(k === 5 || k === n - 5 ? n / 2 : 0, 10));
+    im.forEach(value => expect(value).toBeCloseTo(0, 10));
+  });
+  
+  it('inverts itself', () => {
+    const original = Float64Array.from({ length: 32 }, (_, i) => Math.sin(i * i));
+    const re = Float64Array.from(original);
+    const im = new Float64Array(32);
+    fft(re, im);
+    fft(re, im, true);
+    re.forEach((value, i) => expect(value).toBeCloseTo(original[i], 12));
+    im.forEach(value => expect(value).toBeCloseTo(0, 12));
+  });
+});
@@ -0,0 +1,24 @@
+// Relativity engine: pure calculations with explicit inputs and outputs.
+// Nothing in here touches React state or the DOM.
+export * from './constants';
+export * from './integrators';
+export * from './random';
+export * from './spacetime';
+export * from './schwarzschild';
+export * from './kerr';
+export * from './lightPaths';
+export * from './observers';
+export * from './particles';
+export * from './effectivePotential';
+export * from './precession';
+export * from './tidal';
+export * from './infall';
+export * from './schwarzschildCharts';
+export * from './penrose';
+export * from './chirp';
+export * from './binaryMerger';
+export * from './detector';
+export * from './fft';
+export * from './strainData';
+export * from './waves';
+export * from './specialRelativity';
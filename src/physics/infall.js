@@ -0,0 +1,39 @@
+import { radialInfallTime } from './tidal';
+
+// Radial free fall from rest at R into a Schwarzschild black hole of geometric
+// mass M, timed two ways: by the infaller's own clock (proper time τ) and by
+// the Schwarzschild coordinate time t of an observer far away.
+
+// GM☉/c³: one solar mass as a time, in seconds
+export const SOLAR_MASS_TIME = 4.925491e-6;
+
+// Real units for the visualizer's mass: one unit of the Mass slider is one M☉,
+// so times in units of M become seconds for a hole of that many solar masses
+export const SOLAR_MASSES_PER_MASS_UNIT = 1;
+
+export const massInSolarMasses = (mass) => mass * SOLAR_MASSES_PER_MASS_UNIT;
+
+// Coordinate time to fall from rest at R to radius r, using the cycloid
+// parameter η of r = R(1 + cos η)/2 (MTW eq. 31.10):
+// t = 2M ln|(k + tan(η/2)) / (k − tan(η/2))| + 2Mk(η + (R/4M)(η + sin η)), k = sqrt(R/2M − 1).
+// It grows without bound as r → 2M, so the far observer never sees the
+// crossing; at and inside the horizon it is Infinity.
+export const radialInfallCoordinateTime = (M, R, r) => {
+  if (r <= 2 * M) return Infinity;
+  const eta = Math.acos(Math.max(-1, Math.min(1, 2 * r / R - 1)));
+  const k = Math.sqrt(R / (2 * M) - 1);
+  const tanHalf = Math.tan(eta / 2);
+  return 2 * M * Math.log((k + tanHalf) / (k - tanHalf)) + 2 * M * k * (eta + R / (4 * M) * (eta + Math.sin(eta)));
+};
+
+// Both clocks along the fall, from R in to r = 0, as samples { r, tau, t }.
+// The radii close in on the horizon geometrically as well, so the logarithmic
+// divergence of t is resolved.
+export const sampleRadialInfall = (M, R, samples = 200) => {
+  const horizon = 2 * M;
+  const uniform = Array.from({ length: samples + 1 }, (_, i) => R * (1 - i / samples));
+  const approach = Array.from({ length: 12 }, (_, k) => horizon + (R - horizon) * 10 ** -(k + 1) * 0.5);
+  return [...uniform, ...approach, horizon]
+    .sort((a, b) => b - a)
+    .map(r => ({ r, tau: radialInfallTime(M, R, r), t: radialInfallCoordinateTime(M, R, r) }));
+};
@@ -0,0 +1,61 @@
+import { SOLAR_MASS_TIME, massInSolarMasses, radialInfallCoordinateTime, sampleRadialInfall } from './infall';
+import { radialInfallTime } from './tidal';
+
+describe('radialInfallCoordinateTime', () => {
+  it('starts at zero at the release radius', () => {
+    expect(radialInfallCoordinateTime(1, 10, 10)).toBeCloseTo(0, 12);
+  });
+  
+  it('is infinite at and inside the horizon', () => {
+    expect(radialInfallCoordinateTime(2, 20, 4)).toBe(Infinity);
+    expect(radialInfallCoordinateTime(2, 20, 1)).toBe(Infinity);
+  });
+  
+  it('runs ahead of the proper time and diverges logarithmically at the horizon', () => {
+    [8, 5, 3].forEach(r => {
+      expect(radialInfallCoordinateTime(1, 10, r)).toBeGreaterThan(radialInfallTime(1, 10, r));
+    });
+    // Each tenfold approach to r = 2M adds 2M ln 10
+    const near = radialInfallCoordinateTime(1, 10, 2 + 1e-6);
+    const nearer = radialInfallCoordinateTime(1, 10, 2 + 1e-7);
+    expect(nearer - near).toBeCloseTo(2 * Math.LN10, 4);
+  });
+  
+  it('agrees with the proper time in a weak field', () => {
+    const R = 1e6;
+    expect(radialInfallCoordinateTime(1, R, R / 2) / radialInfallTime(1, R, R / 2)).toBeCloseTo(1, 4);
+  });
+  
+  it('scales with the mass', () => {
+    expect(radialInfallCoordinateTime(3, 30, 12)).toBeCloseTo(3 * radialInfallCoordinateTime(1, 10, 4), 10);
+  });
+});
+
+describe('sampleRadialInfall', () => {
+  const samples = sampleRadialInfall(1, 10, 50);
+  
+  it('runs inwards from release to the centre', () => {
+    expect(samples[0]).toEqual({ r: 10, tau: 0, t: 0 });
+    expect(samples[samples.length - 1]).toMatchObject({ r: 0, t: Infinity });
+    samples.slice(1).forEach((sample, i) => {
+      expect(sample.r).toBeLessThanOrEqual(samples[i].r);
+      expect(sample.tau).toBeGreaterThanOrEqual(samples[i].tau);
+    });
+  });
+  
+  it('closes in on the horizon to resolve the divergence', () => {
+    const outside = samples.filter(sample => sample.r > 2);
+    expect(outside[outside.length - 1].r - 2).toBeLessThan(1e-10);
+    expect(samples.find(sample => sample.r === 2).t).toBe(Infinity);
+  });
+});
+
+describe('massInSolarMasses', () => {
+  it('reads the visualizer mass in solar masses', () => {
+    expect(massInSolarMasses(10)).toBe(10);
+    // The fall from 10M to the horizon of a 10 M☉ hole takes about a millisecond
+    const seconds = radialInfallTime(1, 10, 2) * massInSolarMasses(10) * SOLAR_MASS_TIME;
+    expect(seconds).toBeGreaterThan(1e-3);
+    expect(seconds).toBeLessThan(2e-3);
+  });
+});
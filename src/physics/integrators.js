@@ -0,0 +1,116 @@
+// Generic ODE integrators shared by the geodesic solvers.
+// State vectors are plain arrays; derivative functions have the form (t, y) => dy/dt.
+
+// Dormand–Prince 5(4) coefficients
+const A = [
+  [],
+  [1/5],
+  [3/40, 9/40],
+  [44/45, -56/15, 32/9],
+  [19372/6561, -25360/2187, 64448/6561, -212/729],
+  [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+  [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]
+];
+const C = [0, 1/5, 3/10, 4/5, 8/9, 1, 1];
+const B5 = [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84, 0];
+const B4 = [5179/57600, 0, 7571/16695, 393/640, -92097/339200, 187/2100, 1/40];
+
+// Add k-weighted increments to a state vector
+const combine = (y, h, weights, k) => y.map((yi, i) => {
+  let sum = 0;
+  for (let j = 0; j < weights.length; j++) {
+    if (weights[j] !== 0) sum += weights[j] * k[j][i];
+  }
+  return yi + h * sum;
+});
+
+// Single forward-Euler step: first order, shown for comparison only
+export const eulerStep = (deriv, t, y, h) => {
+  const k = deriv(t, y);
+  return y.map((yi, i) => yi + h * k[i]);
+};
+
+// Single kick-drift-kick leapfrog step. momenta lists the indices of the
+// momentum components; every other component is a position. Second order and
+// time-reversible; symplectic when the Hamiltonian separates into kinetic and
+// potential parts, and close to energy-conserving otherwise.
+export const leapfrogStep = (deriv, t, y, h, momenta) => {
+  const isMomentum = y.map((_, i) => momenta.includes(i));
+  
+  // Half kick, full drift with the half-step momenta, half kick
+  const k1 = deriv(t, y);
+  const half = y.map((yi, i) => (isMomentum[i] ? yi + h/2 * k1[i] : yi));
+  const k2 = deriv(t + h/2, half);
+  const drifted = half.map((yi, i) => (isMomentum[i] ? yi : yi + h * k2[i]));
+  const k3 = deriv(t + h, drifted);
+  return drifted.map((yi, i) => (isMomentum[i] ? yi + h/2 * k3[i] : yi));
+};
+
+// Single classic fourth-order Runge–Kutta step
+export const rk4Step = (deriv, t, y, h) => {
+  const k1 = deriv(t, y);
+  const k2 = deriv(t + h/2, y.map((yi, i) => yi + h/2 * k1[i]));
+  const k3 = deriv(t + h/2, y.map((yi, i) => yi + h/2 * k2[i]));
+  const k4 = deriv(t + h, y.map((yi, i) => yi + h * k3[i]));
+  return y.map((yi, i) => yi + h/6 * (k1[i] + 2*k2[i] + 2*k3[i] + k4[i]));
+};
+
+// Single Dormand–Prince step; returns the fifth-order solution and an error estimate
+export const rk45Step = (deriv, t, y, h) => {
+  const k = [];
+  for (let s = 0; s < 7; s++) {
+    const ys = s === 0 ? y : combine(y, h, A[s], k);
+    k.push(deriv(t + C[s] * h, ys));
+  }
+  const y5 = combine(y, h, B5, k);
+  const y4 = combine(y, h, B4, k);
+  
+  // Error relative to the size of the state
+  let error = 0;
+  for (let i = 0; i < y.length; i++) {
+    const scale = 1 + Math.max(Math.abs(y[i]), Math.abs(y5[i]));
+    error = Math.max(error, Math.abs(y5[i] - y4[i]) / scale);
+  }
+  
+  return { y: y5, error };
+};
+
+// Integrate with adaptive step size until stop(t, y) returns true or tMax is reached.
+// Every accepted step is passed to onStep(t, y), so callers can sample the solution.
+export const integrateAdaptive = (deriv, y0, t0, {
+  tMax = Infinity,
+  h = 0.01,
+  tolerance = 1e-9,
+  hMin = 1e-9,
+  hMax = 0.1,
+  maxSteps = 20000,
+  stop = () => false,
+  onStep = () => {}
+} = {}) => {
+  let t = t0;
+  let y = y0;
+  let step = h;
+  let steps = 0;
+  
+  onStep(t, y);
+  
+  while (t < tMax && steps < maxSteps) {
+    step = Math.min(step, tMax - t);
+    const result = rk45Step(deriv, t, y, step);
+    const invalid = result.y.some(v => !Number.isFinite(v));
+    
+    if (!invalid && (result.error <= tolerance || step <= hMin)) {
+      t += step;
+      y = result.y;
+      steps++;
+      onStep(t, y);
+      if (stop(t, y)) break;
+    }
+    
+    // Standard step-size controller with safety factor
+    const factor = invalid ? 0.25 : 0.9 * Math.pow(tolerance / Math.max(result.error, 1e-16), 0.2);
+    step = Math.min(hMax, Math.max(hMin, step * Math.min(4, Math.max(0.1, factor))));
+  }
+  
+  return { t, y, steps };
+};
@@ -0,0 +1,77 @@
+import { eulerStep, integrateAdaptive, leapfrogStep, rk4Step, rk45Step } from './integrators';
+
+// dy/dt = −y, solved by y = e^−t
+const decay = (t, y) => y.map(value => -value);
+
+describe('fixed steps', () => {
+  it.each([
+    ['Euler', eulerStep, 3e-2],
+    ['RK4', rk4Step, 1e-6]
+  ])('%s approaches the exact decay', (name, step, accuracy) => {
+    let y = [1];
+    for (let i = 0; i < 10; i++) y = step(decay, i * 0.1, y, 0.1);
+    expect(Math.abs(y[0] - Math.exp(-1))).toBeLessThan(accuracy);
+  });
+  
+  it('estimates the Dormand–Prince error', () => {
+    const { y, error } = rk45Step(decay, 0, [1], 0.1);
+    expect(y[0]).toBeCloseTo(Math.exp(-0.1), 9);
+    expect(error).toBeGreaterThan(0);
+    expect(error).toBeLessThan(1e-6);
+  });
+});
+
+describe('leapfrogStep', () => {
+  // Harmonic oscillator H = (p² + q²)/2 with state [q, p]
+  const oscillator = (t, [q, p]) => [p, -q];
+  const energy = ([q, p]) => (p * p + q * q) / 2;
+  
+  // Largest energy error over each of several stretches of many periods
+  const energyErrors = (step) => {
+    let y = [1, 0];
+    return Array.from({ length: 4 }, () => {
+      let worst = 0;
+      for (let i = 0; i < 2000; i++) {
+        y = step(y);
+        worst = Math.max(worst, Math.abs(energy(y) - 0.5));
+      }
+      return worst;
+    });
+  };
+  
+  it('keeps the energy error bounded', () => {
+    const errors = energyErrors(y => leapfrogStep(oscillator, 0, y, 0.1, [1]));
+    errors.forEach(error => {
+      expect(error).toBeGreaterThan(0);
+      expect(error).toBeLessThan(0.01);
+    });
+    expect(errors[3]).toBeLessThan(errors[0] * 1.01);
+  });
+  
+  it('does better than Euler, whose energy grows without bound', () => {
+    const errors = energyErrors(y => eulerStep(oscillator, 0, y, 0.1));
+    expect(errors[3]).toBeGreaterThan(errors[0] * 10);
+  });
+});
+
+describe('integrateAdaptive', () => {
+  it('reaches tMax within the tolerance', () => {
+    const { t, y } = integrateAdaptive(decay, [1], 0, { tMax: 1, tolerance: 1e-10 });
+    expect(t).toBeCloseTo(1, 12);
+    expect(y[0]).toBeCloseTo(Math.exp(-1), 8);
+  });
+  
+  it('reports the start and every accepted step, in order', () => {
+    const times = [];
+    const { steps } = integrateAdaptive(decay, [1], 0, { tMax: 1, onStep: t => times.push(t) });
+    expect(times[0]).toBe(0);
+    expect(times).toHaveLength(steps + 1);
+    times.slice(1).forEach((t, i) => expect(t).toBeGreaterThan(times[i]));
+  });
+  
+  it('stops when asked', () => {
+    const { y } = integrateAdaptive(decay, [1], 0, { stop: (t, [value]) => value < 0.5 });
+    expect(y[0]).toBeLessThan(0.5);
+    expect(y[0]).toBeGreaterThan(0.45);
+  });
+});
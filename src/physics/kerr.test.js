@@ -0,0 +1,116 @@
+import {
+  frameDraggingAngularVelocity,
+  integrateKerrNullGeodesic,
+  kerrAngularMomentumForEnergy,
+  kerrCircularOrbit,
+  kerrEnergyForAngularMomentum,
+  kerrErgosphereRadius,
+  kerrGeodesicDerivatives,
+  kerrHorizons,
+  kerrIscoRadius,
+  kerrPhotonOrbitRadius
+} from './kerr';
+import { integrateAdaptive } from './integrators';
+import { integrateNullGeodesic } from './schwarzschild';
+
+describe('kerrHorizons', () => {
+  it.each([
+    [0, 2, 0],
+    [0.6, 1.8, 0.2],
+    [1, 1, 1]
+  ])('for a = %s M are r± = %s M and %s M', (a, outer, inner) => {
+    const horizons = kerrHorizons(1, a);
+    expect(horizons.outer).toBeCloseTo(outer, 12);
+    expect(horizons.inner).toBeCloseTo(inner, 12);
+  });
+  
+  it('scale with the mass', () => {
+    expect(kerrHorizons(3, 1.8).outer).toBeCloseTo(5.4, 12);
+  });
+});
+
+describe('kerrErgosphereRadius', () => {
+  it('reaches 2M at the equator and touches the horizon at the poles', () => {
+    expect(kerrErgosphereRadius(1, 0.9)).toBeCloseTo(2, 12);
+    expect(kerrErgosphereRadius(1, 0.9, 0)).toBeCloseTo(kerrHorizons(1, 0.9).outer, 12);
+  });
+});
+
+describe('characteristic orbits', () => {
+  it.each([
+    ['photon orbit', kerrPhotonOrbitRadius, 3, 1, 4],
+    ['ISCO', kerrIscoRadius, 6, 1, 9]
+  ])('%s is at %s M without spin and at %s M or %s M for an extremal hole', (name, radius, still, prograde, retrograde) => {
+    expect(radius(1, 0)).toBeCloseTo(still, 9);
+    expect(radius(1, 0, false)).toBeCloseTo(still, 9);
+    expect(radius(1, 1)).toBeCloseTo(prograde, 9);
+    expect(radius(1, 1, false)).toBeCloseTo(retrograde, 9);
+  });
+  
+  it('puts the ISCO of a Thorne-limit hole at 1.237 M', () => {
+    expect(kerrIscoRadius(1, 0.998)).toBeCloseTo(1.237, 3);
+  });
+  
+  it('scales the ISCO with the mass', () => {
+    expect(kerrIscoRadius(2, 1)).toBeCloseTo(2 * kerrIscoRadius(1, 0.5), 9);
+  });
+});
+
+describe('kerrCircularOrbit', () => {
+  it('binds a Schwarzschild ISCO orbit with E = √(8/9) and L = 2√3 M', () => {
+    const { E, L } = kerrCircularOrbit(1, 0, 6);
+    expect(E).toBeCloseTo(Math.sqrt(8 / 9), 12);
+    expect(L).toBeCloseTo(2 * Math.sqrt(3), 12);
+  });
+  
+  it('has no timelike orbit inside the photon orbit', () => {
+    expect(kerrCircularOrbit(1, 0, 2.9)).toBeNull();
+    expect(kerrCircularOrbit(1, 0.9, 2, true)).not.toBeNull();
+    expect(kerrCircularOrbit(1, 0.9, 2, false)).toBeNull();
+  });
+  
+  it('agrees with the mass-shell solutions', () => {
+    const r = 5;
+    const { E, L } = kerrCircularOrbit(1, 0.7, r);
+    expect(kerrEnergyForAngularMomentum(1, 0.7, L, r)).toBeCloseTo(E, 9);
+    expect(kerrAngularMomentumForEnergy(1, 0.7, E, r)).toBeCloseTo(L, 6);
+  });
+  
+  it('stays circular when integrated', () => {
+    const r = 8;
+    const { E, L } = kerrCircularOrbit(1, 0.5, r);
+    const { y } = integrateAdaptive(kerrGeodesicDerivatives(1, 0.5, E, L), [0, r, Math.PI / 2, 0, 0, 0], 0, {
+      tMax: 200,
+      hMax: 1
+    });
+    expect(y[1]).toBeCloseTo(r, 5);
+    expect(y[2]).toBeCloseTo(Math.PI / 2, 12);
+    expect(y[3]).toBeGreaterThan(0);
+  });
+});
+
+describe('frameDraggingAngularVelocity', () => {
+  it('vanishes without spin and falls off as 2Ma/r³', () => {
+    expect(frameDraggingAngularVelocity(1, 0, 10)).toBe(0);
+    expect(frameDraggingAngularVelocity(1, 0.5, 1000) * 1000 ** 3).toBeCloseTo(1, 2);
+  });
+});
+
+describe('integrateKerrNullGeodesic', () => {
+  it('matches the Schwarzschild deflection without spin', () => {
+    const kerr = integrateKerrNullGeodesic(1, 0, 10);
+    const schwarzschild = integrateNullGeodesic(1, 10);
+    expect(kerr.deflectionAngle).toBeCloseTo(schwarzschild.deflectionAngle, 4);
+  });
+  
+  it('bends retrograde rays more than prograde ones', () => {
+    const retrograde = integrateKerrNullGeodesic(1, 0.9, 10);
+    const prograde = integrateKerrNullGeodesic(1, 0.9, -10);
+    expect(retrograde.deflectionAngle).toBeGreaterThan(prograde.deflectionAngle);
+  });
+  
+  it('captures a retrograde ray that a prograde one of the same |b| escapes', () => {
+    expect(integrateKerrNullGeodesic(1, 0.9, 5).captured).toBe(true);
+    expect(integrateKerrNullGeodesic(1, 0.9, -5).captured).toBe(false);
+  });
+});
@@ -0,0 +1,26 @@
+import { calculateLightPaths } from './lightPaths';
+
+describe('calculateLightPaths', () => {
+  it('traces a beam symmetric about the mass', () => {
+    const paths = calculateLightPaths(20);
+    expect(paths).toHaveLength(12);
+    paths.forEach((path, i) => {
+      const mirror = paths[paths.length - 1 - i];
+      expect(path.impactParameter).toBeCloseTo(-mirror.impactParameter, 12);
+      expect(path.captured).toBe(mirror.captured);
+    });
+    expect(paths.some(path => path.captured)).toBe(true);
+    expect(paths.some(path => !path.captured)).toBe(true);
+  });
+  
+  it('embeds each point at depth −mass/r', () => {
+    calculateLightPaths(20).forEach(path => {
+      path.points.forEach(({ x, y, z }) => expect(z).toBeCloseTo(-20 / Math.hypot(x, y), 6));
+    });
+  });
+  
+  it('captures fewer photons on the prograde side of a spinning mass', () => {
+    const captured = paths => paths.filter(path => path.captured).length;
+    expect(captured(calculateLightPaths(30, 0.99, 30, 60))).toBeLessThan(captured(calculateLightPaths(30, 0, 30, 60)));
+  });
+});
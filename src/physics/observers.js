@@ -0,0 +1,141 @@
+import { SCALE_FACTOR } from './constants';
+import { schwarzschildRadius, photonSphereRadius } from './schwarzschild';
+
+// Physics modes for the observer calculations
+// 'exact' evaluates the Schwarzschild metric with geometric mass M = mass * SCALE_FACTOR.
+// 'toy' keeps the original scaled approximations as a visual exaggeration.
+export const PHYSICS_MODES = ['exact', 'toy'];
+
+// Radial proper distance from the horizon, the closed form of ∫ dr / sqrt(1 − 2M/r)
+const radialProperDistance = (M, r) => {
+  const rs = schwarzschildRadius(M);
+  return Math.sqrt(r * (r - rs)) + rs * Math.log((Math.sqrt(r) + Math.sqrt(r - rs)) / Math.sqrt(rs));
+};
+
+// Coordinate time for light to cross between two points in the weak field
+// (Shapiro 1964). Purely radial light uses the exact integral ∫ dr / (1 − 2M/r).
+const lightTravelCoordinateTime = (M, r1, r2, distance, angleRad) => {
+  const rs = schwarzschildRadius(M);
+  if (Math.abs(Math.sin(angleRad)) < 1e-9 && Math.cos(angleRad) > 0) {
+    return Math.abs(r1 - r2) + rs * Math.abs(Math.log((r1 - rs) / (r2 - rs)));
+  }
+  return distance + rs * Math.log((r1 + r2 + distance) / (r1 + r2 - distance));
+};
+
+// Observer position and local quantities; static observers cannot exist at or inside r = 2M
+const describeObserver = (x, y, r, M, potentialScale, horizonRadius) => {
+  const potential = M / r;
+  const insideHorizon = r <= horizonRadius;
+  return {
+    x,
+    y,
+    r,
+    potential,
+    insideHorizon,
+    timeDilation: insideHorizon ? null : 1 / Math.sqrt(1 - 2 * potential * potentialScale),
+    escapeVelocity: insideHorizon ? null : Math.sqrt(2 * potential * potentialScale)
+  };
+};
+
+// Calculate relativistic effects between two static observers around a mass.
+// Observer 1 sits on the x axis, observer 2 at observer2Angle degrees.
+// Quantities that are undefined because an observer is at or inside the horizon are null.
+export const calculateRelativisticEffects = ({
+  mass,
+  observer1Position,
+  observer2Position,
+  observer2Angle,
+  mode = 'exact'
+}) => {
+  // Convert observer2Angle to radians
+  const angleRad = observer2Angle * Math.PI / 180;
+  
+  // Position of second observer
+  const x2 = observer2Position * Math.cos(angleRad);
+  const y2 = observer2Position * Math.sin(angleRad);
+  
+  const r1 = observer1Position;
+  const r2 = observer2Position;
+  
+  // Euclidean separation of the two positions
+  const distance = Math.sqrt(r1*r1 + r2*r2 - 2*r1*r2*Math.cos(angleRad));
+  
+  // The exact mode already works in geometric units, so the potential is unscaled;
+  // the toy mode keeps the original unscaled mass with a scaled potential.
+  const exact = mode === 'exact';
+  const M = exact ? mass * SCALE_FACTOR : mass;
+  const potentialScale = exact ? 1 : SCALE_FACTOR;
+  const horizonRadius = schwarzschildRadius(mass * SCALE_FACTOR);
+  
+  const observer1 = describeObserver(observer1Position, 0, r1, M, potentialScale, horizonRadius);
+  const observer2 = describeObserver(x2, y2, r2, M, potentialScale, horizonRadius);
+  const horizonCrossed = observer1.insideHorizon || observer2.insideHorizon;
+  
+  const result = {
+    mode,
+    horizonRadius,
+    horizonCrossed,
+    observer1,
+    observer2,
+    distance,
+    relativeTimeDilation: null,
+    lightTravelTime: null,
+    lightPathBlocked: false,
+    shapiroDelay: null,
+    redshift: null,
+    properDistance: null,
+    spaceContraction1: null,
+    spaceContraction2: null
+  };
+  
+  if (horizonCrossed) return result;
+  
+  // Relative rate of the two clocks
+  result.relativeTimeDilation = observer2.timeDilation / observer1.timeDilation;
+  
+  // Radial space contraction factor sqrt(1 − 2M/r)
+  result.spaceContraction1 = 1 / observer1.timeDilation;
+  result.spaceContraction2 = 1 / observer2.timeDilation;
+  
+  if (exact) {
+    // Closest approach of the straight line between the observers, when it
+    // passes the mass between them
+    const perpendicularFoot = (r1*r1 - r1*r2*Math.cos(angleRad)) / Math.max(distance, 1e-12);
+    const passesMass = perpendicularFoot > 0 && perpendicularFoot < distance;
+    const closestApproach = r1 * r2 * Math.abs(Math.sin(angleRad)) / Math.max(distance, 1e-12);
+    
+    // A signal grazing the photon sphere has no weak-field travel time
+    result.lightPathBlocked = passesMass && closestApproach <= photonSphereRadius(M);
+    if (!result.lightPathBlocked) {
+      // Coordinate time for the signal, and the excess over flat space
+      result.lightTravelTime = lightTravelCoordinateTime(M, r1, r2, distance, angleRad);
+      result.shapiroDelay = result.lightTravelTime - distance;
+    }
+    
+    // Radial proper distance between the two observers' shells
+    result.properDistance = Math.abs(radialProperDistance(M, r1) - radialProperDistance(M, r2));
+    
+    // Light from observer 2 as received by observer 1: 1 + z = sqrt(g_tt(r1) / g_tt(r2))
+    result.redshift = Math.sqrt((1 - 2 * M / r1) / (1 - 2 * M / r2)) - 1;
+  } else {
+    // Approximate light travel time with gravitational delay
+    // Simplified - actual path would follow geodesic
+    const averagePotential = (observer1.potential + observer2.potential) / 2 * SCALE_FACTOR;
+    result.lightTravelTime = distance * (1 + averagePotential);
+    result.shapiroDelay = result.lightTravelTime - distance;
+    
+    // Proper distance - scaled to be realistic
+    result.properDistance = distance / (1 + averagePotential);
+    
+    // Calculate gravitational redshift (also scaled to avoid NaN)
+    result.redshift = Math.sqrt((1 - 2 * observer2.potential * SCALE_FACTOR) / (1 - 2 * observer1.potential * SCALE_FACTOR)) - 1;
+  }
+  
+  return result;
+};
+
+// Radius of the event horizon in the scaled units used by the views
+export const scaledSchwarzschildRadius = (mass) => 2 * mass * SCALE_FACTOR;
+
+// Radius of the Einstein ring for a source directly behind the mass (simplified approximation)
+export const scaledEinsteinRingRadius = (mass) => 4 * mass * SCALE_FACTOR;
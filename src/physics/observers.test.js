@@ -0,0 +1,80 @@
+import { calculateRelativisticEffects, scaledSchwarzschildRadius } from './observers';
+import { SCALE_FACTOR } from './constants';
+
+const effects = (overrides) => calculateRelativisticEffects({
+  mass: 10,
+  observer1Position: 30,
+  observer2Position: 20,
+  observer2Angle: 120,
+  ...overrides
+});
+
+describe('calculateRelativisticEffects in exact mode', () => {
+  // Geometric mass of the default configuration
+  const M = 10 * SCALE_FACTOR;
+  
+  it('dilates static clocks by 1 / √(1 − 2M/r)', () => {
+    const { observer1, observer2, relativeTimeDilation } = effects();
+    expect(observer1.timeDilation).toBeCloseTo(1 / Math.sqrt(1 - 2 * M / 30), 12);
+    expect(observer2.timeDilation).toBeCloseTo(1 / Math.sqrt(1 - 2 * M / 20), 12);
+    expect(relativeTimeDilation).toBeGreaterThan(1);
+  });
+  
+  it('redshifts light climbing out to observer 1 and blueshifts it falling in', () => {
+    const { redshift } = effects();
+    expect(redshift).toBeCloseTo(Math.sqrt((1 - 2 * M / 30) / (1 - 2 * M / 20)) - 1, 12);
+    expect(redshift).toBeGreaterThan(0);
+    expect(effects({ observer1Position: 20, observer2Position: 30 }).redshift).toBeLessThan(0);
+  });
+  
+  it('delays light passing the mass (Shapiro delay)', () => {
+    const { lightTravelTime, shapiroDelay, distance } = effects();
+    expect(shapiroDelay).toBeGreaterThan(0);
+    expect(lightTravelTime).toBeCloseTo(distance + shapiroDelay, 12);
+  });
+  
+  it('makes radial proper distance longer than the coordinate difference', () => {
+    expect(effects({ observer2Angle: 0 }).properDistance).toBeGreaterThan(10);
+  });
+  
+  it('blocks light whose straight path grazes the photon sphere', () => {
+    const { lightPathBlocked, lightTravelTime } = effects({ mass: 50, observer1Position: 16, observer2Position: 16, observer2Angle: 180 });
+    expect(lightPathBlocked).toBe(true);
+    expect(lightTravelTime).toBeNull();
+  });
+});
+
+describe('observers at or inside the horizon', () => {
+  // r = 2M for mass 50 is 10 in scaled units
+  const horizon = scaledSchwarzschildRadius(50);
+  
+  it.each([
+    ['on', horizon],
+    ['inside', horizon - 2]
+  ])('have no static clock %s the horizon', (name, r) => {
+    const result = effects({ mass: 50, observer1Position: 30, observer2Position: r });
+    expect(result.horizonRadius).toBe(horizon);
+    expect(result.horizonCrossed).toBe(true);
+    expect(result.observer2.insideHorizon).toBe(true);
+    expect(result.observer2.timeDilation).toBeNull();
+    expect(result.observer2.escapeVelocity).toBeNull();
+    expect(result.relativeTimeDilation).toBeNull();
+    expect(result.redshift).toBeNull();
+  });
+  
+  it('leave the outside observer described', () => {
+    const { observer1 } = effects({ mass: 50, observer2Position: 5 });
+    expect(observer1.insideHorizon).toBe(false);
+    expect(observer1.timeDilation).toBeGreaterThan(1);
+  });
+});
+
+describe('calculateRelativisticEffects in toy mode', () => {
+  it('keeps the scaled approximations finite', () => {
+    const result = effects({ mode: 'toy', mass: 50 });
+    expect(result.mode).toBe('toy');
+    expect(Number.isFinite(result.relativeTimeDilation)).toBe(true);
+    expect(Number.isFinite(result.redshift)).toBe(true);
+    expect(result.lightTravelTime).toBeGreaterThan(result.distance);
+  });
+});
@@ -0,0 +1,245 @@
+import { SCALE_FACTOR } from './constants';
+import { integrateAdaptive, eulerStep, leapfrogStep, rk4Step } from './integrators';
+import {
+  kerrHorizons,
+  kerrCircularOrbit,
+  kerrEnergyForAngularMomentum,
+  kerrAngularMomentumForEnergy,
+  kerrGeodesicDerivatives
+} from './kerr';
+
+// Particles are massive test bodies on equatorial Kerr geodesics. The visual
+// mass is converted to geometric units with SCALE_FACTOR (so the horizon matches
+// the other views) and the rotation slider is the dimensionless spin a/M.
+const toGeometric = (centralMass, rotation) => {
+  const M = centralMass * SCALE_FACTOR;
+  return { M, a: rotation * M };
+};
+
+// Particles further out than this have escaped and are respawned
+const ESCAPE_RADIUS = 200;
+
+// Number of previous positions kept for each particle's trail
+export const MAX_TRAIL_LENGTH = 20;
+
+// Number of recent periapsis passages kept for measuring precession
+const MAX_PERIAPSIDES = 6;
+
+// Cartesian position and coordinate velocity of a particle on the equator
+const withCartesian = (particle, M, a) => {
+  const { r, phi, pr, E, L } = particle;
+  const [tdot, rdot, , phidot] = kerrGeodesicDerivatives(M, a, E, L)(0, [0, r, Math.PI / 2, phi, pr, 0]);
+  const drdt = rdot / tdot;
+  const dphidt = phidot / tdot;
+  return {
+    ...particle,
+    x: r * Math.cos(phi),
+    y: r * Math.sin(phi),
+    vx: drdt * Math.cos(phi) - r * dphidt * Math.sin(phi),
+    vy: drdt * Math.sin(phi) + r * dphidt * Math.cos(phi)
+  };
+};
+
+// Spawn a particle at a random radius on a circular-ish prograde orbit.
+// speed is the angular momentum as a fraction of the local circular orbit's;
+// random is the simulation's seeded generator (see createRandom).
+const spawnParticle = (speed, M, a, random) => {
+  // Random angle and distance
+  const phi = random() * 2 * Math.PI;
+  const r = 10 + random() * 40;
+  
+  // Inside the photon orbit there is no circular orbit; use the Newtonian value
+  const circular = kerrCircularOrbit(M, a, r, true);
+  const circularL = circular ? circular.L : Math.sqrt(M * r);
+  const L = circularL * speed * (0.8 + 0.4 * random());
+  const E = kerrEnergyForAngularMomentum(M, a, L, r);
+  
+  return withCartesian({ r, phi, pr: 0, E, L }, M, a);
+};
+
+// Initialize the particle simulation
+// Each particle carries a hue in [0, 1) so renderers can pick their own palette.
+// The same seeded generator must be passed on to updateParticles for respawns.
+export const initParticles = (count, speed, centralMass, rotation, random) => {
+  const { M, a } = toGeometric(centralMass, rotation);
+  const particles = [];
+  
+  for (let i = 0; i < count; i++) {
+    particles.push({
+      ...spawnParticle(speed, M, a, random),
+      trail: [], // Store previous positions for trail effect
+      periapsides: [], // Azimuths of recent periapsis passages
+      hue: i / count,
+      size: 1 + random() * 2
+    });
+  }
+  
+  return particles;
+};
+
+// Integrators available for the particles. The fixed-step methods take one
+// step of dt per update, so their truncation error is visible on screen; the
+// adaptive Dormand–Prince method keeps it below a tight tolerance.
+export const PARTICLE_INTEGRATORS = ['euler', 'leapfrog', 'rk4', 'rk45'];
+
+// p_r and p_θ in the geodesic state [t, r, θ, φ, p_r, p_θ]
+const MOMENTUM_INDICES = [4, 5];
+
+const FIXED_STEPPERS = {
+  euler: eulerStep,
+  leapfrog: (deriv, t, y, h) => leapfrogStep(deriv, t, y, h, MOMENTUM_INDICES),
+  rk4: rk4Step
+};
+
+// Advance one particle's geodesic by dt of coordinate time
+const advanceGeodesic = ({ r, phi, pr, E, L }, dt, M, a, horizon, integrator) => {
+  const derivatives = kerrGeodesicDerivatives(M, a, E, L);
+  
+  // Divide by dt/dλ so the integration variable is coordinate time
+  const coordinateTimeDerivatives = (t, state) => {
+    const d = derivatives(t, state);
+    return d.map(v => v / d[0]);
+  };
+  
+  const start = [0, r, Math.PI / 2, phi, pr, 0];
+  const y = integrator in FIXED_STEPPERS
+    ? FIXED_STEPPERS[integrator](coordinateTimeDerivatives, 0, start, dt)
+    : integrateAdaptive(
+      coordinateTimeDerivatives,
+      start,
+      0,
+      {
+        tMax: dt,
+        h: dt,
+        hMax: dt,
+        tolerance: 1e-8,
+        maxSteps: 200,
+        stop: (t, state) => state[1] <= horizon * 1.02
+      }
+    ).y;
+  
+  return { r: y[1], phi: y[3], pr: y[4], E, L };
+};
+
+// Fastest launch speed, as a fraction of the speed of light
+const MAX_LAUNCH_SPEED = 0.99;
+
+// A particle placed at (x, y) with velocity (vx, vy) as measured by the local
+// zero-angular-momentum observer, in units of c. Speeds are capped just below
+// light's. Returns null at or inside the horizon, where nothing can be launched.
+export const launchParticle = ({ x, y, vx, vy }, centralMass, rotation) => {
+  const { M, a } = toGeometric(centralMass, rotation);
+  const r = Math.hypot(x, y);
+  if (r <= kerrHorizons(M, a).outer * 1.02) return null;
+  
+  // Radial and azimuthal components of the velocity
+  const speed = Math.hypot(vx, vy);
+  const cap = speed > MAX_LAUNCH_SPEED ? MAX_LAUNCH_SPEED / speed : 1;
+  const vr = cap * (x * vx + y * vy) / r;
+  const vphi = cap * (x * vy - y * vx) / r;
+  const gamma = 1 / Math.sqrt(1 - (vr*vr + vphi*vphi));
+  
+  // Lapse α, frame-dragging rate ω and circumferential radius ϖ on the equator
+  const delta = r*r - 2*M*r + a*a;
+  const A = (r*r + a*a) ** 2 - a*a * delta;
+  const alpha = Math.sqrt(delta * r*r / A);
+  const omega = 2 * M * a * r / A;
+  const varpi = Math.sqrt(A) / r;
+  
+  return withCartesian({
+    r,
+    phi: Math.atan2(y, x),
+    pr: gamma * vr * r / Math.sqrt(delta),
+    E: gamma * (alpha + omega * varpi * vphi),
+    L: gamma * varpi * vphi
+  }, M, a);
+};
+
+// Path a particle will follow, integrated exactly as updateParticles would,
+// for up to steps steps of dt. outcome is 'captured' if it falls through the
+// horizon, 'escaped' if it leaves the system and 'orbiting' otherwise.
+export const predictTrajectory = (particle, centralMass, rotation, integrator = 'rk45', { steps = 1000, dt = 0.5 } = {}) => {
+  const { M, a } = toGeometric(centralMass, rotation);
+  const horizon = kerrHorizons(M, a).outer;
+  const points = [{ x: particle.x, y: particle.y }];
+  let state = particle;
+  
+  for (let i = 0; i < steps; i++) {
+    state = advanceGeodesic(state, dt, M, a, horizon, integrator);
+    if (!Number.isFinite(state.r)) return { points, outcome: 'escaped' };
+    
+    points.push({ x: state.r * Math.cos(state.phi), y: state.r * Math.sin(state.phi) });
+    if (state.r <= horizon * 1.02) return { points, outcome: 'captured' };
+    if (state.r > ESCAPE_RADIUS) return { points, outcome: 'escaped' };
+  }
+  
+  return { points, outcome: 'orbiting' };
+};
+
+// Update particle positions by integrating their Kerr geodesics with the chosen integrator
+// Particles that cross the event horizon or escape are respawned with the given speed,
+// drawing from the seeded generator random.
+export const updateParticles = (particles, dt, centralMass, rotation, speed, random, integrator = 'rk45') => {
+  const { M, a } = toGeometric(centralMass, rotation);
+  const horizon = kerrHorizons(M, a).outer;
+  
+  return particles.map(particle => {
+    const { x, y, trail, periapsides, hue, size } = particle;
+    
+    // Respawn particles that fell through the horizon, left the system or
+    // were thrown out by an unstable integrator
+    if (!Number.isFinite(particle.r) || particle.r <= horizon * 1.02 || particle.r > ESCAPE_RADIUS) {
+      return {
+        ...spawnParticle(speed, M, a, random),
+        trail: [],
+        periapsides: [],
+        hue,
+        size
+      };
+    }
+    
+    const next = withCartesian(advanceGeodesic(particle, dt, M, a, horizon, integrator), M, a);
+    
+    // Update trail
+    const newTrail = [...trail, { x, y }];
+    if (newTrail.length > MAX_TRAIL_LENGTH) newTrail.shift(); // Limit trail length
+    
+    // A periapsis passage is where p_r turns from negative to positive; its
+    // azimuth is interpolated between the two steps
+    const passedPeriapsis = particle.pr < 0 && next.pr >= 0;
+    const periapsisPhi = particle.phi + (next.phi - particle.phi) * particle.pr / (particle.pr - next.pr);
+    
+    return {
+      ...next,
+      trail: newTrail,
+      periapsides: passedPeriapsis ? [...periapsides, periapsisPhi].slice(-MAX_PERIAPSIDES) : periapsides,
+      hue,
+      size
+    };
+  });
+};
+
+// Conservation check. E and L are constants of the motion, so integration error
+// appears as a state (r, p_r) that no longer satisfies the mass-shell condition.
+// Returns the summed change in the energy, and in the angular momentum, that the
+// current states imply, relative to the true totals (0 for an exact integrator).
+export const measureDrift = (particles, centralMass, rotation) => {
+  const { M, a } = toGeometric(centralMass, rotation);
+  let energy = 0;
+  let energyDrift = 0;
+  let angularMomentum = 0;
+  let angularMomentumDrift = 0;
+  
+  particles.forEach(({ r, pr, E, L }) => {
+    if (!Number.isFinite(r) || !Number.isFinite(pr)) return;
+    energy += E;
+    energyDrift += kerrEnergyForAngularMomentum(M, a, L, r, pr) - E;
+    angularMomentum += Math.abs(L);
+    angularMomentumDrift += kerrAngularMomentumForEnergy(M, a, E, r, pr, L >= 0) - L;
+  });
+  
+  return {
+    energy: energy > 0 ? energyDrift / energy : 0,
+    angularMomentum: angularMomentum > 0 ? angularMomentumDrift / angularMomentum : 0
+  };
+};
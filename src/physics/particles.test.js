@@ -0,0 +1,64 @@
+import { initParticles, launchParticle, measureDrift, predictTrajectory, updateParticles } from './particles';
+import { kerrCircularOrbit } from './kerr';
+import { createRandom } from './random';
+
+// Particles after steps steps of dt with the given integrator
+const evolve = (integrator, steps, dt = 0.5) => {
+  const random = createRandom(11);
+  let particles = initParticles(10, 1, 10, 0.5, random);
+  for (let i = 0; i < steps; i++) {
+    particles = updateParticles(particles, dt, 10, 0.5, 1, random, integrator);
+  }
+  return particles;
+};
+
+describe('measureDrift', () => {
+  it('is zero for freshly spawned particles', () => {
+    const { energy, angularMomentum } = measureDrift(evolve('rk45', 0), 10, 0.5);
+    expect(Math.abs(energy)).toBeLessThan(1e-12);
+    expect(Math.abs(angularMomentum)).toBeLessThan(1e-12);
+  });
+  
+  it('shows Euler drifting far more than the adaptive integrator', () => {
+    const euler = measureDrift(evolve('euler', 40), 10, 0.5);
+    const rk45 = measureDrift(evolve('rk45', 40), 10, 0.5);
+    expect(Math.abs(euler.energy)).toBeGreaterThan(100 * Math.abs(rk45.energy));
+    expect(Math.abs(rk45.energy)).toBeLessThan(1e-6);
+  });
+});
+
+describe('launchParticle', () => {
+  // mass 10 is M = 1 in geometric units
+  it('refuses launches at or inside the horizon', () => {
+    expect(launchParticle({ x: 2, y: 0, vx: 0, vy: 0.5 }, 10, 0)).toBeNull();
+  });
+  
+  it('puts a particle at the local circular speed on the circular orbit', () => {
+    // A static observer at r = 6M sees circular orbits move at √(M / (r − 2M))
+    const particle = launchParticle({ x: 0, y: 6, vx: -0.5, vy: 0 }, 10, 0);
+    const circular = kerrCircularOrbit(1, 0, 6);
+    expect(particle.E).toBeCloseTo(circular.E, 9);
+    expect(particle.L).toBeCloseTo(circular.L, 9);
+    expect(particle.pr).toBeCloseTo(0, 12);
+    expect(particle.phi).toBeCloseTo(Math.PI / 2, 12);
+  });
+  
+  it('caps the speed below that of light', () => {
+    const particle = launchParticle({ x: 10, y: 0, vx: 3, vy: 4 }, 10, 0.9);
+    expect(Number.isFinite(particle.E)).toBe(true);
+    expect(particle.E).toBeLessThan(10);
+  });
+});
+
+describe('predictTrajectory', () => {
+  it.each([
+    ['captured', { x: 20, y: 0, vx: 0, vy: 0 }],
+    ['escaped', { x: 20, y: 0, vx: 0.9, vy: 0 }],
+    ['orbiting', { x: 0, y: 8, vx: -Math.sqrt(1 / 6), vy: 0 }]
+  ])('predicts a particle %s', (outcome, launch) => {
+    const trajectory = predictTrajectory(launchParticle(launch, 10, 0), 10, 0);
+    expect(trajectory.outcome).toBe(outcome);
+    expect(trajectory.points[0].x).toBeCloseTo(launch.x, 12);
+    expect(trajectory.points[0].y).toBeCloseTo(launch.y, 12);
+  });
+});
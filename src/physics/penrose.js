@@ -0,0 +1,333 @@
+import { integrateAdaptive } from './integrators';
+import { kerrHorizons } from './kerr';
+
+// Penrose (conformal) diagrams of the maximally extended Schwarzschild,
+// Reissner–Nordström and Kerr black holes. Each is drawn in the radial
+// (t, r) plane, which for Kerr is the rotation axis, where the metric is
+// ds² = −f(r) dt² + dr²/f(r). The diagram is a lattice of blocks, each
+// covering one region between horizons with its own Killing time t and the
+// tortoise coordinate r*, and each a diamond (or half of one) of
+// half-diagonal 1 centred on a lattice point:
+//   exterior    r > r+          at (±1, 4k)
+//   blackHole   r− < r < r+     at (0, 4k + 1), r falling to the future
+//   inner       0 < r < r−      at (±1, 4k + 2), r = 0 a timelike line
+//   whiteHole   r− < r < r+     at (0, 4k + 3), r rising to the future
+// With no inner horizon (Schwarzschild) there is one black hole at (0, 1) and
+// one white hole at (0, −1), each cut off by the r = 0 singularity.
+// Within a block the null coordinates v = t + r* and u = t − r* become
+// A = αv rising up and to the right and B = βu rising up and to the left, and
+// x = cx + (Ã − B̃)/π, y = cy + (Ã + B̃)/π with Ã = arctan(A/L). The signs
+// α, β are chosen so the coordinate labelling each shared edge is the same on
+// both sides, which is what lets a worldline pass from block to block.
+export const PENROSE_SPACETIMES = ['schwarzschild', 'reissnerNordstrom', 'kerr'];
+
+// Length over which the null coordinates are compressed by the arctangent
+const COMPRESSION_LENGTH = 2;
+
+// Radius the exterior blocks' r* is inverted up to, in units of M
+const OUTER_RADIUS_LIMIT = 1e6;
+
+// Metric function f(r), its derivative and the horizons for a hole of
+// geometric mass M. parameter is Q/M for Reissner–Nordström and a/M for Kerr,
+// and must stay below 1 (extremal holes have no separate inner horizon).
+// inner is 0 when there is no inner horizon.
+export const penroseGeometry = (spacetime, M, parameter = 0) => {
+  const size = spacetime === 'schwarzschild' ? 0 : parameter * M;
+  const { outer, inner } = kerrHorizons(M, size);
+  const split = outer - inner;
+  
+  // dr*/dr = 1/f splits into partial fractions with these weights on the
+  // horizons, giving r* = r + c+ ln|r/r+ − 1| − c− ln|r/r− − 1|, which is
+  // 0 at r = 0
+  const weight = radius => spacetime === 'kerr' ? (radius * radius + size * size) / split : radius * radius / split;
+  const outerWeight = weight(outer);
+  const innerWeight = inner > 0 ? weight(inner) : 0;
+  
+  const f = spacetime === 'kerr'
+    ? r => (r * r - 2 * M * r + size * size) / (r * r + size * size)
+    : r => 1 - 2 * M / r + size * size / (r * r);
+  const fPrime = spacetime === 'kerr'
+    ? r => 2 * M * (r * r - size * size) / (r * r + size * size) ** 2
+    : r => 2 * M / (r * r) - 2 * size * size / r ** 3;
+  const tortoise = r => r
+    + outerWeight * Math.log(Math.abs(r / outer - 1))
+    - (inner > 0 ? innerWeight * Math.log(Math.abs(r / inner - 1)) : 0);
+  
+  return { spacetime, M, parameter, outer, inner, f, fPrime, tortoise, L: COMPRESSION_LENGTH * M };
+};
+
+// Block centred at (cx, cy), or null if the lattice has none there. Blocks
+// carry their kind, the side their far boundary lies on, the signs α, β and
+// the range of r they cover.
+export const penroseBlock = (geometry, cx, cy) => {
+  const { outer, inner, M } = geometry;
+  const exterior = side => ({ kind: 'exterior', side, alpha: side, beta: side, rRange: [outer, OUTER_RADIUS_LIMIT * M] });
+  
+  if (inner === 0) {
+    if (cy === 0 && Math.abs(cx) === 1) return { cx, cy, ...exterior(cx) };
+    if (cx === 0 && cy === 1) return { cx, cy, kind: 'blackHole', side: 0, alpha: 1, beta: -1, rRange: [0, outer] };
+    if (cx === 0 && cy === -1) return { cx, cy, kind: 'whiteHole', side: 0, alpha: -1, beta: 1, rRange: [0, outer] };
+    return null;
+  }
+  
+  const phase = ((cy % 4) + 4) % 4;
+  if ((phase === 0 || phase === 2) !== (Math.abs(cx) === 1)) return null;
+  switch (phase) {
+    case 0:
+      return { cx, cy, ...exterior(cx) };
+    case 1:
+      return { cx, cy, kind: 'blackHole', side: 0, alpha: 1, beta: -1, rRange: [inner, outer] };
+    case 2:
+      return { cx, cy, kind: 'inner', side: cx, alpha: -cx, beta: -cx, rRange: [0, inner] };
+    default:
+      return { cx, cy, kind: 'whiteHole', side: 0, alpha: -1, beta: 1, rRange: [inner, outer] };
+  }
+};
+
+// Blocks whose diamonds overlap the diagram's vertical range [yMin, yMax]
+export const penroseBlocks = (geometry, yMin, yMax) => {
+  const blocks = [];
+  for (let cy = Math.floor(yMin) - 1; cy <= Math.ceil(yMax) + 1; cy++) {
+    [-1, 0, 1].forEach(cx => {
+      const block = penroseBlock(geometry, cx, cy);
+      if (block && cy + 1 > yMin && cy - 1 < yMax) blocks.push(block);
+    });
+  }
+  return blocks;
+};
+
+// Diagram position of the event at radius r with advanced time v (or, where
+// v is infinite on the edge it labels, retarded time u) in the given block
+export const penrosePoint = (geometry, block, r, { v, u }) => {
+  const rStar = geometry.tortoise(r);
+  const advanced = v !== undefined ? v : u + 2 * rStar;
+  const retarded = u !== undefined ? u : v - 2 * rStar;
+  const A = Math.atan(block.alpha * advanced / geometry.L);
+  const B = Math.atan(block.beta * retarded / geometry.L);
+  return { x: block.cx + (A - B) / Math.PI, y: block.cy + (A + B) / Math.PI };
+};
+
+// Radius in the block whose tortoise coordinate is rStar, or null if none
+// is. r* is monotonic between horizons, so bisect. Near an inner horizon r*
+// can change faster than r can be resolved, and the nearest radius is used.
+const radiusFromTortoise = (geometry, block, rStar) => {
+  const [rLo, rHi] = block.rRange;
+  const rising = geometry.f((rLo + Math.min(rHi, 4 * geometry.M)) / 2) > 0;
+  const below = r => (geometry.tortoise(r) < rStar) === rising;
+  let lo = rLo;
+  let hi = rHi;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (below(mid)) lo = mid;
+    else hi = mid;
+  }
+  
+  // Converging on r = 0 means r* lies beyond the singularity
+  const r = (lo + hi) / 2;
+  return rLo === 0 && r < 1e-9 * geometry.M ? null : r;
+};
+
+// The event at diagram point { x, y }, as { block, r, v, u }, or null outside
+// every block (beyond a singularity or off the lattice)
+export const penroseEventAt = (geometry, { x, y }) => {
+  for (let cy = Math.floor(y) - 1; cy <= Math.ceil(y) + 1; cy++) {
+    for (let cx = -1; cx <= 1; cx++) {
+      const block = penroseBlock(geometry, cx, cy);
+      const localX = x - cx;
+      const localY = y - cy;
+      if (!block || Math.abs(localX) + Math.abs(localY) >= 1) continue;
+      
+      const v = geometry.L * Math.tan(Math.PI * (localX + localY) / 2) / block.alpha;
+      const u = geometry.L * Math.tan(Math.PI * (localY - localX) / 2) / block.beta;
+      const r = radiusFromTortoise(geometry, block, (v - u) / 2);
+      return r === null ? null : { block, r, v, u };
+    }
+  }
+  return null;
+};
+
+// Curve of constant radius r across a block, as diagram points running with
+// the block's Killing time from −∞ to ∞
+export const constantRadiusCurve = (geometry, block, r, samples = 80) => {
+  const rStar = geometry.tortoise(r);
+  return Array.from({ length: samples + 1 }, (_, i) => {
+    const t = geometry.L * Math.tan(Math.PI * (i / samples - 0.5) * 0.999);
+    return penrosePoint(geometry, block, r, { v: t + rStar, u: t - rStar });
+  });
+};
+
+// Radius below which a worldline is taken to have reached r = 0
+const SINGULARITY_RADIUS = 0.01;
+
+// Radius beyond which a worldline is taken to have escaped to infinity
+const ESCAPE_RADIUS = 1000;
+
+// Spacing of points filled in along a worldline, in diagram units, and the
+// most filled in between two steps
+const FILL_SPACING = 0.02;
+const MAX_FILL_POINTS = 100;
+
+// Points closing in on a horizon on each side as a worldline crosses it
+const HORIZON_APPROACH_POINTS = 30;
+
+// The free-fall radial worldline through diagram point { x, y }, followed to
+// the future through as many blocks as it crosses. It starts at rest where r
+// is a spatial coordinate, and heading straight up the diagram inside a black
+// or white hole, where nothing can be at rest. Along it
+//   d²r/dτ² = −f'(r)/2,   dv/dτ = 1/(E − dr/dτ),   du/dτ = 1/(E + dr/dτ)
+// with E = f dt/dτ the conserved Killing energy. Only one of v and u stays
+// finite at a horizon, so the integration follows whichever is better behaved
+// and converts between them (u = v − 2r*) away from horizons.
+// Returns { points: [{ tau, x, y, r }], blocks: [{ tau, block }], fate } with
+// fate 'singularity' (reached r = 0), 'disc' (reached r = 0 on the Kerr axis,
+// which continues to negative r), 'escaped' or 'continues', or null if the
+// point is in no block.
+export const penroseWorldline = (geometry, point, { maxProperTime = 100, yMax = Infinity } = {}) => {
+  const start = penroseEventAt(geometry, point);
+  if (!start) return null;
+  
+  const { M, f, fPrime, tortoise, outer, inner } = geometry;
+  let block = start.block;
+  const r = start.r;
+  let radialVelocity = 0;
+  let energy;
+  const f0 = f(r);
+  if (f0 > 0) {
+    energy = block.alpha * Math.sqrt(f0);
+  } else {
+    // Heading straight up means dÃ/dτ = dB̃/dτ, which fixes E/ṙ in terms of
+    // the arctangents' slopes; kept off 0, where the geodesic would stall at
+    // the crossing point of two inner horizons
+    const slopeA = 1 / (1 + (start.v / geometry.L) ** 2);
+    const slopeB = 1 / (1 + (start.u / geometry.L) ** 2);
+    let ratio = (block.alpha * slopeA + block.beta * slopeB) / (block.alpha * slopeA - block.beta * slopeB);
+    if (Math.abs(ratio) < 0.05) ratio = ratio < 0 ? -0.05 : 0.05;
+    radialVelocity = (block.kind === 'blackHole' ? -1 : 1) * Math.sqrt(f0 / (ratio * ratio - 1));
+    energy = -radialVelocity * ratio;
+  }
+  
+  const horizons = [outer, inner].filter(h => h > 0);
+  const points = [];
+  const blocks = [{ tau: 0, block }];
+  let tracking = 'v';
+  let state = [r, radialVelocity, start.v];
+  let tau = 0;
+  let fate = 'continues';
+  
+  const preferred = ([, rDot]) => Math.abs(energy - rDot) >= Math.abs(energy + rDot) ? 'v' : 'u';
+  
+  // Near a horizon a short step can sweep far across the diagram, so long
+  // jumps within a block are filled in by interpolating r and the null
+  // coordinate, whose map to the diagram is exact
+  let previous = null;
+  const record = (t, [radius, , coordinate]) => {
+    const rStar = tortoise(radius);
+    const event = tracking === 'v'
+      ? { block, tau: t, r: radius, v: coordinate, u: coordinate - 2 * rStar }
+      : { block, tau: t, r: radius, u: coordinate, v: coordinate + 2 * rStar };
+    const position = penrosePoint(geometry, block, radius, { [tracking]: coordinate });
+    const last = points[points.length - 1];
+    const parts = previous && previous.block === block
+      ? Math.min(MAX_FILL_POINTS, Math.floor(Math.hypot(position.x - last.x, position.y - last.y) / FILL_SPACING))
+      : 0;
+    const mix = (key, s) => previous[key] + (event[key] - previous[key]) * s;
+    for (let i = 1; i < parts; i++) {
+      const radiusBetween = mix('r', i / parts);
+      points.push({
+        tau: mix('tau', i / parts),
+        r: radiusBetween,
+        ...penrosePoint(geometry, block, radiusBetween, { [tracking]: mix(tracking, i / parts) })
+      });
+    }
+    points.push({ tau: t, r: radius, ...position });
+    previous = event;
+    return position;
+  };
+  
+  // Integrate until a horizon is crossed, the worldline ends or the other
+  // null coordinate becomes the better behaved one
+  const integrateSegment = () => {
+    const sides = horizons.map(h => Math.sign(state[0] - h));
+    const outcome = { crossed: null, ended: null };
+    const deriv = (t, [radius, rDot]) => [
+      rDot,
+      -fPrime(radius) / 2,
+      tracking === 'v' ? 1 / (energy - rDot) : 1 / (energy + rDot)
+    ];
+    const result = integrateAdaptive(deriv, state, tau, {
+      tMax: maxProperTime,
+      h: 0.01 * M,
+      hMax: 0.05 * M,
+      tolerance: 1e-9,
+      stop: (t, y) => {
+        // A step that has just crossed a horizon is recorded in the next block
+        outcome.crossed = horizons.find((h, i) => Math.sign(y[0] - h) !== sides[i]) ?? null;
+        if (outcome.crossed !== null) return true;
+        
+        const position = record(t, y);
+        if (y[0] < SINGULARITY_RADIUS * M) outcome.ended = geometry.spacetime === 'kerr' && inner > 0 ? 'disc' : 'singularity';
+        else if (y[0] > ESCAPE_RADIUS * M) outcome.ended = 'escaped';
+        else if (position.y > yMax) outcome.ended = 'continues';
+        
+        // Hysteresis keeps the two coordinates from trading places every step
+        const rates = [Math.abs(energy - y[1]), Math.abs(energy + y[1])];
+        const switching = tracking === 'v' ? rates[1] > 2 * rates[0] : rates[0] > 2 * rates[1];
+        return outcome.ended || switching;
+      }
+    });
+    return { ...outcome, t: result.t, y: result.y };
+  };
+  
+  // Draw the line onto the horizon crossed between the last recorded event
+  // and the state now, and off it again in the next block, closing in
+  // geometrically since r* diverges logarithmically there. The diverging
+  // coordinate runs to +∞ on the edge crossed: with v held finite that is the
+  // top-left edge, with u the top-right one. Returns false off the lattice.
+  const crossHorizon = (horizon) => {
+    const from = previous;
+    const edge = (horizon - from.r) / (state[0] - from.r);
+    const along = (s, radius = from.r + (state[0] - from.r) * s) => record(
+      from.tau + (tau - from.tau) * s,
+      [radius, 0, from[tracking] + (state[2] - from[tracking]) * s]
+    );
+    for (let k = 1; k <= HORIZON_APPROACH_POINTS; k++) along(edge * (1 - 2 ** -k));
+    along(edge, horizon);
+    
+    const next = penroseBlock(geometry, block.cx + (tracking === 'v' ? -1 : 1), block.cy + 1);
+    if (!next) return false;
+    block = next;
+    blocks.push({ tau: from.tau + (tau - from.tau) * edge, block });
+    along(edge, horizon);
+    for (let k = HORIZON_APPROACH_POINTS; k >= 1; k--) along(edge + (1 - edge) * 2 ** -k);
+    record(tau, state);
+    return true;
+  };
+  
+  record(tau, state);
+  for (let segment = 0; segment < 200 && tau < maxProperTime; segment++) {
+    // Switch to the better behaved null coordinate
+    if (preferred(state) !== tracking) {
+      const rStar = tortoise(state[0]);
+      state = [state[0], state[1], tracking === 'v' ? state[2] - 2 * rStar : state[2] + 2 * rStar];
+      tracking = tracking === 'v' ? 'u' : 'v';
+    }
+    
+    const { crossed, ended, t, y } = integrateSegment();
+    tau = t;
+    state = y;
+    if (ended) {
+      fate = ended;
+      break;
+    }
+    if (crossed !== null && !crossHorizon(crossed)) break;
+  }
+  
+  // Keep only the part up to where the line leaves the top of the diagram
+  const exit = points.findIndex(point => point.y > yMax);
+  if (exit < 0) return { points, blocks, fate };
+  return {
+    points: points.slice(0, exit + 1),
+    blocks: blocks.filter(entry => entry.tau <= points[exit].tau),
+    fate: 'continues'
+  };
+};
@@ -0,0 +1,112 @@
+import {
+  constantRadiusCurve,
+  penroseBlock,
+  penroseBlocks,
+  penroseEventAt,
+  penroseGeometry,
+  penrosePoint,
+  penroseWorldline
+} from './penrose';
+
+describe('penroseGeometry', () => {
+  it('has one horizon at 2M without charge or spin', () => {
+    const { outer, inner, f } = penroseGeometry('schwarzschild', 1, 0.6);
+    expect([outer, inner]).toEqual([2, 0]);
+    expect(f(2)).toBe(0);
+  });
+  
+  it.each(['reissnerNordstrom', 'kerr'])('puts both %s horizons at M ± √(M² − q²)', (spacetime) => {
+    const { outer, inner, f } = penroseGeometry(spacetime, 1, 0.6);
+    expect(outer).toBeCloseTo(1.8, 12);
+    expect(inner).toBeCloseTo(0.2, 12);
+    expect(f(outer)).toBeCloseTo(0, 12);
+    expect(f(inner)).toBeCloseTo(0, 12);
+    expect(f(1)).toBeLessThan(0);
+  });
+  
+  it.each(['schwarzschild', 'reissnerNordstrom', 'kerr'])('builds a %s tortoise coordinate with dr*/dr = 1/f, zero at r = 0', (spacetime) => {
+    const { f, fPrime, tortoise } = penroseGeometry(spacetime, 1, 0.6);
+    expect(tortoise(0)).toBeCloseTo(0, 12);
+    [0.1, 1, 5].forEach(r => {
+      expect((tortoise(r + 1e-6) - tortoise(r - 1e-6)) / 2e-6).toBeCloseTo(1 / f(r), 4);
+      expect((f(r + 1e-6) - f(r - 1e-6)) / 2e-6).toBeCloseTo(fPrime(r), 6);
+    });
+  });
+});
+
+describe('penroseBlock', () => {
+  it('lays out Schwarzschild as two exteriors, a black hole and a white hole', () => {
+    const geometry = penroseGeometry('schwarzschild', 1);
+    expect(penroseBlock(geometry, 1, 0).kind).toBe('exterior');
+    expect(penroseBlock(geometry, -1, 0).kind).toBe('exterior');
+    expect(penroseBlock(geometry, 0, 1).kind).toBe('blackHole');
+    expect(penroseBlock(geometry, 0, -1).kind).toBe('whiteHole');
+    expect(penroseBlock(geometry, 1, 2)).toBeNull();
+    expect(penroseBlocks(geometry, -10, 10)).toHaveLength(4);
+  });
+  
+  it('repeats the charged hole every four rows', () => {
+    const geometry = penroseGeometry('reissnerNordstrom', 1, 0.6);
+    expect([0, 1, 2, 3].map(cy => penroseBlock(geometry, cy % 2 ? 0 : 1, cy).kind))
+      .toEqual(['exterior', 'blackHole', 'inner', 'whiteHole']);
+    expect(penroseBlock(geometry, -1, 6).kind).toBe('inner');
+    expect(penroseBlock(geometry, 0, 4)).toBeNull();
+    expect(penroseBlock(geometry, 1, 5)).toBeNull();
+  });
+});
+
+describe('penroseEventAt', () => {
+  it.each(['schwarzschild', 'reissnerNordstrom'])('inverts penrosePoint in every %s block', (spacetime) => {
+    const geometry = penroseGeometry(spacetime, 1, 0.6);
+    penroseBlocks(geometry, -1, 3).forEach(block => {
+      const [rLo, rHi] = block.rRange;
+      const r = block.kind === 'exterior' ? 4 : (rLo + rHi) / 2;
+      const point = penrosePoint(geometry, block, r, { v: 1.5, u: 1.5 - 2 * geometry.tortoise(r) });
+      const event = penroseEventAt(geometry, point);
+      expect(event.block).toEqual(block);
+      expect(event.r).toBeCloseTo(r, 6);
+    });
+  });
+  
+  it('finds nothing beyond the Schwarzschild singularity', () => {
+    expect(penroseEventAt(penroseGeometry('schwarzschild', 1), { x: 0, y: 1.5 })).toBeNull();
+  });
+});
+
+describe('constantRadiusCurve', () => {
+  it('runs up an exterior block from its bottom corner towards its top one', () => {
+    const geometry = penroseGeometry('schwarzschild', 1);
+    const curve = constantRadiusCurve(geometry, penroseBlock(geometry, 1, 0), 6);
+    expect(curve[0].y).toBeLessThan(-0.9);
+    expect(curve[curve.length - 1].y).toBeGreaterThan(0.9);
+    curve.forEach(point => expect(penroseEventAt(geometry, point).r).toBeCloseTo(6, 4));
+  });
+});
+
+describe('penroseWorldline', () => {
+  const blockPath = ({ blocks }) => blocks.map(({ block }) => block.kind);
+  
+  it('carries a body released outside a Schwarzschild hole into the singularity', () => {
+    const worldline = penroseWorldline(penroseGeometry('schwarzschild', 1), { x: 1, y: 0 });
+    expect(worldline.fate).toBe('singularity');
+    expect(blockPath(worldline)).toEqual(['exterior', 'blackHole']);
+    const [first] = worldline.points;
+    expect(first.tau).toBe(0);
+    expect(first.x).toBeCloseTo(1, 12);
+    expect(first.y).toBeCloseTo(0, 12);
+    expect(worldline.points[worldline.points.length - 1].y).toBeCloseTo(1, 4);
+  });
+  
+  it.each(['reissnerNordstrom', 'kerr'])('passes through the %s inner horizon into a new universe', (spacetime) => {
+    const worldline = penroseWorldline(penroseGeometry(spacetime, 1, 0.6), { x: 1, y: 0 }, { yMax: 6 });
+    expect(worldline.fate).toBe('continues');
+    expect(blockPath(worldline).slice(0, 5)).toEqual(['exterior', 'blackHole', 'inner', 'whiteHole', 'exterior']);
+    const points = worldline.points;
+    points.slice(1, -1).forEach(point => expect(point.y).toBeLessThanOrEqual(6));
+    expect(points[points.length - 1].y).toBeGreaterThan(6);
+  });
+  
+  it('is null off the diagram', () => {
+    expect(penroseWorldline(penroseGeometry('schwarzschild', 1), { x: 0, y: 1.5 })).toBeNull();
+  });
+});
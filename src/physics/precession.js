@@ -0,0 +1,77 @@
+import { integrateAdaptive, rk45Step } from './integrators';
+
+// Periapsis precession: how far beyond a full turn an orbit sweeps between
+// successive closest approaches. Newtonian orbits close; in GR they advance.
+
+// Mercury around the Sun, lengths in metres (the Sun's mass as GM/c²)
+export const MERCURY_ORBIT = {
+  centralMass: 1476.625,
+  semiMajorAxis: 5.7909e10,
+  eccentricity: 0.20563,
+  periodDays: 87.9691
+};
+
+export const DAYS_PER_CENTURY = 36525;
+export const ARCSECONDS_PER_RADIAN = 180 * 3600 / Math.PI;
+
+// Weak-field GR advance per orbit, 6πM / (a(1 − e²)), written in terms of the
+// periapsis and apoapsis radii: a(1 − e²) = 2 r_p r_a / (r_p + r_a)
+export const predictedPeriapsisAdvance = (M, periapsis, apoapsis) => (
+  6 * Math.PI * M * (periapsis + apoapsis) / (2 * periapsis * apoapsis)
+);
+
+// Average advance per orbit from the azimuths of successive periapsis passages
+// (oldest first); null until there have been two passages
+export const measuredPeriapsisAdvance = (periapsides) => {
+  const orbits = periapsides.length - 1;
+  if (orbits < 1) return null;
+  const swept = Math.abs(periapsides[orbits] - periapsides[0]);
+  return (swept - 2 * Math.PI * orbits) / orbits;
+};
+
+// Exact Schwarzschild advance per orbit for a bound orbit between periapsis and
+// apoapsis, in any length unit shared with M. Integrates the relativistic orbit
+// equation u'' + u = M/L² + 3Mu² (u = 1/r, ' = d/dφ) in x = u·r_p, which stays
+// well conditioned even for planetary orbits where the effect is ~10⁻⁷ rad.
+export const integratePeriapsisAdvance = (M, periapsis, apoapsis, tolerance = 1e-13) => {
+  const u1 = 1 / periapsis;
+  const u2 = 1 / apoapsis;
+  
+  // L² from requiring both radii to be turning points of the radial motion
+  const L2 = 2 * M * (u1 - u2) / ((u1*u1 - u2*u2) - 2 * M * (u1 ** 3 - u2 ** 3));
+  const source = M * periapsis / L2;
+  const curvature = 3 * M / periapsis;
+  const deriv = (phi, [x, dx]) => [dx, source + curvature * x*x - x];
+  
+  // From one periapsis (x = 1, x' = 0) out to apoapsis, where x' turns
+  // positive, and back until x' turns negative again
+  let before = null;
+  let current = { phi: 0, state: [1, 0] };
+  let returning = false;
+  const { y } = integrateAdaptive(deriv, current.state, 0, {
+    h: 1e-3,
+    hMax: 0.05,
+    tolerance,
+    maxSteps: 100000,
+    onStep: (phi, state) => {
+      before = current;
+      current = { phi, state };
+      returning = returning || state[1] > 0;
+    },
+    stop: (phi, [, dx]) => returning && dx < 0
+  });
+  if (!(y[1] < 0)) return null;
+  
+  // Newton iterations on the step length from the last state before the
+  // crossing, so the periapsis lands exactly on x' = 0
+  let h = 0;
+  let state = before.state;
+  for (let i = 0; i < 8; i++) {
+    const correction = -state[1] / deriv(0, state)[1];
+    h += correction;
+    state = rk45Step(deriv, before.phi, before.state, h).y;
+    if (Math.abs(correction) < 1e-15) break;
+  }
+  
+  return before.phi + h - 2 * Math.PI;
+};
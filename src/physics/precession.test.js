@@ -0,0 +1,51 @@
+import {
+  ARCSECONDS_PER_RADIAN,
+  DAYS_PER_CENTURY,
+  MERCURY_ORBIT,
+  integratePeriapsisAdvance,
+  measuredPeriapsisAdvance,
+  predictedPeriapsisAdvance
+} from './precession';
+
+const { centralMass, semiMajorAxis, eccentricity, periodDays } = MERCURY_ORBIT;
+const mercuryPeriapsis = semiMajorAxis * (1 - eccentricity);
+const mercuryApoapsis = semiMajorAxis * (1 + eccentricity);
+const arcsecondsPerCentury = advance => advance * ARCSECONDS_PER_RADIAN * DAYS_PER_CENTURY / periodDays;
+
+describe('predictedPeriapsisAdvance', () => {
+  it('gives Mercury its 43″ per century', () => {
+    const advance = predictedPeriapsisAdvance(centralMass, mercuryPeriapsis, mercuryApoapsis);
+    expect(arcsecondsPerCentury(advance)).toBeCloseTo(42.98, 1);
+  });
+  
+  it('matches 6πM/r for a circular orbit', () => {
+    expect(predictedPeriapsisAdvance(1, 1000, 1000)).toBeCloseTo(6 * Math.PI / 1000, 14);
+  });
+});
+
+describe('measuredPeriapsisAdvance', () => {
+  it('is null before a second periapsis', () => {
+    expect(measuredPeriapsisAdvance([])).toBeNull();
+    expect(measuredPeriapsisAdvance([0.3])).toBeNull();
+  });
+  
+  it('averages the advance over the orbits, in either direction', () => {
+    expect(measuredPeriapsisAdvance([0, 2 * Math.PI + 0.1, 4 * Math.PI + 0.3])).toBeCloseTo(0.15, 12);
+    expect(measuredPeriapsisAdvance([1, 1 - 2 * Math.PI - 0.2])).toBeCloseTo(0.2, 12);
+  });
+});
+
+describe('integratePeriapsisAdvance', () => {
+  it('agrees with the weak-field formula for Mercury', () => {
+    const exact = integratePeriapsisAdvance(centralMass, mercuryPeriapsis, mercuryApoapsis);
+    const predicted = predictedPeriapsisAdvance(centralMass, mercuryPeriapsis, mercuryApoapsis);
+    expect(exact / predicted).toBeCloseTo(1, 4);
+  });
+  
+  it('exceeds the weak-field formula in a strong field', () => {
+    const exact = integratePeriapsisAdvance(1, 10, 30);
+    const predicted = predictedPeriapsisAdvance(1, 10, 30);
+    expect(exact).toBeGreaterThan(1.2 * predicted);
+    expect(exact).toBeLessThan(2 * Math.PI);
+  });
+});
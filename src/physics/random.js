@@ -0,0 +1,22 @@
+// Seeded pseudo-random numbers, so a configuration always renders identically.
+// Every simulation draws from a generator created with createRandom(seed)
+// instead of Math.random.
+
+// Seeds are unsigned 32-bit integers
+export const MAX_SEED = 2 ** 32 - 1;
+
+// Mulberry32: a small, fast generator with a full 2³² period.
+// Returns a function that yields numbers in [0, 1), like Math.random.
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// A fresh seed for the "new seed" button; the only intentionally unseeded call
+export const randomSeed = () => Math.floor(Math.random() * (MAX_SEED + 1));
@@ -0,0 +1,43 @@
+import { createRandom, MAX_SEED, randomSeed } from './random';
+import { generateWavePoints } from './waves';
+
+const draw = (random, n) => Array.from({ length: n }, () => random());
+
+describe('createRandom', () => {
+  it('repeats its sequence for the same seed', () => {
+    expect(draw(createRandom(42), 100)).toEqual(draw(createRandom(42), 100));
+  });
+  
+  it('gives different sequences for different seeds', () => {
+    expect(draw(createRandom(1), 10)).not.toEqual(draw(createRandom(2), 10));
+  });
+  
+  it('yields numbers in [0, 1) with a mean near ½', () => {
+    const values = draw(createRandom(MAX_SEED), 10000);
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+    expect(values.reduce((sum, value) => sum + value, 0) / values.length).toBeCloseTo(0.5, 1);
+  });
+  
+  it('treats seeds as unsigned 32-bit integers', () => {
+    expect(draw(createRandom(-1), 5)).toEqual(draw(createRandom(MAX_SEED), 5));
+  });
+});
+
+describe('randomSeed', () => {
+  it('picks a valid seed', () => {
+    const seed = randomSeed();
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThanOrEqual(MAX_SEED);
+  });
+});
+
+describe('seeded simulations', () => {
+  it('draw the same gravitational wave field for the same seed', () => {
+    expect(generateWavePoints(createRandom(5))).toEqual(generateWavePoints(createRandom(5)));
+    expect(generateWavePoints(createRandom(5))).not.toEqual(generateWavePoints(createRandom(6)));
+  });
+});
@@ -0,0 +1,58 @@
+import { criticalImpactParameter, integrateNullGeodesic, photonSphereRadius, schwarzschildRadius } from './schwarzschild';
+
+describe('characteristic radii', () => {
+  it('scale with the mass', () => {
+    expect(schwarzschildRadius(1.5)).toBe(3);
+    expect(photonSphereRadius(1.5)).toBe(4.5);
+    expect(criticalImpactParameter(1)).toBeCloseTo(5.196152, 6);
+  });
+});
+
+describe('integrateNullGeodesic', () => {
+  it('deflects a distant ray by 4m + (15π/4)m² + (128/3)m³ with m = M/b', () => {
+    const { captured, deflectionAngle } = integrateNullGeodesic(1, 100, { maxRadius: 1000 });
+    const m = 1 / 100;
+    expect(captured).toBe(false);
+    expect(deflectionAngle).toBeCloseTo(4 * m + 15 * Math.PI / 4 * m ** 2 + 128 / 3 * m ** 3, 6);
+  });
+  
+  it('captures photons just inside the critical impact parameter', () => {
+    const bCrit = criticalImpactParameter(1);
+    expect(integrateNullGeodesic(1, bCrit * 0.99).captured).toBe(true);
+    expect(integrateNullGeodesic(1, bCrit * 1.01).captured).toBe(false);
+  });
+  
+  it('swings escaping photons near the critical value around the hole', () => {
+    const { deflectionAngle, periapsis } = integrateNullGeodesic(1, criticalImpactParameter(1) * 1.001);
+    expect(deflectionAngle).toBeGreaterThan(Math.PI);
+    expect(periapsis).toBeGreaterThan(photonSphereRadius(1));
+    expect(periapsis).toBeLessThan(3.2);
+  });
+  
+  it('leaves a photon still circling the photon sphere unresolved', () => {
+    const { captured, deflectionAngle } = integrateNullGeodesic(1, criticalImpactParameter(1) * (1 + 1e-12));
+    expect(captured).toBe(false);
+    expect(deflectionAngle).toBeNull();
+  });
+  
+  it('passes on the side given by the sign of b', () => {
+    const above = integrateNullGeodesic(1, 10);
+    const below = integrateNullGeodesic(1, -10);
+    expect(above.points[0].y).toBeGreaterThan(0);
+    expect(below.points[0].y).toBeLessThan(0);
+    expect(below.deflectionAngle).toBeCloseTo(above.deflectionAngle, 9);
+  });
+  
+  it('drops a photon aimed at the centre straight in', () => {
+    const { captured, points } = integrateNullGeodesic(1, 0);
+    expect(captured).toBe(true);
+    points.forEach(point => expect(point.y).toBe(0));
+  });
+  
+  it('samples only points between the horizon and maxRadius', () => {
+    integrateNullGeodesic(1, 6, { maxRadius: 20 }).points.forEach(({ r }) => {
+      expect(r).toBeGreaterThan(2);
+      expect(r).toBeLessThan(20);
+    });
+  });
+});
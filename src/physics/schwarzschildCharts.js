@@ -0,0 +1,161 @@
+import { integrateAdaptive } from './integrators';
+import { radialInfallRadius, radialInfallTime } from './tidal';
+
+// Radial spacetime diagrams of a Schwarzschild black hole of geometric mass M
+// in three coordinate charts. Events are held as { r, v }: the radius and the
+// ingoing Eddington–Finkelstein (advanced) time v = t + r*, which is regular
+// across the future horizon and so labels every event outside the hole and
+// inside it alike. Each chart maps an event to diagram coordinates { x, y }:
+//   schwarzschild  x = r, y = t         singular at r = 2M, where t → ∞
+//   eddington      x = r, y = v − r     ingoing light rays at 45°
+//   kruskal        x = X, y = T         every radial light ray at 45°
+export const SCHWARZSCHILD_CHARTS = ['schwarzschild', 'eddington', 'kruskal'];
+
+// Tortoise coordinate r* = r + 2M ln|r/2M − 1|, which runs to −∞ at the horizon
+export const tortoiseRadius = (M, r) => r + 2 * M * Math.log(Math.abs(r / (2 * M) - 1));
+
+// Kruskal–Szekeres null coordinates V = e^{v/4M}, U = (1 − r/2M) e^{r/2M} e^{−v/4M}.
+// U < 0 outside the horizon and U > 0 inside; the singularity is UV = 1.
+export const kruskalNullCoordinates = (M, { r, v }) => {
+  const V = Math.exp(v / (4 * M));
+  return { U: (1 - r / (2 * M)) * Math.exp(r / (2 * M)) / V, V };
+};
+
+// Radius at which (1 − r/2M) e^{r/2M} equals UV, or null at and beyond the
+// singularity (UV ≥ 1). The left side falls monotonically, so bisect.
+export const radiusFromKruskalProduct = (M, product) => {
+  if (!(product < 1)) return null;
+  const f = r => (1 - r / (2 * M)) * Math.exp(r / (2 * M)) - product;
+  let lo = 0;
+  let hi = 4 * M;
+  while (f(hi) > 0) hi *= 2;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (f(mid) > 0) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Diagram coordinates of an event in the given chart
+export const toChart = (chart, M, event) => {
+  switch (chart) {
+    case 'schwarzschild':
+      return { x: event.r, y: event.v - tortoiseRadius(M, event.r) };
+    case 'eddington':
+      return { x: event.r, y: event.v - event.r };
+    case 'kruskal': {
+      const { U, V } = kruskalNullCoordinates(M, event);
+      return { x: (V - U) / 2, y: (V + U) / 2 };
+    }
+    default:
+      return null;
+  }
+};
+
+// Event at the given diagram coordinates, or null where the point is not an
+// event outside or inside the hole (past r = 0, or in the Kruskal diagram's
+// white hole and second exterior, which advanced time does not reach)
+export const fromChart = (chart, M, { x, y }) => {
+  switch (chart) {
+    case 'schwarzschild':
+      return x > 0 && x !== 2 * M ? { r: x, v: y + tortoiseRadius(M, x) } : null;
+    case 'eddington':
+      return x > 0 ? { r: x, v: y + x } : null;
+    case 'kruskal': {
+      const U = y - x;
+      const V = y + x;
+      if (V <= 0) return null;
+      const r = radiusFromKruskalProduct(M, U * V);
+      return r && { r, v: 4 * M * Math.log(V) };
+    }
+    default:
+      return null;
+  }
+};
+
+// Radii from near r = 0 out to rMax, bunched up on both sides of the horizon
+// where t and r* change fastest
+const radiiAcrossHorizon = (M, rMax, samples = 60) => {
+  const horizon = 2 * M;
+  const inside = Array.from({ length: samples }, (_, i) => horizon * (1 - (1 - i / samples) ** 3));
+  const outside = Array.from({ length: samples }, (_, i) => horizon + (rMax - horizon) * ((i + 1) / samples) ** 3);
+  return { inside: inside.filter(r => r > 0), outside };
+};
+
+// A line of constant Schwarzschild time t, as one polyline of events inside
+// the horizon and one outside. Both run into the horizon, where t is singular.
+export const constantTimeLines = (M, t, rMax) => {
+  const { inside, outside } = radiiAcrossHorizon(M, rMax);
+  const toEvent = r => ({ r, v: t + tortoiseRadius(M, r) });
+  return [inside.map(toEvent), outside.map(toEvent)];
+};
+
+// A line of constant radius r between advanced times vMin and vMax
+export const constantRadiusLine = (M, r, vMin, vMax, samples = 100) => (
+  Array.from({ length: samples + 1 }, (_, i) => ({ r, v: vMin + (vMax - vMin) * i / samples }))
+);
+
+// Future-directed radial light rays from an event, as polylines of events.
+// The ingoing ray keeps v fixed down to r = 0; the outgoing one keeps
+// v − 2r* fixed, reaching rMax from outside the horizon but r = 0 from
+// inside it, and staying on the horizon from the horizon itself.
+export const radialLightRays = (M, event, rMax) => {
+  const horizon = 2 * M;
+  const ingoing = [event, { r: 0, v: event.v }];
+  if (event.r === horizon) {
+    return { ingoing, outgoing: [event, { r: horizon, v: event.v + 100 * M }] };
+  }
+  
+  const { inside, outside } = radiiAcrossHorizon(M, rMax);
+  const radii = event.r > horizon
+    ? outside.filter(r => r > event.r)
+    : inside.filter(r => r < event.r).reverse();
+  const u = event.v - 2 * tortoiseRadius(M, event.r);
+  return {
+    ingoing,
+    outgoing: [event, ...radii.map(r => ({ r, v: u + 2 * tortoiseRadius(M, r) }))]
+  };
+};
+
+// Directions (dr, dv) of the future light cone's two radial edges at radius r
+export const futureNullDirections = (M, r) => [
+  { dr: -1, dv: 0 },
+  { dr: (1 - 2 * M / r) / 2, dv: 1 }
+];
+
+// Worldline of a body released from rest at R at advanced time v0 and falling
+// to r = 0, as events { tau, r, v }. Along it dv/dτ = 1/(E − dr/dτ), which
+// stays finite through the horizon, with E = sqrt(1 − 2M/R).
+// The integrator reports the release itself as its first step.
+export const radialInfallWorldline = (M, R, v0) => {
+  const E = Math.sqrt(1 - 2 * M / R);
+  const tauEnd = radialInfallTime(M, R, 0);
+  const events = [];
+  integrateAdaptive((tau) => {
+    const r = radialInfallRadius(M, R, tau);
+    const radialVelocity = -Math.sqrt(Math.max(0, E * E - 1 + 2 * M / r));
+    return [1 / (E - radialVelocity)];
+  }, [v0], 0, {
+    tMax: tauEnd,
+    h: tauEnd / 200,
+    hMax: tauEnd / 200,
+    tolerance: 1e-8,
+    onStep: (tau, [v]) => events.push({ tau, r: radialInfallRadius(M, R, tau), v })
+  });
+  return events;
+};
+
+// Longest proper time left before reaching r = 0 from radius r inside the
+// horizon, 2M(χ − sin χ cos χ) with sin²χ = r/2M. It belongs to the radial
+// geodesic with E = 0, momentarily at rest on the horizon, and is at most πM.
+// null outside the horizon.
+export const maxProperTimeToSingularity = (M, r) => {
+  if (r > 2 * M) return null;
+  const chi = Math.asin(Math.sqrt(r / (2 * M)));
+  return 2 * M * (chi - Math.sin(chi) * Math.cos(chi));
+};
+
+// Kretschmann scalar R_abcd R^abcd = 48M²/r⁶: the curvature any chart agrees
+// on. It is finite at the horizon and diverges only at r = 0.
+export const kretschmannScalar = (M, r) => 48 * M * M / r ** 6;
@@ -0,0 +1,114 @@
+import {
+  SCHWARZSCHILD_CHARTS,
+  constantTimeLines,
+  fromChart,
+  futureNullDirections,
+  kretschmannScalar,
+  kruskalNullCoordinates,
+  maxProperTimeToSingularity,
+  radialInfallWorldline,
+  radialLightRays,
+  radiusFromKruskalProduct,
+  toChart,
+  tortoiseRadius
+} from './schwarzschildCharts';
+import { radialInfallTime } from './tidal';
+
+describe('tortoiseRadius', () => {
+  it('runs to −∞ at the horizon and approaches r far out', () => {
+    expect(tortoiseRadius(1, 2 + 1e-12)).toBeLessThan(-50);
+    expect(tortoiseRadius(1, 1e6) / 1e6).toBeCloseTo(1, 4);
+  });
+});
+
+describe('Kruskal coordinates', () => {
+  it('put the horizon at U = 0 and the singularity at UV = 1', () => {
+    expect(kruskalNullCoordinates(1, { r: 2, v: 3 }).U).toBeCloseTo(0, 15);
+    const { U, V } = kruskalNullCoordinates(1, { r: 0, v: 3 });
+    expect(U * V).toBeCloseTo(1, 12);
+  });
+  
+  it('recover the radius from UV, but not past the singularity', () => {
+    [0.5, 2, 7].forEach(r => {
+      const { U, V } = kruskalNullCoordinates(1, { r, v: 1 });
+      expect(radiusFromKruskalProduct(1, U * V)).toBeCloseTo(r, 10);
+    });
+    expect(radiusFromKruskalProduct(1, 1)).toBeNull();
+  });
+});
+
+describe('toChart and fromChart', () => {
+  it.each(SCHWARZSCHILD_CHARTS)('round-trip events inside and outside the horizon in %s coordinates', (chart) => {
+    [{ r: 5, v: 3 }, { r: 1.2, v: 6 }].forEach(event => {
+      const back = fromChart(chart, 1, toChart(chart, 1, event));
+      expect(back.r).toBeCloseTo(event.r, 8);
+      expect(back.v).toBeCloseTo(event.v, 8);
+    });
+  });
+  
+  it('reject points past r = 0 and outside the region advanced time covers', () => {
+    expect(fromChart('eddington', 1, { x: -1, y: 0 })).toBeNull();
+    expect(fromChart('schwarzschild', 1, { x: 2, y: 0 })).toBeNull();
+    expect(fromChart('kruskal', 1, { x: -1, y: 0.5 })).toBeNull();
+    expect(fromChart('kruskal', 1, { x: 0, y: 2 })).toBeNull();
+  });
+  
+  it('map nothing for an unknown chart', () => {
+    expect(toChart('rindler', 1, { r: 5, v: 0 })).toBeNull();
+    expect(fromChart('rindler', 1, { x: 5, y: 0 })).toBeNull();
+  });
+});
+
+describe('coordinate lines and light rays', () => {
+  it('keep constant Schwarzschild time lines on either side of the horizon', () => {
+    const [inside, outside] = constantTimeLines(1, 4, 20);
+    expect(inside.every(({ r }) => r > 0 && r < 2)).toBe(true);
+    expect(outside.every(({ r }) => r > 2 && r <= 20)).toBe(true);
+    outside.forEach(event => expect(toChart('schwarzschild', 1, event).y).toBeCloseTo(4, 8));
+  });
+  
+  it('send the outgoing ray out from outside the horizon and in from inside it', () => {
+    const escaping = radialLightRays(1, { r: 3, v: 0 }, 20).outgoing;
+    expect(escaping[escaping.length - 1].r).toBeCloseTo(20, 8);
+    const trapped = radialLightRays(1, { r: 1.5, v: 0 }, 20).outgoing;
+    expect(trapped.slice(1).every(({ r }) => r < 1.5)).toBe(true);
+    const horizon = radialLightRays(1, { r: 2, v: 0 }, 20).outgoing;
+    expect(horizon.every(({ r }) => r === 2)).toBe(true);
+  });
+  
+  it('tilt the outgoing edge inwards inside the horizon', () => {
+    expect(futureNullDirections(1, 4)[1].dr).toBeGreaterThan(0);
+    expect(futureNullDirections(1, 2)[1].dr).toBe(0);
+    expect(futureNullDirections(1, 1)[1].dr).toBeLessThan(0);
+  });
+});
+
+describe('radialInfallWorldline', () => {
+  const worldline = radialInfallWorldline(1, 3, tortoiseRadius(1, 3));
+  
+  it('starts once at the release event', () => {
+    expect(worldline[0]).toEqual({ tau: 0, r: 3, v: tortoiseRadius(1, 3) });
+    expect(worldline[1].tau).toBeGreaterThan(0);
+  });
+  
+  it('crosses the horizon at finite advanced time and ends at r = 0', () => {
+    const last = worldline[worldline.length - 1];
+    expect(last.tau).toBeCloseTo(radialInfallTime(1, 3, 0), 10);
+    expect(last.r).toBeCloseTo(0, 6);
+    expect(Number.isFinite(last.v)).toBe(true);
+    worldline.slice(1).forEach((event, i) => expect(event.v).toBeGreaterThan(worldline[i].v));
+  });
+});
+
+describe('inside the horizon', () => {
+  it('allows at most πM of proper time before the singularity', () => {
+    expect(maxProperTimeToSingularity(1, 2)).toBeCloseTo(Math.PI, 12);
+    expect(maxProperTimeToSingularity(1, 0)).toBe(0);
+    expect(maxProperTimeToSingularity(1, 3)).toBeNull();
+  });
+  
+  it('keeps the curvature finite at the horizon', () => {
+    expect(kretschmannScalar(1, 2)).toBeCloseTo(0.75, 15);
+    expect(kretschmannScalar(1, 1e-3)).toBeGreaterThan(1e18);
+  });
+});
@@ -0,0 +1,29 @@
+// Calculate the spacetime grid
+export const calculateSpacetimeGrid = (mass, rotation) => {
+  const size = 60;
+  const gridSize = 20;
+  const step = size / gridSize;
+  
+  const grid = [];
+  
+  // Create grid points
+  for (let x = -size/2; x <= size/2; x += step) {
+    for (let y = -size/2; y <= size/2; y += step) {
+      const r = Math.sqrt(x*x + y*y);
+      if (r < 2) continue; // Skip points too close to center
+      
+      // Calculate z based on simplified Schwarzschild metric
+      let z = -mass / r;
+      
+      // Add rotation effect (simplified)
+      if (rotation > 0) {
+        const theta = Math.atan2(y, x);
+        z += rotation * mass * Math.sin(theta) / (r*r) * 0.5;
+      }
+      
+      grid.push({ x, y, z });
+    }
+  }
+  
+  return grid;
+};
@@ -0,0 +1,24 @@
+import { calculateSpacetimeGrid } from './spacetime';
+
+describe('calculateSpacetimeGrid', () => {
+  it('samples a square grid, skipping the centre', () => {
+    const grid = calculateSpacetimeGrid(10, 0);
+    expect(grid).toHaveLength(21 * 21 - 1);
+    grid.forEach(({ x, y }) => expect(Math.hypot(x, y)).toBeGreaterThanOrEqual(2));
+  });
+  
+  it('sinks by −M/r without rotation', () => {
+    calculateSpacetimeGrid(10, 0).forEach(({ x, y, z }) => {
+      expect(z).toBeCloseTo(-10 / Math.hypot(x, y));
+    });
+  });
+  
+  it('tilts the well when the mass rotates', () => {
+    const still = calculateSpacetimeGrid(10, 0);
+    const spinning = calculateSpacetimeGrid(10, 0.9);
+    const above = spinning.findIndex(({ x, y }) => x === 0 && y === 3);
+    const below = spinning.findIndex(({ x, y }) => x === 0 && y === -3);
+    expect(spinning[above].z).toBeGreaterThan(still[above].z);
+    expect(spinning[below].z).toBeLessThan(still[below].z);
+  });
+});
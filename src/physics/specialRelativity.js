@@ -0,0 +1,90 @@
+// Special relativity in 1+1 dimensions with c = 1.
+// Events are { t, x } in the lab frame; velocities are fractions of c.
+
+// Lorentz factor γ = 1 / sqrt(1 − v²)
+export const lorentzFactor = (v) => 1 / Math.sqrt(1 - v*v);
+
+// Coordinates of an event in a frame moving at velocity v along +x
+export const lorentzBoost = ({ t, x }, v) => {
+  const gamma = lorentzFactor(v);
+  return {
+    t: gamma * (t - v * x),
+    x: gamma * (x - v * t)
+  };
+};
+
+// Spacetime interval s² = t² − x² between two events (positive when timelike)
+export const spacetimeInterval = (a, b) => {
+  const dt = b.t - a.t;
+  const dx = b.x - a.x;
+  return dt*dt - dx*dx;
+};
+
+// Proper time along a piecewise-straight worldline through the given events.
+// Returns null if any segment is spacelike, since no clock can follow it.
+export const properTimeAlong = (events) => {
+  let tau = 0;
+  for (let i = 1; i < events.length; i++) {
+    const interval = spacetimeInterval(events[i - 1], events[i]);
+    if (interval < 0 || events[i].t < events[i - 1].t) return null;
+    tau += Math.sqrt(interval);
+  }
+  return tau;
+};
+
+// Keep a twin's turnaround event inside the future light cone of the departure
+export const clampToTimelike = ({ t, x }, maxSpeed = 0.99) => ({
+  t,
+  x: Math.max(-maxSpeed * t, Math.min(maxSpeed * t, x))
+});
+
+// Everything the Minkowski diagram and fact panel need for one configuration.
+// velocity is the boost of the primed frame, turnaround the travelling twin's
+// turnaround event, event an arbitrary event compared with the origin, and
+// rodLength the rest length of a rod in the lab frame.
+export const calculateSpecialRelativityEffects = ({
+  velocity,
+  turnaround,
+  event,
+  rodLength = 10
+}) => {
+  const gamma = lorentzFactor(velocity);
+  const origin = { t: 0, x: 0 };
+  const reunion = { t: 2 * turnaround.t, x: 0 };
+  
+  // Twin paradox: the stay-at-home twin ages by the coordinate time
+  const homeProperTime = properTimeAlong([origin, reunion]);
+  const travelerProperTime = properTimeAlong([origin, turnaround, reunion]);
+  const travelerSpeed = turnaround.t > 0 ? Math.abs(turnaround.x) / turnaround.t : 0;
+  // Proper times are null when the trip leaves the light cone
+  const ageDifference = homeProperTime !== null && travelerProperTime !== null
+    ? homeProperTime - travelerProperTime
+    : null;
+  
+  // The event as seen from the boosted frame
+  const boostedEvent = lorentzBoost(event, velocity);
+  const interval = spacetimeInterval(origin, event);
+  
+  return {
+    kind: 'special',
+    velocity,
+    lorentzFactor: gamma,
+    rodLength,
+    contractedLength: rodLength / gamma,
+    event,
+    boostedEvent,
+    interval,
+    causal: interval >= 0,
+    // Time between the origin and the event in the boosted frame: Δt' = γ(Δt − vΔx)
+    simultaneityShift: boostedEvent.t - event.t,
+    twin: {
+      turnaround,
+      reunion,
+      homeProperTime,
+      travelerProperTime,
+      travelerSpeed,
+      travelerGamma: travelerSpeed < 1 ? lorentzFactor(travelerSpeed) : null,
+      ageDifference
+    }
+  };
+};
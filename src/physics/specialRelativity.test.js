@@ -0,0 +1,79 @@
+import {
+  calculateSpecialRelativityEffects,
+  clampToTimelike,
+  lorentzBoost,
+  lorentzFactor,
+  properTimeAlong,
+  spacetimeInterval
+} from './specialRelativity';
+
+const effects = (turnaround) => calculateSpecialRelativityEffects({
+  velocity: 0.5,
+  turnaround,
+  event: { x: 6, t: 0 }
+});
+
+describe('Lorentz transformations', () => {
+  it('have γ = 1 at rest and 5/3 at 0.8c', () => {
+    expect(lorentzFactor(0)).toBe(1);
+    expect(lorentzFactor(-0.8)).toBeCloseTo(5 / 3, 12);
+  });
+  
+  it('undo each other', () => {
+    const event = { t: 3, x: -2 };
+    const back = lorentzBoost(lorentzBoost(event, 0.6), -0.6);
+    expect(back.t).toBeCloseTo(event.t, 12);
+    expect(back.x).toBeCloseTo(event.x, 12);
+  });
+  
+  it('preserve the interval', () => {
+    const a = { t: 1, x: 2 };
+    const b = { t: 7, x: -1 };
+    expect(spacetimeInterval(lorentzBoost(a, 0.9), lorentzBoost(b, 0.9))).toBeCloseTo(spacetimeInterval(a, b), 9);
+  });
+});
+
+describe('calculateSpecialRelativityEffects', () => {
+  it('contracts the rod and shifts simultaneity', () => {
+    const result = calculateSpecialRelativityEffects({ velocity: 0.6, turnaround: { x: 3, t: 5 }, event: { x: 10, t: 0 } });
+    expect(result.contractedLength).toBeCloseTo(8, 12);
+    expect(result.simultaneityShift).toBeCloseTo(-7.5, 12);
+    expect(result.causal).toBe(false);
+  });
+});
+
+describe('twin paradox', () => {
+  it('ages the travelling twin less', () => {
+    const { twin } = effects({ x: 6, t: 8 });
+    expect(twin.homeProperTime).toBeCloseTo(16);
+    expect(twin.travelerProperTime).toBeCloseTo(2 * Math.sqrt(28));
+    expect(twin.ageDifference).toBeCloseTo(16 - 2 * Math.sqrt(28));
+    expect(twin.travelerSpeed).toBeCloseTo(0.75);
+    expect(twin.travelerGamma).toBeCloseTo(1 / Math.sqrt(1 - 0.75 ** 2));
+  });
+  
+  it.each([
+    ['spacelike', { x: 20, t: 1 }],
+    ['in the past', { x: 3, t: -4 }]
+  ])('has no proper times for a turnaround %s', (name, turnaround) => {
+    const { twin } = effects(turnaround);
+    expect(twin.travelerProperTime).toBeNull();
+    expect(twin.ageDifference).toBeNull();
+  });
+  
+  it('has no Lorentz factor at or above the speed of light', () => {
+    expect(effects({ x: 20, t: 1 }).twin.travelerGamma).toBeNull();
+  });
+});
+
+describe('properTimeAlong', () => {
+  it('returns null for a segment that goes back in time', () => {
+    expect(properTimeAlong([{ x: 0, t: 0 }, { x: 0, t: -1 }])).toBeNull();
+  });
+});
+
+describe('clampToTimelike', () => {
+  it('pulls an event back inside the light cone', () => {
+    expect(clampToTimelike({ x: 20, t: 10 })).toEqual({ x: 9.9, t: 10 });
+  });
+});
@@ -0,0 +1,179 @@
+import { fft, nextPowerOfTwo } from './fft';
+
+// Conditioning of measured detector strain for display next to a model chirp,
+// following the GWOSC tutorials. Detector noise is loud and strongly coloured,
+// so the raw strain shows nothing of a signal. Whitening divides each
+// frequency by the noise amplitude there, estimated from the data itself
+// (Welch's method). A bandpass then keeps only the band where compact binaries
+// are loudest. The model is passed through the same filter and matched to the
+// data by cross-correlation.
+
+// Length of each Welch segment, in seconds
+const PSD_SEGMENT_DURATION = 4;
+
+// Fraction of the data tapered at each end before transforming (Tukey window)
+const EDGE_TAPER = 0.05;
+
+// Width of the bandpass's cosine roll-off at each edge, in Hz
+const BAND_ROLL_OFF = 5;
+
+// Window for one Welch segment
+const hann = (n) => Float64Array.from({ length: n }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / n));
+
+// Flat top with cosine tapers over the given fraction at each end
+const tukey = (n, fraction) => {
+  const edge = Math.max(1, Math.floor(n * fraction));
+  return Float64Array.from({ length: n }, (_, i) => {
+    const fromEdge = Math.min(i, n - 1 - i);
+    return fromEdge >= edge ? 1 : 0.5 - 0.5 * Math.cos(Math.PI * fromEdge / edge);
+  });
+};
+
+// One-sided noise power spectral density by Welch's method: the average
+// periodogram of Hann-windowed segments overlapping by half. Returns the PSD
+// at frequencies k × resolution.
+export const welchPsd = (strain, sampleRate, segmentDuration = PSD_SEGMENT_DURATION) => {
+  const segment = Math.min(nextPowerOfTwo(segmentDuration * sampleRate), 2 ** Math.floor(Math.log2(strain.length)));
+  const window = hann(segment);
+  const windowPower = window.reduce((sum, w) => sum + w * w, 0);
+  const psd = new Float64Array(segment / 2 + 1);
+  let count = 0;
+  for (let start = 0; start + segment <= strain.length; start += segment / 2) {
+    const re = Float64Array.from(window, (w, i) => w * strain[start + i]);
+    const im = new Float64Array(segment);
+    fft(re, im);
+    for (let k = 0; k < psd.length; k++) psd[k] += re[k] * re[k] + im[k] * im[k];
+    count++;
+  }
+  const scale = 2 / (count * sampleRate * windowPower);
+  return { psd: psd.map(p => p * scale), resolution: sampleRate / segment };
+};
+
+// Linear interpolation of a Welch PSD at frequency f
+const psdAt = ({ psd, resolution }, f) => {
+  const position = Math.min(f / resolution, psd.length - 1);
+  const k = Math.min(Math.floor(position), psd.length - 2);
+  const t = position - k;
+  return psd[k] * (1 - t) + psd[k + 1] * t;
+};
+
+// 1 inside [low, high], 0 well outside, with cosine roll-offs at the edges
+const bandpassGain = (f, low, high) => {
+  if (f < low - BAND_ROLL_OFF || f > high + BAND_ROLL_OFF) return 0;
+  if (f < low) return 0.5 + 0.5 * Math.cos(Math.PI * (low - f) / BAND_ROLL_OFF);
+  if (f > high) return 0.5 + 0.5 * Math.cos(Math.PI * (f - high) / BAND_ROLL_OFF);
+  return 1;
+};
+
+// Transform of a series tapered at its ends and zero-padded to size
+const spectrumOf = (series, size, taper) => {
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  series.forEach((value, i) => {
+    re[i] = taper ? value * taper[i] : value;
+  });
+  fft(re, im);
+  return { re, im };
+};
+
+// Multiply a spectrum by the real filter gain per bin
+const applyGain = ({ re, im }, gain) => ({
+  re: re.map((value, k) => value * gain[k]),
+  im: im.map((value, k) => value * gain[k])
+});
+
+// Whiten and bandpass strain sampled at sampleRate between low and high Hz.
+// Returns { sampleRate, length, size, gain, spectrum, level, sigma, whitened }:
+// gain is the filter applied to each of the size frequency bins, spectrum the
+// filtered data's transform, level its noise level (see below) and whitened
+// the filtered series in units of its own standard deviation sigma (measured
+// away from the tapered ends).
+export const conditionStrain = (strain, sampleRate, { low, high }) => {
+  const length = strain.length;
+  const size = nextPowerOfTwo(length);
+  const noise = welchPsd(strain, sampleRate);
+  
+  const gain = new Float64Array(size);
+  const passband = [];
+  for (let k = 0; k <= size / 2; k++) {
+    const f = k * sampleRate / size;
+    const band = bandpassGain(f, low, high);
+    const value = band / Math.sqrt(psdAt(noise, f));
+    gain[k] = Number.isFinite(value) ? value : 0;
+    if (k > 0) gain[size - k] = gain[k];
+    if (band === 1) passband.push(k);
+  }
+  
+  const spectrum = applyGain(spectrumOf(strain, size, tukey(length, EDGE_TAPER)), gain);
+  
+  // The whitened noise is flat across the passband. Its level there, per
+  // sample of white noise, is the spread of the data's projection onto any
+  // normalized in-band template.
+  const level = Math.sqrt(passband.reduce((sum, k) => sum + spectrum.re[k] ** 2 + spectrum.im[k] ** 2, 0) / (passband.length * size)) || 1;
+  const re = Float64Array.from(spectrum.re);
+  const im = Float64Array.from(spectrum.im);
+  fft(re, im, true);
+  
+  const from = Math.floor(length * 2 * EDGE_TAPER);
+  const to = length - from;
+  let power = 0;
+  for (let i = from; i < to; i++) power += re[i] * re[i];
+  const sigma = Math.sqrt(power / (to - from)) || 1;
+  return {
+    sampleRate,
+    length,
+    size,
+    gain,
+    spectrum,
+    level,
+    sigma,
+    whitened: re.slice(0, length).map(value => value / sigma)
+  };
+};
+
+// Best fit of a model chirp to conditioned data. template holds h₊ and h× of
+// a face-on source (so they are in quadrature) at the data's sample rate,
+// ending at the model's merger. Both are filtered like the data, then slid
+// along it; at each lag the least-squares combination of the two fits the
+// data best, and the lag where that fit explains most of the data wins. Returns
+// { mergerIndex, snr, fitted }: the data sample the model's merger lands on,
+// the peak correlation in units of the noise level (the matched-filter
+// signal-to-noise ratio) and the fitted model in the units of whitened.
+export const matchTemplate = (conditioned, template) => {
+  const { length, size, gain, spectrum, level, sigma } = conditioned;
+  const templateLength = Math.min(template.plus.length, length);
+  const polarizations = [template.plus, template.cross].map(series => {
+    const filtered = applyGain(spectrumOf(series.subarray(series.length - templateLength), size), gain);
+    
+    // Correlation with the data at every lag: IFFT(D × conj(T))
+    const re = spectrum.re.map((d, k) => d * filtered.re[k] + spectrum.im[k] * filtered.im[k]);
+    const im = spectrum.im.map((d, k) => d * filtered.re[k] - spectrum.re[k] * filtered.im[k]);
+    fft(re, im, true);
+    
+    const timeRe = Float64Array.from(filtered.re);
+    const timeIm = Float64Array.from(filtered.im);
+    fft(timeRe, timeIm, true);
+    const norm = timeRe.reduce((sum, value) => sum + value * value, 0) || 1;
+    return { correlation: re, series: timeRe, norm };
+  });
+  
+  // Lags that keep the whole template on the untapered data
+  const edge = Math.floor(length * EDGE_TAPER);
+  let best = { lag: edge, score: -1 };
+  for (let lag = edge; lag <= length - edge - templateLength; lag++) {
+    const score = polarizations.reduce((sum, { correlation, norm }) => sum + correlation[lag] ** 2 / norm, 0);
+    if (score > best.score) best = { lag, score };
+  }
+  
+  const [plus, cross] = polarizations.map(({ correlation, norm }) => correlation[best.lag] / norm);
+  const fitted = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    const j = (i - best.lag + size) % size;
+    fitted[i] = (plus * polarizations[0].series[j] + cross * polarizations[1].series[j]) / sigma;
+  }
+  return {
+    mergerIndex: best.lag + templateLength - 1,
+    snr: Math.sqrt(Math.max(0, best.score)) / level,
+    fitted
+  };
+};
@@ -0,0 +1,63 @@
+import { chirpWaveform } from './chirp';
+import { createRandom } from './random';
+import { conditionStrain, matchTemplate, welchPsd } from './strainData';
+
+const SAMPLE_RATE = 1024;
+
+// Gaussian white noise of unit variance (Box–Muller)
+const whiteNoise = (count, seed) => {
+  const random = createRandom(seed);
+  return Float64Array.from({ length: count }, () => (
+    Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+  ));
+};
+
+describe('welchPsd', () => {
+  it('is flat at 2σ²/fs for white noise', () => {
+    const { psd, resolution } = welchPsd(whiteNoise(16 * SAMPLE_RATE, 3), SAMPLE_RATE);
+    expect(resolution).toBe(0.25);
+    const inner = Array.from(psd.slice(10, -10));
+    const mean = inner.reduce((sum, p) => sum + p, 0) / inner.length;
+    expect(mean * SAMPLE_RATE / 2).toBeCloseTo(1, 1);
+  });
+});
+
+describe('conditionStrain', () => {
+  it('whitens coloured noise to unit spread', () => {
+    // Red noise: a random walk, far louder at low frequencies
+    const steps = whiteNoise(8 * SAMPLE_RATE, 5);
+    const strain = Float64Array.from(steps);
+    for (let i = 1; i < strain.length; i++) strain[i] += strain[i - 1];
+    const { whitened, size, length } = conditionStrain(strain, SAMPLE_RATE, { low: 30, high: 300 });
+    expect([length, size]).toEqual([8192, 8192]);
+    const middle = whitened.slice(1000, -1000);
+    const spread = Math.sqrt(middle.reduce((sum, value) => sum + value * value, 0) / middle.length);
+    expect(spread).toBeCloseTo(1, 1);
+  });
+});
+
+describe('matchTemplate', () => {
+  const template = chirpWaveform({ m1: 30, m2: 30, distance: 1, inclination: 0, fLow: 30, sampleRate: SAMPLE_RATE, maxDuration: 1 });
+  const injectedMerger = 5000;
+  
+  // Noise with the template's h₊ scaled to the given amplitude, merging at injectedMerger
+  const injected = (amplitude) => {
+    const strain = whiteNoise(8 * SAMPLE_RATE, 9);
+    const peak = Math.max(...Array.from(template.plus, Math.abs));
+    template.plus.forEach((value, i) => {
+      strain[injectedMerger - template.plus.length + 1 + i] += amplitude * value / peak;
+    });
+    return conditionStrain(strain, SAMPLE_RATE, { low: 30, high: 300 });
+  };
+  
+  it('finds an injected chirp where it merges, loud above the noise', () => {
+    const { mergerIndex, snr, fitted } = matchTemplate(injected(4), template);
+    expect(Math.abs(mergerIndex - injectedMerger)).toBeLessThanOrEqual(2);
+    expect(snr).toBeGreaterThan(12);
+    expect(fitted).toHaveLength(8 * SAMPLE_RATE);
+  });
+  
+  it('reports a low signal-to-noise ratio in noise alone', () => {
+    expect(matchTemplate(injected(0), template).snr).toBeLessThan(6);
+  });
+});
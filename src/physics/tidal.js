@@ -0,0 +1,113 @@
+import { integrateAdaptive } from './integrators';
+
+// Tidal forces on a small body falling radially from rest into a Schwarzschild
+// black hole of geometric mass M. In the body's freely falling frame the tidal
+// tensor is diagonal: separations along the radial direction grow at 2M/r³ per
+// unit length (stretching) and the two transverse ones shrink at M/r³
+// (compression), exactly as in Newtonian gravity.
+
+// Eigenvalues of the tidal tensor at radius r, in units of 1 / length²
+export const tidalEigenvalues = (M, r) => ({
+  radial: 2 * M / r ** 3,
+  transverse: -M / r ** 3
+});
+
+// Radial free fall from rest at R follows the cycloid r = R(1 + cos η)/2,
+// τ = sqrt(R³/8M)(η + sin η), reaching r = 0 at η = π
+const cycloidScale = (M, R) => Math.sqrt(R ** 3 / (8 * M));
+
+// Proper time to fall from rest at R to radius r
+export const radialInfallTime = (M, R, r) => {
+  const eta = Math.acos(Math.max(-1, Math.min(1, 2 * r / R - 1)));
+  return cycloidScale(M, R) * (eta + Math.sin(eta));
+};
+
+// Radius after falling from rest at R for proper time τ (0 once it has arrived)
+export const radialInfallRadius = (M, R, tau) => {
+  const phase = tau / cycloidScale(M, R);
+  if (phase >= Math.PI) return 0;
+  
+  // η + sin η is increasing, so bisect for η
+  let lo = 0;
+  let hi = Math.PI;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (mid + Math.sin(mid) < phase) lo = mid;
+    else hi = mid;
+  }
+  return R * (1 + Math.cos((lo + hi) / 2)) / 2;
+};
+
+// Stretch factors of a body released at rest at R: its length along the radial
+// and transverse directions relative to the start, from the geodesic deviation
+// equation ξ'' = K(τ) ξ with ξ' = 0 initially. The body only needs to be small
+// compared with r, so the factors hold for any size. Returns samples
+// { tau, r, radial, transverse } from release until proper time tauEnd.
+export const integrateTidalStretch = (M, R, tauEnd) => {
+  const samples = [];
+  const deriv = (tau, [radial, radialRate, transverse, transverseRate]) => {
+    const { radial: k1, transverse: k2 } = tidalEigenvalues(M, radialInfallRadius(M, R, tau));
+    return [radialRate, k1 * radial, transverseRate, k2 * transverse];
+  };
+  
+  integrateAdaptive(deriv, [1, 0, 1, 0], 0, {
+    tMax: tauEnd,
+    h: tauEnd / 100 || 1,
+    hMax: Math.max(tauEnd / 400, 1e-6),
+    tolerance: 1e-8,
+    onStep: (tau, [radial, , transverse]) => {
+      samples.push({ tau, r: radialInfallRadius(M, R, tau), radial, transverse });
+    }
+  });
+  
+  return samples;
+};
+
+// Speed of light in m/s, for converting geometric tidal terms to accelerations
+const SPEED_OF_LIGHT_SI = 299792458;
+
+// A Sun-like star, lengths in metres (mass as GM/c²)
+export const SUN_LIKE_STAR = { mass: 1476.625, radius: 6.957e8 };
+
+// Black holes to compare, in solar masses
+export const TIDAL_BLACK_HOLES = {
+  stellar: { label: 'Stellar-mass (10 M☉)', solarMasses: 10 },
+  sgrA: { label: 'Sgr A* (4.3 × 10⁶ M☉)', solarMasses: 4.3e6 },
+  m87: { label: 'M87* (6.5 × 10⁹ M☉)', solarMasses: 6.5e9 }
+};
+
+// Radius inside which a self-gravitating body of the given radius and mass is
+// torn apart by a hole of mass M: r_t ≈ R_*(M/m_*)^⅓ (any consistent units)
+export const tidalDisruptionRadius = (M, bodyRadius, bodyMass) => bodyRadius * Math.cbrt(M / bodyMass);
+
+// Tidal disruption of a Sun-like star by a hole of the given number of solar
+// masses, with radii in units of the hole's M. Above about 10⁸ M☉ the star
+// crosses the horizon before it is torn apart.
+export const starDisruption = (solarMasses) => {
+  const M = solarMasses * SUN_LIKE_STAR.mass;
+  const disruptionRadius = tidalDisruptionRadius(M, SUN_LIKE_STAR.radius, SUN_LIKE_STAR.mass) / M;
+  return {
+    disruptionRadius,
+    horizonRadius: 2,
+    disruptedOutsideHorizon: disruptionRadius > 2
+  };
+};
+
+// Difference in acceleration across a body of the given length (metres) lying
+// radially at r (in units of M) of a hole of the given solar masses, in m/s²
+export const tidalAccelerationAcross = (solarMasses, r, length) => {
+  const M = solarMasses * SUN_LIKE_STAR.mass;
+  return tidalEigenvalues(M, r * M).radial * SPEED_OF_LIGHT_SI ** 2 * length;
+};
+
+// Stretch factors at proper time τ, interpolated between samples of integrateTidalStretch
+export const interpolateTidalStretch = (samples, tau) => {
+  const index = samples.findIndex(sample => sample.tau >= tau);
+  if (index <= 0) return samples[index === 0 ? 0 : samples.length - 1];
+  
+  const before = samples[index - 1];
+  const after = samples[index];
+  const f = (tau - before.tau) / (after.tau - before.tau);
+  const mix = key => before[key] + (after[key] - before[key]) * f;
+  return { tau, r: mix('r'), radial: mix('radial'), transverse: mix('transverse') };
+};
@@ -0,0 +1,83 @@
+import {
+  integrateTidalStretch,
+  interpolateTidalStretch,
+  radialInfallRadius,
+  radialInfallTime,
+  starDisruption,
+  tidalAccelerationAcross,
+  tidalEigenvalues,
+  TIDAL_BLACK_HOLES
+} from './tidal';
+
+describe('tidalEigenvalues', () => {
+  it('stretches radially twice as hard as it squeezes, with zero trace', () => {
+    const { radial, transverse } = tidalEigenvalues(2, 10);
+    expect(radial).toBeCloseTo(4e-3, 15);
+    expect(radial + 2 * transverse).toBeCloseTo(0, 15);
+  });
+});
+
+describe('radial infall', () => {
+  it('takes π√(R³/8M) to reach the centre', () => {
+    expect(radialInfallTime(1, 10, 0)).toBeCloseTo(Math.PI * Math.sqrt(1000 / 8), 10);
+    expect(radialInfallTime(1, 10, 10)).toBe(0);
+  });
+  
+  it('inverts the proper time back to the radius', () => {
+    [9, 5, 2, 0.5].forEach(r => {
+      expect(radialInfallRadius(1, 10, radialInfallTime(1, 10, r))).toBeCloseTo(r, 8);
+    });
+    expect(radialInfallRadius(1, 10, 1000)).toBe(0);
+  });
+});
+
+describe('integrateTidalStretch', () => {
+  const samples = integrateTidalStretch(1, 10, radialInfallTime(1, 10, 1));
+  
+  it('starts unstretched and grows as ½Kτ² at first', () => {
+    expect(samples[0]).toMatchObject({ tau: 0, r: 10, radial: 1, transverse: 1 });
+    const early = samples.find(sample => sample.tau > 0);
+    const { radial, transverse } = tidalEigenvalues(1, 10);
+    expect((early.radial - 1) / (radial * early.tau ** 2 / 2)).toBeCloseTo(1, 3);
+    expect((early.transverse - 1) / (transverse * early.tau ** 2 / 2)).toBeCloseTo(1, 3);
+  });
+  
+  it('ends stretched along the radius and squeezed across it', () => {
+    const last = samples[samples.length - 1];
+    expect(last.r).toBeCloseTo(1, 6);
+    expect(last.radial).toBeGreaterThan(2);
+    expect(last.transverse).toBeLessThan(0.8);
+  });
+  
+  it('interpolates between samples and clamps outside them', () => {
+    const [first, second] = samples;
+    const middle = interpolateTidalStretch(samples, (first.tau + second.tau) / 2);
+    expect(middle.radial).toBeCloseTo((first.radial + second.radial) / 2, 12);
+    expect(interpolateTidalStretch(samples, -1)).toBe(first);
+    expect(interpolateTidalStretch(samples, 1e6)).toBe(samples[samples.length - 1]);
+  });
+});
+
+describe('starDisruption', () => {
+  it('tears a Sun-like star apart outside a stellar or Sgr A* horizon', () => {
+    expect(starDisruption(TIDAL_BLACK_HOLES.stellar.solarMasses).disruptedOutsideHorizon).toBe(true);
+    expect(starDisruption(TIDAL_BLACK_HOLES.sgrA.solarMasses).disruptedOutsideHorizon).toBe(true);
+  });
+  
+  it('swallows it whole above about 10⁸ M☉', () => {
+    expect(starDisruption(TIDAL_BLACK_HOLES.m87.solarMasses).disruptedOutsideHorizon).toBe(false);
+    expect(starDisruption(3e7).disruptedOutsideHorizon).toBe(true);
+    expect(starDisruption(3e8).disruptedOutsideHorizon).toBe(false);
+  });
+});
+
+describe('tidalAccelerationAcross', () => {
+  it('matches the Newtonian 2GMℓ/r³', () => {
+    const G = 6.674e-11;
+    const solarMass = 1.989e30;
+    const metres = 1e6;
+    const r = metres / (10 * 1476.625);
+    const newtonian = 2 * G * 10 * solarMass * 2 / metres ** 3;
+    expect(tidalAccelerationAcross(10, r, 2) / newtonian).toBeCloseTo(1, 2);
+  });
+});
@@ -0,0 +1,86 @@
+// Generate gravitational wave simulation data
+// random is a seeded generator (see createRandom) for the initial phases.
+export const generateWavePoints = (random) => {
+  const points = [];
+  const waveCount = 100;
+  const source1 = { x: -10, y: 0 };
+  const source2 = { x: 10, y: 0 };
+  
+  for (let i = 0; i < waveCount; i++) {
+    const angle = (i / waveCount) * 2 * Math.PI;
+    const radius = 5 + i * 0.5;
+    
+    // Calculate wave positions around both sources
+    const x1 = source1.x + radius * Math.cos(angle);
+    const y1 = source1.y + radius * Math.sin(angle);
+    
+    const x2 = source2.x + radius * Math.cos(angle);
+    const y2 = source2.y + radius * Math.sin(angle);
+    
+    points.push(
+      { 
+        x: x1, 
+        y: y1, 
+        source: 1, 
+        radius, 
+        angle, 
+        phase: random() * Math.PI * 2
+      },
+      {
+        x: x2,
+        y: y2,
+        source: 2,
+        radius,
+        angle,
+        phase: random() * Math.PI * 2
+      }
+    );
+  }
+  
+  return points;
+};
+
+// Update wave points for animation
+export const updateWaves = (points, time, amplitude, frequency) => {
+  // Calculate current orbital angle for sources
+  const orbitFreq = 0.05;
+  const orbitAngle = time * orbitFreq;
+  
+  // Update source positions (spiraling in)
+  const initialDistance = 10;
+  const decayRate = 0.03;
+  const distance = Math.max(2, initialDistance * Math.exp(-time * decayRate));
+  
+  const source1 = {
+    x: -distance * Math.cos(orbitAngle),
+    y: -distance * Math.sin(orbitAngle)
+  };
+  
+  const source2 = {
+    x: distance * Math.cos(orbitAngle),
+    y: distance * Math.sin(orbitAngle)
+  };
+  
+  return points.map(point => {
+    // Get the correct source
+    const source = point.source === 1 ? source1 : source2;
+    
+    // Calculate new position based on radius and angle
+    const newAngle = point.angle + time * 0.1;
+    const x = source.x + point.radius * Math.cos(newAngle);
+    const y = source.y + point.radius * Math.sin(newAngle);
+    
+    // Calculate wave displacement
+    const waveDisplacement = Math.sin(time * frequency + point.phase) * amplitude;
+    
+    return {
+      ...point,
+      x,
+      y,
+      angle: newAngle,
+      displacement: waveDisplacement,
+      sourceX: source.x,
+      sourceY: source.y
+    };
+  });
+};
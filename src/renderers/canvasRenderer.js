@@ -0,0 +1,61 @@
+import * as d3 from 'd3';
+
+// Drawing backend for a 2D canvas. Nothing is retained between frames, so the
+// cost per frame grows only with what is drawn, not with DOM bookkeeping.
+// Same primitives and styles as the SVG backend.
+export const createCanvasRenderer = (canvas, width, height) => {
+  // Draw at the display's pixel density so circles stay as crisp as in SVG
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  
+  const context = canvas.getContext('2d');
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  
+  const curveGenerator = d3.line()
+    .x(d => d.x)
+    .y(d => d.y)
+    .curve(d3.curveBasis)
+    .context(context);
+  
+  // Fill and stroke the current path with an SVG-like style
+  const paint = ({ fill = 'none', stroke, strokeWidth = 1, dash, opacity = 1 }) => {
+    context.globalAlpha = opacity;
+    if (fill !== 'none') {
+      context.fillStyle = fill;
+      context.fill();
+    }
+    if (stroke) {
+      context.setLineDash(dash || []);
+      context.lineWidth = strokeWidth;
+      context.strokeStyle = stroke;
+      context.stroke();
+    }
+  };
+  
+  return {
+    kind: 'canvas',
+    
+    circle: (cx, cy, r, style) => {
+      context.beginPath();
+      context.arc(cx, cy, r, 0, 2 * Math.PI);
+      paint(style);
+    },
+    
+    line: (x1, y1, x2, y2, style) => {
+      context.beginPath();
+      context.moveTo(x1, y1);
+      context.lineTo(x2, y2);
+      paint(style);
+    },
+    
+    curve: (points, style) => {
+      context.beginPath();
+      curveGenerator(points);
+      paint(style);
+    }
+  };
+};
@@ -0,0 +1,7 @@
+// Pluggable drawing backends for the animated views. Both expose the same
+// primitives (circle, line, curve) in screen coordinates.
+export { createSvgRenderer } from './svgRenderer';
+export { createCanvasRenderer } from './canvasRenderer';
+
+// Views that can draw through either backend
+export const RENDERER_VIEWS = ['particles', 'waves'];
@@ -0,0 +1,78 @@
+import * as d3 from 'd3';
+import { createCanvasRenderer, createSvgRenderer } from '.';
+
+// Jest cannot load D3's ES modules; use its UMD bundle
+jest.mock('d3', () => require('../../node_modules/d3/dist/d3.js'));
+
+const style = { fill: 'red', stroke: 'blue', strokeWidth: 2, dash: [3, 1], opacity: 0.5 };
+
+describe('createSvgRenderer', () => {
+  it('appends styled elements', () => {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const { kind, circle: drawCircle, line: drawLine, curve: drawCurve } = createSvgRenderer(d3.select(element));
+    drawCircle(10, 20, 5, style);
+    drawLine(0, 0, 30, 40, { stroke: 'white' });
+    drawCurve([{ x: 0, y: 0 }, { x: 10, y: 5 }, { x: 20, y: 0 }], { stroke: 'green' });
+    
+    const [circle, line, path] = element.children;
+    expect(kind).toBe('svg');
+    expect(circle.tagName).toBe('circle');
+    expect(['cx', 'cy', 'r', 'fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity'].map(name => circle.getAttribute(name)))
+      .toEqual(['10', '20', '5', 'red', 'blue', '2', '3,1', '0.5']);
+    expect(line.getAttribute('fill')).toBe('none');
+    expect(line.getAttribute('x2')).toBe('30');
+    expect(path.getAttribute('d')).toMatch(/^M0,0/);
+  });
+});
+
+describe('createCanvasRenderer', () => {
+  // A 2D context that records every call and property write
+  const recordingContext = () => {
+    const calls = [];
+    const context = new Proxy({}, {
+      get: (target, name) => (name === 'calls' ? calls : (...args) => calls.push([name, ...args])),
+      set: (target, name, value) => {
+        calls.push([name, value]);
+        return true;
+      }
+    });
+    return context;
+  };
+  
+  it('sizes the canvas for the pixel density', () => {
+    window.devicePixelRatio = 2;
+    const canvas = { style: {}, getContext: recordingContext };
+    createCanvasRenderer(canvas, 300, 200);
+    expect([canvas.width, canvas.height, canvas.style.width, canvas.style.height]).toEqual([600, 400, '300px', '200px']);
+    window.devicePixelRatio = 1;
+  });
+  
+  it('fills and strokes paths with the SVG-like styles', () => {
+    const context = recordingContext();
+    const { kind, circle: drawCircle } = createCanvasRenderer({ style: {}, getContext: () => context }, 100, 100);
+    context.calls.length = 0;
+    drawCircle(10, 20, 5, style);
+    
+    expect(kind).toBe('canvas');
+    expect(context.calls).toEqual([
+      ['beginPath'],
+      ['arc', 10, 20, 5, 0, 2 * Math.PI],
+      ['globalAlpha', 0.5],
+      ['fillStyle', 'red'],
+      ['fill'],
+      ['setLineDash', [3, 1]],
+      ['lineWidth', 2],
+      ['strokeStyle', 'blue'],
+      ['stroke']
+    ]);
+  });
+  
+  it('leaves unfilled shapes unfilled', () => {
+    const context = recordingContext();
+    const { line: drawLine } = createCanvasRenderer({ style: {}, getContext: () => context }, 100, 100);
+    context.calls.length = 0;
+    drawLine(0, 0, 5, 5, { stroke: 'white' });
+    expect(context.calls.map(([name]) => name)).not.toContain('fill');
+    expect(context.calls).toContainEqual(['setLineDash', []]);
+  });
+});
@@ -0,0 +1,40 @@
+import * as d3 from 'd3';
+
+// Drawing backend that appends SVG elements to a D3 selection. Slower than
+// Canvas for large scenes, but the result can be exported as vector graphics.
+// Styles: { fill, stroke, strokeWidth, dash: [on, off], opacity }
+const applyStyle = (element, { fill = 'none', stroke, strokeWidth, dash, opacity }) => {
+  element.attr("fill", fill);
+  if (stroke) element.attr("stroke", stroke);
+  if (strokeWidth !== undefined) element.attr("stroke-width", strokeWidth);
+  if (dash) element.attr("stroke-dasharray", dash.join(','));
+  if (opacity !== undefined) element.attr("opacity", opacity);
+  return element;
+};
+
+export const createSvgRenderer = (svg) => {
+  // Smooth B-spline through screen points, as in the original trails
+  const curveGenerator = d3.line()
+    .x(d => d.x)
+    .y(d => d.y)
+    .curve(d3.curveBasis);
+  
+  return {
+    kind: 'svg',
+    
+    circle: (cx, cy, r, style) => applyStyle(
+      svg.append("circle").attr("cx", cx).attr("cy", cy).attr("r", r),
+      style
+    ),
+    
+    line: (x1, y1, x2, y2, style) => applyStyle(
+      svg.append("line").attr("x1", x1).attr("y1", y1).attr("x2", x2).attr("y2", y2),
+      style
+    ),
+    
+    curve: (points, style) => applyStyle(
+      svg.append("path").datum(points).attr("d", curveGenerator),
+      style
+    )
+  };
+};
@@ -0,0 +1,26 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes,
+// e.g. expect(element).toHaveTextContent(/react/i)
+import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom lacks the Encoding API that the export and import code relies on
+Object.assign(global, { TextDecoder, TextEncoder });
+
+// Tests of the HDF5 and gzip readers run in the node environment, which hides
+// Node's own Blob and decompression streams; Response is needed only to
+// collect a stream's bytes
+if (typeof window === 'undefined') {
+  const { Blob } = require('buffer');
+  const { arrayBuffer } = require('stream/consumers');
+  const { DecompressionStream } = require('stream/web');
+  class Response {
+    constructor(body) {
+      this.body = body;
+    }
+    
+    arrayBuffer() {
+      return arrayBuffer(this.body);
+    }
+  }
+  Object.assign(global, { Blob, DecompressionStream, Response });
+}
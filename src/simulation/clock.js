@@ -0,0 +1,51 @@
+// Fixed-timestep simulation clock. Physics advances in whole ticks at a rate
+// set by real time and the speed multiplier, never by the display's refresh
+// rate; the fraction of a tick left over (alpha) lets renderers interpolate.
+
+// Simulation ticks per second of real time at 1× speed
+export const TICKS_PER_SECOND = 60;
+
+export const SPEED_MULTIPLIERS = [0.25, 0.5, 1, 2, 4];
+
+// More ticks than this in one display frame means the simulation cannot keep
+// up; the backlog is dropped so it slows down instead of freezing the page
+const MAX_TICKS_PER_FRAME = 10;
+
+// Rounding slack, so a tick due after exactly 1/60 s is not deferred a frame
+const EPSILON = 1e-9;
+
+export const createFixedStepClock = ({
+  onTick,
+  ticksPerSecond = TICKS_PER_SECOND,
+  maxTicksPerFrame = MAX_TICKS_PER_FRAME
+}) => {
+  let accumulator = 0; // Ticks owed, in units of one tick
+  let lastTime = null;
+  
+  // Run the ticks due at time now (milliseconds). Returns how many ran and the
+  // fraction of the next tick already elapsed.
+  const advance = (now, speed = 1) => {
+    if (lastTime !== null) {
+      accumulator += Math.max(0, now - lastTime) / 1000 * ticksPerSecond * speed;
+    }
+    lastTime = now;
+    
+    let ticks = 0;
+    while (accumulator >= 1 - EPSILON && ticks < maxTicksPerFrame) {
+      onTick();
+      accumulator -= 1;
+      ticks++;
+    }
+    if (accumulator >= 1) accumulator %= 1;
+    accumulator = Math.max(0, accumulator);
+    
+    return { ticks, alpha: accumulator };
+  };
+  
+  const reset = () => {
+    accumulator = 0;
+    lastTime = null;
+  };
+  
+  return { advance, reset };
+};
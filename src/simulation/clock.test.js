@@ -0,0 +1,61 @@
+import { createFixedStepClock, TICKS_PER_SECOND } from './clock';
+
+const countingClock = (options) => {
+  const clock = createFixedStepClock({ onTick: () => { clock.count++; }, ...options });
+  clock.count = 0;
+  return clock;
+};
+
+describe('createFixedStepClock', () => {
+  it('starts counting from the first frame', () => {
+    const clock = countingClock();
+    expect(clock.advance(5000)).toEqual({ ticks: 0, alpha: 0 });
+    expect(clock.count).toBe(0);
+  });
+  
+  it(`ticks ${TICKS_PER_SECOND} times per second whatever the frame rate`, () => {
+    [60, 144, 24].forEach(frameRate => {
+      const clock = countingClock();
+      for (let frame = 0; frame <= frameRate; frame++) clock.advance(frame * 1000 / frameRate);
+      expect(clock.count).toBe(TICKS_PER_SECOND);
+    });
+  });
+  
+  it('reports the fraction of the next tick as alpha', () => {
+    const clock = countingClock({ ticksPerSecond: 10 });
+    clock.advance(0);
+    const { ticks, alpha } = clock.advance(250);
+    expect(ticks).toBe(2);
+    expect(alpha).toBeCloseTo(0.5, 12);
+  });
+  
+  it('scales the tick rate by the speed multiplier', () => {
+    const clock = countingClock({ ticksPerSecond: 10 });
+    clock.advance(0);
+    expect(clock.advance(1000, 0.25).ticks).toBe(2);
+    expect(clock.advance(2000, 4).ticks).toBe(10);
+  });
+  
+  it('drops the backlog when it cannot keep up', () => {
+    const clock = countingClock({ maxTicksPerFrame: 5 });
+    clock.advance(0);
+    const { ticks, alpha } = clock.advance(10000);
+    expect(ticks).toBe(5);
+    expect(alpha).toBeLessThan(1);
+    expect(clock.advance(10000).ticks).toBe(0);
+  });
+  
+  it('ignores time running backwards', () => {
+    const clock = countingClock();
+    clock.advance(1000);
+    expect(clock.advance(500).ticks).toBe(0);
+  });
+  
+  it('forgets the elapsed time on reset', () => {
+    const clock = countingClock({ ticksPerSecond: 10 });
+    clock.advance(0);
+    clock.advance(150);
+    clock.reset();
+    expect(clock.advance(60000)).toEqual({ ticks: 0, alpha: 0 });
+  });
+});
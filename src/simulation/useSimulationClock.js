@@ -0,0 +1,33 @@
+import { useState, useEffect, useRef } from 'react';
+import { createFixedStepClock } from './clock';
+
+// Drive a fixed-timestep clock from requestAnimationFrame while running.
+// onTick advances the simulation by one step; the returned alpha (0 to 1) is
+// how far the display is between the last two steps. It is 0 while paused.
+export const useSimulationClock = ({ running, speed = 1, onTick }) => {
+  const [alpha, setAlpha] = useState(0);
+  
+  // The loop outlives renders, so it reads the latest callback and speed
+  const onTickRef = useRef(onTick);
+  const speedRef = useRef(speed);
+  onTickRef.current = onTick;
+  speedRef.current = speed;
+  
+  useEffect(() => {
+    setAlpha(0);
+    if (!running) return undefined;
+    
+    const clock = createFixedStepClock({ onTick: () => onTickRef.current() });
+    let frame = null;
+    
+    const loop = (now) => {
+      setAlpha(clock.advance(now, speedRef.current).alpha);
+      frame = requestAnimationFrame(loop);
+    };
+    frame = requestAnimationFrame(loop);
+    
+    return () => cancelAnimationFrame(frame);
+  }, [running]);
+  
+  return alpha;
+};
@@ -0,0 +1,211 @@
+import { STATE_VERSION, STATE_FIELDS, DEFAULT_STATE, sanitizeState } from './visualizerState';
+
+// Named scenario presets. A preset is { id, name, description, state } where
+// state holds any subset of the visualizer fields; missing fields take their
+// defaults when the preset is applied. Masses are in the visualizer's scaled
+// units (1-50), so the catalog reproduces the character of each system rather
+// than its absolute size.
+
+// Identifies preset files on import
+export const PRESET_FILE_FORMAT = 'relativity-visualizer-presets';
+
+// localStorage key for the user's own presets
+const STORAGE_KEY = 'relativityVisualizer.presets';
+
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'sun',
+    name: 'Sun-like star',
+    description: 'A light, slowly rotating mass: gentle curvature and tiny clock rate differences',
+    state: {
+      activeTab: 'spacetime',
+      mass: 2,
+      rotation: 0,
+      observer1Position: 50,
+      observer2Position: 10,
+      observer2Angle: 90
+    }
+  },
+  {
+    id: 'sgr-a-star',
+    name: 'Sagittarius A*',
+    description: 'The Milky Way\'s central black hole, with a moderate spin, seen by two orbiting observers',
+    state: {
+      activeTab: 'observer',
+      mass: 40,
+      rotation: 0.5,
+      observer1Position: 50,
+      observer2Position: 15,
+      observer2Angle: 120,
+      activeObserver: 1
+    }
+  },
+  {
+    id: 'near-extremal-kerr',
+    name: 'Near-extremal Kerr',
+    description: 'A black hole spun up to the Thorne limit a/M = 0.998, with its horizon shrunk close to r = M',
+    state: {
+      activeTab: 'extreme',
+      extremeObjectType: 'kerr',
+      mass: 20,
+      rotation: 0.998
+    }
+  },
+  {
+    id: 'gw150914',
+    name: 'GW150914-like merger',
+    description: 'Two black holes of roughly 36 and 29 solar masses merging into one spinning at a/M ≈ 0.7',
+    state: {
+      activeTab: 'extreme',
+      extremeObjectType: 'merger',
+      mass: 36,
+      rotation: 0.7,
+      waveMass1: 36,
+      waveMass2: 29,
+      waveDistance: 410,
+      waveInclination: 150,
+      mergerMass1: 36,
+      mergerMass2: 29,
+      mergerSpin1: 0,
+      mergerSpin2: 0
+    }
+  },
+  {
+    id: 'twin-paradox',
+    name: 'Twin paradox',
+    description: 'A round trip at 0.8c: the travelling twin ages six years while ten pass at home',
+    state: {
+      activeTab: 'special',
+      specialVelocity: 0.8,
+      twinTurnaround: { x: 4, t: 5 }
+    }
+  },
+  {
+    id: 'mercury',
+    name: 'Mercury\'s perihelion',
+    description: 'The 43″ per century perihelion advance that first confirmed general relativity, integrated from Mercury\'s real orbit',
+    state: {
+      activeTab: 'particles',
+      precessionOrbit: 'mercury'
+    }
+  }
+];
+
+// Complete state for a preset, filling unspecified fields with defaults
+export const presetToState = (preset) => ({ ...DEFAULT_STATE, ...preset.state });
+
+// Presets saved in this browser. Unreadable storage yields an empty list;
+// entries that no longer validate are dropped and the rest kept.
+export const loadUserPresets = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (!stored) return [];
+    const { presets } = parsePresetFile(stored, { keepValid: true });
+    return withUniqueIds(presets, BUILT_IN_PRESETS.map(preset => preset.id));
+  } catch (error) {
+    return [];
+  }
+};
+
+// Persist the user's presets; returns false when storage is unavailable or full
+export const saveUserPresets = (presets) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, serializePresets(presets));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Build a preset from the live visualizer state, capturing every field
+export const createPreset = (name, state, description = '') => ({
+  id: `user-${Date.now().toString(36)}`,
+  name,
+  description,
+  state: Object.fromEntries(Object.keys(STATE_FIELDS).map(key => [key, state[key]]))
+});
+
+// Give presets ids that differ from takenIds and from each other, suffixing
+// clashing ids with a counter
+export const withUniqueIds = (presets, takenIds = []) => {
+  const taken = new Set(takenIds);
+  return presets.map(preset => {
+    let id = preset.id;
+    for (let n = 2; taken.has(id); n++) id = `${preset.id}-${n}`;
+    taken.add(id);
+    return id === preset.id ? preset : { ...preset, id };
+  });
+};
+
+// Preset file contents (see "Preset files" in the README)
+export const serializePresets = (presets) => JSON.stringify({
+  format: PRESET_FILE_FORMAT,
+  version: STATE_VERSION,
+  presets: presets.map(({ id, name, description, state }) => ({ id, name, description, state }))
+}, null, 2);
+
+// Validate one preset entry; errors are prefixed with its position in the file
+const validatePreset = (entry, index) => {
+  const where = `presets[${index}]`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { errors: [`${where} must be an object`] };
+  }
+  
+  const errors = [];
+  if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+    errors.push(`${where}.name must be a non-empty string`);
+  }
+  if (entry.description !== undefined && typeof entry.description !== 'string') {
+    errors.push(`${where}.description must be a string`);
+  }
+  if (!entry.state || typeof entry.state !== 'object' || Array.isArray(entry.state)) {
+    errors.push(`${where}.state must be an object`);
+    return { errors };
+  }
+  
+  const { state, errors: stateErrors } = sanitizeState(entry.state);
+  stateErrors.forEach(error => errors.push(`${where}.state: ${error}`));
+  
+  return {
+    errors,
+    preset: {
+      id: typeof entry.id === 'string' && entry.id ? entry.id : `user-${index}-${Date.now().toString(36)}`,
+      name: typeof entry.name === 'string' ? entry.name.trim() : '',
+      description: entry.description || '',
+      state
+    }
+  };
+};
+
+// Parse and validate a preset file. A malformed file imports nothing and
+// returns every problem found, so the user can fix them all at once. With
+// keepValid, the entries that validate are returned alongside the errors.
+export const parsePresetFile = (text, { keepValid = false } = {}) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { presets: [], errors: [`Not valid JSON: ${error.message}`] };
+  }
+  
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { presets: [], errors: ['The file must contain a JSON object'] };
+  }
+  if (data.format !== PRESET_FILE_FORMAT) {
+    return { presets: [], errors: [`format must be "${PRESET_FILE_FORMAT}"`] };
+  }
+  if (data.version !== STATE_VERSION) {
+    return { presets: [], errors: [`version ${data.version} is not supported (expected ${STATE_VERSION})`] };
+  }
+  if (!Array.isArray(data.presets)) {
+    return { presets: [], errors: ['presets must be an array'] };
+  }
+  
+  const results = data.presets.map(validatePreset);
+  const errors = results.flatMap(result => result.errors);
+  const valid = results.filter(result => result.errors.length === 0).map(result => result.preset);
+  
+  return errors.length > 0 && !keepValid
+    ? { presets: [], errors }
+    : { presets: valid, errors };
+};
@@ -0,0 +1,102 @@
+import {
+  BUILT_IN_PRESETS,
+  PRESET_FILE_FORMAT,
+  createPreset,
+  loadUserPresets,
+  parsePresetFile,
+  presetToState,
+  saveUserPresets,
+  serializePresets,
+  withUniqueIds
+} from './presets';
+import { DEFAULT_STATE, STATE_VERSION } from './visualizerState';
+
+const presetFile = (presets) => JSON.stringify({ format: PRESET_FILE_FORMAT, version: STATE_VERSION, presets });
+
+const twinPreset = (name, twinTurnaround) => ({ id: name, name, state: { activeTab: 'special', twinTurnaround } });
+
+describe('parsePresetFile', () => {
+  it('reads back serialized presets', () => {
+    const presets = [createPreset('Mine', DEFAULT_STATE, 'all defaults')];
+    expect(parsePresetFile(serializePresets(presets))).toEqual({ presets, errors: [] });
+  });
+  
+  it('validates the built-in presets', () => {
+    expect(parsePresetFile(serializePresets(BUILT_IN_PRESETS)).errors).toEqual([]);
+  });
+  
+  it('opens Mercury\'s perihelion advance from its preset', () => {
+    const mercury = BUILT_IN_PRESETS.find(preset => preset.id === 'mercury');
+    expect(presetToState(mercury)).toMatchObject({ activeTab: 'particles', precessionOrbit: 'mercury' });
+  });
+  
+  it.each([
+    ['invalid JSON', '{', /^Not valid JSON/],
+    ['another format', JSON.stringify({ format: 'other', version: STATE_VERSION, presets: [] }), /^format/],
+    ['another version', JSON.stringify({ format: PRESET_FILE_FORMAT, version: 99, presets: [] }), /^version 99/]
+  ])('rejects %s', (name, text, message) => {
+    const { presets, errors } = parsePresetFile(text);
+    expect(presets).toEqual([]);
+    expect(errors[0]).toMatch(message);
+  });
+  
+  it('imports nothing when a turnaround lies outside the light cone', () => {
+    const { presets, errors } = parsePresetFile(presetFile([
+      twinPreset('fine', { x: 1, t: 2 }),
+      twinPreset('spacelike', { x: 20, t: 1 })
+    ]));
+    expect(presets).toEqual([]);
+    expect(errors).toEqual([
+      'presets[1].state: twinTurnaround must lie inside the future light cone (t > 0 and |x| < t)'
+    ]);
+  });
+  
+  it('keeps the valid entries on request', () => {
+    const { presets, errors } = parsePresetFile(presetFile([
+      twinPreset('fine', { x: 1, t: 2 }),
+      { name: '', state: {} }
+    ]), { keepValid: true });
+    expect(presets.map(preset => preset.name)).toEqual(['fine']);
+    expect(errors).toEqual(['presets[1].name must be a non-empty string']);
+  });
+});
+
+describe('withUniqueIds', () => {
+  it('renumbers ids that clash with taken ones or each other', () => {
+    const presets = [{ id: 'sun' }, { id: 'mine' }, { id: 'mine' }, { id: 'other' }];
+    expect(withUniqueIds(presets, ['sun', 'sun-2']).map(preset => preset.id))
+      .toEqual(['sun-3', 'mine', 'mine-2', 'other']);
+  });
+  
+  it('leaves presets without clashes untouched', () => {
+    const presets = [{ id: 'a' }, { id: 'b' }];
+    expect(withUniqueIds(presets, ['c'])).toEqual(presets);
+  });
+});
+
+describe('user presets', () => {
+  afterEach(() => window.localStorage.clear());
+  
+  it('round-trip through storage', () => {
+    const presets = [createPreset('Mine', DEFAULT_STATE)];
+    expect(saveUserPresets(presets)).toBe(true);
+    expect(loadUserPresets()).toEqual(presets);
+  });
+  
+  it('drop only the entries that fail validation', () => {
+    window.localStorage.setItem('relativityVisualizer.presets', presetFile([
+      twinPreset('kept', { x: 1, t: 2 }),
+      twinPreset('dropped', { x: 3, t: -4 }),
+      twinPreset('sun', { x: 0, t: 1 })
+    ]));
+    expect(loadUserPresets().map(({ id, name }) => ({ id, name }))).toEqual([
+      { id: 'kept', name: 'kept' },
+      { id: 'sun-2', name: 'sun' }
+    ]);
+  });
+  
+  it('load as an empty list from unreadable storage', () => {
+    window.localStorage.setItem('relativityVisualizer.presets', 'not json');
+    expect(loadUserPresets()).toEqual([]);
+  });
+});
@@ -0,0 +1,122 @@
+import { useEffect } from 'react';
+import { STATE_VERSION, STATE_FIELDS, DEFAULT_STATE, sanitizeState } from './visualizerState';
+
+// Deep links: the visualizer state as a versioned query string, e.g.
+// ?v=1&tab=extreme&obj=merger&mass=30&t=42.5
+// Only values that differ from the defaults are written.
+
+// Round numbers so links stay short and stable
+const formatNumber = (value) => String(Number(value.toFixed(4)));
+
+const encodeValue = (field, value) => {
+  switch (field.type) {
+    case 'boolean':
+      return value ? '1' : '0';
+    case 'number':
+    case 'integer':
+      return formatNumber(value);
+    case 'event':
+      return `${formatNumber(value.x)},${formatNumber(value.t)}`;
+    default:
+      return String(value);
+  }
+};
+
+const decodeValue = (field, text) => {
+  switch (field.type) {
+    case 'boolean':
+      return text === '1' || text === 'true';
+    case 'number':
+    case 'integer':
+      return text.trim() === '' ? NaN : Number(text);
+    case 'event': {
+      const [x, t] = text.split(',').map(Number);
+      return { x, t };
+    }
+    case 'enum':
+      // Enum values may be numbers (e.g. the active observer)
+      return field.values.find(value => String(value) === text) ?? text;
+    default:
+      return text;
+  }
+};
+
+const isDefault = (field, value) => field.type === 'event'
+  ? value.x === field.default.x && value.t === field.default.t
+  : value === field.default;
+
+// Serialize state to a query string ('' when everything is at its default)
+export const encodeState = (state) => {
+  const params = new URLSearchParams();
+  
+  Object.entries(STATE_FIELDS).forEach(([key, field]) => {
+    const value = state[key];
+    if (value === undefined || isDefault(field, value)) return;
+    params.set(field.param, encodeValue(field, value));
+  });
+  
+  const query = params.toString();
+  return query ? `?v=${STATE_VERSION}&${query}` : '';
+};
+
+// Parse a query string into a complete state (defaults fill the gaps).
+// Links from a newer version, and invalid values, are reported in errors.
+export const decodeState = (search) => {
+  const params = new URLSearchParams(search);
+  const version = params.get('v');
+  
+  if (version === null) return { state: { ...DEFAULT_STATE }, errors: [] };
+  if (Number(version) !== STATE_VERSION) {
+    return {
+      state: { ...DEFAULT_STATE },
+      errors: [`Link version ${version} is not supported (expected ${STATE_VERSION})`]
+    };
+  }
+  
+  const raw = {};
+  Object.entries(STATE_FIELDS).forEach(([key, field]) => {
+    if (params.has(field.param)) {
+      raw[key] = decodeValue(field, params.get(field.param));
+    }
+  });
+  
+  const { state, errors } = sanitizeState(raw);
+  return { state: { ...DEFAULT_STATE, ...state }, errors };
+};
+
+// Initial state for the first render, read from the current address, with
+// the reasons any part of the link was ignored
+export const readStateFromUrl = () => {
+  if (typeof window === 'undefined') return { state: { ...DEFAULT_STATE }, errors: [] };
+  return decodeState(window.location.search);
+};
+
+// Keep the address bar in sync with state. Each settled edit becomes a history
+// entry (slider drags are debounced), and back/forward restores that entry.
+// While paused is false nothing is written, so a running animation does not
+// flood the history; the accumulated edits are recorded once it pauses.
+// onErrors receives the problems found in an address restored this way.
+export const useUrlStateSync = (state, applyState, { paused = true, delay = 400, onErrors } = {}) => {
+  const query = encodeState(state);
+  
+  useEffect(() => {
+    if (!paused || query === window.location.search) return undefined;
+    
+    const timer = setTimeout(() => {
+      const { pathname, hash } = window.location;
+      window.history.pushState(null, '', `${pathname}${query}${hash}`);
+    }, delay);
+    
+    return () => clearTimeout(timer);
+  }, [query, paused, delay]);
+  
+  useEffect(() => {
+    const handlePopState = () => {
+      const { state: restored, errors } = decodeState(window.location.search);
+      applyState(restored);
+      if (onErrors) onErrors(errors);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [applyState, onErrors]);
+};
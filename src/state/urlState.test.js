@@ -0,0 +1,76 @@
+import { decodeState, encodeState } from './urlState';
+import { DEFAULT_STATE, STATE_VERSION, sanitizeState } from './visualizerState';
+
+describe('encodeState', () => {
+  it('writes nothing when every value is at its default', () => {
+    expect(encodeState(DEFAULT_STATE)).toBe('');
+  });
+  
+  it('writes only the values that differ from the defaults', () => {
+    const query = encodeState({ ...DEFAULT_STATE, activeTab: 'extreme', mass: 30 });
+    expect(query).toBe(`?v=${STATE_VERSION}&tab=extreme&mass=30`);
+  });
+});
+
+describe('decodeState', () => {
+  it('restores an encoded state exactly', () => {
+    const state = {
+      ...DEFAULT_STATE,
+      activeTab: 'special',
+      mass: 12.5,
+      showLightPaths: false,
+      activeObserver: 2,
+      twinTurnaround: { x: -3.25, t: 7 },
+      simultaneityEvent: { x: 4, t: -2 },
+      frameTime: 42.5
+    };
+    expect(decodeState(encodeState(state))).toEqual({ state, errors: [] });
+  });
+  
+  it('falls back to the defaults without a version', () => {
+    expect(decodeState('?tab=extreme')).toEqual({ state: DEFAULT_STATE, errors: [] });
+  });
+  
+  it('rejects links from another version', () => {
+    const { state, errors } = decodeState(`?v=${STATE_VERSION + 1}&tab=extreme`);
+    expect(state).toEqual(DEFAULT_STATE);
+    expect(errors).toHaveLength(1);
+  });
+  
+  it('drops and reports invalid values, keeping the rest', () => {
+    const { state, errors } = decodeState(`?v=${STATE_VERSION}&tab=extreme&mass=500&spin=abc&light=1`);
+    expect(state.activeTab).toBe('extreme');
+    expect(state.mass).toBe(DEFAULT_STATE.mass);
+    expect(state.rotation).toBe(DEFAULT_STATE.rotation);
+    expect(errors).toEqual([
+      'mass must be between 1 and 50',
+      'rotation must be a number'
+    ]);
+  });
+  
+  it.each([
+    ['a spacelike turnaround', '20,1'],
+    ['a turnaround in the past', '3,-4'],
+    ['a turnaround on the light cone', '5,5'],
+    ['a malformed turnaround', '3']
+  ])('rejects %s', (name, turn) => {
+    const { state, errors } = decodeState(`?v=${STATE_VERSION}&turn=${turn}`);
+    expect(state.twinTurnaround).toEqual(DEFAULT_STATE.twinTurnaround);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^twinTurnaround/);
+  });
+  
+  it('accepts events anywhere when they need not be reachable', () => {
+    const { state, errors } = decodeState(`?v=${STATE_VERSION}&event=20,-1`);
+    expect(state.simultaneityEvent).toEqual({ x: 20, t: -1 });
+    expect(errors).toEqual([]);
+  });
+});
+
+describe('sanitizeState', () => {
+  it('reports unknown parameters', () => {
+    const { state, errors } = sanitizeState({ mass: 5, warpFactor: 9 });
+    expect(state).toEqual({ mass: 5 });
+    expect(errors).toEqual(['Unknown parameter "warpFactor"']);
+  });
+});
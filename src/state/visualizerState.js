@@ -0,0 +1,123 @@
+import { SPEED_MULTIPLIERS } from '../simulation/clock';
+import { PARTICLE_INTEGRATORS } from '../physics/particles';
+import { MAX_SEED } from '../physics/random';
+import { TIDAL_BLACK_HOLES } from '../physics/tidal';
+import { SCHWARZSCHILD_CHARTS } from '../physics/schwarzschildCharts';
+import { PENROSE_SPACETIMES } from '../physics/penrose';
+
+// Shareable visualizer configuration: every parameter needed to reproduce a view.
+// Each field declares its URL parameter, type, allowed range and default, so
+// deep links and presets validate input the same way.
+
+// Bump when a field changes meaning; readers migrate or reject older versions
+export const STATE_VERSION = 1;
+
+export const TABS = ['spacetime', 'special', 'particles', 'waves', 'observer', 'extreme', 'singularity'];
+export const EXTREME_OBJECT_TYPES = ['blackhole', 'neutron', 'kerr', 'merger', 'tidal'];
+
+export const STATE_FIELDS = {
+  activeTab: { param: 'tab', type: 'enum', values: TABS, default: 'spacetime' },
+  mass: { param: 'mass', type: 'number', min: 1, max: 50, default: 10 },
+  rotation: { param: 'spin', type: 'number', min: 0, max: 1, default: 0 },
+  observer1Position: { param: 'o1', type: 'number', min: 10, max: 50, default: 30 },
+  observer2Position: { param: 'o2', type: 'number', min: 5, max: 45, default: 20 },
+  observer2Angle: { param: 'o2a', type: 'number', min: 0, max: 360, default: 120 },
+  activeObserver: { param: 'obs', type: 'enum', values: [1, 2], default: 1 },
+  viewAngle: { param: 'view', type: 'number', min: 0, max: 360, default: 30 },
+  showLightPaths: { param: 'light', type: 'boolean', default: true },
+  physicsMode: { param: 'physics', type: 'enum', values: ['exact', 'toy'], default: 'exact' },
+  specialVelocity: { param: 'boost', type: 'number', min: -0.95, max: 0.95, default: 0.5 },
+  twinTurnaround: { param: 'turn', type: 'event', timelike: true, default: { x: 6, t: 8 } },
+  simultaneityEvent: { param: 'event', type: 'event', default: { x: 6, t: 0 } },
+  viewMode: { param: 'sing', type: 'enum', values: ['penrose', 'kerr', 'diagram'], default: 'penrose' },
+  showConsensus: { param: 'consensus', type: 'boolean', default: false },
+  diagramChart: { param: 'chart', type: 'enum', values: SCHWARZSCHILD_CHARTS, default: 'schwarzschild' },
+  diagramEvent: { param: 'dev', type: 'event', default: { x: 5, t: 0 } }, // x = r, t = v − r, in units of M
+  penroseSpacetime: { param: 'pst', type: 'enum', values: PENROSE_SPACETIMES, default: 'schwarzschild' },
+  penroseCharge: { param: 'charge', type: 'number', min: 0, max: 0.99, default: 0.9 }, // Q/M
+  particleCount: { param: 'pc', type: 'integer', min: 10, max: 5000, default: 50 },
+  particleSpeed: { param: 'ps', type: 'number', min: 0.5, max: 1.3, default: 1 },
+  particleIntegrator: { param: 'int', type: 'enum', values: PARTICLE_INTEGRATORS, default: 'rk45' },
+  precessionOrbit: { param: 'prec', type: 'enum', values: ['particle', 'mercury'], default: 'particle' }, // Orbit the precession readout shows
+  waveAmplitude: { param: 'wa', type: 'number', min: 0.1, max: 2, default: 0.5 },
+  waveFrequency: { param: 'wf', type: 'number', min: 0.01, max: 0.2, default: 0.05 },
+  waveMass1: { param: 'm1', type: 'number', min: 1, max: 100, default: 36 }, // solar masses
+  waveMass2: { param: 'm2', type: 'number', min: 1, max: 100, default: 29 }, // solar masses
+  waveDistance: { param: 'dist', type: 'number', min: 10, max: 5000, default: 410 }, // megaparsecs
+  waveInclination: { param: 'incl', type: 'number', min: 0, max: 180, default: 30 }, // degrees
+  detectorSourceTheta: { param: 'dth', type: 'number', min: 0, max: 180, default: 30 }, // degrees from the detector's zenith
+  detectorSourcePhi: { param: 'dph', type: 'number', min: 0, max: 360, default: 60 }, // degrees from the x arm
+  detectorPolarization: { param: 'dpsi', type: 'number', min: 0, max: 180, default: 0 }, // degrees
+  strainBandLow: { param: 'bpl', type: 'number', min: 10, max: 200, default: 35 }, // Hz
+  strainBandHigh: { param: 'bph', type: 'number', min: 250, max: 2000, default: 350 }, // Hz
+  mergerMass1: { param: 'mm1', type: 'number', min: 1, max: 100, default: 36 }, // solar masses
+  mergerMass2: { param: 'mm2', type: 'number', min: 1, max: 100, default: 29 }, // solar masses
+  mergerSpin1: { param: 'ms1', type: 'number', min: -0.99, max: 0.99, default: 0 }, // χ along the orbital axis
+  mergerSpin2: { param: 'ms2', type: 'number', min: -0.99, max: 0.99, default: 0 }, // χ along the orbital axis
+  extremeObjectType: { param: 'obj', type: 'enum', values: EXTREME_OBJECT_TYPES, default: 'blackhole' },
+  tidalBlackHole: { param: 'tbh', type: 'enum', values: Object.keys(TIDAL_BLACK_HOLES), default: 'sgrA' },
+  seed: { param: 'seed', type: 'integer', min: 0, max: MAX_SEED, default: 1 },
+  simulationSpeed: { param: 'speed', type: 'enum', values: SPEED_MULTIPLIERS, default: 1 },
+  frameTime: { param: 't', type: 'number', min: 0, max: Infinity, default: 0 }
+};
+
+export const DEFAULT_STATE = Object.fromEntries(
+  Object.entries(STATE_FIELDS).map(([key, field]) => [key, field.default])
+);
+
+// Validate one value against its field. Returns { value } or { error }.
+export const validateField = (key, value) => {
+  const field = STATE_FIELDS[key];
+  if (!field) return { error: `Unknown parameter "${key}"` };
+  
+  switch (field.type) {
+    case 'enum':
+      return field.values.includes(value)
+        ? { value }
+        : { error: `${key} must be one of ${field.values.join(', ')}` };
+    case 'boolean':
+      return typeof value === 'boolean'
+        ? { value }
+        : { error: `${key} must be true or false` };
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: `${key} must be a number` };
+      }
+      if (field.type === 'integer' && !Number.isInteger(value)) {
+        return { error: `${key} must be a whole number` };
+      }
+      if (value < field.min || value > field.max) {
+        return { error: `${key} must be between ${field.min} and ${field.max}` };
+      }
+      return { value };
+    case 'event':
+      if (!value || !Number.isFinite(value.x) || !Number.isFinite(value.t)) {
+        return { error: `${key} must be an event with numeric x and t` };
+      }
+      // Events a clock has to reach from the origin must be in its future light cone
+      if (field.timelike && !(value.t > 0 && Math.abs(value.x) < value.t)) {
+        return { error: `${key} must lie inside the future light cone (t > 0 and |x| < t)` };
+      }
+      return { value: { x: value.x, t: value.t } };
+    default:
+      return { error: `${key} has an unsupported type` };
+  }
+};
+
+// Validate a partial state object. Invalid or unknown entries are dropped and reported.
+export const sanitizeState = (raw) => {
+  const state = {};
+  const errors = [];
+  
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    const result = validateField(key, value);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      state[key] = result.value;
+    }
+  });
+  
+  return { state, errors };
+};
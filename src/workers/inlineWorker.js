@@ -0,0 +1,27 @@
+// Stand-in for a Web Worker that runs a simulation's handleMessage on the main
+// thread. Replies arrive asynchronously, as they would from a real worker, so
+// the same client code runs under Jest and where workers are unavailable.
+export const createInlineWorker = (simulation) => {
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    
+    postMessage: (data) => {
+      setTimeout(() => {
+        try {
+          const { message } = simulation.handleMessage(data);
+          if (worker.onmessage) worker.onmessage({ data: message });
+        } catch (error) {
+          if (worker.onerror) worker.onerror(error);
+        }
+      }, 0);
+    },
+    
+    terminate: () => {
+      worker.onmessage = null;
+      worker.onerror = null;
+    }
+  };
+  
+  return worker;
+};
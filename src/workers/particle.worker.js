@@ -0,0 +1,11 @@
+import { createParticleSimulation } from './particleSimulation';
+
+// Web Worker entry point: integrates the particles off the main thread
+// eslint-disable-next-line no-restricted-globals
+const scope = self;
+const simulation = createParticleSimulation();
+
+scope.onmessage = ({ data }) => {
+  const { message, transfer } = simulation.handleMessage(data);
+  scope.postMessage(message, transfer);
+};
@@ -0,0 +1,75 @@
+// Main-thread side of the particle worker. Steps requested while the worker
+// is busy are merged into the next request, so a slow frame makes the
+// simulation catch up in one message instead of queueing a backlog.
+//
+// onSnapshot receives each current snapshot from the worker; onError any failure.
+// Longest replay restore asks for, so a link far along does not tie up the worker
+export const MAX_RESTORE_STEPS = 5000;
+
+export const createParticleClient = (worker, { onSnapshot, onError }) => {
+  let generation = 0;
+  let outstanding = 0; // Requests sent and not yet answered
+  let pendingSteps = 0;
+  let stepParams = null;
+  
+  const flush = () => {
+    if (outstanding > 0 || pendingSteps === 0) return;
+    worker.postMessage({ type: 'step', generation, steps: pendingSteps, ...stepParams });
+    outstanding++;
+    pendingSteps = 0;
+  };
+  
+  worker.onmessage = ({ data }) => {
+    outstanding--;
+    
+    // Replies to requests made before the last init describe discarded particles
+    if (data.generation === generation) {
+      if (data.type === 'error') {
+        if (onError) onError(new Error(data.error));
+      } else {
+        onSnapshot(data);
+      }
+    }
+    flush();
+  };
+  
+  worker.onerror = (error) => {
+    outstanding = Math.max(0, outstanding - 1);
+    if (onError) onError(error);
+  };
+  
+  // Replace all particles; pending steps for the old ones are dropped.
+  // replay ({ steps, dt, integrator }) steps the fresh particles on at once.
+  const init = ({ count, speed, mass, rotation, seed }, replay = {}) => {
+    generation++;
+    pendingSteps = 0;
+    worker.postMessage({ type: 'init', generation, count, speed, mass, rotation, seed, ...replay });
+    outstanding++;
+  };
+  
+  // Request steps of dt with the current parameters ({ dt, speed, mass, rotation, integrator })
+  const step = (steps, params) => {
+    pendingSteps += steps;
+    stepParams = params;
+    flush();
+  };
+  
+  // Replace all particles and replay them up to time in steps of dt, for a
+  // restored link: seeded particles come out as they were when it was shared.
+  // Returns the time reached.
+  const restore = (params, time, { dt, integrator }) => {
+    const steps = Math.min(MAX_RESTORE_STEPS, Math.round(time / dt));
+    init(params, { steps, dt, integrator });
+    return steps * dt;
+  };
+  
+  // Add one particle at { x, y } with velocity { vx, vy } ({ mass, rotation })
+  const launch = (particle, params) => {
+    worker.postMessage({ type: 'launch', generation, particle, ...params });
+    outstanding++;
+  };
+  
+  const terminate = () => worker.terminate();
+  
+  return { init, step, restore, launch, terminate };
+};
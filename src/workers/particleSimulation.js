@@ -0,0 +1,150 @@
+import {
+  initParticles,
+  updateParticles,
+  launchParticle,
+  measureDrift,
+  measuredPeriapsisAdvance,
+  createRandom,
+  MAX_TRAIL_LENGTH
+} from '../physics';
+
+// Particle state and integration, independent of where it runs: inside the
+// Web Worker, or on the main thread through the inline worker shim.
+//
+// Requests:
+//   { type: 'init', generation, count, speed, mass, rotation, seed, steps?, dt?, integrator? }
+//   { type: 'step', generation, steps, dt, speed, mass, rotation, integrator }
+//   { type: 'launch', generation, particle: { x, y, vx, vy }, mass, rotation }
+// Every request is answered with a snapshot (see packSnapshot) whose typed
+// arrays are freshly allocated, so they can be transferred without copying.
+// Spawns and respawns draw from one generator seeded at init, so the same
+// seed and sequence of steps always gives the same particles. That lets init
+// replay steps at once to reach the time of a restored view.
+
+// Flatten particles into typed arrays. previous holds the positions one step
+// earlier, for interpolating between steps while drawing; energies and
+// angularMomenta hold each particle's conserved E and L, and periapsisAdvances
+// its measured precession per orbit (NaN before two periapsis passages) and
+// periapsisCounts how many passages that average covers. The relative energy
+// and angular momentum drift (see measureDrift) ride along as plain numbers;
+// reset marks the snapshot of freshly initialised particles.
+const packSnapshot = (generation, steps, particles, previous, mass, rotation, reset = false) => {
+  const count = particles.length;
+  const positions = new Float32Array(count * 2);
+  const previousPositions = new Float32Array(count * 2);
+  const trails = new Float32Array(count * MAX_TRAIL_LENGTH * 2);
+  const trailLengths = new Uint8Array(count);
+  const hues = new Float32Array(count);
+  const sizes = new Float32Array(count);
+  const energies = new Float64Array(count);
+  const angularMomenta = new Float64Array(count);
+  const periapsisAdvances = new Float64Array(count);
+  const periapsisCounts = new Uint8Array(count);
+  
+  particles.forEach((particle, i) => {
+    const before = previous[i] || particle;
+    positions[2 * i] = particle.x;
+    positions[2 * i + 1] = particle.y;
+    previousPositions[2 * i] = before.x;
+    previousPositions[2 * i + 1] = before.y;
+    hues[i] = particle.hue;
+    sizes[i] = particle.size;
+    energies[i] = particle.E;
+    angularMomenta[i] = particle.L;
+    periapsisAdvances[i] = measuredPeriapsisAdvance(particle.periapsides) ?? NaN;
+    periapsisCounts[i] = particle.periapsides.length;
+    
+    trailLengths[i] = particle.trail.length;
+    particle.trail.forEach((point, j) => {
+      const offset = (i * MAX_TRAIL_LENGTH + j) * 2;
+      trails[offset] = point.x;
+      trails[offset + 1] = point.y;
+    });
+  });
+  
+  const drift = measureDrift(particles, mass, rotation);
+  
+  return {
+    message: {
+      type: 'snapshot',
+      generation,
+      steps,
+      reset,
+      count,
+      positions,
+      previous: previousPositions,
+      trails,
+      trailLengths,
+      hues,
+      sizes,
+      energies,
+      angularMomenta,
+      periapsisAdvances,
+      periapsisCounts,
+      energyDrift: drift.energy,
+      angularMomentumDrift: drift.angularMomentum
+    },
+    transfer: [
+      positions.buffer,
+      previousPositions.buffer,
+      trails.buffer,
+      trailLengths.buffer,
+      hues.buffer,
+      sizes.buffer,
+      energies.buffer,
+      angularMomenta.buffer,
+      periapsisAdvances.buffer,
+      periapsisCounts.buffer
+    ]
+  };
+};
+
+export const createParticleSimulation = () => {
+  let particles = [];
+  let random = createRandom(0);
+  
+  // Take steps of dt, returning the particles as they were one step earlier
+  const advance = ({ steps, dt, speed, mass, rotation, integrator }) => {
+    let previous = particles;
+    for (let i = 0; i < steps; i++) {
+      previous = particles;
+      particles = updateParticles(particles, dt, mass, rotation, speed, random, integrator);
+    }
+    return previous;
+  };
+  
+  // Answer one request with { message, transfer }
+  const handleMessage = (request) => {
+    switch (request.type) {
+      case 'init': {
+        const { generation, count, speed, mass, rotation, seed, steps = 0 } = request;
+        random = createRandom(seed);
+        particles = initParticles(count, speed, mass, rotation, random);
+        const previous = advance({ ...request, steps });
+        return packSnapshot(generation, steps, particles, previous, mass, rotation, true);
+      }
+      case 'step': {
+        const { generation, steps, mass, rotation } = request;
+        const previous = advance(request);
+        return packSnapshot(generation, steps, particles, previous, mass, rotation);
+      }
+      case 'launch': {
+        // Added alongside the others; it respawns like any particle once lost
+        const { generation, particle, mass, rotation } = request;
+        const launched = launchParticle(particle, mass, rotation);
+        const previous = particles;
+        if (launched) {
+          particles = [...particles, { ...launched, trail: [], periapsides: [], hue: random(), size: 3 }];
+        }
+        return packSnapshot(generation, 0, particles, previous, mass, rotation);
+      }
+      default:
+        return {
+          message: { type: 'error', generation: request.generation, error: `Unknown request "${request.type}"` },
+          transfer: []
+        };
+    }
+  };
+  
+  return { handleMessage };
+};
@@ -0,0 +1,130 @@
+import { createInlineWorker } from './inlineWorker';
+import { createParticleClient } from './particleClient';
+import { createParticleSimulation } from './particleSimulation';
+import { MAX_TRAIL_LENGTH } from '../physics';
+import { decodeState, encodeState } from '../state/urlState';
+import { DEFAULT_STATE } from '../state/visualizerState';
+
+const INIT = { count: 20, speed: 1, mass: 10, rotation: 0.5, seed: 7 };
+const STEP = { dt: 0.1, speed: 1, mass: 10, rotation: 0.5, integrator: 'rk45' };
+
+// Let the inline worker answer everything posted so far
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await new Promise(resolve => setTimeout(resolve, 0));
+};
+
+const connect = () => {
+  const snapshots = [];
+  const errors = [];
+  const client = createParticleClient(createInlineWorker(createParticleSimulation()), {
+    onSnapshot: snapshot => snapshots.push(snapshot),
+    onError: error => errors.push(error)
+  });
+  return { client, snapshots, errors };
+};
+
+describe('particle worker', () => {
+  it('answers init and step with typed-array snapshots', async () => {
+    const { client, snapshots, errors } = connect();
+    client.init(INIT);
+    client.step(3, STEP);
+    await settle();
+    
+    expect(errors).toEqual([]);
+    expect(snapshots.map(({ steps, reset }) => ({ steps, reset }))).toEqual([
+      { steps: 0, reset: true },
+      { steps: 3, reset: false }
+    ]);
+    
+    const snapshot = snapshots[1];
+    expect(snapshot.count).toBe(INIT.count);
+    expect(snapshot.positions).toBeInstanceOf(Float32Array);
+    expect(snapshot.positions).toHaveLength(2 * INIT.count);
+    expect(snapshot.previous).toHaveLength(2 * INIT.count);
+    expect(snapshot.trails).toHaveLength(2 * INIT.count * MAX_TRAIL_LENGTH);
+    expect(snapshot.trailLengths).toBeInstanceOf(Uint8Array);
+    expect(snapshot.energies).toBeInstanceOf(Float64Array);
+    expect(snapshot.angularMomenta).toHaveLength(INIT.count);
+    expect(snapshot.positions).not.toEqual(snapshots[0].positions);
+    expect(Number.isFinite(snapshot.energyDrift)).toBe(true);
+  });
+  
+  it('hands every array over in its own transferable buffer', () => {
+    const simulation = createParticleSimulation();
+    const { message, transfer } = simulation.handleMessage({ type: 'init', generation: 1, ...INIT });
+    const arrays = Object.values(message).filter(ArrayBuffer.isView);
+    expect(arrays).toHaveLength(transfer.length);
+    expect(new Set(transfer).size).toBe(transfer.length);
+    arrays.forEach(array => expect(transfer).toContain(array.buffer));
+  });
+  
+  it('gives the same particles for the same seed', async () => {
+    const first = connect();
+    const second = connect();
+    [first, second].forEach(({ client }) => {
+      client.init(INIT);
+      client.step(5, STEP);
+    });
+    await settle();
+    expect(second.snapshots[1].positions).toEqual(first.snapshots[1].positions);
+  });
+  
+  it('replays a restored link to the particles that were shared', async () => {
+    // Run the particles tick by tick, as the simulation clock does
+    const live = connect();
+    live.client.init(INIT);
+    for (let i = 0; i < 6; i++) {
+      live.client.step(1, STEP);
+      await settle();
+    }
+    
+    const { state } = decodeState(encodeState({
+      ...DEFAULT_STATE,
+      activeTab: 'particles',
+      particleCount: INIT.count,
+      rotation: INIT.rotation,
+      seed: INIT.seed,
+      frameTime: 6 * STEP.dt
+    }));
+    const restored = connect();
+    const time = restored.client.restore(
+      { count: state.particleCount, speed: state.particleSpeed, mass: state.mass, rotation: state.rotation, seed: state.seed },
+      state.frameTime,
+      STEP
+    );
+    await settle();
+    
+    expect(time).toBeCloseTo(6 * STEP.dt, 12);
+    expect(restored.snapshots.map(({ steps, reset }) => ({ steps, reset }))).toEqual([{ steps: 6, reset: true }]);
+    expect(restored.snapshots[0].positions).toEqual(live.snapshots[live.snapshots.length - 1].positions);
+  });
+  
+  it('merges steps requested while the worker is busy', async () => {
+    const { client, snapshots } = connect();
+    client.init(INIT);
+    await settle();
+    client.step(1, STEP);
+    client.step(2, STEP);
+    client.step(4, STEP);
+    await settle();
+    expect(snapshots.map(snapshot => snapshot.steps)).toEqual([0, 1, 6]);
+  });
+  
+  it('drops replies about particles replaced by a later init', async () => {
+    const { client, snapshots } = connect();
+    client.init(INIT);
+    client.step(2, STEP);
+    client.init({ ...INIT, count: 5 });
+    await settle();
+    expect(snapshots.map(snapshot => snapshot.count)).toEqual([5]);
+  });
+  
+  it('reports unknown requests as errors', async () => {
+    const worker = createInlineWorker(createParticleSimulation());
+    const replies = [];
+    worker.onmessage = ({ data }) => replies.push(data);
+    worker.postMessage({ type: 'explode', generation: 3 });
+    await settle();
+    expect(replies).toEqual([{ type: 'error', generation: 3, error: 'Unknown request "explode"' }]);
+  });
+});
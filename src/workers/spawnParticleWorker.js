@@ -0,0 +1,9 @@
+import { createInlineWorker } from './inlineWorker';
+import { createParticleSimulation } from './particleSimulation';
+
+// A particle worker: a real Web Worker in the browser, the inline shim elsewhere.
+// Tests should create the inline worker directly; this module uses import.meta,
+// which Jest's CommonJS transform cannot load.
+export const spawnParticleWorker = () => (typeof Worker === 'undefined'
+  ? createInlineWorker(createParticleSimulation())
+  : new Worker(new URL('./particle.worker.js', import.meta.url)));